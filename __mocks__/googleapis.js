@@ -16,6 +16,7 @@ const mockGmail = {
       trash: vi.fn().mockResolvedValue({ data: { id: '123', labelIds: ['TRASH'] } }),
       untrash: vi.fn().mockResolvedValue({ data: { id: '123', labelIds: ['INBOX'] } }),
       modify: vi.fn().mockResolvedValue({ data: { id: '123' } }),
+      batchModify: vi.fn().mockResolvedValue({ data: '' }),
     },
     labels: {
       get: vi.fn().mockResolvedValue({ data: { messagesUnread: 5 } }),
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { TOKEN_DIR } = require('./gmail-auth');
+const { getRecentDeletions } = require('./deletion-log');
+const { createInboxd } = require('./inboxd');
+const { ValidationError, AuthError, NotFoundError, toInboxdError, formatErrorJson } = require('./errors');
+
+const DEFAULT_PORT = 8787;
+// Only loopback: the API can read and trash mail
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 1024 * 1024;
+// Gmail's cap for one messages.list page
+const MAX_SEARCH_RESULTS = 500;
+
+function getApiTokenPath() {
+  return path.join(TOKEN_DIR, 'api-token');
+}
+
+/**
+ * Returns the API token, creating a random one (readable only by the owner)
+ * on first use
+ * @returns {string}
+ */
+function ensureApiToken() {
+  const tokenPath = getApiTokenPath();
+  if (fs.existsSync(tokenPath)) {
+    const token = fs.readFileSync(tokenPath, 'utf8').trim();
+    if (token) return token;
+  }
+  fs.mkdirSync(TOKEN_DIR, { recursive: true });
+  const token = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(tokenPath, `${token}\n`, { mode: 0o600 });
+  return token;
+}
+
+const ERROR_BY_STATUS = {
+  400: ValidationError,
+  401: AuthError,
+  404: NotFoundError,
+  405: ValidationError,
+  413: ValidationError,
+};
+
+function httpError(status, message) {
+  const ErrorClass = ERROR_BY_STATUS[status];
+  return Object.assign(new ErrorClass(message), { status });
+}
+
+// A raw request line can carry any target, including an absolute URL that
+// does not parse
+function parseRequestUrl(target) {
+  try {
+    return new URL(target, `http://${HOST}`);
+  } catch (_err) {
+    throw httpError(400, `Malformed request target "${target}".`);
+  }
+}
+
+function tokensMatch(expected, header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+function parsePositiveInt(value, name, fallback, max = Infinity) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw httpError(400, `Invalid ${name} "${value}". Use a positive integer${max < Infinity ? ` up to ${max}` : ''}.`);
+  }
+  return number;
+}
+
+function parseIds(body) {
+  const ids = body && body.ids;
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && id.trim())) {
+    throw httpError(400, 'Body must include "ids": a non-empty list of message IDs.');
+  }
+  return ids.map(id => id.trim());
+}
+
+/**
+ * Endpoints and the library calls behind them
+ * @param {Object} client - createInboxd() instance
+ */
+function buildRoutes(client) {
+  return [
+    {
+      method: 'GET',
+      path: '/accounts',
+      handler: () => ({ accounts: client.accounts() }),
+    },
+    {
+      method: 'GET',
+      path: '/summary',
+      handler: ({ query }) => client.summary({
+        count: parsePositiveInt(query.get('count'), 'count', 5),
+        account: query.get('account') || undefined,
+      }),
+    },
+    {
+      method: 'GET',
+      path: '/search',
+      handler: ({ query }) => {
+        const q = query.get('q');
+        if (!q) {
+          throw httpError(400, 'Missing query parameter "q".');
+        }
+        return client.search(q, {
+          limit: parsePositiveInt(query.get('limit'), 'limit', 100, MAX_SEARCH_RESULTS),
+          account: query.get('account') || undefined,
+        });
+      },
+    },
+    {
+      method: 'GET',
+      path: '/messages/:id',
+      handler: ({ query, params }) => client.read(params.id, {
+        metadataOnly: query.get('metadataOnly') === 'true',
+        account: query.get('account') || undefined,
+      }),
+    },
+    {
+      method: 'POST',
+      path: '/messages/trash',
+      handler: ({ body }) => client.delete(parseIds(body), { account: body.account }),
+    },
+    {
+      method: 'POST',
+      path: '/messages/archive',
+      handler: ({ body }) => client.archive(parseIds(body), { account: body.account }),
+    },
+    {
+      method: 'GET',
+      path: '/deletions',
+      handler: ({ query }) => {
+        const days = parsePositiveInt(query.get('days'), 'days', 30);
+        const deletions = getRecentDeletions(days);
+        return { days, count: deletions.length, deletions };
+      },
+    },
+    {
+      method: 'GET',
+      path: '/undo',
+      handler: ({ query }) => client.undoHistory({ limit: parsePositiveInt(query.get('limit'), 'limit', 10) }),
+    },
+    {
+      method: 'POST',
+      path: '/undo',
+      handler: () => client.undo(),
+    },
+    {
+      method: 'GET',
+      path: '/rules',
+      handler: () => client.rules(),
+    },
+  ];
+}
+
+function matchRoute(routes, method, pathname) {
+  const parts = pathname.replace(/\/+$/, '').split('/');
+  let pathMatched = false;
+  for (const route of routes) {
+    const pattern = route.path.split('/');
+    if (pattern.length !== parts.length) continue;
+    const params = {};
+    const matches = pattern.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        try {
+          params[segment.slice(1)] = decodeURIComponent(parts[index]);
+        } catch (_err) {
+          throw httpError(400, `Malformed path segment "${parts[index]}".`);
+        }
+        return parts[index] !== '';
+      }
+      return segment === parts[index];
+    });
+    if (!matches) continue;
+    pathMatched = true;
+    if (route.method === method) {
+      return { route, params };
+    }
+  }
+  return { route: null, pathMatched };
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(httpError(400, 'Request body must be a JSON object.'));
+          return;
+        }
+        resolve(body);
+      } catch (_err) {
+        reject(httpError(400, 'Request body is not valid JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(`${JSON.stringify(payload, null, 2)}\n`);
+}
+
+// Library errors carry a stable code; anything else is a server error
+const STATUS_BY_CODE = {
+  PARTIAL_FAILURE: 207,
+  VALIDATION: 400,
+  // Gmail rejected the stored token; the API token itself is checked separately
+  AUTH: 403,
+  NOT_FOUND: 404,
+  SAFETY_BLOCKED: 409,
+  RATE_LIMITED: 429,
+};
+
+/**
+ * Creates the HTTP/JSON API server (not yet listening)
+ * Every request needs "Authorization: Bearer <token>". Errors are
+ * {"error": message, "code": code} with a 4xx/5xx status; partial batch
+ * failures are 207 with the per-email results in "details".
+ * @param {Object} options
+ * @param {string} options.token - Token from ensureApiToken
+ * @param {Object} [options.client] - Library instance (defaults to createInboxd())
+ * @param {Function} [options.onRequest] - Called with {method, path, status, durationMs}
+ * @returns {http.Server}
+ */
+function createApiServer({ token, client = createInboxd(), onRequest = () => {} }) {
+  const routes = buildRoutes(client);
+
+  return http.createServer(async (req, res) => {
+    const startedAt = Date.now();
+    let url = null;
+    let status = 200;
+    try {
+      url = parseRequestUrl(req.url);
+      if (!tokensMatch(token, req.headers.authorization)) {
+        throw httpError(401, 'Missing or invalid API token. Send "Authorization: Bearer <token>".');
+      }
+      const { route, params, pathMatched } = matchRoute(routes, req.method, url.pathname);
+      if (!route) {
+        throw pathMatched
+          ? httpError(405, `${req.method} is not supported on ${url.pathname}.`)
+          : httpError(404, `No endpoint at ${url.pathname}.`);
+      }
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      const result = await route.handler({ query: url.searchParams, params, body });
+      sendJson(res, status, result);
+    } catch (error) {
+      const typed = toInboxdError(error);
+      status = error.status || STATUS_BY_CODE[typed.code] || 500;
+      sendJson(res, status, formatErrorJson(typed));
+    } finally {
+      onRequest({ method: req.method, path: url ? url.pathname : req.url, status, durationMs: Date.now() - startedAt });
+    }
+  });
+}
+
+/**
+ * Starts the API on localhost
+ * @param {Object} options
+ * @param {number} [options.port] - Port (0 picks a free one)
+ * @param {string} options.token - Token from ensureApiToken
+ * @param {Function} [options.onRequest] - See createApiServer
+ * @returns {Promise<{server: http.Server, url: string}>}
+ */
+function startApiServer({ port = DEFAULT_PORT, token, onRequest }) {
+  const server = createApiServer({ token, onRequest });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, HOST, () => {
+      server.removeListener('error', reject);
+      resolve({ server, url: `http://${HOST}:${server.address().port}` });
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  getApiTokenPath,
+  ensureApiToken,
+  createApiServer,
+  startApiServer,
+};
@@ -34,7 +34,7 @@ function readArchiveLog() {
 
 /**
  * Logs archived emails to the archive log
- * @param {Array} emails - Array of email objects with id, threadId, account, from, subject, snippet
+ * @param {Array} emails - Array of email objects with id, threadId, account, from, subject, snippet, date
  */
 function logArchives(emails) {
   ensureLogDir();
@@ -50,6 +50,8 @@ function logArchives(emails) {
       from: email.from,
       subject: email.subject,
       snippet: email.snippet,
+      // Message date, so rule suggestions can tell how long mail was kept
+      date: email.date,
     });
   }
 
@@ -2,10 +2,10 @@
 
 const { program } = require('commander');
 const fs = require('fs');
-const { getUnreadEmails, getEmailCount, trashEmails, getEmailById, untrashEmails, markAsRead, markAsUnread, archiveEmails, unarchiveEmails, groupEmailsBySender, groupEmailsByThread, getEmailContent, getThread, searchEmails, searchEmailsCount, searchEmailsPaginated, sendEmail, replyToEmail, extractLinks, extractUnsubscribeInfo, listLabels, createLabel, applyLabel, removeLabel, findLabelByName, extractAttachments, getEmailsWithAttachments, searchAttachments, downloadAttachment } = require('./gmail-monitor');
-const { logArchives, getRecentArchives, getArchiveLogPath, removeArchiveLogEntries } = require('./archive-log');
-const { authorize, addAccount, getAccounts, getAccountEmail, removeAccount, removeAllAccounts, renameTokenFile, validateCredentialsFile, hasCredentials, isConfigured, installCredentials } = require('./gmail-auth');
-const { logDeletions, getRecentDeletions, getLogPath, readLog, removeLogEntries, getStats: getDeletionStats, analyzePatterns } = require('./deletion-log');
+const { getUnreadEmails, getEmailById, markAsRead, markAsUnread, unarchiveEmails, groupEmailsBySender, groupEmailsByThread, getEmailContent, getThread, searchEmails, searchEmailsCount, searchEmailsPaginated, sendEmail, replyToEmail, extractLinks, extractUnsubscribeInfo, listLabels, createLabel, applyLabel, removeLabel, findLabelByName, extractAttachments, getEmailsWithAttachments, searchAttachments, downloadAttachment, syncMailbox } = require('./gmail-monitor');
+const { getRecentArchives, getArchiveLogPath, removeArchiveLogEntries } = require('./archive-log');
+const { authorize, addAccount, getAccounts, getAccountEmail, removeAccount, removeAllAccounts, renameTokenFile, validateCredentialsFile, hasCredentials, isConfigured, installCredentials, getCredentialsPath } = require('./gmail-auth');
+const { getRecentDeletions, getLogPath, getStats: getDeletionStats, analyzePatterns } = require('./deletion-log');
 const { getSkillStatus, checkForUpdate, installSkill, SKILL_DEST_DIR } = require('./skill-installer');
 const { logSentEmail, getSentLogPath, getSentStats } = require('./sent-log');
 const {
@@ -20,11 +20,29 @@ const {
   removeFromSection,
   getEntriesInSection,
 } = require('./preferences');
-const { getRulesPath, listRules, addRule, removeRule, buildSuggestedRules, SUPPORTED_ACTIONS } = require('./rules');
-const { logUndoAction, getRecentUndoActions, removeUndoEntry, updateUndoEntry, getUndoLogPath } = require('./undo-log');
-const { buildRuleQuery, emailMatchesRule, buildActionPlan } = require('./rules-engine');
+const { getRulesPath, listRules, buildRule, addRule, removeRule, pruneExpiredRules, reorderRules, moveRule, getRuleStats, buildSuggestedRules, SUPPORTED_ACTIONS } = require('./rules');
+const { getUndoLogPath } = require('./undo-log');
+const { buildRuleQuery, describeRule, describeRuleAction, getRulePriority, ruleAppliesToAccount, isRuleExpired, describeRuleExpiry } = require('./rules-engine');
+const { groupByAccount } = require('./rule-actions');
+const { createInboxd } = require('./inboxd');
+const { EXIT_CODES, InboxdError, ValidationError, AuthError, NotFoundError, SafetyBlockedError, toInboxdError, formatErrorJson } = require('./errors');
+const { buildEnvelope, buildErrorEnvelope, listSchemaCommands, getOutputSchema } = require('./json-output');
+const { loadRuleHistory, extractProtectedSenders, simulateRule } = require('./rule-simulator');
+const { EXPORT_FORMATS, serializeRuleSet, parseRuleSet, planRuleImport, applyRuleImport } = require('./rule-sharing');
+const { exportSieve, exportGmailXml } = require('./rule-exporters');
+const { lintRules } = require('./rule-linter');
+const { analyzeHistory } = require('./history-analysis');
+const { getDaemonConfigPath, getDaemonLogPath, readDaemonConfig, validateDaemonJobs, runDaemon, spawnDaemon, stopDaemon, getDaemonStatus } = require('./daemon');
+const { createWatcher } = require('./watch');
+const { getNotifyConfigPath, readNotifyConfig, validateNotifyConfig, createNotifier } = require('./notify');
+const { TOOLS: MCP_TOOLS, runMcpServer } = require('./mcp-server');
+const { DEFAULT_PORT: DEFAULT_API_PORT, getApiTokenPath, ensureApiToken, startApiServer } = require('./api-server');
+const { pushFilters, pullFilters, getFilterTrackingPath } = require('./gmail-filters');
 const { parseIdsInput } = require('./id-utils');
 const { logUsage, getUsageStats, getUsagePath, clearUsageLog } = require('./usage-log');
+const { getMessageCachePath, getMessageCacheStats, clearMessageCache } = require('./message-cache');
+const { readSyncState, clearSyncState } = require('./sync-state');
+const { setWarningMode, getWarnings, clearWarnings } = require('./rate-limiter');
 const readline = require('readline');
 const path = require('path');
 const os = require('os');
@@ -120,6 +138,152 @@ function parseOlderThanDuration(duration) {
   }
 }
 
+/**
+ * Parses a size threshold for rule conditions
+ * @param {string} value - Size string (e.g., "500K", "5M", "2048")
+ * @returns {number|null} Size in bytes or null if invalid
+ */
+function parseSizeThreshold(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i);
+  if (!match) {
+    return null;
+  }
+  const multipliers = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+  const bytes = Math.floor(parseFloat(match[1]) * multipliers[match[2].toLowerCase()]);
+  return bytes > 0 ? bytes : null;
+}
+
+/**
+ * Adds the sender, age, condition and account options shared by `rules add` and `rules test`
+ * @param {import('commander').Command} command
+ * @returns {import('commander').Command}
+ */
+function addRuleMatcherOptions(command) {
+  return command
+    .option('--sender <pattern>', 'Sender email or domain')
+    .option('--older-than <duration>', 'Only apply to emails older than N days/weeks (e.g., "30d", "2w")')
+    .option('--subject <text>', 'Subject contains text')
+    .option('--subject-regex <pattern>', 'Subject matches regular expression (checked locally)')
+    .option('--to <address>', 'Recipient email or domain')
+    .option('--list-id <id>', 'Mailing list (List-Id header)')
+    .option('--has-label <labels>', 'Email has label(s), comma-separated')
+    .option('--lacks-label <labels>', 'Email does not have label(s), comma-separated')
+    .option('--has-attachment', 'Email has an attachment')
+    .option('--without-attachment', 'Email has no attachment')
+    .option('--larger-than <size>', 'Email larger than size (e.g., "500K", "5M")')
+    .option('--smaller-than <size>', 'Email smaller than size (e.g., "500K", "5M")')
+    .option('--unread', 'Email is unread')
+    .option('--read', 'Email is read')
+    .option('--starred', 'Email is starred')
+    .option('--unstarred', 'Email is not starred')
+    .option('--any', 'Match when any condition matches (default: all must match)')
+    .option('-a, --account <names>', 'Only apply to these accounts, comma-separated (default: all)');
+}
+
+/**
+ * Turns the options from addRuleMatcherOptions into addRule/buildRule fields
+ * @param {Object} options - Parsed commander options
+ * @returns {{error: string}|{sender: string, olderThanDays: number|null, conditions: Object|null, accounts: string}}
+ */
+function parseRuleMatcherOptions(options) {
+  const exclusivePairs = [
+    ['hasAttachment', 'withoutAttachment', '--has-attachment', '--without-attachment'],
+    ['unread', 'read', '--unread', '--read'],
+    ['starred', 'unstarred', '--starred', '--unstarred'],
+  ];
+  for (const [yes, no, yesFlag, noFlag] of exclusivePairs) {
+    if (options[yes] && options[no]) {
+      return { error: `${yesFlag} and ${noFlag} cannot be combined.` };
+    }
+  }
+
+  const sizes = {};
+  for (const [key, flag] of [['largerThan', '--larger-than'], ['smallerThan', '--smaller-than']]) {
+    if (options[key] === undefined) continue;
+    sizes[key] = parseSizeThreshold(options[key]);
+    if (!sizes[key]) {
+      return { error: `Invalid ${flag} size "${options[key]}". Use "500K", "5M" or bytes.` };
+    }
+  }
+
+  const pickFlag = (yes, no) => (options[yes] ? true : (options[no] ? false : undefined));
+  const conditions = {
+    match: options.any ? 'any' : 'all',
+    subject: options.subject,
+    subjectRegex: options.subjectRegex,
+    to: options.to,
+    listId: options.listId,
+    hasLabels: options.hasLabel,
+    lacksLabels: options.lacksLabel,
+    hasAttachment: pickFlag('hasAttachment', 'withoutAttachment'),
+    largerThan: sizes.largerThan,
+    smallerThan: sizes.smallerThan,
+    unread: pickFlag('unread', 'read'),
+    starred: pickFlag('starred', 'unstarred'),
+  };
+  const hasConditions = Object.keys(conditions)
+    .some(key => key !== 'match' && conditions[key] !== undefined);
+
+  if (!options.sender && !hasConditions) {
+    return { error: '--sender or at least one condition (e.g. --subject, --has-label) is required.' };
+  }
+
+  let olderThanDays = null;
+  if (options.olderThan) {
+    const olderThanQuery = parseOlderThanDuration(options.olderThan);
+    if (!olderThanQuery) {
+      return { error: `Invalid --older-than format "${options.olderThan}". Use "30d", "2w", "1m".` };
+    }
+    olderThanDays = parseInt(olderThanQuery, 10);
+  }
+
+  if (options.account && options.account !== 'all') {
+    const known = getAccounts().map(a => a.name);
+    const unknown = options.account.split(',').map(name => name.trim()).filter(name => name && !known.includes(name));
+    if (unknown.length > 0) {
+      return { error: `Unknown account(s): ${unknown.join(', ')}. Run "inboxd accounts" to see configured accounts.` };
+    }
+  }
+
+  return {
+    sender: options.sender,
+    olderThanDays,
+    conditions: hasConditions ? conditions : null,
+    accounts: options.account,
+  };
+}
+
+// Verb shown when confirming an undo, keyed by the logged action
+const UNDO_ACTION_LABELS = {
+  delete: 'restore',
+  archive: 'unarchive',
+  'apply-label': 'remove label from',
+  'remove-label': 're-apply label to',
+  star: 'unstar',
+  unstar: 're-star',
+  'mark-important': 'unmark important on',
+  forward: 'trash forwarded copies of',
+};
+
+/**
+ * Past-tense description of an undo log entry for `undo --list`
+ * @param {Object} entry - Undo log entry
+ * @returns {string}
+ */
+function describeUndoEntry(entry) {
+  switch (entry.action) {
+    case 'delete': return 'Deleted';
+    case 'archive': return 'Archived';
+    case 'apply-label': return `Labelled "${entry.label?.name}"`;
+    case 'remove-label': return `Removed label "${entry.label?.name}" from`;
+    case 'star': return 'Starred';
+    case 'unstar': return 'Unstarred';
+    case 'mark-important': return 'Marked important';
+    case 'forward': return `Forwarded to ${entry.forwardTo}`;
+    default: return entry.action;
+  }
+}
+
 function readIdsFromStdin() {
   if (process.stdin.isTTY) {
     return [];
@@ -171,6 +335,9 @@ function resolveAccount(specifiedAccount, chalk) {
   }
 
   // Multiple accounts, must specify
+  if (jsonOutput) {
+    throw new ValidationError(`Multiple accounts configured. Specify --account (${accounts.map(a => a.name).join(', ')}).`);
+  }
   let errorMsg = chalk.yellow('Multiple accounts configured. Please specify --account <name>\n');
   errorMsg += chalk.gray('Available accounts:\n');
   accounts.forEach(a => {
@@ -179,6 +346,147 @@ function resolveAccount(specifiedAccount, chalk) {
   return { account: null, error: errorMsg };
 }
 
+// Exit code for runs that produced output but could not read every message or account
+const EXIT_PARTIAL = EXIT_CODES.PARTIAL_FAILURE;
+
+// Command path ("rules apply") and --json flag of the running command, set by wrapAction
+let currentCommand = 'inboxd';
+let jsonOutput = false;
+
+/**
+ * Prints a command result as the --json envelope
+ * {ok, command, data, errors, warnings} (schemas in ./json-output)
+ * @param {*} data - Command result
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.errors] - Messages or accounts that could not be read
+ * @param {boolean} [options.ok] - False when the command did nothing useful
+ * @param {boolean} [options.compact] - One line (commands that print one envelope per check)
+ */
+function printJson(data, { errors = [], ok = true, compact = false } = {}) {
+  const envelope = buildEnvelope(currentCommand, data, { errors, warnings: getWarnings(), ok });
+  // Each warning is reported in one envelope
+  clearWarnings();
+  console.log(compact ? JSON.stringify(envelope) : JSON.stringify(envelope, null, 2));
+}
+
+/**
+ * Prints a command failure and exits with the code for its kind (EXIT_CODES
+ * in ./errors). JSON output is an envelope with ok false and the error as
+ * {error, code, details?} in errors; stderrJson writes just the error to
+ * stderr, for analyze's bare array output.
+ * @param {*} error - Thrown value (classified by toInboxdError)
+ * @param {Object} chalk - Chalk instance
+ * @param {{json?: boolean, stderrJson?: boolean, label?: string}} [options] - json defaults to the command's --json
+ */
+function exitWithError(error, chalk, { json = jsonOutput, stderrJson = false, label = 'Error:' } = {}) {
+  const typed = toInboxdError(error);
+  if (json) {
+    console.log(JSON.stringify(buildErrorEnvelope(currentCommand, typed, { warnings: getWarnings() }), null, 2));
+  } else if (stderrJson) {
+    process.stderr.write(`${JSON.stringify(formatErrorJson(typed))}\n`);
+  } else {
+    // Bad input reads the same whichever command rejected it
+    console.error(chalk.red(typed.code === 'VALIDATION' ? 'Error:' : label), typed.message);
+    if (typed.code === 'AUTH') {
+      console.error(chalk.yellow('You may need to re-authenticate. Run: inboxd auth -a <account>'));
+    }
+  }
+  process.exit(typed.exitCode);
+}
+
+// Accounts whose token Gmail rejected, from fetch errors or batch results
+function getAuthFailedAccounts(items) {
+  return [...new Set(items.filter(item => item.code === 'AUTH').map(item => item.account))];
+}
+
+/**
+ * Returns a library batch result, flagging the run as partial instead of
+ * failing when only some emails failed (PartialFailureError). A rejected
+ * token is not a partial result: it fails the run with AuthError.
+ * @param {Promise<Object>} promise - Library call
+ * @returns {Promise<Object>}
+ */
+async function settlePartial(promise) {
+  try {
+    return await promise;
+  } catch (error) {
+    if (error.code !== 'PARTIAL_FAILURE') throw error;
+    const authFailed = getAuthFailedAccounts(error.details.results || []);
+    if (authFailed.length > 0) {
+      throw new AuthError(`Gmail rejected the token for ${authFailed.join(', ')}.`, { details: error.details });
+    }
+    process.exitCode = EXIT_PARTIAL;
+    return error.details;
+  }
+}
+
+/**
+ * Flags a run as partial when some messages could not be read. An account
+ * whose token was rejected (code AUTH) produced nothing, so it sets the auth
+ * exit code instead.
+ * JSON callers pass the errors to printJson; output that is not an envelope
+ * (analyze's bare array, --ids-only) passes stderrJson so the errors go to
+ * stderr as one JSON line.
+ * @param {Array<{account: string, id: string|null, error: string, code: *}>} errors - Fetch errors
+ * @param {Object} chalk - Chalk instance
+ * @param {{json?: boolean, stderrJson?: boolean}} [options]
+ */
+function reportFetchErrors(errors, chalk, { json = false, stderrJson = false } = {}) {
+  if (errors.length === 0) return;
+  const authFailed = getAuthFailedAccounts(errors);
+  process.exitCode = authFailed.length > 0 ? EXIT_CODES.AUTH : EXIT_PARTIAL;
+
+  if (stderrJson) {
+    process.stderr.write(`${JSON.stringify({ errors })}\n`);
+    return;
+  }
+  if (json) return;
+
+  console.error(chalk.yellow(`\nCould not read ${errors.length} item(s):`));
+  errors.slice(0, 10).forEach(e => {
+    console.error(chalk.gray(`  [${e.account}] ${e.id ? `${e.id}: ` : ''}${e.error}`));
+  });
+  if (errors.length > 10) {
+    console.error(chalk.gray(`  ...and ${errors.length - 10} more`));
+  }
+  authFailed.forEach(account => {
+    console.error(chalk.yellow(`Gmail rejected the token for ${account}. Run: inboxd auth -a ${account}`));
+  });
+}
+
+/**
+ * Calls poll every intervalSeconds until SIGINT or SIGTERM.
+ * A signal ends the wait between polls at once; a running poll finishes first.
+ * @param {Function} poll - Async function run once per interval
+ * @param {number} intervalSeconds - Seconds between the end of one poll and the next
+ */
+async function pollUntilStopped(poll, intervalSeconds) {
+  let stopping = false;
+  let wake = null;
+  const stop = () => {
+    stopping = true;
+    if (wake) wake();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  while (!stopping) {
+    await poll();
+    if (stopping) break;
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, intervalSeconds * 1000);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+    wake = null;
+  }
+
+  process.removeListener('SIGINT', stop);
+  process.removeListener('SIGTERM', stop);
+}
+
 function extractFlagNames(command) {
   if (!command || !command.options || typeof command.getOptionValueSource !== 'function') {
     return [];
@@ -200,11 +508,27 @@ function extractFlagNames(command) {
   return flags;
 }
 
+/**
+ * Full command path, e.g. "rules apply" for the apply subcommand of rules
+ */
+function getCommandPath(command) {
+  const names = [];
+  for (let cmd = command; cmd && cmd.parent; cmd = cmd.parent) {
+    names.unshift(cmd.name());
+  }
+  return names.join(' ');
+}
+
 function wrapAction(actionFn) {
   return async (...args) => {
     const command = args[args.length - 1];
     const cmdName = command?.name?.() || 'unknown';
     const flags = extractFlagNames(command);
+    const commandOptions = typeof command?.opts === 'function' ? command.opts() : {};
+    currentCommand = getCommandPath(command) || cmdName;
+    jsonOutput = !!commandOptions.json;
+    // analyze always prints JSON, so its warnings must stay machine-readable too
+    setWarningMode(commandOptions.json || cmdName === 'analyze' ? 'json' : 'text');
     let success = true;
     let exitCalled = false;
     const originalExit = process.exit;
@@ -252,76 +576,27 @@ async function main() {
   program
     .name('inboxd')
     .description('Gmail monitoring CLI with multi-account support')
-    .version(pkg.version);
+    .version(pkg.version)
+    // Lets a command with subcommands (preferences) keep its own options apart
+    .enablePositionalOptions();
 
   const applyRulesAction = wrapAction(async (options) => {
     try {
-      const rules = listRules();
+      const rules = listRules().filter(rule => !isRuleExpired(rule));
       if (rules.length === 0) {
         if (options.json) {
-          console.log(JSON.stringify({ error: 'No rules defined', path: getRulesPath() }, null, 2));
-        } else {
-          console.log(chalk.gray('No rules saved yet.'));
-          console.log(chalk.gray(`Rules file: ${getRulesPath()}`));
+          throw new NotFoundError('No rules defined', { details: { path: getRulesPath() } });
         }
+        console.log(chalk.gray('No rules saved yet.'));
+        console.log(chalk.gray(`Rules file: ${getRulesPath()}`));
         return;
       }
 
-      const accountNames = options.account === 'all'
-        ? getAccounts().map(a => a.name)
-        : [options.account];
-
-      if (accountNames.length === 0) {
-        accountNames.push('default');
-      }
-
       const limit = parseInt(options.limit, 10);
       if (!Number.isFinite(limit) || limit <= 0) {
-        console.log(chalk.red('Error: --limit must be a positive number.'));
-        return;
-      }
-
-      const ruleMatches = [];
-      const skippedRules = [];
-
-      for (const rule of rules) {
-        const query = buildRuleQuery(rule);
-        if (!query) {
-          skippedRules.push(rule);
-          ruleMatches.push({ rule, emails: [] });
-          continue;
-        }
-
-        const emails = [];
-        for (const account of accountNames) {
-          const matches = await searchEmails(account, query, limit);
-          const filtered = matches.filter(email => emailMatchesRule(email, rule));
-          emails.push(...filtered);
-        }
-
-        ruleMatches.push({ rule, emails });
+        throw new ValidationError('--limit must be a positive number.');
       }
 
-      const plan = buildActionPlan(ruleMatches);
-      const deleteCandidates = plan.deleteCandidates;
-      const archiveCandidates = plan.archiveCandidates;
-      const protectedCount = plan.protectedKeys.size;
-
-      const totals = {
-        delete: deleteCandidates.length,
-        archive: archiveCandidates.length,
-        protected: protectedCount,
-      };
-
-      const summarizeEmail = (email) => ({
-        id: email.id,
-        account: email.account || 'default',
-        from: email.from,
-        subject: email.subject,
-        date: email.date,
-        threadId: email.threadId,
-      });
-
       const displayEmails = (label, emails) => {
         if (emails.length === 0) return;
         const displayLimit = 50;
@@ -338,198 +613,133 @@ async function main() {
         }
       };
 
-      if (totals.delete + totals.archive === 0) {
-        if (options.json) {
-          console.log(JSON.stringify({
-            dryRun: !!options.dryRun,
-            totals,
-            rules: plan.ruleSummaries,
-            delete: { count: 0, emails: [] },
-            archive: { count: 0, emails: [] },
-            skippedRules: skippedRules.map(rule => rule.id),
-          }, null, 2));
-        } else {
-          console.log(chalk.gray('No emails matched actionable rules.'));
-          if (protectedCount > 0) {
-            console.log(chalk.gray(`Protected by never-delete rules: ${protectedCount}`));
-          }
-        }
-        return;
-      }
-
-      if (options.dryRun) {
-        if (options.json) {
-          console.log(JSON.stringify({
-            dryRun: true,
-            totals,
-            rules: plan.ruleSummaries,
-            delete: { count: deleteCandidates.length, emails: deleteCandidates.map(summarizeEmail) },
-            archive: { count: archiveCandidates.length, emails: archiveCandidates.map(summarizeEmail) },
-            skippedRules: skippedRules.map(rule => rule.id),
-            limit,
-          }, null, 2));
-          return;
-        }
-
+      const displayPreview = (preview) => {
         console.log(chalk.bold('\nRule Application Preview'));
-        console.log(chalk.gray(`Accounts: ${accountNames.join(', ')}`));
+        console.log(chalk.gray(`Accounts: ${preview.accounts.join(', ')}`));
         console.log(chalk.gray(`Limit: ${limit} per rule per account`));
-        console.log(chalk.gray(`Protected: ${protectedCount}\n`));
-        displayEmails('Delete', deleteCandidates);
-        displayEmails('Archive', archiveCandidates);
-        return;
-      }
+        console.log(chalk.gray(`Protected: ${preview.totals.protected}\n`));
+        displayEmails('Delete', preview.delete.emails);
+        displayEmails('Archive', preview.archive.emails);
+        preview.actions.forEach(group => displayEmails(describeRuleAction(group), group.emails));
+        if (preview.conflicts.length > 0) {
+          console.log(chalk.yellow(`Skipped ${preview.conflicts.length} conflicting action(s) overridden by earlier rules.`));
+        }
+      };
 
-      if (!options.confirm && !options.json) {
-        console.log(chalk.bold('\nRule Application Preview'));
-        console.log(chalk.gray(`Accounts: ${accountNames.join(', ')}`));
-        console.log(chalk.gray(`Limit: ${limit} per rule per account`));
-        console.log(chalk.gray(`Protected: ${protectedCount}\n`));
-        displayEmails('Delete', deleteCandidates);
-        displayEmails('Archive', archiveCandidates);
+      const displayHeld = ({ totals }) => {
+        if (totals.held > 0) {
+          console.log(chalk.yellow(`\nHeld ${totals.held} deletion(s) for confirmation. Run "inboxd rules apply" to review them.`));
+        }
+        if (totals.heldForwards > 0) {
+          console.log(chalk.yellow(`\nHeld ${totals.heldForwards} forward(s) for confirmation. Run "inboxd rules apply" to review them.`));
+        }
+      };
 
+      const confirm = async (preview) => {
+        displayPreview(preview);
         const rl = readline.createInterface({
           input: process.stdin,
           output: process.stdout,
         });
+        const { totals } = preview;
+        const actionsLabel = totals.actions > 0 ? ` and run ${totals.actions} label/star/forward action(s)` : '';
         const answer = await prompt(
           rl,
-          chalk.yellow(`\nApply rules to delete ${deleteCandidates.length} and archive ${archiveCandidates.length} emails? (y/N): `)
+          chalk.yellow(`\nApply rules to delete ${totals.delete} and archive ${totals.archive} emails${actionsLabel}? (y/N): `)
         );
         rl.close();
+        return answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes';
+      };
 
-        if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
-          console.log(chalk.gray('Cancelled. No changes made.\n'));
-          return;
-        }
-      }
-
-      const deleteResults = [];
-      const archiveResults = [];
-
-      if (deleteCandidates.length > 0) {
-        logDeletions(deleteCandidates);
-        if (!options.json) {
-          console.log(chalk.gray(`Logged deletions to: ${getLogPath()}`));
-        }
-
-        const byAccount = {};
-        deleteCandidates.forEach(email => {
-          const acc = email.account || 'default';
-          if (!byAccount[acc]) {
-            byAccount[acc] = [];
-          }
-          byAccount[acc].push(email);
-        });
-
-        const successfulEmails = [];
-
-        for (const [account, emails] of Object.entries(byAccount)) {
-          const results = await trashEmails(account, emails.map(e => e.id));
-          const succeededIds = new Set(results.filter(r => r.success).map(r => r.id));
-          successfulEmails.push(...emails.filter(e => succeededIds.has(e.id)));
-
-          emails.forEach(email => {
-            const result = results.find(r => r.id === email.id);
-            deleteResults.push({
-              id: email.id,
-              account,
-              from: email.from,
-              subject: email.subject,
-              success: result ? result.success : false,
-              error: result && !result.success ? result.error : undefined,
-            });
-          });
-        }
+      const result = await createInboxd({ account: options.account }).applyRules({
+        limit,
+        dryRun: !!options.dryRun,
+        holdDeletes: !!options.holdDeletes,
+        holdForwards: !!options.holdForwards,
+        confirm: options.confirm || options.json ? undefined : confirm,
+      });
+      const { errors: fetchErrors, cancelled, ...data } = result;
+      reportFetchErrors(fetchErrors, chalk, { json: options.json });
 
-        if (successfulEmails.length > 0) {
-          logUndoAction('delete', successfulEmails);
-          if (!options.json) {
-            console.log(chalk.gray(`Undo log: ${getUndoLogPath()}`));
-          }
-        }
+      if (options.json) {
+        // Deletes, archives and actions that failed are reported next to the fetch errors
+        const failedItems = [result.delete, result.archive, result.actions]
+          .flatMap(({ results }) => results || [])
+          .filter(r => !r.success)
+          .map(({ account, id, error, code }) => ({ account, id, error, code: code || null }));
+        if (failedItems.length > 0 && process.exitCode !== EXIT_CODES.AUTH) {
+          process.exitCode = EXIT_PARTIAL;
+        }
+        printJson(data, { errors: [...fetchErrors, ...failedItems] });
+        return;
       }
 
-      if (archiveCandidates.length > 0) {
-        logArchives(archiveCandidates);
-        if (!options.json) {
-          console.log(chalk.gray(`Logged archives to: ${getArchiveLogPath()}`));
-        }
-
-        const byAccount = {};
-        archiveCandidates.forEach(email => {
-          const acc = email.account || 'default';
-          if (!byAccount[acc]) {
-            byAccount[acc] = [];
-          }
-          byAccount[acc].push(email);
-        });
-
-        const successfulEmails = [];
-
-        for (const [account, emails] of Object.entries(byAccount)) {
-          const results = await archiveEmails(account, emails.map(e => e.id));
-          const succeededIds = new Set(results.filter(r => r.success).map(r => r.id));
-          successfulEmails.push(...emails.filter(e => succeededIds.has(e.id)));
-
-          emails.forEach(email => {
-            const result = results.find(r => r.id === email.id);
-            archiveResults.push({
-              id: email.id,
-              account,
-              from: email.from,
-              subject: email.subject,
-              success: result ? result.success : false,
-              error: result && !result.success ? result.error : undefined,
-            });
-          });
+      const { totals } = result;
+      if (totals.delete + totals.archive + totals.actions === 0) {
+        console.log(chalk.gray('No emails matched actionable rules.'));
+        if (totals.protected > 0) {
+          console.log(chalk.gray(`Protected by never-delete rules: ${totals.protected}`));
         }
+        displayHeld(result);
+        return;
+      }
 
-        if (successfulEmails.length > 0) {
-          logUndoAction('archive', successfulEmails);
-          if (!options.json) {
-            console.log(chalk.gray(`Undo log: ${getUndoLogPath()}`));
-          }
-        }
+      if (result.dryRun) {
+        displayPreview(result);
+        displayHeld(result);
+        return;
       }
 
-      if (options.json) {
-        console.log(JSON.stringify({
-          dryRun: false,
-          totals,
-          rules: plan.ruleSummaries,
-          delete: { count: deleteCandidates.length, results: deleteResults },
-          archive: { count: archiveCandidates.length, results: archiveResults },
-          skippedRules: skippedRules.map(rule => rule.id),
-          limit,
-        }, null, 2));
+      if (cancelled) {
+        console.log(chalk.gray('Cancelled. No changes made.\n'));
         return;
       }
 
-      if (deleteCandidates.length > 0) {
-        const successCount = deleteResults.filter(result => result.success).length;
-        const failureCount = deleteResults.length - successCount;
+      if (totals.delete > 0) {
+        console.log(chalk.gray(`Logged deletions to: ${getLogPath()}`));
+      }
+      if (totals.archive > 0) {
+        console.log(chalk.gray(`Logged archives to: ${getArchiveLogPath()}`));
+      }
+      const anySucceeded = [result.delete, result.archive, result.actions].some(({ results }) => results.some(r => r.success));
+      if (anySucceeded) {
+        console.log(chalk.gray(`Undo log: ${getUndoLogPath()}`));
+      }
+
+      if (totals.delete > 0) {
+        const successCount = result.delete.results.filter(r => r.success).length;
+        const failureCount = result.delete.results.length - successCount;
         console.log(chalk.green(`\nDeleted ${successCount} email(s) based on rules.`));
         if (failureCount > 0) {
+          process.exitCode = EXIT_PARTIAL;
           console.log(chalk.red(`Failed to delete ${failureCount} email(s).`));
         }
       }
 
-      if (archiveCandidates.length > 0) {
-        const successCount = archiveResults.filter(result => result.success).length;
-        const failureCount = archiveResults.length - successCount;
+      if (totals.archive > 0) {
+        const successCount = result.archive.results.filter(r => r.success).length;
+        const failureCount = result.archive.results.length - successCount;
         console.log(chalk.green(`\nArchived ${successCount} email(s) based on rules.`));
         if (failureCount > 0) {
+          process.exitCode = EXIT_PARTIAL;
           console.log(chalk.red(`Failed to archive ${failureCount} email(s).`));
         }
       }
-    } catch (error) {
-      if (options.json) {
-        console.log(JSON.stringify({ error: error.message }, null, 2));
-      } else {
-        console.error(chalk.red('Error applying rules:'), error.message);
+
+      const actionResults = result.actions.results;
+      if (actionResults.length > 0) {
+        const successCount = actionResults.filter(r => r.success).length;
+        const failures = actionResults.filter(r => !r.success);
+        console.log(chalk.green(`\nRan ${successCount} label/star/forward action(s) based on rules.`));
+        if (failures.length > 0) {
+          process.exitCode = EXIT_PARTIAL;
+          console.log(chalk.red(`Failed ${failures.length} action(s).`));
+          failures.slice(0, 5).forEach(r => console.log(chalk.gray(`  ${r.id} (${r.action}): ${r.error}`)));
+        }
       }
-      process.exit(1);
+      displayHeld(result);
+    } catch (error) {
+      exitWithError(error, chalk, { json: options.json, label: 'Error applying rules:' });
     }
   });
 
@@ -537,7 +747,18 @@ async function main() {
   program
     .command('setup')
     .description('Interactive setup wizard for first-time configuration')
-    .action(wrapAction(async () => {
+    .option('--json', 'Report what is configured as JSON, without prompting')
+    .action(wrapAction(async (options) => {
+      if (options.json) {
+        printJson({
+          configured: isConfigured(),
+          credentials: hasCredentials(),
+          credentialsPath: getCredentialsPath(),
+          accounts: getAccounts(),
+        });
+        return;
+      }
+
       const open = (await import('open')).default;
 
       const rl = readline.createInterface({
@@ -720,8 +941,7 @@ async function main() {
 
       } catch (error) {
         rl.close();
-        console.error(chalk.red('\nSetup failed:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: '\nSetup failed:' });
       }
     }));
 
@@ -729,6 +949,7 @@ async function main() {
     .command('auth')
     .description('Authenticate a Gmail account')
     .option('-a, --account <name>', 'Account name (e.g., personal, work)')
+    .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
         // If account name is provided, use it. Otherwise start with a temporary name
@@ -736,8 +957,10 @@ async function main() {
         const isExplicitAccount = !!options.account;
         let accountName = options.account || `temp_${Date.now()}`;
 
-        console.log(chalk.cyan(`Authenticating...`));
-        console.log(chalk.gray('A browser window will open for you to authorize access.\n'));
+        // The browser prompt goes to stderr with --json so stdout stays one document
+        const say = options.json ? console.error : console.log;
+        say(chalk.cyan(`Authenticating...`));
+        say(chalk.gray('A browser window will open for you to authorize access.\n'));
 
         await authorize(accountName);
         const email = await getAccountEmail(accountName);
@@ -753,9 +976,13 @@ async function main() {
           const existing = accounts.find(a => a.email === email);
 
           if (existing) {
-            console.log(chalk.yellow(`Account already registered as "${existing.name}" (${email})`));
             // Clean up the temporary token
             removeAccount(accountName);
+            if (options.json) {
+              printJson({ account: existing.name, email, added: false });
+              return;
+            }
+            console.log(chalk.yellow(`Account already registered as "${existing.name}" (${email})`));
             return;
           }
 
@@ -765,12 +992,15 @@ async function main() {
         }
 
         addAccount(accountName, email);
+        if (options.json) {
+          printJson({ account: accountName, email, added: true });
+          return;
+        }
         console.log(chalk.green(`Authentication successful!`));
         console.log(chalk.white(`Account "${accountName}" linked to ${email}`));
 
       } catch (error) {
-        console.error(chalk.red('Authentication failed:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Authentication failed:' });
       }
     }));
 
@@ -782,7 +1012,7 @@ async function main() {
       const accounts = getAccounts();
 
       if (options.json) {
-        console.log(JSON.stringify({ accounts }, null, 2));
+        printJson({ accounts });
         return;
       }
 
@@ -805,26 +1035,46 @@ async function main() {
     .description('Remove an account or all accounts')
     .option('-a, --account <name>', 'Account to remove (or "all" to remove all)')
     .option('--all', 'Remove all accounts')
+    .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
-      if (options.all || options.account === 'all') {
-        const accounts = getAccounts();
-        if (accounts.length === 0) {
-          console.log(chalk.gray('No accounts to remove.'));
-          return;
-        }
-        removeAllAccounts();
-        console.log(chalk.green(`Removed ${accounts.length} account(s) and cleared all tokens.`));
-      } else if (options.account) {
-        const accounts = getAccounts();
-        const exists = accounts.find(a => a.name === options.account);
-        if (!exists) {
-          console.log(chalk.yellow(`Account "${options.account}" not found.`));
-          return;
+      try {
+        if (options.all || options.account === 'all') {
+          const accounts = getAccounts();
+          if (accounts.length > 0) {
+            removeAllAccounts();
+            clearMessageCache();
+          }
+          if (options.json) {
+            printJson({ removed: accounts.map(a => a.name) });
+          } else if (accounts.length === 0) {
+            console.log(chalk.gray('No accounts to remove.'));
+          } else {
+            console.log(chalk.green(`Removed ${accounts.length} account(s) and cleared all tokens.`));
+          }
+        } else if (options.account) {
+          const accounts = getAccounts();
+          const exists = accounts.find(a => a.name === options.account);
+          if (!exists) {
+            if (options.json) {
+              throw new NotFoundError(`Account "${options.account}" not found.`);
+            }
+            console.log(chalk.yellow(`Account "${options.account}" not found.`));
+            return;
+          }
+          removeAccount(options.account);
+          clearMessageCache(options.account);
+          if (options.json) {
+            printJson({ removed: [options.account] });
+          } else {
+            console.log(chalk.green(`Removed account "${options.account}"`));
+          }
+        } else if (options.json) {
+          throw new ValidationError('Specify --account <name> or --all.');
+        } else {
+          console.log(chalk.gray('Usage: inboxd logout --account <name> or inboxd logout --all'));
         }
-        removeAccount(options.account);
-        console.log(chalk.green(`Removed account "${options.account}"`));
-      } else {
-        console.log(chalk.gray('Usage: inboxd logout --account <name> or inboxd logout --all'));
+      } catch (error) {
+        exitWithError(error, chalk, { label: 'Error logging out:' });
       }
     }));
 
@@ -836,45 +1086,21 @@ async function main() {
     .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
-        const accounts = options.account === 'all'
-          ? getAccounts().map(a => a.name)
-          : [options.account];
-
-        if (accounts.length === 0) {
-          accounts.push('default');
-        }
+        // JSON reports counts only
+        const result = await createInboxd({ account: options.account }).summary({
+          count: options.json ? 0 : parseInt(options.count, 10),
+        });
 
         if (options.json) {
-          const result = {
-            accounts: [],
-            totalUnread: 0
-          };
-
-          for (const account of accounts) {
-            const count = await getEmailCount(account);
-            const accountInfo = getAccounts().find(a => a.name === account);
-
-            result.accounts.push({
-              name: account,
-              email: accountInfo?.email || account,
-              unreadCount: count
-            });
-            result.totalUnread += count;
-          }
-
-          console.log(JSON.stringify(result, null, 2));
+          printJson({
+            accounts: result.accounts.map(({ name, email, unreadCount }) => ({ name, email, unreadCount })),
+            totalUnread: result.totalUnread,
+          });
           return;
         }
 
-        const maxPerAccount = parseInt(options.count, 10);
         const sections = [];
-
-        for (const account of accounts) {
-          const count = await getEmailCount(account);
-          const emails = await getUnreadEmails(account, maxPerAccount);
-          const accountInfo = getAccounts().find(a => a.name === account);
-          const label = accountInfo?.email || account;
-
+        for (const { email: label, unreadCount: count, emails } of result.accounts) {
           let content = `${chalk.bold.cyan(label)} - ${count} unread\n\n`;
 
           if (emails.length > 0) {
@@ -900,9 +1126,9 @@ async function main() {
         });
 
         console.log(output);
+        reportFetchErrors(result.errors, chalk);
       } catch (error) {
-        console.error(chalk.red('Error fetching summary:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error fetching summary:' });
       }
     }));
 
@@ -916,10 +1142,15 @@ async function main() {
     .option('--older-than <duration>', 'Only include emails older than N days/weeks (e.g., "30d", "2w", "1m")')
     .option('--group-by <field>', 'Group emails by field (sender, thread)')
     .option('--ids-only', 'Output only email IDs, one per line')
+    .option('--json', 'Wrap the output in the JSON envelope (default: bare array)')
     .action(wrapAction(async (options) => {
       try {
-        const accounts = options.account === 'all'
-          ? getAccounts().map(a => a.name)
+        if (options.idsOnly && options.json) {
+          throw new ValidationError('--ids-only cannot be combined with --json.');
+        }
+
+        const accounts = options.account === 'all'
+          ? getAccounts().map(a => a.name)
           : [options.account];
 
         if (accounts.length === 0) {
@@ -929,32 +1160,31 @@ async function main() {
         const maxPerAccount = parseInt(options.count, 10);
         const includeRead = !!options.all;
         let allEmails = [];
+        const fetchErrors = [];
 
         // Build Gmail query for --older-than (server-side filtering)
         let olderThanQuery = null;
         if (options.olderThan) {
           const olderThanDays = parseOlderThanDuration(options.olderThan);
           if (!olderThanDays) {
-            console.error(JSON.stringify({
-              error: `Invalid --older-than format: "${options.olderThan}". Use format like "30d", "2w", "1m"`
-            }));
-            process.exit(1);
+            throw new ValidationError(`Invalid --older-than format: "${options.olderThan}". Use format like "30d", "2w", "1m"`);
           }
           olderThanQuery = `older_than:${olderThanDays}`;
         }
 
         for (const account of accounts) {
-          let emails;
+          let result;
           if (olderThanQuery) {
             // Use searchEmails for server-side filtering when --older-than is specified
             const query = includeRead
               ? olderThanQuery
               : `is:unread ${olderThanQuery}`;
-            emails = await searchEmails(account, query, maxPerAccount);
+            result = await searchEmails(account, query, maxPerAccount);
           } else {
-            emails = await getUnreadEmails(account, maxPerAccount, includeRead);
+            result = await getUnreadEmails(account, maxPerAccount, includeRead);
           }
-          allEmails.push(...emails);
+          allEmails.push(...result.emails);
+          fetchErrors.push(...result.errors);
         }
 
         // Filter by --since if provided (client-side, for newer emails)
@@ -970,31 +1200,38 @@ async function main() {
 
         if (options.idsOnly) {
           if (options.groupBy) {
-            console.error(JSON.stringify({ error: 'Cannot combine --ids-only with --group-by' }));
-            process.exit(1);
+            throw new ValidationError('Cannot combine --ids-only with --group-by');
           }
           const ids = allEmails.map(email => email.id).filter(Boolean);
           console.log(ids.join('\n'));
+          reportFetchErrors(fetchErrors, chalk, { stderrJson: true });
           return;
         }
 
         // Group by sender if requested
         if (options.groupBy) {
           if (options.groupBy !== 'sender' && options.groupBy !== 'thread') {
-            console.error(JSON.stringify({ error: `Unsupported group-by field: ${options.groupBy}. Supported: sender, thread` }));
-            process.exit(1);
+            throw new ValidationError(`Unsupported group-by field: ${options.groupBy}. Supported: sender, thread`);
           }
           const grouped = options.groupBy === 'thread'
             ? groupEmailsByThread(allEmails)
             : groupEmailsBySender(allEmails);
-          console.log(JSON.stringify(grouped, null, 2));
+          if (options.json) {
+            printJson(grouped, { errors: fetchErrors });
+          } else {
+            console.log(JSON.stringify({ ...grouped, errors: fetchErrors }, null, 2));
+          }
+          reportFetchErrors(fetchErrors, chalk, { json: true });
+        } else if (options.json) {
+          printJson(allEmails, { errors: fetchErrors });
+          reportFetchErrors(fetchErrors, chalk, { json: true });
         } else {
-          // Output pure JSON for AI consumption
+          // Output pure JSON for AI consumption (errors go to stderr to keep the array shape)
           console.log(JSON.stringify(allEmails, null, 2));
+          reportFetchErrors(fetchErrors, chalk, { stderrJson: true });
         }
       } catch (error) {
-        console.error(JSON.stringify({ error: error.message }));
-        process.exit(1);
+        exitWithError(error, chalk, { stderrJson: true });
       }
     }));
 
@@ -1022,26 +1259,23 @@ async function main() {
         }
 
         if (options.links && options.unsubscribe) {
-          console.log(chalk.red('Error: --links and --unsubscribe cannot be used together.'));
-          return;
+          throw new ValidationError('--links and --unsubscribe cannot be used together.');
         }
 
         // --metadata-only cannot be combined with --links or --unsubscribe
         if (options.metadataOnly && (options.links || options.unsubscribe)) {
-          console.log(chalk.red('Error: --metadata-only cannot be used with --links or --unsubscribe.'));
-          return;
+          throw new ValidationError('--metadata-only cannot be used with --links or --unsubscribe.');
         }
 
         // Handle --metadata-only: quick lookup without body
         if (options.metadataOnly) {
           const email = await getEmailContent(account, id, { metadataOnly: true });
           if (!email) {
-            console.log(chalk.red(`Email ${id} not found in account "${account}".`));
-            return;
+            throw new NotFoundError(`Email ${id} not found in account "${account}".`);
           }
 
           if (options.json) {
-            console.log(JSON.stringify({
+            printJson({
               id: email.id,
               threadId: email.threadId,
               from: email.from,
@@ -1051,7 +1285,7 @@ async function main() {
               snippet: email.snippet,
               labelIds: email.labelIds,
               account: email.account,
-            }, null, 2));
+            });
             return;
           }
 
@@ -1073,8 +1307,7 @@ async function main() {
         const email = await getEmailContent(account, id, emailOptions);
 
         if (!email) {
-          console.log(chalk.red(`Email ${id} not found in account "${account}".`));
-          return;
+          throw new NotFoundError(`Email ${id} not found in account "${account}".`);
         }
 
         if (options.unsubscribe) {
@@ -1084,7 +1317,7 @@ async function main() {
           const preferenceLink = unsubInfo.preferenceLinks[0] || null;
 
           if (options.json) {
-            console.log(JSON.stringify({
+            printJson({
               id: email.id,
               subject: email.subject,
               from: email.from,
@@ -1099,7 +1332,7 @@ async function main() {
               bodyLinks: unsubInfo.bodyLinks,
               listUnsubscribe: unsubInfo.listUnsubscribe,
               listUnsubscribePost: unsubInfo.listUnsubscribePost,
-            }, null, 2));
+            });
             return;
           }
 
@@ -1136,13 +1369,13 @@ async function main() {
           const links = extractLinks(email.body, email.mimeType);
 
           if (options.json) {
-            console.log(JSON.stringify({
+            printJson({
               id: email.id,
               subject: email.subject,
               from: email.from,
               linkCount: links.length,
               links
-            }, null, 2));
+            });
             return;
           }
 
@@ -1167,7 +1400,7 @@ async function main() {
         }
 
         if (options.json) {
-          console.log(JSON.stringify(email, null, 2));
+          printJson(email);
           return;
         }
 
@@ -1182,8 +1415,7 @@ async function main() {
         console.log(chalk.gray('─'.repeat(50)));
 
       } catch (error) {
-        console.error(chalk.red('Error reading email:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error reading email:' });
       }
     }));
 
@@ -1206,18 +1438,15 @@ async function main() {
         }
 
         if (options.open && options.email) {
-          console.log(chalk.red('Error: Use either --open or --email, not both.'));
-          return;
+          throw new ValidationError('Use either --open or --email, not both.');
         }
 
         if (options.oneClick && (options.open || options.email)) {
-          console.log(chalk.red('Error: --one-click cannot be combined with --open or --email.'));
-          return;
+          throw new ValidationError('--one-click cannot be combined with --open or --email.');
         }
 
         if (options.json && (options.open || options.email)) {
-          console.log(chalk.red('Error: --json cannot be combined with --open or --email or --one-click.'));
-          return;
+          throw new ValidationError('--json cannot be combined with --open or --email or --one-click.');
         }
 
         const { account, error } = resolveAccount(options.account, chalk);
@@ -1228,8 +1457,7 @@ async function main() {
 
         const email = await getEmailContent(account, id, { preferHtml: true });
         if (!email) {
-          console.log(chalk.red(`Email ${id} not found in account "${account}".`));
-          return;
+          throw new NotFoundError(`Email ${id} not found in account "${account}".`);
         }
 
         const unsubInfo = extractUnsubscribeInfo(email.headers, email.body, email.mimeType);
@@ -1239,7 +1467,7 @@ async function main() {
         const headerLink = unsubInfo.headerLinks[0] || null;
 
         if (options.json) {
-          console.log(JSON.stringify({
+          printJson({
             id: email.id,
             account,
             subject: email.subject,
@@ -1255,7 +1483,7 @@ async function main() {
             bodyLinks: unsubInfo.bodyLinks,
             listUnsubscribe: unsubInfo.listUnsubscribe,
             listUnsubscribePost: unsubInfo.listUnsubscribePost,
-          }, null, 2));
+          });
           return;
         }
 
@@ -1414,8 +1642,7 @@ async function main() {
           }
         }
       } catch (error) {
-        console.error(chalk.red('Error unsubscribing:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error unsubscribing:' });
       }
     }));
 
@@ -1459,12 +1686,12 @@ async function main() {
         });
 
         if (options.json) {
-          console.log(JSON.stringify({
+          printJson({
             threadId: thread.id,
             messageCount: thread.messages.length,
             participants: Array.from(participants),
             messages: thread.messages,
-          }, null, 2));
+          });
           return;
         }
 
@@ -1503,8 +1730,7 @@ async function main() {
           console.log('');
         });
       } catch (error) {
-        console.error(chalk.red('Error fetching thread:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error fetching thread:' });
       }
     }));
 
@@ -1528,26 +1754,24 @@ async function main() {
         }
 
         if (options.idsOnly && options.json) {
-          console.log(chalk.red('Error: --ids-only cannot be combined with --json.'));
-          return;
+          throw new ValidationError('--ids-only cannot be combined with --json.');
         }
 
         // Handle --count flag (quick count without fetching details)
         if (options.count) {
           if (options.idsOnly) {
-            console.log(chalk.red('Error: --ids-only cannot be combined with --count.'));
-            return;
+            throw new ValidationError('--ids-only cannot be combined with --count.');
           }
           const result = await searchEmailsCount(account, options.query);
 
           if (options.json) {
-            console.log(JSON.stringify({
+            printJson({
               account,
               query: options.query,
               estimate: result.estimate,
               isApproximate: result.isApproximate,
               hasMore: result.hasMore,
-            }, null, 2));
+            });
             return;
           }
 
@@ -1580,20 +1804,23 @@ async function main() {
           if (options.idsOnly) {
             const ids = result.emails.map(email => email.id).filter(Boolean);
             console.log(ids.join('\n'));
+            reportFetchErrors(result.errors, chalk, { stderrJson: true });
             return;
           }
 
           if (options.json) {
-            console.log(JSON.stringify({
+            printJson({
               account,
               query: options.query,
               totalFetched: result.totalFetched,
               hasMore: result.hasMore,
               emails: result.emails,
-            }, null, 2));
+            }, { errors: result.errors });
+            reportFetchErrors(result.errors, chalk, { json: true });
             return;
           }
 
+          reportFetchErrors(result.errors, chalk);
           if (result.emails.length === 0) {
             console.log(chalk.gray('No emails found matching query.'));
             return;
@@ -1612,19 +1839,22 @@ async function main() {
 
         // Standard search (existing behavior, but with new default limit of 100)
         const limit = parseInt(options.limit, 10);
-        const emails = await searchEmails(account, options.query, limit);
+        const { emails, errors } = await createInboxd().search(options.query, { limit, account });
 
         if (options.idsOnly) {
           const ids = emails.map(email => email.id).filter(Boolean);
           console.log(ids.join('\n'));
+          reportFetchErrors(errors, chalk, { stderrJson: true });
           return;
         }
 
         if (options.json) {
-          console.log(JSON.stringify(emails, null, 2));
+          printJson({ account, query: options.query, count: emails.length, emails }, { errors });
+          reportFetchErrors(errors, chalk, { json: true });
           return;
         }
 
+        reportFetchErrors(errors, chalk);
         if (emails.length === 0) {
           console.log(chalk.gray('No emails found matching query.'));
           return;
@@ -1640,8 +1870,7 @@ async function main() {
         });
 
       } catch (error) {
-        console.error(chalk.red('Error searching emails:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error searching emails:' });
       }
     }));
 
@@ -1654,8 +1883,13 @@ async function main() {
     .option('-a, --account <name>', 'Account to send from')
     .option('--dry-run', 'Preview the email without sending')
     .option('--confirm', 'Skip confirmation prompt')
+    .option('--json', 'Output as JSON (needs --confirm or --dry-run)')
     .action(wrapAction(async (options) => {
       try {
+        if (options.json && !options.confirm && !options.dryRun) {
+          throw new ValidationError('--json needs --confirm or --dry-run (there is no prompt in JSON mode).');
+        }
+
         const { account, error } = resolveAccount(options.account, chalk);
         if (error) {
           console.log(error);
@@ -1665,17 +1899,24 @@ async function main() {
         // Get account email for display
         const accountInfo = getAccounts().find(a => a.name === account);
         const fromEmail = accountInfo?.email || account;
+        const draft = { account, from: fromEmail, to: options.to, subject: options.subject };
 
         // Always show preview
-        console.log(chalk.bold('\nEmail to send:\n'));
-        console.log(chalk.cyan('From: ') + chalk.white(fromEmail));
-        console.log(chalk.cyan('To: ') + chalk.white(options.to));
-        console.log(chalk.cyan('Subject: ') + chalk.white(options.subject));
-        console.log(chalk.gray('─'.repeat(50)));
-        console.log(options.body);
-        console.log(chalk.gray('─'.repeat(50)));
+        if (!options.json) {
+          console.log(chalk.bold('\nEmail to send:\n'));
+          console.log(chalk.cyan('From: ') + chalk.white(fromEmail));
+          console.log(chalk.cyan('To: ') + chalk.white(options.to));
+          console.log(chalk.cyan('Subject: ') + chalk.white(options.subject));
+          console.log(chalk.gray('─'.repeat(50)));
+          console.log(options.body);
+          console.log(chalk.gray('─'.repeat(50)));
+        }
 
         if (options.dryRun) {
+          if (options.json) {
+            printJson({ dryRun: true, sent: false, ...draft });
+            return;
+          }
           console.log(chalk.yellow('\nDry run: Email was not sent.'));
           return;
         }
@@ -1695,7 +1936,9 @@ async function main() {
           }
         }
 
-        console.log(chalk.cyan('\nSending...'));
+        if (!options.json) {
+          console.log(chalk.cyan('\nSending...'));
+        }
 
         const result = await sendEmail(account, {
           to: options.to,
@@ -1714,16 +1957,21 @@ async function main() {
             threadId: result.threadId
           });
 
+          if (options.json) {
+            printJson({ dryRun: false, sent: true, ...draft, id: result.id, threadId: result.threadId, logPath: getSentLogPath() });
+            return;
+          }
           console.log(chalk.green(`\n✓ Email sent successfully!`));
           console.log(chalk.gray(`  ID: ${result.id}`));
           console.log(chalk.gray(`  Logged to: ${getSentLogPath()}`));
+        } else if (options.json) {
+          throw new InboxdError(`Failed to send email: ${result.error}`);
         } else {
           console.log(chalk.red(`\n✗ Failed to send email: ${result.error}`));
           process.exit(1);
         }
       } catch (error) {
-        console.error(chalk.red('Error sending email:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error sending email:' });
       }
     }));
 
@@ -1735,8 +1983,13 @@ async function main() {
     .option('-a, --account <name>', 'Account to reply from')
     .option('--dry-run', 'Preview the reply without sending')
     .option('--confirm', 'Skip confirmation prompt')
+    .option('--json', 'Output as JSON (needs --confirm or --dry-run)')
     .action(wrapAction(async (options) => {
       try {
+        if (options.json && !options.confirm && !options.dryRun) {
+          throw new ValidationError('--json needs --confirm or --dry-run (there is no prompt in JSON mode).');
+        }
+
         const { account, error } = resolveAccount(options.account, chalk);
         if (error) {
           console.log(error);
@@ -1746,8 +1999,7 @@ async function main() {
         // Fetch original email to show context
         const original = await getEmailContent(account, options.id);
         if (!original) {
-          console.log(chalk.red(`Email ${options.id} not found in account "${account}".`));
-          return;
+          throw new NotFoundError(`Email ${options.id} not found in account "${account}".`);
         }
 
         // Build the subject we'll use
@@ -1755,19 +2007,27 @@ async function main() {
           ? original.subject
           : `Re: ${original.subject}`;
 
+        const draft = { account, replyToId: options.id, to: original.from, subject: replySubject };
+
         // Show preview
-        console.log(chalk.bold('\nReply to:\n'));
-        console.log(chalk.gray('Original from: ') + chalk.white(original.from));
-        console.log(chalk.gray('Original subject: ') + chalk.white(original.subject));
-        console.log(chalk.gray('─'.repeat(50)));
-        console.log(chalk.bold('\nYour reply:\n'));
-        console.log(chalk.cyan('To: ') + chalk.white(original.from));
-        console.log(chalk.cyan('Subject: ') + chalk.white(replySubject));
-        console.log(chalk.gray('─'.repeat(50)));
-        console.log(options.body);
-        console.log(chalk.gray('─'.repeat(50)));
+        if (!options.json) {
+          console.log(chalk.bold('\nReply to:\n'));
+          console.log(chalk.gray('Original from: ') + chalk.white(original.from));
+          console.log(chalk.gray('Original subject: ') + chalk.white(original.subject));
+          console.log(chalk.gray('─'.repeat(50)));
+          console.log(chalk.bold('\nYour reply:\n'));
+          console.log(chalk.cyan('To: ') + chalk.white(original.from));
+          console.log(chalk.cyan('Subject: ') + chalk.white(replySubject));
+          console.log(chalk.gray('─'.repeat(50)));
+          console.log(options.body);
+          console.log(chalk.gray('─'.repeat(50)));
+        }
 
         if (options.dryRun) {
+          if (options.json) {
+            printJson({ dryRun: true, sent: false, ...draft });
+            return;
+          }
           console.log(chalk.yellow('\nDry run: Reply was not sent.'));
           return;
         }
@@ -1787,7 +2047,9 @@ async function main() {
           }
         }
 
-        console.log(chalk.cyan('\nSending reply...'));
+        if (!options.json) {
+          console.log(chalk.cyan('\nSending reply...'));
+        }
 
         const result = await replyToEmail(account, options.id, options.body);
 
@@ -1803,16 +2065,21 @@ async function main() {
             replyToId: options.id
           });
 
+          if (options.json) {
+            printJson({ dryRun: false, sent: true, ...draft, id: result.id, threadId: result.threadId, logPath: getSentLogPath() });
+            return;
+          }
           console.log(chalk.green(`\n✓ Reply sent successfully!`));
           console.log(chalk.gray(`  ID: ${result.id}`));
           console.log(chalk.gray(`  Logged to: ${getSentLogPath()}`));
+        } else if (options.json) {
+          throw new InboxdError(`Failed to send reply: ${result.error}`);
         } else {
           console.log(chalk.red(`\n✗ Failed to send reply: ${result.error}`));
           process.exit(1);
         }
       } catch (error) {
-        console.error(chalk.red('Error replying:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error replying:' });
       }
     }));
 
@@ -1829,51 +2096,47 @@ async function main() {
     .option('--confirm', 'Skip confirmation prompt')
     .option('--dry-run', 'Show what would be deleted without deleting')
     .option('--force', 'Override safety warnings (required for short patterns or large matches)')
-    .option('--json', 'Output as JSON (for --dry-run)')
+    .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
         let emailsToDelete = [];
+        const fetchErrors = [];
+        const notFound = [];
+        const say = (...args) => {
+          if (!options.json) console.log(...args);
+        };
         const limit = parseInt(options.limit, 10);
         const idsFromStdin = options.idsStdin ? readIdsFromStdin() : null;
 
         if (options.ids && options.idsStdin) {
-          console.log(chalk.red('Error: Use either --ids or --ids-stdin, not both.'));
-          return;
+          throw new ValidationError('Use either --ids or --ids-stdin, not both.');
         }
 
         if (options.thread && (options.ids || options.idsStdin)) {
-          console.log(chalk.red('Error: --thread cannot be combined with --ids or --ids-stdin.'));
-          return;
+          throw new ValidationError('--thread cannot be combined with --ids or --ids-stdin.');
         }
 
         // Scenario A: Thread provided
         if (options.thread) {
           const threadId = options.thread.trim();
           if (!threadId) {
+            if (options.json) throw new ValidationError('No thread ID provided.');
             console.log(chalk.yellow('No thread ID provided.'));
             return;
           }
 
           // Get account for thread-based deletion
-          let account = options.account === 'all' ? null : options.account;
-          if (!account) {
-            const accounts = getAccounts();
-            if (accounts.length === 1) {
-              account = accounts[0].name;
-            } else if (accounts.length > 1) {
-              console.log(chalk.yellow('Multiple accounts configured. Please specify --account <name>'));
-              console.log(chalk.gray('Available accounts:'));
-              accounts.forEach(a => console.log(chalk.gray(`  - ${a.name}`)));
-              return;
-            } else {
-              account = 'default';
-            }
+          const { account, error } = resolveAccount(options.account === 'all' ? null : options.account, chalk);
+          if (error) {
+            console.log(error);
+            return;
           }
 
-          console.log(chalk.cyan(`Fetching thread ${threadId} for deletion...`));
+          say(chalk.cyan(`Fetching thread ${threadId} for deletion...`));
           const thread = await getThread(account, threadId);
 
           if (!thread || thread.messages.length === 0) {
+            if (options.json) throw new NotFoundError(`No emails found for thread ${threadId}.`);
             console.log(chalk.yellow('No emails found for this thread.'));
             return;
           }
@@ -1901,35 +2164,28 @@ async function main() {
             : (idsFromStdin || []);
 
           if (ids.length === 0) {
+            if (options.json) throw new ValidationError('No message IDs provided.');
             console.log(chalk.yellow('No message IDs provided.'));
             return;
           }
 
           // Get account for ID-based deletion
-          let account = options.account === 'all' ? null : options.account;
-          if (!account) {
-            const accounts = getAccounts();
-            if (accounts.length === 1) {
-              account = accounts[0].name;
-            } else if (accounts.length > 1) {
-              console.log(chalk.yellow('Multiple accounts configured. Please specify --account <name>'));
-              console.log(chalk.gray('Available accounts:'));
-              accounts.forEach(a => console.log(chalk.gray(`  - ${a.name}`)));
-              return;
-            } else {
-              account = 'default';
-            }
+          const { account, error } = resolveAccount(options.account === 'all' ? null : options.account, chalk);
+          if (error) {
+            console.log(error);
+            return;
           }
 
           // Fetch email details for logging before deletion
-          console.log(chalk.cyan(`Fetching ${ids.length} email(s) for deletion...`));
+          say(chalk.cyan(`Fetching ${ids.length} email(s) for deletion...`));
 
           for (const id of ids) {
             const email = await getEmailById(account, id);
             if (email) {
               emailsToDelete.push(email);
             } else {
-              console.log(chalk.yellow(`Could not find email with ID: ${id}`));
+              notFound.push(id);
+              say(chalk.yellow(`Could not find email with ID: ${id}`));
             }
           }
 
@@ -1946,44 +2202,47 @@ async function main() {
         }
         // Scenario C: No IDs, use filters to find emails
         else if (options.sender || options.match) {
-          // Determine accounts
-          let accountNames;
-          if (options.account === 'all') {
-            const accounts = getAccounts();
-            accountNames = accounts.length > 0 ? accounts.map(a => a.name) : ['default'];
-          } else {
-            accountNames = [options.account];
-          }
-
-          console.log(chalk.cyan(`Searching for emails matching filters...`));
+          say(chalk.cyan(`Searching for emails matching filters...`));
 
-          // Fetch and filter from each account
-          for (const accountName of accountNames) {
-            const emails = await getUnreadEmails(accountName, limit);
-            const filtered = emails.filter(e => {
-              const matchesSender = !options.sender ||
-                e.from.toLowerCase().includes(options.sender.toLowerCase());
-              const matchesSubject = !options.match ||
-                e.subject.toLowerCase().includes(options.match.toLowerCase());
-              return matchesSender && matchesSubject;
+          // Selection only; the safety check runs here and trashing happens below
+          let selection;
+          try {
+            selection = await createInboxd({ account: options.account }).deleteMatching({
+              sender: options.sender,
+              match: options.match,
+              limit,
+              force: !!options.force,
+              dryRun: true,
             });
-            emailsToDelete.push(...filtered);
+          } catch (error) {
+            if (!(error instanceof SafetyBlockedError)) throw error;
+            if (options.json) {
+              exitWithError(new SafetyBlockedError('Refusing to delete without --force.', { details: error.details }), chalk);
+            }
+            console.log(chalk.yellow('\n⚠️  Safety warnings:'));
+            error.details.warnings.forEach(w => console.log(chalk.yellow(`   - ${w}`)));
+            console.log(chalk.gray('\nUse --force to proceed anyway, or narrow your filters.'));
+            process.exit(EXIT_CODES.SAFETY_BLOCKED);
           }
+          emailsToDelete = selection.emails;
+          fetchErrors.push(...selection.errors);
+          reportFetchErrors(fetchErrors, chalk, { json: options.json });
 
-          // Enforce safety limit
-          if (emailsToDelete.length > limit) {
-            console.log(chalk.yellow(`Found ${emailsToDelete.length} emails. Limiting to ${limit}.`));
-            console.log(chalk.gray(`Use --limit N to increase.`));
-            emailsToDelete = emailsToDelete.slice(0, limit);
+          if (selection.matched > limit) {
+            say(chalk.yellow(`Found ${selection.matched} emails. Limiting to ${limit}.`));
+            say(chalk.gray(`Use --limit N to increase.`));
           }
 
-          if (emailsToDelete.length === 0) {
+          if (emailsToDelete.length === 0 && !options.json) {
             console.log(chalk.yellow('No emails found matching filters.'));
             return;
           }
         }
         // Scenario D: Neither IDs nor filters - error
         else {
+          if (options.json) {
+            throw new ValidationError('Must specify --ids, --ids-stdin, --thread, or filter flags (--sender, --match)');
+          }
           console.log(chalk.red('Error: Must specify --ids, --ids-stdin, --thread, or filter flags (--sender, --match)'));
           console.log(chalk.gray('Examples:'));
           console.log(chalk.gray('  inboxd delete --ids "id1,id2" --confirm'));
@@ -1994,37 +2253,35 @@ async function main() {
           return;
         }
 
-        if (emailsToDelete.length === 0) {
+        if (emailsToDelete.length === 0 && !options.json) {
           console.log(chalk.yellow('No valid emails found to delete.'));
           return;
         }
 
-        // Safety warnings for filter-based deletion
-        if (!options.ids && !options.idsStdin && !options.thread && (options.sender || options.match)) {
-          const warnings = [];
-
-          if (options.sender && options.sender.length < 3) {
-            warnings.push(`Short sender pattern "${options.sender}" may match broadly`);
-          }
-          if (options.match && options.match.length < 3) {
-            warnings.push(`Short subject pattern "${options.match}" may match broadly`);
-          }
-          if (emailsToDelete.length > 100) {
-            warnings.push(`${emailsToDelete.length} emails match - large batch deletion`);
-          }
+        if (options.dryRun && options.json) {
+          printJson({
+            dryRun: true,
+            count: emailsToDelete.length,
+            emails: emailsToDelete.map(e => ({
+              id: e.id,
+              account: e.account || 'default',
+              from: e.from,
+              subject: e.subject,
+              date: e.date
+            })),
+          }, { errors: fetchErrors });
+          return;
+        }
 
-          // If warnings exist and no --force, block execution
-          if (warnings.length > 0 && !options.force) {
-            console.log(chalk.yellow('\n⚠️  Safety warnings:'));
-            warnings.forEach(w => console.log(chalk.yellow(`   - ${w}`)));
-            console.log(chalk.gray('\nUse --force to proceed anyway, or narrow your filters.'));
-            return;
-          }
+        // Only JSON runs get here with nothing to delete
+        if (emailsToDelete.length === 0) {
+          printJson({ trashed: 0, failed: 0, notFound, results: [] }, { errors: fetchErrors });
+          return;
         }
 
         // Always show preview for filter-based deletion (even with --confirm)
         const isFilterBased = !options.ids && !options.idsStdin && !options.thread && (options.sender || options.match);
-        if (isFilterBased || !options.confirm || options.dryRun) {
+        if (!options.json && (isFilterBased || !options.confirm || options.dryRun)) {
           console.log(chalk.bold('\nEmails to be moved to trash:\n'));
           emailsToDelete.forEach(e => {
             const from = e.from.length > 40 ? e.from.substring(0, 37) + '...' : e.from;
@@ -2035,20 +2292,6 @@ async function main() {
           });
 
           if (options.dryRun) {
-            if (options.json) {
-              console.log(JSON.stringify({
-                dryRun: true,
-                count: emailsToDelete.length,
-                emails: emailsToDelete.map(e => ({
-                  id: e.id,
-                  account: e.account || 'default',
-                  from: e.from,
-                  subject: e.subject,
-                  date: e.date
-                }))
-              }, null, 2));
-              return;
-            }
             console.log(chalk.yellow(`\nDry run: ${emailsToDelete.length} email(s) would be deleted.`));
             // Output IDs for programmatic use
             console.log(chalk.gray(`\nIDs: ${emailsToDelete.map(e => e.id).join(',')}`));
@@ -2059,63 +2302,35 @@ async function main() {
           console.log(chalk.gray('Use --confirm to skip this prompt.\n'));
         }
 
-        // Group emails by account for deletion
-        const emailsByAccount = {};
-        for (const email of emailsToDelete) {
-          const acc = email.account || 'default';
-          if (!emailsByAccount[acc]) {
-            emailsByAccount[acc] = [];
-          }
-          emailsByAccount[acc].push(email);
+        // The library logs deletions BEFORE the emails are trashed
+        const outcome = { trashed: 0, failed: 0, notFound, results: [] };
+        const inboxd = createInboxd();
+        for (const [account, emails] of Object.entries(groupByAccount(emailsToDelete))) {
+          const part = await settlePartial(inboxd.delete(emails.map(e => e.id), { account }));
+          outcome.trashed += part.trashed;
+          outcome.failed += part.failed;
+          outcome.notFound.push(...part.notFound);
+          outcome.results.push(...part.results);
         }
-
-        // Log deletions BEFORE actually deleting
-        logDeletions(emailsToDelete);
-        console.log(chalk.gray(`Logged to: ${getLogPath()}`));
-
-        // Perform the deletion for each account
-        let totalSucceeded = 0;
-        let totalFailed = 0;
-        const successfulEmails = [];
-
-        for (const [accountName, emails] of Object.entries(emailsByAccount)) {
-          const results = await trashEmails(accountName, emails.map(e => e.id));
-          const succeeded = results.filter(r => r.success);
-          const failed = results.filter(r => !r.success);
-          const succeededIds = new Set(succeeded.map(r => r.id));
-          successfulEmails.push(...emails.filter(email => succeededIds.has(email.id)));
-
-          totalSucceeded += succeeded.length;
-          totalFailed += failed.length;
-
-          if (failed.length > 0) {
-            failed.forEach(r => {
-              console.log(chalk.red(`  - ${r.id}: ${r.error}`));
-            });
-          }
+        if (options.json) {
+          printJson(outcome, { errors: fetchErrors });
+          return;
         }
-
-        if (successfulEmails.length > 0) {
-          logUndoAction('delete', successfulEmails);
+        console.log(chalk.gray(`Logged to: ${getLogPath()}`));
+        outcome.results.filter(r => !r.success).forEach(r => {
+          console.log(chalk.red(`  - ${r.id}: ${r.error}`));
+        });
+        if (outcome.trashed > 0) {
           console.log(chalk.gray(`Undo log: ${getUndoLogPath()}`));
+          console.log(chalk.green(`\nMoved ${outcome.trashed} email(s) to trash.`));
+          console.log(chalk.gray(`Tip: Use 'inboxd restore --last ${outcome.trashed}' to undo.`));
         }
-
-        if (totalSucceeded > 0) {
-          console.log(chalk.green(`\nMoved ${totalSucceeded} email(s) to trash.`));
-          console.log(chalk.gray(`Tip: Use 'inboxd restore --last ${totalSucceeded}' to undo.`));
-        }
-        if (totalFailed > 0) {
-          console.log(chalk.red(`Failed to delete ${totalFailed} email(s).`));
+        if (outcome.failed > 0) {
+          console.log(chalk.red(`Failed to delete ${outcome.failed} email(s).`));
         }
 
       } catch (error) {
-        if (error.message.includes('403') || error.code === 403) {
-          console.error(chalk.red('Permission denied. You may need to re-authenticate with updated scopes.'));
-          console.error(chalk.yellow('Run: node src/cli.js auth'));
-        } else {
-          console.error(chalk.red('Error deleting emails:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error deleting emails:' });
       }
     }));
 
@@ -2129,12 +2344,12 @@ async function main() {
       const deletions = getRecentDeletions(days);
 
       if (options.json) {
-        console.log(JSON.stringify({
+        printJson({
           days,
           count: deletions.length,
           logPath: getLogPath(),
           deletions
-        }, null, 2));
+        });
         return;
       }
 
@@ -2179,11 +2394,11 @@ async function main() {
       const sentStats = getSentStats(days);
 
       if (options.json) {
-        console.log(JSON.stringify({
+        printJson({
           period: days,
           deleted: deletionStats,
           sent: sentStats,
-        }, null, 2));
+        });
         return;
       }
 
@@ -2239,17 +2454,21 @@ async function main() {
     .option('--export', 'Export raw usage log (JSONL) to stdout')
     .action(wrapAction(async (options) => {
       if (options.clear && options.export) {
-        console.log(chalk.red('Error: --clear and --export cannot be used together.'));
-        return;
+        exitWithError(new ValidationError('--clear and --export cannot be used together.'), chalk, { json: options.json });
       }
 
+      const logPath = getUsagePath();
       if (options.clear) {
         clearUsageLog();
+        if (options.json) {
+          printJson({ cleared: true, logPath });
+          return;
+        }
         console.log(chalk.green('Usage log cleared.'));
         return;
       }
 
-      const logPath = getUsagePath();
+      // The raw JSONL log, with or without --json
       if (options.export) {
         if (fs.existsSync(logPath)) {
           process.stdout.write(fs.readFileSync(logPath, 'utf8'));
@@ -2261,8 +2480,7 @@ async function main() {
       if (options.since) {
         const parsed = parseSinceDuration(options.since);
         if (!parsed) {
-          console.log(chalk.red('Invalid --since format. Use values like "7d", "24h", "60m".'));
-          return;
+          exitWithError(new ValidationError('Invalid --since format. Use values like "7d", "24h", "60m".'), chalk);
         }
         cutoff = parsed;
       }
@@ -2288,7 +2506,7 @@ async function main() {
           logPath,
           entries: totalEntries,
         };
-        console.log(JSON.stringify(payload, null, 2));
+        printJson(payload);
         return;
       }
 
@@ -2342,318 +2560,624 @@ async function main() {
       console.log(chalk.gray(`\nLog file: ${logPath} (${totalEntries.toLocaleString()} entries)`));
     }));
 
-  program
-    .command('cleanup-suggest')
-    .description('Get smart cleanup suggestions based on deletion patterns')
-    .option('-n, --days <number>', 'Period to analyze', '30')
+  const cacheCommand = program
+    .command('cache')
+    .description('Manage the local message metadata cache');
+
+  cacheCommand
+    .command('stats')
+    .description('Show cache size and sync state per account')
     .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
-      const days = parseInt(options.days, 10);
-      const analysis = analyzePatterns(days);
-
-      if (options.json) {
-        console.log(JSON.stringify(analysis, null, 2));
-        return;
-      }
-
-      console.log(boxen(chalk.bold('Cleanup Suggestions'), {
-        padding: { left: 1, right: 1, top: 0, bottom: 0 },
-        borderStyle: 'round',
-        borderColor: 'cyan',
-      }));
-
-      if (analysis.totalDeleted === 0) {
-        console.log(chalk.gray(`\nNo deletions in the last ${days} days to analyze.\n`));
-        return;
-      }
+      try {
+        const stats = getMessageCacheStats();
+        const accountNames = new Set([
+          ...getAccounts().map(a => a.name),
+          ...stats.accounts.map(a => a.account),
+        ]);
+        const accounts = Array.from(accountNames).map(name => {
+          const cached = stats.accounts.find(a => a.account === name);
+          const syncState = readSyncState(name);
+          return {
+            account: name,
+            entries: cached ? cached.entries : 0,
+            oldestSeenAt: cached ? cached.oldestSeenAt : null,
+            newestSeenAt: cached ? cached.newestSeenAt : null,
+            historyId: syncState.historyId,
+            lastSyncAt: syncState.lastSyncAt,
+          };
+        });
 
-      console.log(chalk.gray(`\nBased on ${analysis.totalDeleted} deletions in the last ${days} days:\n`));
+        if (options.json) {
+          printJson({
+            path: stats.path,
+            sizeBytes: stats.sizeBytes,
+            totalEntries: stats.totalEntries,
+            accounts,
+          });
+          return;
+        }
 
-      // Frequent deleters
-      if (analysis.frequentDeleters.length > 0) {
-        console.log(chalk.bold('You frequently delete emails from:'));
-        analysis.frequentDeleters.slice(0, 5).forEach(sender => {
-          console.log(chalk.yellow(`  ${sender.domain}`) + chalk.gray(` (${sender.deletedCount} deleted this month)`));
-          console.log(chalk.cyan(`    → ${sender.suggestion}`));
+        console.log(chalk.bold('\nMessage Cache:\n'));
+        if (accounts.length === 0) {
+          console.log(chalk.gray('No cached messages yet.'));
+        }
+        accounts.forEach(item => {
+          const lastSync = item.lastSyncAt ? new Date(item.lastSyncAt).toLocaleString() : 'never';
+          console.log(chalk.white(`${item.account}: ${item.entries} message(s)`));
+          console.log(chalk.gray(`  Last sync: ${lastSync}${item.historyId ? ` (history ${item.historyId})` : ''}`));
         });
-        console.log('');
+        console.log(chalk.gray(`\nCache file: ${stats.path} (${formatSize(stats.sizeBytes)})`));
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error reading cache:' });
       }
+    }));
 
-      // Never-read senders
-      if (analysis.neverReadSenders.length > 0) {
-        console.log(chalk.bold('Never-read senders (deleted unread):'));
-        analysis.neverReadSenders.slice(0, 5).forEach(sender => {
-          console.log(chalk.yellow(`  ${sender.domain}`) + chalk.gray(` (${sender.deletedCount} emails)`));
-          console.log(chalk.cyan(`    → ${sender.suggestion}`));
-        });
-        console.log('');
-      }
+  cacheCommand
+    .command('clear')
+    .description('Remove cached message metadata')
+    .option('-a, --account <name>', 'Account to clear (or "all")', 'all')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      try {
+        const account = options.account === 'all' ? null : options.account;
+        const removed = clearMessageCache(account);
 
-      if (analysis.frequentDeleters.length === 0 && analysis.neverReadSenders.length === 0) {
-        console.log(chalk.gray('No strong patterns detected. Your inbox management looks good!\n'));
-      }
+        if (options.json) {
+          printJson({
+            account: account || 'all',
+            removed,
+            path: getMessageCachePath(),
+          });
+          return;
+        }
 
-      // Helpful tip
-      console.log(chalk.gray('Tip: Use these commands to act on suggestions:'));
-      console.log(chalk.gray('  inboxd delete --sender "domain.com" --dry-run'));
-      console.log(chalk.gray('  inboxd search -q "from:sender@domain.com"\n'));
-      console.log(chalk.gray('Tip: Apply saved rules automatically:'));
-      console.log(chalk.gray('  inboxd cleanup-auto --dry-run --account personal --limit 50'));
-      console.log(chalk.gray('  inboxd rules apply --dry-run --account personal --limit 50\n'));
+        console.log(chalk.green(`Cleared ${removed} cached message(s)${account ? ` for "${account}"` : ''}.`));
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error clearing cache:' });
+      }
     }));
 
-  program
-    .command('cleanup-auto')
-    .description('Apply saved rules to automatically clean up your inbox')
-    .option('-a, --account <name>', 'Account to apply rules (or "all")', 'all')
-    .option('--limit <number>', 'Max emails per rule per account (default: 50)', '50')
-    .option('--dry-run', 'Preview what would be deleted/archived')
-    .option('--confirm', 'Skip confirmation prompt')
+  cacheCommand
+    .command('sync')
+    .description('Bring the cache up to date with recent mailbox changes')
+    .option('-a, --account <name>', 'Account to sync (or "all")', 'all')
     .option('--json', 'Output as JSON')
-    .action(applyRulesAction);
-
-  program
-    .command('triage')
-    .description('Proactive inbox triage with automatic safe actions')
-    .option('-a, --account <name>', 'Account(s) to triage (or "all")', 'all')
-    .option('--limit <number>', 'Max emails per rule (default: 100)', '100')
-    .option('--auto', 'Execute safe+soft actions (mark-read, archive) automatically')
-    .option('--dry-run', 'Preview all actions without executing')
-    .option('--json', 'Output structured JSON for AI consumption')
     .action(wrapAction(async (options) => {
       try {
-        const rules = listRules();
-
-        const accountNames = options.account === 'all'
+        const accounts = options.account === 'all'
           ? getAccounts().map(a => a.name)
           : [options.account];
+        if (accounts.length === 0) {
+          accounts.push('default');
+        }
 
-        if (accountNames.length === 0) {
-          accountNames.push('default');
+        const results = [];
+        for (const account of accounts) {
+          const sync = await syncMailbox(account);
+          results.push({
+            account,
+            mode: sync.mode,
+            added: sync.added.length,
+            removed: sync.removed.length,
+            labelChanges: sync.labelChanges.length,
+            historyId: sync.historyId,
+          });
         }
 
-        const limit = parseInt(options.limit, 10);
-        if (!Number.isFinite(limit) || limit <= 0) {
-          console.log(chalk.red('Error: --limit must be a positive number.'));
+        if (options.json) {
+          printJson({ path: getMessageCachePath(), accounts: results });
           return;
         }
 
-        // Fetch emails and apply rules
-        const ruleMatches = [];
-        const skippedRules = [];
-
-        for (const rule of rules) {
-          const query = buildRuleQuery(rule);
-          if (!query) {
-            skippedRules.push(rule);
-            ruleMatches.push({ rule, emails: [] });
-            continue;
-          }
-
-          const emails = [];
-          for (const account of accountNames) {
-            const matches = await searchEmails(account, query, limit);
-            const filtered = matches.filter(email => emailMatchesRule(email, rule));
-            emails.push(...filtered);
-          }
+        results.forEach(item => {
+          console.log(chalk.green(`✓ ${item.account}: ${item.mode} sync, ${item.added} added, ${item.removed} removed, ${item.labelChanges} label change(s)`));
+        });
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error syncing cache:' });
+      }
+    }));
 
-          ruleMatches.push({ rule, emails });
+  cacheCommand
+    .command('rebuild')
+    .description('Discard the cache and refetch metadata for recent inbox messages')
+    .option('-a, --account <name>', 'Account to rebuild (or "all")', 'all')
+    .option('--limit <number>', 'Max inbox messages to fetch per account', '200')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      try {
+        const limit = parseInt(options.limit, 10);
+        if (isNaN(limit) || limit < 1) {
+          throw new Error(`Invalid --limit "${options.limit}". Use a positive number.`);
         }
 
-        const plan = buildActionPlan(ruleMatches);
-        const deleteCandidates = plan.deleteCandidates;
-        const archiveCandidates = plan.archiveCandidates;
-        const markReadCandidates = plan.markReadCandidates;
-        const protectedCount = plan.protectedKeys.size;
-
-        // Fetch remaining emails not matched by rules for AI classification
-        const processedKeys = new Set([
-          ...deleteCandidates.map(e => `${e.account || 'default'}:${e.id}`),
-          ...archiveCandidates.map(e => `${e.account || 'default'}:${e.id}`),
-          ...markReadCandidates.map(e => `${e.account || 'default'}:${e.id}`),
-        ]);
-        plan.protectedKeys.forEach(key => processedKeys.add(key));
-
-        const remainingEmails = [];
-        for (const account of accountNames) {
-          const allEmails = await getUnreadEmails(account, Math.min(limit, 100));
-          for (const email of allEmails) {
-            const key = `${email.account || 'default'}:${email.id}`;
-            if (!processedKeys.has(key)) {
-              remainingEmails.push(email);
-            }
+        const accounts = options.account === 'all'
+          ? getAccounts().map(a => a.name)
+          : [options.account];
+        if (accounts.length === 0) {
+          accounts.push('default');
+        }
+
+        const results = [];
+        const fetchErrors = [];
+        for (const account of accounts) {
+          clearMessageCache(account);
+          clearSyncState(account);
+          const sync = await syncMailbox(account);
+          const { emails, errors } = await searchEmailsPaginated(account, 'in:inbox', { maxResults: limit });
+          fetchErrors.push(...errors);
+          results.push({ account, cached: emails.length, historyId: sync.historyId });
+        }
+        reportFetchErrors(fetchErrors, chalk, { json: options.json });
+
+        if (options.json) {
+          printJson({
+            path: getMessageCachePath(),
+            accounts: results,
+          }, { errors: fetchErrors });
+          return;
+        }
+
+        results.forEach(item => {
+          console.log(chalk.green(`✓ ${item.account}: cached ${item.cached} message(s)`));
+        });
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error rebuilding cache:' });
+      }
+    }));
+
+  const daemonCommand = program
+    .command('daemon')
+    .description('Run scheduled jobs (apply rules, triage, cache sync) in the background');
+
+  daemonCommand
+    .command('start')
+    .description('Start the daemon with the jobs in daemon.json')
+    .option('--foreground', 'Run in this terminal instead of in the background')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      try {
+        // Validate up front: a detached daemon has nowhere to report config errors
+        const jobs = validateDaemonJobs(readDaemonConfig());
+        if (jobs.length === 0) {
+          throw new Error(`No enabled jobs in ${getDaemonConfigPath()}. See "Scheduled Jobs" in the README.`);
+        }
+        const status = getDaemonStatus();
+        if (status.running) {
+          throw new Error(`The daemon is already running (PID ${status.pid}).`);
+        }
+
+        if (options.foreground) {
+          if (!options.json) {
+            console.log(chalk.green(`Daemon running with ${jobs.length} job(s). Press Ctrl+C to stop.`));
+            console.log(chalk.gray(`Job log: ${getDaemonLogPath()}`));
           }
+          await runDaemon();
+          return;
+        }
+
+        const { pid } = await spawnDaemon();
+        if (options.json) {
+          printJson({ started: true, pid, jobs: jobs.map(job => job.name) });
+          return;
+        }
+        console.log(chalk.green(`✓ Daemon started (PID ${pid}) with ${jobs.length} job(s).`));
+        console.log(chalk.gray(`Job log: ${getDaemonLogPath()}`));
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error starting daemon:' });
+      }
+    }));
+
+  daemonCommand
+    .command('stop')
+    .description('Stop the daemon after its running jobs finish')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      try {
+        const { stopped, pid } = await stopDaemon();
+        if (options.json) {
+          printJson({ stopped, pid });
+          return;
+        }
+        console.log(stopped
+          ? chalk.green(`✓ Daemon stopped (PID ${pid}).`)
+          : chalk.gray('The daemon is not running.'));
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error stopping daemon:' });
+      }
+    }));
+
+  daemonCommand
+    .command('status')
+    .description('Show whether the daemon is running, its jobs and recent runs')
+    .option('-n, --lines <number>', 'Recent job log events to show', '10')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      try {
+        const lines = parseInt(options.lines, 10);
+        if (!Number.isFinite(lines) || lines < 0) {
+          throw new ValidationError('--lines must be zero or a positive number.');
+        }
+        const status = getDaemonStatus({ logLimit: lines });
+
+        if (options.json) {
+          printJson(status);
+          return;
+        }
+
+        console.log(status.running
+          ? chalk.green(`Daemon running (PID ${status.pid}, since ${status.startedAt})`)
+          : chalk.gray('Daemon not running'));
+        if (status.configError) {
+          console.log(chalk.red(`Config error: ${status.configError}`));
+        }
+
+        console.log(chalk.bold('\nJobs:'));
+        if (status.jobs.length === 0) {
+          console.log(chalk.gray(`  None configured in ${status.configPath}`));
+        }
+        status.jobs.forEach(job => {
+          const deletes = job.type === 'apply-rules'
+            ? `${job.allowDelete ? ', deletes allowed' : ', deletes held'}${job.allowForward ? ', forwards allowed' : ', forwards held'}`
+            : '';
+          console.log(chalk.white(`  ${job.name}`) + chalk.gray(` (${job.type}, ${job.account}${deletes}) "${job.schedule}"`));
+          const last = job.lastRun
+            ? `last run ${job.lastRun.at} ${job.lastRun.ok ? 'ok' : `failed: ${job.lastRun.error}`}`
+            : 'not run yet';
+          console.log(chalk.gray(`    next run ${job.nextRunAt || 'never'}, ${last}`));
+        });
+
+        if (status.recent.length > 0) {
+          console.log(chalk.bold('\nRecent events:'));
+          status.recent.forEach(entry => {
+            const detail = entry.event === 'job-finish'
+              ? ` ${entry.ok ? 'ok' : 'failed'} in ${entry.durationMs}ms${entry.summary ? ` ${JSON.stringify(entry.summary)}` : ''}${entry.error ? ` (${entry.error})` : ''}`
+              : entry.reason ? ` (${entry.reason})` : '';
+            console.log(chalk.gray(`  ${entry.at} ${entry.event}${entry.job ? ` ${entry.job}` : ''}${detail}`));
+          });
+        }
+        console.log(chalk.gray(`\nConfig: ${status.configPath}`));
+        console.log(chalk.gray(`Job log: ${status.logPath}`));
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error reading daemon status:' });
+      }
+    }));
+
+  program
+    .command('watch')
+    .description('Stream new mail, label changes and deletions as JSON lines')
+    .option('-a, --account <name>', 'Account to watch (or "all")', 'all')
+    .option('--interval <seconds>', 'Seconds between mailbox checks', '60')
+    .action(wrapAction(async (options) => {
+      const writeEvent = (event) => process.stdout.write(JSON.stringify(event) + '\n');
+      try {
+        const interval = Number(options.interval);
+        if (!Number.isFinite(interval) || interval <= 0) {
+          throw new Error(`Invalid --interval "${options.interval}". Use a positive number of seconds.`);
+        }
+
+        const accounts = options.account === 'all'
+          ? getAccounts().map(a => a.name)
+          : [options.account];
+        if (accounts.length === 0) {
+          accounts.push('default');
+        }
+
+        const watcher = createWatcher({ accounts, emit: writeEvent });
+        writeEvent({ type: 'ready', accounts, interval, at: new Date().toISOString() });
+        await pollUntilStopped(watcher.poll, interval);
+      } catch (error) {
+        const typed = toInboxdError(error);
+        writeEvent({ type: 'error', error: typed.message, code: typed.code, at: new Date().toISOString() });
+        process.exit(typed.exitCode);
+      }
+    }));
+
+  program
+    .command('notify')
+    .description('Alert on unread mail matching the triggers in notify.json')
+    .option('-a, --account <name>', 'Account to check (or "all")', 'all')
+    .option('--interval <seconds>', 'Seconds between checks', '60')
+    .option('--limit <number>', 'Unread messages to check per account', '20')
+    .option('--once', 'Check once and exit')
+    .option('--json', 'Output as JSON (terminal alerts go to stderr)')
+    .action(wrapAction(async (options) => {
+      try {
+        const interval = Number(options.interval);
+        if (!Number.isFinite(interval) || interval <= 0) {
+          throw new Error(`Invalid --interval "${options.interval}". Use a positive number of seconds.`);
+        }
+        const limit = parseInt(options.limit, 10);
+        if (isNaN(limit) || limit < 1) {
+          throw new Error(`Invalid --limit "${options.limit}". Use a positive number.`);
+        }
+
+        const importantPeople = extractProtectedSenders(getEntriesInSection('Important People')).map(sender => sender.pattern);
+        const config = validateNotifyConfig(readNotifyConfig(), { importantPeople });
+        if (config.triggers.length === 0) {
+          throw new Error(`No triggers in ${getNotifyConfigPath()}. See "Notifications" in the README.`);
+        }
+
+        const accounts = options.account === 'all'
+          ? getAccounts().map(a => a.name)
+          : [options.account];
+        if (accounts.length === 0) {
+          accounts.push('default');
         }
 
-        const summarizeEmail = (email) => ({
-          id: email.id,
-          account: email.account || 'default',
-          from: email.from,
-          subject: email.subject,
-          date: email.date,
-          threadId: email.threadId,
-          labelIds: email.labelIds,
+        const notifier = createNotifier({
+          accounts,
+          config,
+          rules: listRules(),
+          limit,
+          deliverOptions: options.json ? { write: text => process.stderr.write(text) } : {},
         });
 
-        const totals = {
-          markRead: markReadCandidates.length,
-          archive: archiveCandidates.length,
-          delete: deleteCandidates.length,
-          protected: protectedCount,
-          remaining: remainingEmails.length,
+        const check = async () => {
+          const result = await notifier.check();
+          if (options.json) {
+            if (options.once || result.notified.length > 0 || result.failed.length > 0 || result.errors.length > 0) {
+              // One envelope line per check when running continuously
+              printJson({ notified: result.notified, failed: result.failed }, { errors: result.errors, compact: !options.once });
+            }
+            if (result.errors.length > 0) process.exitCode = EXIT_PARTIAL;
+            return;
+          }
+          result.failed.forEach(item => {
+            const reasons = item.sinks.map(sink => `${sink.sink}: ${sink.error}`).join('; ');
+            console.error(chalk.yellow(`Could not notify about ${item.id} (${reasons}); will retry.`));
+          });
+          result.notified.forEach(item => {
+            item.sinks.filter(sink => !sink.ok).forEach(sink => {
+              console.error(chalk.yellow(`${sink.sink} sink failed for ${item.id}: ${sink.error}`));
+            });
+          });
+          reportFetchErrors(result.errors, chalk);
         };
 
+        if (options.once) {
+          await check();
+          return;
+        }
+        if (!options.json) {
+          console.error(chalk.gray(`Checking ${accounts.join(', ')} every ${interval}s with ${config.triggers.length} trigger(s). Press Ctrl+C to stop.`));
+        }
+        await pollUntilStopped(check, interval);
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error running notify:' });
+      }
+    }));
+
+  program
+    .command('mcp')
+    .description('Serve inboxd commands as Model Context Protocol tools over stdio')
+    .action(wrapAction(async () => {
+      // stdout carries the protocol; anything for humans goes to stderr
+      console.error(chalk.gray(`inboxd MCP server ready (tools: ${Object.keys(MCP_TOOLS).join(', ')})`));
+      await runMcpServer();
+    }));
+
+  program
+    .command('serve')
+    .description('Serve a local HTTP/JSON API (localhost only, token auth)')
+    .option('--port <number>', 'Port to listen on', String(DEFAULT_API_PORT))
+    .option('--quiet', 'Do not log requests')
+    .action(wrapAction(async (options) => {
+      try {
+        const port = Number(options.port);
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+          throw new Error(`Invalid --port "${options.port}". Use a number from 0 to 65535.`);
+        }
+
+        const token = ensureApiToken();
+        const onRequest = options.quiet
+          ? undefined
+          : ({ method, path: requestPath, status, durationMs }) => {
+            const color = status >= 400 ? chalk.yellow : chalk.gray;
+            console.log(color(`${new Date().toISOString()} ${method} ${requestPath} ${status} ${durationMs}ms`));
+          };
+        const { server, url } = await startApiServer({ port, token, onRequest });
+
+        console.log(chalk.green(`inboxd API listening on ${url}`));
+        console.log(chalk.gray(`Token: ${getApiTokenPath()} (send "Authorization: Bearer <token>")`));
+        console.log(chalk.gray('Press Ctrl+C to stop.'));
+
+        await new Promise(resolve => {
+          const stop = () => {
+            process.removeListener('SIGINT', stop);
+            process.removeListener('SIGTERM', stop);
+            server.close(() => resolve());
+            server.closeAllConnections();
+          };
+          process.on('SIGINT', stop);
+          process.on('SIGTERM', stop);
+        });
+      } catch (error) {
+        const failure = error.code === 'EADDRINUSE' ? new InboxdError(`Port ${options.port} is already in use.`) : error;
+        exitWithError(failure, chalk, { label: 'Error starting API server:' });
+      }
+    }));
+
+  program
+    .command('cleanup-suggest')
+    .description('Get smart cleanup suggestions based on deletion patterns')
+    .option('-n, --days <number>', 'Period to analyze', '30')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      const days = parseInt(options.days, 10);
+      const analysis = analyzePatterns(days);
+
+      if (options.json) {
+        printJson(analysis);
+        return;
+      }
+
+      console.log(boxen(chalk.bold('Cleanup Suggestions'), {
+        padding: { left: 1, right: 1, top: 0, bottom: 0 },
+        borderStyle: 'round',
+        borderColor: 'cyan',
+      }));
+
+      if (analysis.totalDeleted === 0) {
+        console.log(chalk.gray(`\nNo deletions in the last ${days} days to analyze.\n`));
+        return;
+      }
+
+      console.log(chalk.gray(`\nBased on ${analysis.totalDeleted} deletions in the last ${days} days:\n`));
+
+      // Frequent deleters
+      if (analysis.frequentDeleters.length > 0) {
+        console.log(chalk.bold('You frequently delete emails from:'));
+        analysis.frequentDeleters.slice(0, 5).forEach(sender => {
+          console.log(chalk.yellow(`  ${sender.domain}`) + chalk.gray(` (${sender.deletedCount} deleted this month)`));
+          console.log(chalk.cyan(`    → ${sender.suggestion}`));
+        });
+        console.log('');
+      }
+
+      // Never-read senders
+      if (analysis.neverReadSenders.length > 0) {
+        console.log(chalk.bold('Never-read senders (deleted unread):'));
+        analysis.neverReadSenders.slice(0, 5).forEach(sender => {
+          console.log(chalk.yellow(`  ${sender.domain}`) + chalk.gray(` (${sender.deletedCount} emails)`));
+          console.log(chalk.cyan(`    → ${sender.suggestion}`));
+        });
+        console.log('');
+      }
+
+      if (analysis.frequentDeleters.length === 0 && analysis.neverReadSenders.length === 0) {
+        console.log(chalk.gray('No strong patterns detected. Your inbox management looks good!\n'));
+      }
+
+      // Helpful tip
+      console.log(chalk.gray('Tip: Use these commands to act on suggestions:'));
+      console.log(chalk.gray('  inboxd delete --sender "domain.com" --dry-run'));
+      console.log(chalk.gray('  inboxd search -q "from:sender@domain.com"\n'));
+      console.log(chalk.gray('Tip: Apply saved rules automatically:'));
+      console.log(chalk.gray('  inboxd cleanup-auto --dry-run --account personal --limit 50'));
+      console.log(chalk.gray('  inboxd rules apply --dry-run --account personal --limit 50\n'));
+    }));
+
+  program
+    .command('cleanup-auto')
+    .description('Apply saved rules to automatically clean up your inbox')
+    .option('-a, --account <name>', 'Account to apply rules (or "all")', 'all')
+    .option('--limit <number>', 'Max emails per rule per account (default: 50)', '50')
+    .option('--dry-run', 'Preview what would be deleted/archived')
+    .option('--confirm', 'Skip confirmation prompt')
+    .option('--hold-deletes', 'Apply everything except deletions, which are listed for confirmation')
+    .option('--hold-forwards', 'Apply everything except forwards, which are listed for confirmation')
+    .option('--json', 'Output as JSON')
+    .action(applyRulesAction);
+
+  program
+    .command('triage')
+    .description('Proactive inbox triage with automatic safe actions')
+    .option('-a, --account <name>', 'Account(s) to triage (or "all")', 'all')
+    .option('--limit <number>', 'Max emails per rule (default: 100)', '100')
+    .option('--auto', 'Execute safe+soft actions (mark-read, archive) automatically')
+    .option('--dry-run', 'Preview all actions without executing')
+    .option('--json', 'Output structured JSON for AI consumption')
+    .action(wrapAction(async (options) => {
+      try {
+        const limit = parseInt(options.limit, 10);
+        if (!Number.isFinite(limit) || limit <= 0) {
+          throw new ValidationError('--limit must be a positive number.');
+        }
+
+        const triage = await createInboxd({ account: options.account }).triage({
+          limit,
+          auto: !!options.auto,
+          dryRun: !!options.dryRun,
+        });
+        const { totals, executed, undoInfo } = triage;
+        const accountNames = triage.accounts;
+
+        reportFetchErrors(triage.errors, chalk, { json: options.json });
+
         // Dry-run mode: just show what would happen
         if (options.dryRun) {
           if (options.json) {
-            console.log(JSON.stringify({
+            printJson({
               dryRun: true,
               totals,
-              rules: plan.ruleSummaries,
-              markRead: { count: markReadCandidates.length, emails: markReadCandidates.map(summarizeEmail) },
-              archive: { count: archiveCandidates.length, emails: archiveCandidates.map(summarizeEmail) },
-              delete: { count: deleteCandidates.length, emails: deleteCandidates.map(summarizeEmail), requiresConfirmation: true },
-              remaining: { count: remainingEmails.length, emails: remainingEmails.map(summarizeEmail) },
-              skippedRules: skippedRules.map(rule => rule.id),
+              rules: triage.rules,
+              markRead: triage.markRead,
+              archive: triage.archive,
+              actions: triage.actions,
+              forward: { groups: triage.forward.groups, requiresConfirmation: true },
+              delete: triage.delete,
+              remaining: triage.remaining,
+              skippedRules: triage.skippedRules,
               limit,
-            }, null, 2));
+            }, { errors: triage.errors });
             return;
           }
 
           console.log(chalk.bold('\nTriage Preview'));
           console.log(chalk.gray(`Accounts: ${accountNames.join(', ')}`));
           console.log(chalk.gray(`Limit: ${limit} per rule`));
-          console.log(chalk.gray(`Protected: ${protectedCount}\n`));
+          console.log(chalk.gray(`Protected: ${totals.protected}\n`));
 
-          if (markReadCandidates.length > 0) {
-            console.log(chalk.cyan(`Mark as read: ${markReadCandidates.length} email(s)`));
-            markReadCandidates.slice(0, 5).forEach(e => {
+          if (totals.markRead > 0) {
+            console.log(chalk.cyan(`Mark as read: ${totals.markRead} email(s)`));
+            triage.markRead.emails.slice(0, 5).forEach(e => {
               console.log(chalk.gray(`  - ${e.from.substring(0, 40)}: ${e.subject.substring(0, 50)}`));
             });
-            if (markReadCandidates.length > 5) {
-              console.log(chalk.gray(`  ...and ${markReadCandidates.length - 5} more`));
+            if (totals.markRead > 5) {
+              console.log(chalk.gray(`  ...and ${totals.markRead - 5} more`));
             }
           }
 
-          if (archiveCandidates.length > 0) {
-            console.log(chalk.blue(`\nArchive: ${archiveCandidates.length} email(s)`));
-            archiveCandidates.slice(0, 5).forEach(e => {
+          if (totals.archive > 0) {
+            console.log(chalk.blue(`\nArchive: ${totals.archive} email(s)`));
+            triage.archive.emails.slice(0, 5).forEach(e => {
               console.log(chalk.gray(`  - ${e.from.substring(0, 40)}: ${e.subject.substring(0, 50)}`));
             });
-            if (archiveCandidates.length > 5) {
-              console.log(chalk.gray(`  ...and ${archiveCandidates.length - 5} more`));
+            if (totals.archive > 5) {
+              console.log(chalk.gray(`  ...and ${totals.archive - 5} more`));
             }
           }
 
-          if (deleteCandidates.length > 0) {
-            console.log(chalk.red(`\nDelete (requires confirmation): ${deleteCandidates.length} email(s)`));
-            deleteCandidates.slice(0, 5).forEach(e => {
-              console.log(chalk.gray(`  - ${e.from.substring(0, 40)}: ${e.subject.substring(0, 50)}`));
-            });
-            if (deleteCandidates.length > 5) {
-              console.log(chalk.gray(`  ...and ${deleteCandidates.length - 5} more`));
-            }
-          }
+          triage.actions.forEach(group => {
+            console.log(chalk.magenta(`\n${describeRuleAction(group)}: ${group.count} email(s)`));
+          });
 
-          if (remainingEmails.length > 0) {
-            console.log(chalk.white(`\nRemaining for classification: ${remainingEmails.length} email(s)`));
+          if (totals.forward > 0) {
+            console.log(chalk.yellow(`\nForward (run "inboxd rules apply"): ${totals.forward} email(s)`));
           }
 
-          return;
-        }
-
-        // Auto mode: execute safe actions automatically
-        const executed = {
-          markRead: { count: 0, ids: [], results: [] },
-          archived: { count: 0, ids: [], results: [] },
-        };
-
-        if (options.auto) {
-          // Execute mark-read
-          if (markReadCandidates.length > 0) {
-            const byAccount = {};
-            markReadCandidates.forEach(email => {
-              const acc = email.account || 'default';
-              if (!byAccount[acc]) byAccount[acc] = [];
-              byAccount[acc].push(email);
+          if (totals.delete > 0) {
+            console.log(chalk.red(`\nDelete (requires confirmation): ${totals.delete} email(s)`));
+            triage.delete.emails.slice(0, 5).forEach(e => {
+              console.log(chalk.gray(`  - ${e.from.substring(0, 40)}: ${e.subject.substring(0, 50)}`));
             });
-
-            for (const [account, emails] of Object.entries(byAccount)) {
-              const results = await markAsRead(account, emails.map(e => e.id));
-              const succeeded = results.filter(r => r.success);
-              executed.markRead.count += succeeded.length;
-              executed.markRead.ids.push(...succeeded.map(r => r.id));
-              executed.markRead.results.push(...results.map(r => ({
-                id: r.id,
-                account,
-                success: r.success,
-                error: r.error,
-              })));
+            if (totals.delete > 5) {
+              console.log(chalk.gray(`  ...and ${totals.delete - 5} more`));
             }
           }
 
-          // Execute archive
-          if (archiveCandidates.length > 0) {
-            logArchives(archiveCandidates);
-
-            const byAccount = {};
-            archiveCandidates.forEach(email => {
-              const acc = email.account || 'default';
-              if (!byAccount[acc]) byAccount[acc] = [];
-              byAccount[acc].push(email);
-            });
-
-            const successfulEmails = [];
-
-            for (const [account, emails] of Object.entries(byAccount)) {
-              const results = await archiveEmails(account, emails.map(e => e.id));
-              const succeeded = results.filter(r => r.success);
-              executed.archived.count += succeeded.length;
-              executed.archived.ids.push(...succeeded.map(r => r.id));
-              successfulEmails.push(...emails.filter(e => succeeded.some(r => r.id === e.id)));
-              executed.archived.results.push(...results.map(r => ({
-                id: r.id,
-                account,
-                success: r.success,
-                error: r.error,
-              })));
-            }
-
-            if (successfulEmails.length > 0) {
-              logUndoAction('archive', successfulEmails);
-            }
+          if (totals.remaining > 0) {
+            console.log(chalk.white(`\nRemaining for classification: ${totals.remaining} email(s)`));
           }
-        }
 
-        // Build undo info
-        const undoInfo = {};
-        if (executed.markRead.ids.length > 0) {
-          undoInfo.markReadUndo = `inboxd mark-unread --ids "${executed.markRead.ids.join(',')}"`;
-        }
-        if (executed.archived.ids.length > 0) {
-          undoInfo.archiveUndo = `inboxd unarchive --last ${executed.archived.ids.length}`;
+          return;
         }
 
         if (options.json) {
-          console.log(JSON.stringify({
+          printJson({
             dryRun: false,
             auto: !!options.auto,
             executed,
             pending: {
-              delete: {
-                count: deleteCandidates.length,
-                emails: deleteCandidates.map(summarizeEmail),
-                requiresConfirmation: true,
-              },
-            },
-            remaining: {
-              count: remainingEmails.length,
-              emails: remainingEmails.map(summarizeEmail),
+              delete: triage.delete,
+              forward: triage.forward,
             },
+            remaining: triage.remaining,
             undoInfo,
-            rules: plan.ruleSummaries,
+            rules: triage.rules,
             totals,
-          }, null, 2));
+          }, { errors: triage.errors });
           return;
         }
 
@@ -2668,29 +3192,39 @@ async function main() {
           if (executed.archived.count > 0) {
             console.log(chalk.green(`✓ Archived ${executed.archived.count} email(s)`));
           }
+          if (executed.actions.count > 0) {
+            console.log(chalk.green(`✓ Ran ${executed.actions.count} label/star action(s)`));
+          }
         } else {
-          if (markReadCandidates.length > 0) {
-            console.log(chalk.cyan(`\nMark as read candidates: ${markReadCandidates.length}`));
+          if (totals.markRead > 0) {
+            console.log(chalk.cyan(`\nMark as read candidates: ${totals.markRead}`));
           }
-          if (archiveCandidates.length > 0) {
-            console.log(chalk.blue(`Archive candidates: ${archiveCandidates.length}`));
+          if (totals.archive > 0) {
+            console.log(chalk.blue(`Archive candidates: ${totals.archive}`));
+          }
+          if (totals.actions > 0) {
+            console.log(chalk.magenta(`Label/star candidates: ${totals.actions}`));
           }
           console.log(chalk.gray('\nTip: Use --auto to execute safe actions automatically'));
         }
 
-        if (deleteCandidates.length > 0) {
-          console.log(chalk.yellow(`\nPending deletion (requires confirmation): ${deleteCandidates.length} email(s)`));
-          deleteCandidates.slice(0, 5).forEach(e => {
+        if (totals.delete > 0) {
+          console.log(chalk.yellow(`\nPending deletion (requires confirmation): ${totals.delete} email(s)`));
+          triage.delete.emails.slice(0, 5).forEach(e => {
             console.log(chalk.gray(`  - ${e.from.substring(0, 40)}: ${e.subject.substring(0, 50)}`));
           });
-          if (deleteCandidates.length > 5) {
-            console.log(chalk.gray(`  ...and ${deleteCandidates.length - 5} more`));
+          if (totals.delete > 5) {
+            console.log(chalk.gray(`  ...and ${totals.delete - 5} more`));
           }
-          console.log(chalk.gray(`\nTo delete: inboxd delete --ids "${deleteCandidates.map(e => e.id).join(',')}" --confirm`));
+          console.log(chalk.gray(`\nTo delete: inboxd delete --ids "${triage.delete.emails.map(e => e.id).join(',')}" --confirm`));
+        }
+
+        if (totals.forward > 0) {
+          console.log(chalk.yellow(`\nPending forward: ${totals.forward} email(s). Run "inboxd rules apply" to send.`));
         }
 
-        if (remainingEmails.length > 0) {
-          console.log(chalk.white(`\nRemaining for classification: ${remainingEmails.length} email(s)`));
+        if (totals.remaining > 0) {
+          console.log(chalk.white(`\nRemaining for classification: ${totals.remaining} email(s)`));
         }
 
         // Show undo commands
@@ -2702,15 +3236,13 @@ async function main() {
           if (undoInfo.archiveUndo) {
             console.log(chalk.gray(`  Unarchive: ${undoInfo.archiveUndo}`));
           }
+          if (undoInfo.actionsUndo) {
+            console.log(chalk.gray(`  Label/star actions: ${undoInfo.actionsUndo}`));
+          }
         }
 
       } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
-        } else {
-          console.error(chalk.red('Error during triage:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { json: options.json, label: 'Error during triage:' });
       }
     }));
 
@@ -2722,32 +3254,11 @@ async function main() {
     .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
-        let emailsToRestore = [];
-
-        // Scenario 1: Restore by explicit IDs
+        let request;
         if (options.ids) {
-          const ids = options.ids.split(',').map(id => id.trim()).filter(Boolean);
-          const log = readLog();
-
-          for (const id of ids) {
-            // Find in log first to get the account
-            const entry = log.find(e => e.id === id);
-            if (entry) {
-              emailsToRestore.push(entry);
-            } else {
-              console.log(chalk.yellow(`Warning: ID ${id} not found in local deletion log.`));
-              console.log(chalk.gray(`Cannot determine account automatically. Please restore manually via Gmail web interface.`));
-            }
-          }
-        }
-        // Scenario 2: Restore last N items
-        else if (options.last) {
-          const count = options.last;
-          const deletions = getRecentDeletions(30); // Look back 30 days
-          // Sort by deletedAt desc just in case
-          deletions.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
-
-          emailsToRestore = deletions.slice(0, count);
+          request = { ids: options.ids.split(',').map(id => id.trim()).filter(Boolean) };
+        } else if (options.last) {
+          request = { last: options.last };
         } else {
           console.log(chalk.red('Error: Must specify either --ids or --last'));
           console.log(chalk.gray('Examples:'));
@@ -2756,84 +3267,43 @@ async function main() {
           return;
         }
 
-        if (emailsToRestore.length === 0) {
-          console.log(chalk.yellow('No emails found to restore.'));
+        const outcome = await settlePartial(createInboxd().restore(request));
+
+        if (options.json) {
+          printJson({
+            restored: outcome.restored,
+            failed: outcome.failed,
+            results: outcome.results,
+          });
           return;
         }
 
-        console.log(chalk.cyan(`Attempting to restore ${emailsToRestore.length} email(s)...`));
+        outcome.notInLog.forEach(id => {
+          console.log(chalk.yellow(`Warning: ID ${id} not found in local deletion log.`));
+          console.log(chalk.gray(`Cannot determine account automatically. Please restore manually via Gmail web interface.`));
+        });
 
-        // Group by account to batch API calls
-        const byAccount = {};
-        for (const email of emailsToRestore) {
-          if (!byAccount[email.account]) {
-            byAccount[email.account] = [];
-          }
-          byAccount[email.account].push(email);
+        if (outcome.results.length === 0) {
+          console.log(chalk.yellow('No emails found to restore.'));
+          return;
         }
 
-        const successfulIds = [];
-
-        for (const [account, emails] of Object.entries(byAccount)) {
-          const ids = emails.map(e => e.id);
-          console.log(chalk.gray(`Restoring ${ids.length} email(s) for account "${account}"...`));
-
-          const results = await untrashEmails(account, ids);
-
-          const succeeded = results.filter(r => r.success);
-          const failed = results.filter(r => !r.success);
-
-          if (succeeded.length > 0) {
-            console.log(chalk.green(`  ✓ Restored ${succeeded.length} email(s)`));
-            successfulIds.push(...succeeded.map(r => r.id));
-          }
-
-          if (failed.length > 0) {
-            console.log(chalk.red(`  ✗ Failed to restore ${failed.length} email(s)`));
-            failed.forEach(r => {
-              console.log(chalk.gray(`    - ID ${r.id}: ${r.error}`));
-            });
-          }
+        const failures = outcome.results.filter(r => !r.success);
+        if (outcome.restored > 0) {
+          console.log(chalk.green(`✓ Restored ${outcome.restored} email(s)`));
         }
-
-        // Clean up log
-        if (successfulIds.length > 0) {
-          removeLogEntries(successfulIds);
-          if (!options.json) {
-            console.log(chalk.gray(`\nRemoved ${successfulIds.length} entries from deletion log.`));
-          }
+        if (failures.length > 0) {
+          console.log(chalk.red(`✗ Failed to restore ${failures.length} email(s)`));
+          failures.forEach(r => {
+            console.log(chalk.gray(`  - ID ${r.id}: ${r.error}`));
+          });
         }
-
-        // JSON output at the end
-        if (options.json) {
-          const allResults = [];
-          for (const [account, emails] of Object.entries(byAccount)) {
-            const ids = emails.map(e => e.id);
-            emails.forEach(e => {
-              const wasSuccessful = successfulIds.includes(e.id);
-              allResults.push({
-                id: e.id,
-                account,
-                from: e.from,
-                subject: e.subject,
-                success: wasSuccessful
-              });
-            });
-          }
-          console.log(JSON.stringify({
-            restored: successfulIds.length,
-            failed: emailsToRestore.length - successfulIds.length,
-            results: allResults
-          }, null, 2));
+        if (outcome.restored > 0) {
+          console.log(chalk.gray(`\nRemoved ${outcome.restored} entries from deletion log.`));
         }
 
       } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
-        } else {
-          console.error(chalk.red('Error restoring emails:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { json: options.json, label: 'Error restoring emails:' });
       }
     }));
 
@@ -2843,13 +3313,13 @@ async function main() {
     .option('--ids <ids>', 'Comma-separated message IDs to mark as read')
     .option('--ids-stdin', 'Read message IDs from stdin')
     .option('-a, --account <name>', 'Account name')
+    .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
         const idsFromStdin = options.idsStdin ? readIdsFromStdin() : null;
 
         if (options.ids && options.idsStdin) {
-          console.log(chalk.red('Error: Use either --ids or --ids-stdin, not both.'));
-          return;
+          throw new ValidationError('Use either --ids or --ids-stdin, not both.');
         }
 
         const ids = options.ids
@@ -2857,32 +3327,33 @@ async function main() {
           : (idsFromStdin || []);
 
         if (ids.length === 0) {
+          if (options.json) throw new ValidationError('No message IDs provided.');
           console.log(chalk.yellow('No message IDs provided.'));
           return;
         }
 
-        // Get account - if not specified, try to find from configured accounts
-        let account = options.account;
-        if (!account) {
-          const accounts = getAccounts();
-          if (accounts.length === 1) {
-            account = accounts[0].name;
-          } else if (accounts.length > 1) {
-            console.log(chalk.yellow('Multiple accounts configured. Please specify --account <name>'));
-            console.log(chalk.gray('Available accounts:'));
-            accounts.forEach(a => console.log(chalk.gray(`  - ${a.name}`)));
-            return;
-          } else {
-            account = 'default';
-          }
+        const { account, error } = resolveAccount(options.account, chalk);
+        if (error) {
+          console.log(error);
+          return;
         }
 
-        console.log(chalk.cyan(`Marking ${ids.length} email(s) as read...`));
+        if (!options.json) {
+          console.log(chalk.cyan(`Marking ${ids.length} email(s) as read...`));
+        }
 
         const results = await markAsRead(account, ids);
 
         const succeeded = results.filter(r => r.success).length;
         const failed = results.filter(r => !r.success).length;
+        if (failed > 0) {
+          process.exitCode = EXIT_PARTIAL;
+        }
+
+        if (options.json) {
+          printJson({ account, succeeded, failed, results: results.map(r => ({ ...r, account })) });
+          return;
+        }
 
         if (succeeded > 0) {
           console.log(chalk.green(`\nMarked ${succeeded} email(s) as read.`));
@@ -2895,13 +3366,7 @@ async function main() {
         }
 
       } catch (error) {
-        if (error.message.includes('403') || error.code === 403) {
-          console.error(chalk.red('Permission denied. You may need to re-authenticate with updated scopes.'));
-          console.error(chalk.yellow('Run: inboxd auth -a <account>'));
-        } else {
-          console.error(chalk.red('Error marking emails as read:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error marking emails as read:' });
       }
     }));
 
@@ -2911,13 +3376,13 @@ async function main() {
     .option('--ids <ids>', 'Comma-separated message IDs to mark as unread')
     .option('--ids-stdin', 'Read message IDs from stdin')
     .option('-a, --account <name>', 'Account name')
+    .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
         const idsFromStdin = options.idsStdin ? readIdsFromStdin() : null;
 
         if (options.ids && options.idsStdin) {
-          console.log(chalk.red('Error: Use either --ids or --ids-stdin, not both.'));
-          return;
+          throw new ValidationError('Use either --ids or --ids-stdin, not both.');
         }
 
         const ids = options.ids
@@ -2925,32 +3390,33 @@ async function main() {
           : (idsFromStdin || []);
 
         if (ids.length === 0) {
+          if (options.json) throw new ValidationError('No message IDs provided.');
           console.log(chalk.yellow('No message IDs provided.'));
           return;
         }
 
-        // Get account - if not specified, try to find from configured accounts
-        let account = options.account;
-        if (!account) {
-          const accounts = getAccounts();
-          if (accounts.length === 1) {
-            account = accounts[0].name;
-          } else if (accounts.length > 1) {
-            console.log(chalk.yellow('Multiple accounts configured. Please specify --account <name>'));
-            console.log(chalk.gray('Available accounts:'));
-            accounts.forEach(a => console.log(chalk.gray(`  - ${a.name}`)));
-            return;
-          } else {
-            account = 'default';
-          }
+        const { account, error } = resolveAccount(options.account, chalk);
+        if (error) {
+          console.log(error);
+          return;
         }
 
-        console.log(chalk.cyan(`Marking ${ids.length} email(s) as unread...`));
+        if (!options.json) {
+          console.log(chalk.cyan(`Marking ${ids.length} email(s) as unread...`));
+        }
 
         const results = await markAsUnread(account, ids);
 
         const succeeded = results.filter(r => r.success).length;
         const failed = results.filter(r => !r.success).length;
+        if (failed > 0) {
+          process.exitCode = EXIT_PARTIAL;
+        }
+
+        if (options.json) {
+          printJson({ account, succeeded, failed, results: results.map(r => ({ ...r, account })) });
+          return;
+        }
 
         if (succeeded > 0) {
           console.log(chalk.green(`\nMarked ${succeeded} email(s) as unread.`));
@@ -2963,13 +3429,7 @@ async function main() {
         }
 
       } catch (error) {
-        if (error.message.includes('403') || error.code === 403) {
-          console.error(chalk.red('Permission denied. You may need to re-authenticate with updated scopes.'));
-          console.error(chalk.yellow('Run: inboxd auth -a <account>'));
-        } else {
-          console.error(chalk.red('Error marking emails as unread:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error marking emails as unread:' });
       }
     }));
 
@@ -2981,34 +3441,24 @@ async function main() {
     .option('--thread <id>', 'Archive all messages in a thread')
     .option('-a, --account <name>', 'Account name')
     .option('--confirm', 'Skip confirmation prompt')
+    .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
+        const notFound = [];
         const idsFromStdin = options.idsStdin ? readIdsFromStdin() : null;
 
         if (options.ids && options.idsStdin) {
-          console.log(chalk.red('Error: Use either --ids or --ids-stdin, not both.'));
-          return;
+          throw new ValidationError('Use either --ids or --ids-stdin, not both.');
         }
 
         if (options.thread && (options.ids || options.idsStdin)) {
-          console.log(chalk.red('Error: --thread cannot be combined with --ids or --ids-stdin.'));
-          return;
+          throw new ValidationError('--thread cannot be combined with --ids or --ids-stdin.');
         }
 
-        // Get account - if not specified, try to find from configured accounts
-        let account = options.account;
-        if (!account) {
-          const accounts = getAccounts();
-          if (accounts.length === 1) {
-            account = accounts[0].name;
-          } else if (accounts.length > 1) {
-            console.log(chalk.yellow('Multiple accounts configured. Please specify --account <name>'));
-            console.log(chalk.gray('Available accounts:'));
-            accounts.forEach(a => console.log(chalk.gray(`  - ${a.name}`)));
-            return;
-          } else {
-            account = 'default';
-          }
+        const { account, error } = resolveAccount(options.account, chalk);
+        if (error) {
+          console.log(error);
+          return;
         }
 
         const emailsToArchive = [];
@@ -3016,13 +3466,17 @@ async function main() {
         if (options.thread) {
           const threadId = options.thread.trim();
           if (!threadId) {
+            if (options.json) throw new ValidationError('No thread ID provided.');
             console.log(chalk.yellow('No thread ID provided.'));
             return;
           }
 
-          console.log(chalk.cyan(`Fetching thread ${threadId} for archiving...`));
+          if (!options.json) {
+            console.log(chalk.cyan(`Fetching thread ${threadId} for archiving...`));
+          }
           const thread = await getThread(account, threadId);
           if (!thread || thread.messages.length === 0) {
+            if (options.json) throw new NotFoundError(`No emails found for thread ${threadId}.`);
             console.log(chalk.yellow('No emails found for this thread.'));
             return;
           }
@@ -3034,30 +3488,40 @@ async function main() {
             : (idsFromStdin || []);
 
           if (ids.length === 0) {
+            if (options.json) throw new ValidationError('No message IDs provided.');
             console.log(chalk.yellow('No message IDs provided.'));
             return;
           }
 
           // Fetch email details for display
-          console.log(chalk.cyan(`Fetching ${ids.length} email(s) for archiving...`));
+          if (!options.json) {
+            console.log(chalk.cyan(`Fetching ${ids.length} email(s) for archiving...`));
+          }
 
           for (const id of ids) {
             const email = await getEmailById(account, id);
             if (email) {
               emailsToArchive.push(email);
             } else {
-              console.log(chalk.yellow(`Could not find email with ID: ${id}`));
+              notFound.push(id);
+              if (!options.json) {
+                console.log(chalk.yellow(`Could not find email with ID: ${id}`));
+              }
             }
           }
         }
 
         if (emailsToArchive.length === 0) {
+          if (options.json) {
+            printJson({ archived: 0, failed: 0, notFound, results: [] });
+            return;
+          }
           console.log(chalk.yellow('No valid emails found to archive.'));
           return;
         }
 
         // Show what will be archived (unless --confirm is passed)
-        if (!options.confirm) {
+        if (!options.confirm && !options.json) {
           console.log(chalk.bold('\nEmails to be archived:\n'));
           emailsToArchive.forEach(e => {
             const from = e.from.length > 40 ? e.from.substring(0, 37) + '...' : e.from;
@@ -3070,42 +3534,28 @@ async function main() {
           console.log(chalk.gray('Use --confirm to skip this prompt.\n'));
         }
 
-        // Log archives BEFORE actually archiving (for undo)
-        const emailsWithAccount = emailsToArchive.map(e => ({ ...e, account }));
-        logArchives(emailsWithAccount);
+        // The library logs archives BEFORE the emails are archived (for undo)
+        const outcome = await settlePartial(createInboxd().archive(emailsToArchive.map(e => e.id), { account }));
+        outcome.notFound = [...notFound, ...outcome.notFound];
+        if (options.json) {
+          printJson(outcome);
+          return;
+        }
         console.log(chalk.gray(`Logged to: ${getArchiveLogPath()}`));
-
-        const results = await archiveEmails(account, emailsToArchive.map(e => e.id));
-
-        const succeeded = results.filter(r => r.success);
-        const failed = results.filter(r => !r.success);
-        const succeededIds = new Set(succeeded.map(r => r.id));
-        const successfulEmails = emailsToArchive.filter(email => succeededIds.has(email.id));
-
-        if (successfulEmails.length > 0) {
-          logUndoAction('archive', successfulEmails);
+        if (outcome.archived > 0) {
           console.log(chalk.gray(`Undo log: ${getUndoLogPath()}`));
+          console.log(chalk.green(`\nArchived ${outcome.archived} email(s).`));
+          console.log(chalk.gray(`Tip: Use 'inboxd unarchive --last ${outcome.archived}' to undo.`));
         }
-
-        if (succeeded.length > 0) {
-          console.log(chalk.green(`\nArchived ${succeeded.length} email(s).`));
-          console.log(chalk.gray(`Tip: Use 'inboxd unarchive --last ${succeeded.length}' to undo.`));
-        }
-        if (failed.length > 0) {
-          console.log(chalk.red(`Failed to archive ${failed.length} email(s).`));
-          failed.forEach(r => {
+        if (outcome.failed > 0) {
+          console.log(chalk.red(`Failed to archive ${outcome.failed} email(s).`));
+          outcome.results.filter(r => !r.success).forEach(r => {
             console.log(chalk.red(`  - ${r.id}: ${r.error}`));
           });
         }
 
       } catch (error) {
-        if (error.message.includes('403') || error.code === 403) {
-          console.error(chalk.red('Permission denied. You may need to re-authenticate with updated scopes.'));
-          console.error(chalk.yellow('Run: inboxd auth -a <account>'));
-        } else {
-          console.error(chalk.red('Error archiving emails:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error archiving emails:' });
       }
     }));
 
@@ -3147,19 +3597,18 @@ async function main() {
           emailsToUnarchive = archives.slice(0, count);
         } else {
           if (options.json) {
-            console.log(JSON.stringify({ error: 'Must specify either --ids or --last' }, null, 2));
-          } else {
-            console.log(chalk.red('Error: Must specify either --ids or --last'));
-            console.log(chalk.gray('Examples:'));
-            console.log(chalk.gray('  inboxd unarchive --last 1'));
-            console.log(chalk.gray('  inboxd unarchive --ids 12345,67890'));
+            throw new ValidationError('Must specify either --ids or --last');
           }
+          console.log(chalk.red('Error: Must specify either --ids or --last'));
+          console.log(chalk.gray('Examples:'));
+          console.log(chalk.gray('  inboxd unarchive --last 1'));
+          console.log(chalk.gray('  inboxd unarchive --ids 12345,67890'));
           return;
         }
 
         if (emailsToUnarchive.length === 0) {
           if (options.json) {
-            console.log(JSON.stringify({ unarchived: 0, failed: 0, results: [] }, null, 2));
+            printJson({ unarchived: 0, failed: 0, results: [] });
           } else {
             console.log(chalk.yellow('No emails found to unarchive.'));
           }
@@ -3191,6 +3640,9 @@ async function main() {
 
           const succeeded = results.filter(r => r.success);
           const failed = results.filter(r => !r.success);
+          if (failed.length > 0) {
+            process.exitCode = EXIT_PARTIAL;
+          }
 
           if (!options.json) {
             if (succeeded.length > 0) {
@@ -3230,42 +3682,37 @@ async function main() {
               });
             });
           }
-          console.log(JSON.stringify({
+          printJson({
             unarchived: successfulIds.length,
             failed: emailsToUnarchive.length - successfulIds.length,
             results: allResults
-          }, null, 2));
+          });
         }
 
       } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
-        } else {
-          console.error(chalk.red('Error unarchiving emails:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { json: options.json, label: 'Error unarchiving emails:' });
       }
     }));
 
   program
     .command('undo')
-    .description('Undo the most recent delete or archive action')
+    .description('Undo the most recent delete, archive or rule action')
     .option('--list', 'Show recent undo actions')
     .option('--limit <number>', 'Number of actions to list', '10')
     .option('--confirm', 'Skip confirmation prompt')
     .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
-        const limit = parseInt(options.limit, 10) || 10;
-        const actions = getRecentUndoActions(limit);
+        const inboxd = createInboxd();
+        const { actions } = inboxd.undoHistory({ limit: parseInt(options.limit, 10) || 10 });
 
         if (options.list) {
           if (options.json) {
-            console.log(JSON.stringify({
+            printJson({
               count: actions.length,
               logPath: getUndoLogPath(),
               actions,
-            }, null, 2));
+            });
             return;
           }
 
@@ -3278,9 +3725,8 @@ async function main() {
           console.log(chalk.bold('\nUndo History:\n'));
           actions.forEach((entry, index) => {
             const accounts = Array.from(new Set(entry.items.map(item => item.account || 'default')));
-            const actionLabel = entry.action === 'delete' ? 'Deleted' : 'Archived';
             const timestamp = new Date(entry.createdAt).toLocaleString();
-            console.log(chalk.white(`${index + 1}. ${actionLabel} ${entry.count} email(s)`));
+            console.log(chalk.white(`${index + 1}. ${describeUndoEntry(entry)} ${entry.count} email(s)`));
             console.log(chalk.gray(`   Accounts: ${accounts.join(', ')}`));
             console.log(chalk.gray(`   When: ${timestamp}\n`));
           });
@@ -3291,7 +3737,7 @@ async function main() {
         const entry = actions[0];
         if (!entry) {
           if (options.json) {
-            console.log(JSON.stringify({ undone: 0, failed: 0, results: [] }, null, 2));
+            printJson({ undone: 0, failed: 0, results: [] });
           } else {
             console.log(chalk.gray('No undo actions available.'));
           }
@@ -3303,7 +3749,10 @@ async function main() {
             input: process.stdin,
             output: process.stdout,
           });
-          const actionLabel = entry.action === 'delete' ? 'restore' : 'unarchive';
+          const actionLabel = UNDO_ACTION_LABELS[entry.action] || entry.action;
+          if (entry.action === 'forward') {
+            console.log(chalk.gray('Forwarded mail cannot be recalled; undo only trashes the sent copies.'));
+          }
           const answer = await prompt(rl, chalk.yellow(`\nUndo last action (${actionLabel} ${entry.count} email(s))? (y/N): `));
           rl.close();
 
@@ -3313,73 +3762,19 @@ async function main() {
           }
         }
 
-        const byAccount = {};
-        entry.items.forEach(item => {
-          const account = item.account || 'default';
-          if (!byAccount[account]) {
-            byAccount[account] = [];
-          }
-          byAccount[account].push(item);
-        });
-
-        const successfulIds = [];
-        const results = [];
-
-        for (const [account, items] of Object.entries(byAccount)) {
-          const ids = items.map(item => item.id);
-          const undoResults = entry.action === 'delete'
-            ? await untrashEmails(account, ids)
-            : await unarchiveEmails(account, ids);
-
-          undoResults.forEach(result => {
-            const item = items.find(candidate => candidate.id === result.id);
-            results.push({
-              id: result.id,
-              account,
-              from: item?.from || '',
-              subject: item?.subject || '',
-              success: result.success,
-            });
-            if (result.success) {
-              successfulIds.push(result.id);
-            }
-          });
-        }
-
-        if (entry.action === 'delete') {
-          removeLogEntries(successfulIds);
-        } else {
-          removeArchiveLogEntries(successfulIds);
-        }
-
-        const remainingItems = entry.items.filter(item => !successfulIds.includes(item.id));
-        if (remainingItems.length === 0) {
-          removeUndoEntry(entry.id);
-        } else {
-          updateUndoEntry(entry.id, { items: remainingItems });
-        }
+        const outcome = await settlePartial(inboxd.undo());
 
         if (options.json) {
-          console.log(JSON.stringify({
-            action: entry.action,
-            undone: successfulIds.length,
-            failed: entry.items.length - successfulIds.length,
-            results,
-          }, null, 2));
+          printJson(outcome);
           return;
         }
 
-        console.log(chalk.green(`\nUndid ${successfulIds.length} email(s).`));
-        if (entry.items.length - successfulIds.length > 0) {
-          console.log(chalk.red(`Failed to undo ${entry.items.length - successfulIds.length} email(s).`));
+        console.log(chalk.green(`\nUndid ${outcome.undone} email(s).`));
+        if (outcome.failed > 0) {
+          console.log(chalk.red(`Failed to undo ${outcome.failed} email(s).`));
         }
       } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
-        } else {
-          console.error(chalk.red('Error undoing action:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { json: options.json, label: 'Error undoing action:' });
       }
     }));
 
@@ -3390,6 +3785,8 @@ async function main() {
     .option('--edit', 'Open preferences file in $EDITOR (creates if missing)')
     .option('--validate', 'Validate preferences format and line count')
     .option('--json', 'Output preferences and validation as JSON')
+    // --json after "set", "remove" or "list" belongs to the subcommand
+    .enablePositionalOptions()
     .action(wrapAction(async (options) => {
       try {
         const prefPath = getPreferencesPath();
@@ -3439,7 +3836,7 @@ async function main() {
         const validation = validatePreferences(content);
 
         if (options.json) {
-          console.log(JSON.stringify({
+          printJson({
             path: prefPath,
             exists,
             created: createdDuringRun,
@@ -3448,7 +3845,7 @@ async function main() {
             errors: validation.errors,
             warnings: validation.warnings,
             content: content || '',
-          }, null, 2));
+          });
           return;
         }
 
@@ -3497,12 +3894,7 @@ async function main() {
         console.log(chalk.gray(`\nPath: ${prefPath}`));
         console.log(chalk.gray(`Lines: ${validation.lineCount}\n`));
       } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
-        } else {
-          console.error(chalk.red('Error managing preferences:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { json: options.json, label: 'Error managing preferences:' });
       }
     }));
 
@@ -3516,13 +3908,7 @@ async function main() {
       try {
         const sectionInput = options.section ? options.section.trim() : '';
         if (!sectionInput) {
-          const message = 'Error: --section is required.';
-          if (options.json) {
-            console.log(JSON.stringify({ error: message }, null, 2));
-          } else {
-            console.log(chalk.red(message));
-          }
-          return;
+          throw new ValidationError('--section is required.');
         }
 
         const section = resolveSection(sectionInput) || sectionInput;
@@ -3530,13 +3916,13 @@ async function main() {
         const prefPath = getPreferencesPath();
 
         if (options.json) {
-          console.log(JSON.stringify({
+          printJson({
             added: result.added,
             existed: result.existed,
             section: result.section,
             entry: result.entry,
             path: prefPath,
-          }, null, 2));
+          });
           return;
         }
 
@@ -3549,12 +3935,7 @@ async function main() {
         console.log(chalk.gray(`  Entry: ${result.entry}`));
         console.log(chalk.gray(`  Path: ${prefPath}`));
       } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
-        } else {
-          console.error(chalk.red('Error setting preference:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { json: options.json, label: 'Error setting preference:' });
       }
     }));
 
@@ -3569,47 +3950,22 @@ async function main() {
       try {
         const sectionInput = options.section ? options.section.trim() : '';
         if (!sectionInput) {
-          const message = 'Error: --section is required.';
-          if (options.json) {
-            console.log(JSON.stringify({ error: message }, null, 2));
-          } else {
-            console.log(chalk.red(message));
-          }
-          return;
+          throw new ValidationError('--section is required.');
         }
 
         if (!options.match && !options.entry) {
-          const message = 'Error: Must provide either --match or --entry.';
-          if (options.json) {
-            console.log(JSON.stringify({ error: message }, null, 2));
-          } else {
-            console.log(chalk.red(message));
-          }
-          return;
+          throw new ValidationError('Must provide either --match or --entry.');
         }
         if (options.match && options.entry) {
-          const message = 'Error: Use either --match or --entry, not both.';
-          if (options.json) {
-            console.log(JSON.stringify({ error: message }, null, 2));
-          } else {
-            console.log(chalk.red(message));
-          }
-          return;
+          throw new ValidationError('Use either --match or --entry, not both.');
         }
 
         if (!preferencesExist()) {
           const message = 'Preferences file not found. Create one with: inboxd preferences --init';
           if (options.json) {
-            console.log(JSON.stringify({
-              error: message,
-              removed: false,
-              count: 0,
-              entries: [],
-              path: getPreferencesPath(),
-            }, null, 2));
-          } else {
-            console.log(chalk.red(`\n${message}\n`));
+            throw new NotFoundError(message, { details: { path: getPreferencesPath() } });
           }
+          console.log(chalk.red(`\n${message}\n`));
           return;
         }
 
@@ -3618,13 +3974,13 @@ async function main() {
         const prefPath = getPreferencesPath();
 
         if (options.json) {
-          console.log(JSON.stringify({
+          printJson({
             removed: result.removed,
             count: result.count,
             entries: result.entries,
             section,
             path: prefPath,
-          }, null, 2));
+          });
           return;
         }
 
@@ -3640,12 +3996,7 @@ async function main() {
         console.log(chalk.gray(`  Section: ${section}`));
         console.log(chalk.gray(`  Path: ${prefPath}`));
       } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
-        } else {
-          console.error(chalk.red('Error removing preference:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { json: options.json, label: 'Error removing preference:' });
       }
     }));
 
@@ -3660,294 +4011,806 @@ async function main() {
         if (!preferencesExist()) {
           const message = 'Preferences file not found. Create one with: inboxd preferences --init';
           if (options.json) {
-            console.log(JSON.stringify({
-              error: message,
+            throw new NotFoundError(message, { details: { path: prefPath } });
+          }
+          console.log(chalk.red(`\n${message}\n`));
+          return;
+        }
+
+        if (options.section) {
+          const sectionInput = options.section.trim();
+          if (!sectionInput) {
+            throw new ValidationError('--section is required.');
+          }
+
+          const section = resolveSection(sectionInput) || sectionInput;
+          const entries = getEntriesInSection(section);
+
+          if (options.json) {
+            printJson({
+              section,
+              entries,
+              count: entries.length,
               path: prefPath,
-              count: 0,
-              sections: [],
-            }, null, 2));
+            });
+            return;
+          }
+
+          if (entries.length === 0) {
+            console.log(chalk.yellow(`\nNo entries found in "${section}".`));
+            console.log(chalk.gray(`  Path: ${prefPath}`));
+            return;
+          }
+
+          console.log(chalk.bold(`\n${section}\n`));
+          entries.forEach(entry => {
+            console.log(chalk.gray(`  - ${entry}`));
+          });
+          console.log(chalk.gray(`\nPath: ${prefPath}`));
+          console.log(chalk.gray(`Entries: ${entries.length}\n`));
+          return;
+        }
+
+        const content = readPreferences() || '';
+        const lines = content.split(/\r?\n/);
+        const sections = [];
+        let current = null;
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (trimmed.startsWith('## ')) {
+            if (current) {
+              sections.push(current);
+            }
+            current = { section: trimmed.replace(/^##\s*/, ''), entries: [] };
+            continue;
+          }
+          if (!current || !trimmed || trimmed.startsWith('<!--')) {
+            continue;
+          }
+          const match = trimmed.match(/^[-*]\s+(.*)$/);
+          if (match) {
+            current.entries.push(match[1].trim());
+          }
+        }
+
+        if (current) {
+          sections.push(current);
+        }
+
+        const totalCount = sections.reduce((sum, section) => sum + section.entries.length, 0);
+
+        if (options.json) {
+          printJson({
+            sections,
+            count: totalCount,
+            path: prefPath,
+          });
+          return;
+        }
+
+        if (sections.length === 0) {
+          console.log(chalk.yellow('\nNo preference sections found.'));
+          console.log(chalk.gray(`Path: ${prefPath}\n`));
+          return;
+        }
+
+        console.log(chalk.bold('\nInbox Preferences\n'));
+        sections.forEach(section => {
+          console.log(chalk.white(section.section));
+          if (section.entries.length === 0) {
+            console.log(chalk.gray('  (no entries)'));
           } else {
-            console.log(chalk.red(`\n${message}\n`));
+            section.entries.forEach(entry => {
+              console.log(chalk.gray(`  - ${entry}`));
+            });
           }
+          console.log('');
+        });
+        console.log(chalk.gray(`Path: ${prefPath}`));
+        console.log(chalk.gray(`Entries: ${totalCount}\n`));
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error listing preferences:' });
+      }
+    }));
+
+  const rulesCommand = program
+    .command('rules')
+    .description('Manage automated preference rules');
+
+  rulesCommand
+    .command('list')
+    .description('List saved rules')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      try {
+        const rules = listRules();
+
+        if (options.json) {
+          printJson({
+            count: rules.length,
+            path: getRulesPath(),
+            evaluationOrder: rules.map(rule => rule.id),
+            expired: rules.filter(rule => isRuleExpired(rule)).map(rule => rule.id),
+            rules,
+          });
+          return;
+        }
+
+        if (rules.length === 0) {
+          console.log(chalk.gray('No rules saved yet.'));
+          console.log(chalk.gray(`Rules file: ${getRulesPath()}`));
+          return;
+        }
+
+        console.log(chalk.bold('\nInbox Rules (evaluation order):\n'));
+        printRuleOrder(rules);
+        const expiredCount = rules.filter(rule => isRuleExpired(rule)).length;
+        if (expiredCount > 0) {
+          console.log(chalk.yellow(`${expiredCount} expired rule(s) are ignored. Run "inboxd rules prune" to remove them.`));
+        }
+        console.log(chalk.gray(`Rules file: ${getRulesPath()}`));
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error listing rules:' });
+      }
+    }));
+
+  const printRuleOrder = (rules) => {
+    rules.forEach((rule, index) => {
+      const stopLabel = rule.stopProcessing ? chalk.yellow(' [stop]') : '';
+      const scopeLabel = rule.accounts ? chalk.cyan(` [${rule.accounts.join(', ')}]`) : '';
+      const expiry = describeRuleExpiry(rule);
+      const expiryLabel = expiry ? (isRuleExpired(rule) ? chalk.red(` [${expiry}]`) : chalk.magenta(` [${expiry}]`)) : '';
+      console.log(chalk.white(`${index + 1}. ${rule.id}`) + chalk.gray(` (priority ${getRulePriority(rule)})`) + scopeLabel + stopLabel + expiryLabel);
+      console.log(chalk.gray(`   ${describeRuleAction(rule)} → ${describeRule(rule)}\n`));
+    });
+  };
+
+  const addRuleCommand = rulesCommand
+    .command('add')
+    .description('Add a rule')
+    .option('--always-delete', 'Always delete matching emails')
+    .option('--never-delete', 'Never delete matching emails')
+    .option('--auto-archive', 'Auto-archive matching emails')
+    .option('--auto-mark-read', 'Auto-mark matching emails as read')
+    .option('--apply-label <name>', 'Apply a label to matching emails')
+    .option('--remove-label <name>', 'Remove a label from matching emails')
+    .option('--star', 'Star matching emails')
+    .option('--unstar', 'Unstar matching emails')
+    .option('--mark-important', 'Mark matching emails as important')
+    .option('--forward <address>', 'Forward matching emails to an address');
+
+  addRuleMatcherOptions(addRuleCommand)
+    .option('--priority <number>', 'Evaluation priority, lower runs first (default: 100)')
+    .option('--stop-processing', 'Do not evaluate later rules for emails this rule matches')
+    .option('--until <date|duration>', 'Expire the rule at a date (e.g., "2026-03-31") or after a duration (e.g., "14d", "2w")')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      try {
+        const actionFlags = [
+          { flag: options.alwaysDelete, action: 'always-delete' },
+          { flag: options.neverDelete, action: 'never-delete' },
+          { flag: options.autoArchive, action: 'auto-archive' },
+          { flag: options.autoMarkRead, action: 'auto-mark-read' },
+          { flag: options.applyLabel, action: 'apply-label' },
+          { flag: options.removeLabel, action: 'remove-label' },
+          { flag: options.star, action: 'star' },
+          { flag: options.unstar, action: 'unstar' },
+          { flag: options.markImportant, action: 'mark-important' },
+          { flag: options.forward, action: 'forward' },
+        ];
+        const selected = actionFlags.filter(item => item.flag).map(item => item.action);
+
+        if (selected.length === 0) {
+          throw new ValidationError(`Must specify one action (${Array.from(SUPPORTED_ACTIONS).join(', ')})`);
+        }
+        if (selected.length > 1) {
+          throw new ValidationError('Only one action can be specified.');
+        }
+        const matcher = parseRuleMatcherOptions(options);
+        if (matcher.error) {
+          throw new ValidationError(`${matcher.error}`);
+        }
+
+        const result = addRule({
+          action: selected[0],
+          ...matcher,
+          label: options.applyLabel || options.removeLabel,
+          forwardTo: options.forward,
+          priority: options.priority,
+          stopProcessing: !!options.stopProcessing,
+          expiresAt: options.until,
+        });
+
+        if (options.json) {
+          printJson({
+            created: result.created,
+            rule: result.rule,
+            path: getRulesPath(),
+          });
+          return;
+        }
+
+        if (result.created) {
+          console.log(chalk.green('\n✓ Rule added.'));
+        } else {
+          console.log(chalk.yellow('\nRule already exists.'));
+        }
+        console.log(chalk.gray(`  ${describeRuleAction(result.rule)} → ${describeRule(result.rule)}`));
+        if (result.rule.accounts) {
+          console.log(chalk.gray(`  Accounts: ${result.rule.accounts.join(', ')}`));
+        }
+        if (result.rule.expiresAt) {
+          console.log(chalk.gray(`  Expires: ${result.rule.expiresAt} (${describeRuleExpiry(result.rule)})`));
+        }
+        console.log(chalk.gray(`  ID: ${result.rule.id}`));
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error adding rule:' });
+      }
+    }));
+
+  const testRuleCommand = rulesCommand
+    .command('test')
+    .description('Simulate a draft rule against local history and a live sample (nothing is saved)')
+    .option('--action <action>', 'Rule action to simulate', 'always-delete')
+    .option('--label <name>', 'Label for apply-label/remove-label')
+    .option('--forward-to <address>', 'Recipient for forward');
+
+  addRuleMatcherOptions(testRuleCommand)
+    .option('--limit <number>', 'Max emails in the live sample per account (default: 50)', '50')
+    .option('--no-live', 'Only check local history, skip the live Gmail search')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      try {
+        const matcher = parseRuleMatcherOptions(options);
+        if (matcher.error) {
+          throw new ValidationError(`${matcher.error}`);
+        }
+        const limit = parseInt(options.limit, 10);
+        if (!Number.isFinite(limit) || limit <= 0) {
+          throw new ValidationError('--limit must be a positive number.');
+        }
+
+        const rule = buildRule({
+          action: options.action,
+          ...matcher,
+          label: options.label,
+          forwardTo: options.forwardTo,
+        });
+
+        const sources = loadRuleHistory();
+        const fetchErrors = [];
+        const query = buildRuleQuery(rule);
+        if (options.live) {
+          sources.live = [];
+          const accountNames = getAccounts().map(a => a.name).filter(account => ruleAppliesToAccount(rule, account));
+          for (const account of accountNames) {
+            const { emails, errors } = await searchEmails(account, query, limit);
+            fetchErrors.push(...errors);
+            sources.live.push(...emails);
+          }
+        }
+
+        const protectedSenders = extractProtectedSenders(getEntriesInSection('Important People'));
+        const simulation = simulateRule(rule, sources, { protectedSenders });
+        const destructive = rule.action === 'always-delete' || rule.action === 'auto-archive';
+        reportFetchErrors(fetchErrors, chalk, { json: options.json });
+
+        if (options.json) {
+          printJson({
+            rule,
+            description: `${describeRuleAction(rule)} → ${describeRule(rule)}`,
+            query,
+            ...simulation,
+          }, { errors: fetchErrors });
+          return;
+        }
+
+        console.log(chalk.bold(`\nSimulating: ${describeRuleAction(rule)} → ${describeRule(rule)}`));
+        console.log(chalk.gray('Nothing is saved to rules.json.\n'));
+
+        const sourceLabels = {
+          deleted: 'Deletion log',
+          archived: 'Archive log',
+          cached: 'Message cache',
+          live: 'Live sample',
+        };
+        Object.entries(simulation.sources).forEach(([name, summary]) => {
+          console.log(`${(sourceLabels[name] || name).padEnd(14)} ${chalk.cyan(summary.matched)} of ${summary.scanned} would match`);
+        });
+        console.log(chalk.bold(`\nUnique emails hit: ${simulation.totalMatched}`));
+
+        if (simulation.examples.length > 0) {
+          console.log(chalk.gray('\nExamples:'));
+          simulation.examples.forEach(email => {
+            console.log(chalk.gray(`  ${email.subject || '(no subject)'} — ${email.from || 'unknown sender'}`));
+          });
+        }
+
+        if (simulation.collisions.length > 0) {
+          const color = destructive ? chalk.red : chalk.yellow;
+          console.log(color(`\n⚠ Collides with ${simulation.collisions.length} Important People entr${simulation.collisions.length === 1 ? 'y' : 'ies'}:`));
+          simulation.collisions.forEach(collision => {
+            const reason = collision.matched > 0
+              ? `${collision.matched} matching email(s)`
+              : 'sender pattern covers this address';
+            console.log(color(`  ${collision.entry} (${reason})`));
+          });
+        }
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error testing rule:' });
+      }
+    }));
+
+  rulesCommand
+    .command('remove')
+    .description('Remove a rule by ID')
+    .requiredOption('--id <id>', 'Rule ID to remove')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      try {
+        const result = removeRule(options.id);
+        if (options.json) {
+          printJson({
+            removed: result.removed,
+            rule: result.rule,
+            path: getRulesPath(),
+          });
+          return;
+        }
+
+        if (result.removed) {
+          console.log(chalk.green('\n✓ Rule removed.'));
+          console.log(chalk.gray(`  ${describeRuleAction(result.rule)} → ${describeRule(result.rule)}`));
+        } else {
+          console.log(chalk.yellow('\nRule not found.'));
+        }
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error removing rule:' });
+      }
+    }));
+
+  rulesCommand
+    .command('reorder')
+    .description('Renumber rule priorities in evaluation order, optionally moving the given rules to the front')
+    .argument('[ids...]', 'Rule IDs to evaluate first, in order')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (ids, options) => {
+      try {
+        const rules = reorderRules(ids);
+        if (options.json) {
+          printJson({
+            count: rules.length,
+            evaluationOrder: rules.map(rule => rule.id),
+            rules,
+          });
+          return;
+        }
+        console.log(chalk.green('\n✓ Rules reordered.\n'));
+        printRuleOrder(rules);
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error reordering rules:' });
+      }
+    }));
+
+  rulesCommand
+    .command('move')
+    .description('Move a rule before or after another rule in evaluation order')
+    .argument('<id>', 'Rule ID to move')
+    .option('--before <id>', 'Place the rule directly before this rule')
+    .option('--after <id>', 'Place the rule directly after this rule')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (id, options) => {
+      try {
+        const rules = moveRule(id, { before: options.before, after: options.after });
+        if (options.json) {
+          printJson({
+            moved: id,
+            evaluationOrder: rules.map(rule => rule.id),
+            rules,
+          });
+          return;
+        }
+        console.log(chalk.green('\n✓ Rule moved.\n'));
+        printRuleOrder(rules);
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error moving rule:' });
+      }
+    }));
+
+  rulesCommand
+    .command('apply')
+    .description('Apply saved rules to delete or archive matching emails')
+    .option('-a, --account <name>', 'Account to apply rules (or "all")', 'all')
+    .option('--limit <number>', 'Max emails per rule per account (default: 50)', '50')
+    .option('--dry-run', 'Preview what would be deleted/archived')
+    .option('--confirm', 'Skip confirmation prompt')
+    .option('--hold-deletes', 'Apply everything except deletions, which are listed for confirmation')
+    .option('--hold-forwards', 'Apply everything except forwards, which are listed for confirmation')
+    .option('--json', 'Output as JSON')
+    .action(applyRulesAction);
+
+  const resolveFilterAccounts = (account) => {
+    const names = account === 'all' ? getAccounts().map(a => a.name) : [account];
+    return names.length > 0 ? names : ['default'];
+  };
+
+  const describeFilterError = (error) => ((error.code === 403 || String(error.message).includes('403'))
+    ? `${error.message} (re-run "inboxd auth" to grant filter access)`
+    : error.message);
+
+  rulesCommand
+    .command('push-filters')
+    .description('Create Gmail filters for eligible rules (delete/archive/mark-read/label); mail a filter trashes is not in the deletion log and cannot be undone')
+    .option('-a, --account <name>', 'Account to sync (or "all")', 'all')
+    .option('--dry-run', 'Show the filter changes without making them')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      try {
+        const protectedSenders = extractProtectedSenders(getEntriesInSection('Important People'));
+        const results = [];
+        const failures = [];
+        for (const account of resolveFilterAccounts(options.account)) {
+          try {
+            results.push(await pushFilters(account, { dryRun: !!options.dryRun, protectedSenders }));
+          } catch (error) {
+            failures.push({ account, error: describeFilterError(error) });
+          }
+        }
+
+        if (options.json) {
+          printJson({
+            dryRun: !!options.dryRun,
+            accounts: results,
+            trackingPath: getFilterTrackingPath(),
+          }, { errors: failures, ok: !(failures.length > 0 && results.length === 0) });
+          if (failures.length > 0 && results.length === 0) process.exit(1);
+          return;
+        }
+
+        const rulesById = new Map(listRules().map(rule => [rule.id, rule]));
+        const describeRuleId = (ruleId) => {
+          const rule = rulesById.get(ruleId);
+          return rule ? `${describeRuleAction(rule)} → ${describeRule(rule)}` : ruleId;
+        };
+        results.forEach(result => {
+          console.log(chalk.bold(`\n${result.account}${options.dryRun ? ' (dry run)' : ''}:`));
+          result.created.forEach(item => console.log(chalk.green(`  + ${describeRuleId(item.ruleId)}`)));
+          result.deleted.forEach(item => console.log(chalk.red(`  - filter ${item.filterId} (rule ${item.ruleId} changed or removed)`)));
+          result.unchanged.forEach(item => console.log(chalk.gray(`  = ${describeRuleId(item.ruleId)}`)));
+          result.existing.forEach(item => console.log(chalk.gray(`  = ${describeRuleId(item.ruleId)} (matching filter you created)`)));
+          result.skipped.forEach(item => console.log(chalk.gray(`  · ${describeRuleId(item.ruleId)}: ${item.reason}`)));
+          result.errors.forEach(item => console.log(chalk.red(`  x ${item.filterId || describeRuleId(item.ruleId)}: ${item.error}`)));
+          console.log(chalk.gray(`  ${result.created.length} created, ${result.deleted.length} removed, ${result.unchanged.length + result.existing.length} unchanged, ${result.skipped.length} not eligible`));
+        });
+        failures.forEach(({ account, error }) => console.log(chalk.red(`\n${account}: ${error}`)));
+        const trashes = results.some(result => result.created.some(item => (item.action.addLabelIds || []).includes('TRASH')));
+        if (trashes) {
+          console.log(chalk.yellow('\nGmail trashes mail for delete filters itself: it is not in the deletion log and "inboxd undo" cannot restore it.'));
+        }
+        if (failures.length > 0 && results.length === 0) process.exit(1);
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error pushing filters:' });
+      }
+    }));
+
+  rulesCommand
+    .command('pull-filters')
+    .description('Import Gmail filters you created by hand into rules.json')
+    .option('-a, --account <name>', 'Account to import from (or "all")', 'all')
+    .option('--dry-run', 'Show the rules that would be added')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (options) => {
+      try {
+        const results = [];
+        const failures = [];
+        for (const account of resolveFilterAccounts(options.account)) {
+          try {
+            results.push(await pullFilters(account, { dryRun: !!options.dryRun }));
+          } catch (error) {
+            failures.push({ account, error: describeFilterError(error) });
+          }
+        }
+
+        if (options.json) {
+          printJson({
+            dryRun: !!options.dryRun,
+            accounts: results,
+            path: getRulesPath(),
+          }, { errors: failures, ok: !(failures.length > 0 && results.length === 0) });
+          if (failures.length > 0 && results.length === 0) process.exit(1);
           return;
         }
 
-        if (options.section) {
-          const sectionInput = options.section.trim();
-          if (!sectionInput) {
-            const message = 'Error: --section is required.';
-            if (options.json) {
-              console.log(JSON.stringify({ error: message }, null, 2));
-            } else {
-              console.log(chalk.red(message));
-            }
-            return;
-          }
-
-          const section = resolveSection(sectionInput) || sectionInput;
-          const entries = getEntriesInSection(section);
+        results.forEach(result => {
+          console.log(chalk.bold(`\n${result.account}${options.dryRun ? ' (dry run)' : ''}:`));
+          result.imported.forEach(({ rule }) => console.log(chalk.green(`  + ${describeRuleAction(rule)} → ${describeRule(rule)}`)));
+          result.duplicates.forEach(({ rule }) => console.log(chalk.gray(`  = ${describeRuleAction(rule)} → ${describeRule(rule)} (already a rule)`)));
+          result.skipped.forEach(item => console.log(chalk.gray(`  · filter ${item.filterId}: ${item.reason}`)));
+          console.log(chalk.gray(`  ${result.imported.length} ${options.dryRun ? 'to import' : 'imported'}, ${result.duplicates.length} already present`));
+        });
+        failures.forEach(({ account, error }) => console.log(chalk.red(`\n${account}: ${error}`)));
+        if (failures.length > 0 && results.length === 0) process.exit(1);
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error pulling filters:' });
+      }
+    }));
 
-          if (options.json) {
-            console.log(JSON.stringify({
-              section,
-              entries,
-              count: entries.length,
-              path: prefPath,
-            }, null, 2));
-            return;
-          }
+  const RULE_EXPORTERS = {
+    sieve: exportSieve,
+    'gmail-xml': exportGmailXml,
+  };
 
-          if (entries.length === 0) {
-            console.log(chalk.yellow(`\nNo entries found in "${section}".`));
-            console.log(chalk.gray(`  Path: ${prefPath}`));
-            return;
-          }
+  const printExportReport = (report, format, print) => {
+    const skipped = report.filter(entry => !entry.exported);
+    const noted = report.filter(entry => entry.exported && entry.reasons.length > 0);
+    if (skipped.length > 0) {
+      print(chalk.yellow(`\n${skipped.length} rule(s) not representable in ${format}:`));
+      skipped.forEach(entry => print(chalk.gray(`  - ${entry.ruleId} ${entry.description}: ${entry.reasons.join(', ')}`)));
+    }
+    if (noted.length > 0) {
+      print(chalk.gray('\nExported with caveats:'));
+      noted.forEach(entry => print(chalk.gray(`  - ${entry.ruleId}: ${entry.reasons.join(', ')}`)));
+    }
+  };
 
-          console.log(chalk.bold(`\n${section}\n`));
-          entries.forEach(entry => {
-            console.log(chalk.gray(`  - ${entry}`));
-          });
-          console.log(chalk.gray(`\nPath: ${prefPath}`));
-          console.log(chalk.gray(`Entries: ${entries.length}\n`));
+  rulesCommand
+    .command('export')
+    .description('Export rules as a shareable rule set, a Sieve script or Gmail filter XML')
+    .option('--format <format>', 'Output format: json, yaml, sieve or gmail-xml', 'json')
+    .option('-o, --output <file>', 'Write to a file instead of stdout')
+    .action(wrapAction(async (options) => {
+      try {
+        const rules = listRules();
+        const exporter = RULE_EXPORTERS[options.format];
+        if (!exporter && !EXPORT_FORMATS.has(options.format)) {
+          throw new Error(`Unsupported format "${options.format}". Use json, yaml, sieve or gmail-xml.`);
+        }
+        const { content, report } = exporter
+          ? exporter(rules)
+          : { content: serializeRuleSet(rules, options.format), report: null };
+
+        if (!options.output) {
+          process.stdout.write(content);
+          // Keep stdout clean for redirection; the report goes to stderr
+          if (report) printExportReport(report, options.format, console.error);
           return;
         }
 
-        const content = readPreferences() || '';
-        const lines = content.split(/\r?\n/);
-        const sections = [];
-        let current = null;
+        const outputPath = resolvePath(options.output);
+        fs.writeFileSync(outputPath, content);
+        const exported = report ? report.filter(entry => entry.exported).length : rules.length;
+        console.log(chalk.green(`✓ Exported ${exported} rule(s) to ${outputPath}`));
+        if (report) printExportReport(report, options.format, console.log);
+      } catch (error) {
+        exitWithError(error, chalk, { label: 'Error exporting rules:' });
+      }
+    }));
 
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (trimmed.startsWith('## ')) {
-            if (current) {
-              sections.push(current);
-            }
-            current = { section: trimmed.replace(/^##\s*/, ''), entries: [] };
-            continue;
-          }
-          if (!current || !trimmed || trimmed.startsWith('<!--')) {
-            continue;
-          }
-          const match = trimmed.match(/^[-*]\s+(.*)$/);
-          if (match) {
-            current.entries.push(match[1].trim());
-          }
+  rulesCommand
+    .command('import <file>')
+    .description('Import a rule set (JSON or YAML), showing what changes first')
+    .option('--merge', 'Add new rules to the existing ones (default)')
+    .option('--replace', 'Replace all existing rules with the rule set')
+    .option('--dry-run', 'Show the changes without writing rules.json')
+    .option('--json', 'Output as JSON')
+    .action(wrapAction(async (file, options) => {
+      try {
+        if (options.merge && options.replace) {
+          throw new ValidationError('--merge and --replace cannot be combined.');
         }
-
-        if (current) {
-          sections.push(current);
+        const filePath = resolvePath(file);
+        if (!fs.existsSync(filePath)) {
+          throw new Error(`File not found: ${filePath}`);
         }
 
-        const totalCount = sections.reduce((sum, section) => sum + section.entries.length, 0);
+        const incoming = parseRuleSet(fs.readFileSync(filePath, 'utf8'));
+        const plan = planRuleImport(incoming, listRules(), { mode: options.replace ? 'replace' : 'merge' });
+        const hasChanges = plan.added.length > 0 || plan.removed.length > 0;
+        const result = hasChanges && !options.dryRun ? applyRuleImport(plan) : null;
 
         if (options.json) {
-          console.log(JSON.stringify({
-            sections,
-            count: totalCount,
-            path: prefPath,
-          }, null, 2));
+          printJson({
+            dryRun: !!options.dryRun,
+            mode: plan.mode,
+            written: Boolean(result),
+            totals: {
+              added: plan.added.length,
+              skipped: plan.skipped.length,
+              conflicts: plan.conflicts.length,
+              invalid: plan.invalid.length,
+              removed: plan.removed.length,
+            },
+            added: plan.added,
+            skipped: plan.skipped,
+            conflicts: plan.conflicts,
+            invalid: plan.invalid,
+            removed: plan.removed,
+            backupPath: result ? result.backupPath : null,
+            path: getRulesPath(),
+          });
           return;
         }
 
-        if (sections.length === 0) {
-          console.log(chalk.yellow('\nNo preference sections found.'));
-          console.log(chalk.gray(`Path: ${prefPath}\n`));
-          return;
+        const describe = (rule) => `${describeRuleAction(rule)} → ${describeRule(rule)}`;
+        console.log(chalk.bold(`\nImport ${path.basename(filePath)} (${plan.mode}):\n`));
+        plan.added.forEach(rule => console.log(chalk.green(`  + ${describe(rule)}`)));
+        plan.removed.forEach(rule => console.log(chalk.red(`  - ${describe(rule)}`)));
+        plan.skipped.forEach(({ rule }) => console.log(chalk.gray(`  = ${describe(rule)} (already exists)`)));
+        plan.conflicts.forEach(({ rule, conflictsWith, existingAction }) => {
+          console.log(chalk.yellow(`  ! ${describe(rule)} (conflicts with ${existingAction} rule ${conflictsWith})`));
+        });
+        plan.invalid.forEach(({ index, error }) => console.log(chalk.red(`  x rule #${index + 1}: ${error}`)));
+
+        console.log(chalk.gray(`\n${plan.added.length} to add, ${plan.removed.length} to remove, ${plan.skipped.length} skipped, ${plan.conflicts.length} conflict(s), ${plan.invalid.length} invalid.`));
+        if (plan.conflicts.length + plan.invalid.length > 0) {
+          console.log(chalk.yellow('Conflicting and invalid rules are not imported.'));
         }
 
-        console.log(chalk.bold('\nInbox Preferences\n'));
-        sections.forEach(section => {
-          console.log(chalk.white(section.section));
-          if (section.entries.length === 0) {
-            console.log(chalk.gray('  (no entries)'));
-          } else {
-            section.entries.forEach(entry => {
-              console.log(chalk.gray(`  - ${entry}`));
-            });
+        if (options.dryRun) {
+          console.log(chalk.gray('Dry run: rules.json was not changed.'));
+        } else if (result) {
+          console.log(chalk.green(`\n✓ Rules updated (${result.count} total).`));
+          if (result.backupPath) {
+            console.log(chalk.gray(`Backup: ${result.backupPath}`));
           }
-          console.log('');
-        });
-        console.log(chalk.gray(`Path: ${prefPath}`));
-        console.log(chalk.gray(`Entries: ${totalCount}\n`));
-      } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
         } else {
-          console.error(chalk.red('Error listing preferences:'), error.message);
+          console.log(chalk.gray('Nothing to change.'));
         }
-        process.exit(1);
+      } catch (error) {
+        exitWithError(error, chalk, { json: options.json, label: 'Error importing rules:' });
       }
     }));
 
-  const rulesCommand = program
-    .command('rules')
-    .description('Manage automated preference rules');
-
   rulesCommand
-    .command('list')
-    .description('List saved rules')
+    .command('prune')
+    .description('Delete rules that have expired')
+    .option('--dry-run', 'Show expired rules without deleting them')
     .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
-        const rules = listRules();
+        const expired = pruneExpiredRules({ dryRun: !!options.dryRun });
 
         if (options.json) {
-          console.log(JSON.stringify({
-            count: rules.length,
+          printJson({
+            dryRun: !!options.dryRun,
+            count: expired.length,
+            rules: expired,
             path: getRulesPath(),
-            rules,
-          }, null, 2));
+          });
           return;
         }
 
-        if (rules.length === 0) {
-          console.log(chalk.gray('No rules saved yet.'));
-          console.log(chalk.gray(`Rules file: ${getRulesPath()}`));
+        if (expired.length === 0) {
+          console.log(chalk.gray('No expired rules.'));
           return;
         }
 
-        console.log(chalk.bold('\nInbox Rules:\n'));
-        rules.forEach(rule => {
-          const olderThanLabel = rule.olderThanDays ? ` (older than ${rule.olderThanDays} days)` : '';
-          console.log(chalk.white(`${rule.id}`));
-          console.log(chalk.gray(`  ${rule.action} → ${rule.sender}${olderThanLabel}\n`));
+        console.log(options.dryRun
+          ? chalk.bold(`\n${expired.length} expired rule(s) would be removed:\n`)
+          : chalk.green(`\n✓ Removed ${expired.length} expired rule(s):\n`));
+        expired.forEach(rule => {
+          console.log(chalk.white(`  ${rule.id}`) + chalk.gray(` (${describeRuleExpiry(rule)})`));
+          console.log(chalk.gray(`   ${describeRuleAction(rule)} → ${describeRule(rule)}`));
         });
-        console.log(chalk.gray(`Rules file: ${getRulesPath()}`));
       } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
-        } else {
-          console.error(chalk.red('Error listing rules:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { json: options.json, label: 'Error pruning rules:' });
       }
     }));
 
   rulesCommand
-    .command('add')
-    .description('Add a rule')
-    .option('--always-delete', 'Always delete matching emails')
-    .option('--never-delete', 'Never delete matching emails')
-    .option('--auto-archive', 'Auto-archive matching emails')
-    .option('--auto-mark-read', 'Auto-mark matching emails as read')
-    .option('--sender <pattern>', 'Sender email or domain')
-    .option('--older-than <duration>', 'Only apply to emails older than N days/weeks (e.g., "30d", "2w")')
+    .command('stats')
+    .description('Show rule hit counts and rules that have stopped matching')
+    .option('-n, --days <number>', 'Flag rules that have not matched in this many days', '30')
     .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
-        const actionFlags = [
-          { flag: options.alwaysDelete, action: 'always-delete' },
-          { flag: options.neverDelete, action: 'never-delete' },
-          { flag: options.autoArchive, action: 'auto-archive' },
-          { flag: options.autoMarkRead, action: 'auto-mark-read' },
-        ];
-        const selected = actionFlags.filter(item => item.flag).map(item => item.action);
-
-        if (selected.length === 0) {
-          console.log(chalk.red(`Error: Must specify one action (${Array.from(SUPPORTED_ACTIONS).join(', ')})`));
-          return;
-        }
-        if (selected.length > 1) {
-          console.log(chalk.red('Error: Only one action can be specified.'));
-          return;
+        const days = parseInt(options.days, 10);
+        if (!Number.isFinite(days) || days <= 0) {
+          throw new ValidationError('--days must be a positive number.');
         }
-        if (!options.sender) {
-          console.log(chalk.red('Error: --sender is required.'));
+
+        const stats = getRuleStats(days);
+        const stale = stats.filter(entry => entry.stale);
+
+        if (options.json) {
+          printJson({
+            days,
+            count: stats.length,
+            staleCount: stale.length,
+            rules: stats.map(entry => ({
+              id: entry.rule.id,
+              action: entry.rule.action,
+              description: describeRule(entry.rule),
+              createdAt: entry.rule.createdAt,
+              hits: entry.hits,
+              applied: entry.applied,
+              lastMatchedAt: entry.lastMatchedAt,
+              daysSinceMatch: entry.daysSinceMatch,
+              stale: entry.stale,
+            })),
+            suggestions: stale.map(entry => ({
+              id: entry.rule.id,
+              command: `inboxd rules remove --id ${entry.rule.id}`,
+            })),
+          });
           return;
         }
 
-        let olderThanDays = null;
-        if (options.olderThan) {
-          const olderThanQuery = parseOlderThanDuration(options.olderThan);
-          if (!olderThanQuery) {
-            console.log(chalk.red(`Error: Invalid --older-than format "${options.olderThan}". Use "30d", "2w", "1m".`));
-            return;
-          }
-          olderThanDays = parseInt(olderThanQuery, 10);
+        if (stats.length === 0) {
+          console.log(chalk.gray('No rules saved yet.'));
+          return;
         }
 
-        const result = addRule({
-          action: selected[0],
-          sender: options.sender,
-          olderThanDays,
+        console.log(chalk.bold('\nRule Hits:\n'));
+        stats.forEach(entry => {
+          const lastMatched = entry.lastMatchedAt
+            ? `last matched ${entry.daysSinceMatch} day(s) ago`
+            : 'never matched';
+          const color = entry.stale ? chalk.yellow : chalk.white;
+          console.log(color(`${entry.rule.id}  ${entry.hits} hit(s), ${entry.applied} applied, ${lastMatched}`));
+          console.log(chalk.gray(`   ${describeRuleAction(entry.rule)} → ${describeRule(entry.rule)}\n`));
         });
 
-        if (options.json) {
-          console.log(JSON.stringify({
-            created: result.created,
-            rule: result.rule,
-            path: getRulesPath(),
-          }, null, 2));
+        if (stale.length === 0) {
+          console.log(chalk.green(`All rules have matched in the last ${days} days.`));
           return;
         }
 
-        if (result.created) {
-          console.log(chalk.green('\n✓ Rule added.'));
-        } else {
-          console.log(chalk.yellow('\nRule already exists.'));
-        }
-        console.log(chalk.gray(`  ${result.rule.action} → ${result.rule.sender}`));
-        if (result.rule.olderThanDays) {
-          console.log(chalk.gray(`  Older than: ${result.rule.olderThanDays} days`));
-        }
-        console.log(chalk.gray(`  ID: ${result.rule.id}`));
+        console.log(chalk.yellow(`${stale.length} rule(s) have not matched in ${days} days. Consider removing them:`));
+        stale.forEach(entry => {
+          console.log(chalk.gray(`  inboxd rules remove --id ${entry.rule.id}`));
+        });
       } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
-        } else {
-          console.error(chalk.red('Error adding rule:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { json: options.json, label: 'Error reading rule stats:' });
       }
     }));
 
   rulesCommand
-    .command('remove')
-    .description('Remove a rule by ID')
-    .requiredOption('--id <id>', 'Rule ID to remove')
+    .command('lint')
+    .description('Find conflicting, shadowed and redundant rules')
     .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
-        const result = removeRule(options.id);
+        const protectedSenders = extractProtectedSenders(getEntriesInSection('Important People'));
+        const { checked, issues } = lintRules(listRules(), { protectedSenders });
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        // Non-zero exit lets scripts and CI fail on real problems, not on warnings
+        if (errorCount > 0) process.exitCode = 1;
+
         if (options.json) {
-          console.log(JSON.stringify({
-            removed: result.removed,
-            rule: result.rule,
-            path: getRulesPath(),
-          }, null, 2));
+          printJson({
+            checked,
+            errors: errorCount,
+            warnings: issues.length - errorCount,
+            issues,
+          });
           return;
         }
 
-        if (result.removed) {
-          console.log(chalk.green('\n✓ Rule removed.'));
-          console.log(chalk.gray(`  ${result.rule.action} → ${result.rule.sender}`));
-        } else {
-          console.log(chalk.yellow('\nRule not found.'));
+        if (issues.length === 0) {
+          console.log(chalk.green(`✓ ${checked} rule(s) checked, no problems found.`));
+          return;
         }
+
+        console.log(chalk.bold('\nRule Lint:\n'));
+        issues
+          .slice()
+          .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1))
+          .forEach(issue => {
+            const marker = issue.severity === 'error' ? chalk.red('✗') : chalk.yellow('!');
+            console.log(`${marker} ${chalk.bold(issue.type)}: ${issue.message}`);
+          });
+        console.log(chalk.gray(`\n${checked} rule(s) checked: ${errorCount} error(s), ${issues.length - errorCount} warning(s).`));
+        console.log(chalk.gray('Fix with "inboxd rules remove --id <id>" or "inboxd rules reorder".'));
       } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
-        } else {
-          console.error(chalk.red('Error removing rule:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { json: options.json, label: 'Error linting rules:' });
       }
     }));
 
-  rulesCommand
-    .command('apply')
-    .description('Apply saved rules to delete or archive matching emails')
-    .option('-a, --account <name>', 'Account to apply rules (or "all")', 'all')
-    .option('--limit <number>', 'Max emails per rule per account (default: 50)', '50')
-    .option('--dry-run', 'Preview what would be deleted/archived')
-    .option('--confirm', 'Skip confirmation prompt')
-    .option('--json', 'Output as JSON')
-    .action(applyRulesAction);
-
   rulesCommand
     .command('suggest')
-    .description('Suggest rules based on deletion patterns')
+    .description('Suggest rules from deletion, archive, read and reply history')
     .option('-n, --days <number>', 'Period to analyze', '30')
     .option('--apply', 'Interactively add suggested rules')
     .option('--confirm', 'Apply all suggestions without prompting')
@@ -3955,16 +4818,15 @@ async function main() {
     .action(wrapAction(async (options) => {
       try {
         const days = parseInt(options.days, 10);
-        const analysis = analyzePatterns(days);
+        const analysis = analyzeHistory(days);
         const suggestions = buildSuggestedRules(analysis);
 
         if (options.apply && options.json) {
-          console.log(chalk.red('Error: --apply cannot be combined with --json.'));
-          return;
+          throw new ValidationError('--apply cannot be combined with --json.');
         }
 
         if (options.json) {
-          console.log(JSON.stringify(suggestions, null, 2));
+          printJson(suggestions);
           return;
         }
 
@@ -3975,8 +4837,7 @@ async function main() {
 
         if (options.apply) {
           if (!process.stdin.isTTY && !options.confirm) {
-            console.log(chalk.red('Error: --apply requires an interactive terminal (or use --confirm).'));
-            return;
+            throw new ValidationError('--apply requires an interactive terminal (or use --confirm).');
           }
 
           const added = [];
@@ -3997,7 +4858,7 @@ async function main() {
             if (!applyAll) {
               const answer = await prompt(
                 rl,
-                chalk.yellow(`\nAdd rule "${suggestion.action} → ${suggestion.sender}"? (y/N/a/q): `)
+                chalk.yellow(`\nAdd rule "${suggestion.action} → ${describeRule(suggestion)}"? (y/N/a/q): `)
               );
               const normalized = answer.toLowerCase();
 
@@ -4016,6 +4877,7 @@ async function main() {
               const result = addRule({
                 action: suggestion.action,
                 sender: suggestion.sender,
+                olderThanDays: suggestion.olderThanDays,
               });
               if (result.created) {
                 added.push(result.rule);
@@ -4045,17 +4907,15 @@ async function main() {
 
         console.log(chalk.bold(`\nRule Suggestions (last ${suggestions.period} days):\n`));
         suggestions.suggestions.forEach(suggestion => {
-          console.log(chalk.white(`${suggestion.action} → ${suggestion.sender}`));
-          console.log(chalk.gray(`  ${suggestion.reason}\n`));
+          const confidence = `${Math.round(suggestion.confidence * 100)}%`;
+          console.log(chalk.white(`${suggestion.action} → ${describeRule(suggestion)}`) + chalk.gray(` (confidence ${confidence})`));
+          console.log(chalk.gray(`  ${suggestion.reason}`));
+          (suggestion.evidence.examples || []).forEach(example => console.log(chalk.gray(`    e.g. "${example}"`)));
+          console.log('');
         });
         console.log(chalk.gray('Tip: Use "inboxd rules suggest --apply" to add these rules.'));
       } catch (error) {
-        if (options.json) {
-          console.log(JSON.stringify({ error: error.message }, null, 2));
-        } else {
-          console.error(chalk.red('Error suggesting rules:'), error.message);
-        }
-        process.exit(1);
+        exitWithError(error, chalk, { json: options.json, label: 'Error suggesting rules:' });
       }
     }));
 
@@ -4088,7 +4948,7 @@ async function main() {
         }
 
         if (options.json) {
-          console.log(JSON.stringify({ account, labels: filtered }, null, 2));
+          printJson({ account, labels: filtered });
           return;
         }
 
@@ -4119,8 +4979,7 @@ async function main() {
 
         console.log(chalk.gray(`Total: ${filtered.length} labels`));
       } catch (error) {
-        console.error(chalk.red('Error listing labels:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error listing labels:' });
       }
     }));
 
@@ -4128,6 +4987,7 @@ async function main() {
     .command('labels-add <name>')
     .description('Create a new Gmail label')
     .option('-a, --account <name>', 'Account name')
+    .option('--json', 'Output as JSON')
     .action(wrapAction(async (labelName, options) => {
       try {
         const { account, error } = resolveAccount(options.account, chalk);
@@ -4139,19 +4999,26 @@ async function main() {
         // Check if label already exists
         const existing = await findLabelByName(account, labelName);
         if (existing) {
+          if (options.json) {
+            printJson({ account, created: false, label: { id: existing.id, name: existing.name } });
+            return;
+          }
           console.log(chalk.yellow(`Label "${labelName}" already exists.`));
           return;
         }
 
         const label = await createLabel(account, labelName);
+        if (options.json) {
+          printJson({ account, created: true, label: { id: label.id, name: label.name } });
+          return;
+        }
         console.log(chalk.green(`Created label: ${label.name}`));
         console.log(chalk.gray(`  ID: ${label.id}`));
       } catch (error) {
-        if (error.message?.includes('already exists')) {
+        if (error.message?.includes('already exists') && !options.json) {
           console.log(chalk.yellow(`Label "${labelName}" already exists.`));
         } else {
-          console.error(chalk.red('Error creating label:'), error.message);
-          process.exit(1);
+          exitWithError(error, chalk, { label: 'Error creating label:' });
         }
       }
     }));
@@ -4180,9 +5047,7 @@ async function main() {
         // Find label by name
         const label = await findLabelByName(account, options.label);
         if (!label) {
-          console.log(chalk.red(`Label "${options.label}" not found.`));
-          console.log(chalk.gray('Run "inboxd labels" to see available labels.'));
-          return;
+          throw new NotFoundError(`Label "${options.label}" not found. Run "inboxd labels" to see available labels.`);
         }
 
         const results = await applyLabel(account, ids, label.id);
@@ -4190,7 +5055,7 @@ async function main() {
         const failed = results.filter(r => !r.success);
 
         if (options.json) {
-          console.log(JSON.stringify({ label: label.name, succeeded: succeeded.length, failed: failed.length, results }, null, 2));
+          printJson({ label: label.name, succeeded: succeeded.length, failed: failed.length, results });
           return;
         }
 
@@ -4198,12 +5063,12 @@ async function main() {
           console.log(chalk.green(`Applied label "${label.name}" to ${succeeded.length} email(s).`));
         }
         if (failed.length > 0) {
+          process.exitCode = EXIT_PARTIAL;
           console.log(chalk.red(`Failed to apply to ${failed.length} email(s).`));
           failed.forEach(r => console.log(chalk.gray(`  ${r.id}: ${r.error}`)));
         }
       } catch (error) {
-        console.error(chalk.red('Error applying label:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error applying label:' });
       }
     }));
 
@@ -4231,9 +5096,7 @@ async function main() {
         // Find label by name
         const label = await findLabelByName(account, options.label);
         if (!label) {
-          console.log(chalk.red(`Label "${options.label}" not found.`));
-          console.log(chalk.gray('Run "inboxd labels" to see available labels.'));
-          return;
+          throw new NotFoundError(`Label "${options.label}" not found. Run "inboxd labels" to see available labels.`);
         }
 
         const results = await removeLabel(account, ids, label.id);
@@ -4241,7 +5104,7 @@ async function main() {
         const failed = results.filter(r => !r.success);
 
         if (options.json) {
-          console.log(JSON.stringify({ label: label.name, succeeded: succeeded.length, failed: failed.length, results }, null, 2));
+          printJson({ label: label.name, succeeded: succeeded.length, failed: failed.length, results });
           return;
         }
 
@@ -4249,12 +5112,12 @@ async function main() {
           console.log(chalk.green(`Removed label "${label.name}" from ${succeeded.length} email(s).`));
         }
         if (failed.length > 0) {
+          process.exitCode = EXIT_PARTIAL;
           console.log(chalk.red(`Failed to remove from ${failed.length} email(s).`));
           failed.forEach(r => console.log(chalk.gray(`  ${r.id}: ${r.error}`)));
         }
       } catch (error) {
-        console.error(chalk.red('Error removing label:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error removing label:' });
       }
     }));
 
@@ -4282,12 +5145,12 @@ async function main() {
         const totalAttachments = emails.reduce((sum, e) => sum + e.attachments.length, 0);
 
         if (options.json) {
-          console.log(JSON.stringify({
+          printJson({
             account,
             emailCount: emails.length,
             attachmentCount: totalAttachments,
             emails,
-          }, null, 2));
+          });
           return;
         }
 
@@ -4313,8 +5176,7 @@ async function main() {
 
         console.log(chalk.gray(`Found ${totalAttachments} attachment(s) across ${emails.length} email(s).`));
       } catch (error) {
-        console.error(chalk.red('Error listing attachments:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error listing attachments:' });
       }
     }));
 
@@ -4338,13 +5200,13 @@ async function main() {
         const totalAttachments = emails.reduce((sum, e) => sum + e.attachments.length, 0);
 
         if (options.json) {
-          console.log(JSON.stringify({
+          printJson({
             account,
             pattern,
             emailCount: emails.length,
             attachmentCount: totalAttachments,
             emails,
-          }, null, 2));
+          });
           return;
         }
 
@@ -4369,8 +5231,7 @@ async function main() {
 
         console.log(chalk.gray(`Found ${totalAttachments} matching attachment(s) across ${emails.length} email(s).`));
       } catch (error) {
-        console.error(chalk.red('Error searching attachments:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error searching attachments:' });
       }
     }));
 
@@ -4381,8 +5242,10 @@ async function main() {
     .option('-a, --account <name>', 'Account name')
     .option('-o, --output <dir>', 'Output directory (default: current dir)', '.')
     .option('--filename <pattern>', 'Download only attachments matching pattern')
+    .option('--json', 'Output as JSON')
     .action(wrapAction(async (options) => {
       try {
+        const outcome = { downloaded: [], skipped: [], failed: [] };
         const { account, error } = resolveAccount(options.account, chalk);
         if (error) {
           console.log(error);
@@ -4403,21 +5266,23 @@ async function main() {
           // Fetch the email directly
           const email = await getEmailById(account, options.id);
           if (!email) {
-            console.log(chalk.red(`Email with ID "${options.id}" not found.`));
-            return;
+            throw new NotFoundError(`Email with ID "${options.id}" not found.`);
           }
           // Need to get full email with attachments
           const fullEmails = await getEmailsWithAttachments(account, { maxResults: 100 });
           const found = fullEmails.find(e => e.id === options.id);
-          if (!found) {
-            console.log(chalk.yellow('No attachments found in this email.'));
-            return;
-          }
-          emailInfo = found;
-          attachments = found.attachments;
+          emailInfo = found || null;
+          attachments = found ? found.attachments : [];
         }
 
+        const outputDir = resolvePath(options.output);
+        const printOutcome = () => printJson({ account, id: options.id, outputDir, ...outcome });
+
         if (attachments.length === 0) {
+          if (options.json) {
+            printOutcome();
+            return;
+          }
           console.log(chalk.yellow('No attachments found in this email.'));
           return;
         }
@@ -4429,22 +5294,30 @@ async function main() {
           attachments = attachments.filter(att => regex.test(att.filename.toLowerCase()));
 
           if (attachments.length === 0) {
+            if (options.json) {
+              printOutcome();
+              return;
+            }
             console.log(chalk.yellow(`No attachments matching "${options.filename}" found.`));
             return;
           }
         }
 
         // Ensure output directory exists
-        const outputDir = resolvePath(options.output);
         if (!fs.existsSync(outputDir)) {
           fs.mkdirSync(outputDir, { recursive: true });
         }
 
-        console.log(chalk.cyan(`Downloading ${attachments.length} attachment(s) to ${outputDir}...`));
+        if (!options.json) {
+          console.log(chalk.cyan(`Downloading ${attachments.length} attachment(s) to ${outputDir}...`));
+        }
 
         for (const att of attachments) {
           if (!att.attachmentId) {
-            console.log(chalk.yellow(`  Skipping ${att.filename} (no attachment ID)`));
+            outcome.skipped.push({ filename: att.filename, reason: 'no attachment ID' });
+            if (!options.json) {
+              console.log(chalk.yellow(`  Skipping ${att.filename} (no attachment ID)`));
+            }
             continue;
           }
 
@@ -4463,16 +5336,60 @@ async function main() {
             }
 
             fs.writeFileSync(finalPath, data);
-            console.log(chalk.green(`  ✓ ${path.basename(finalPath)} (${formatSize(data.length)})`));
+            outcome.downloaded.push({ filename: att.filename, path: finalPath, size: data.length });
+            if (!options.json) {
+              console.log(chalk.green(`  ✓ ${path.basename(finalPath)} (${formatSize(data.length)})`));
+            }
           } catch (err) {
-            console.log(chalk.red(`  ✗ ${att.filename}: ${err.message}`));
+            outcome.failed.push({ filename: att.filename, error: err.message });
+            if (!options.json) {
+              console.log(chalk.red(`  ✗ ${att.filename}: ${err.message}`));
+            }
           }
         }
 
+        if (outcome.failed.length > 0) {
+          process.exitCode = EXIT_PARTIAL;
+        }
+        if (options.json) {
+          printOutcome();
+          return;
+        }
         console.log(chalk.gray('\nDone.'));
       } catch (error) {
-        console.error(chalk.red('Error downloading attachments:'), error.message);
-        process.exit(1);
+        exitWithError(error, chalk, { label: 'Error downloading attachments:' });
+      }
+    }));
+
+  program
+    .command('schema')
+    .description('Print the JSON Schema of a command\'s --json output')
+    .argument('[command...]', 'Command, e.g. triage or "rules apply" (omit to list commands)')
+    .option('--json', 'Wrap the output in the JSON envelope')
+    .action(wrapAction(async (words, options) => {
+      try {
+        if (words.length === 0) {
+          const commands = listSchemaCommands();
+          if (options.json) {
+            printJson({ commands });
+            return;
+          }
+          commands.forEach(command => console.log(command));
+          return;
+        }
+
+        const command = words.join(' ');
+        const schema = getOutputSchema(command);
+        if (!schema) {
+          throw new NotFoundError(`No JSON output for "${command}". Run "inboxd schema" to list commands.`);
+        }
+        if (options.json) {
+          printJson({ command, schema });
+          return;
+        }
+        console.log(JSON.stringify(schema, null, 2));
+      } catch (error) {
+        exitWithError(error, chalk);
       }
     }));
 
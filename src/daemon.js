@@ -0,0 +1,514 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { TOKEN_DIR } = require('./gmail-auth');
+const { parseSchedule, getNextRun } = require('./schedule');
+
+const CLI_PATH = path.join(__dirname, 'cli.js');
+const DAEMON_CONFIG_VERSION = 1;
+// Longest sleep between checks, so clock changes and suspends are picked up
+const MAX_SLEEP_MS = 60 * 1000;
+// How long shutdown waits for running jobs before terminating them
+const SHUTDOWN_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Job types and the inboxd command each one runs
+ * Jobs run as child processes so a failing job cannot take the daemon down.
+ * apply-rules holds deletions and forwards (see `rules apply --hold-deletes`
+ * and `--hold-forwards`) unless the job sets allowDelete or allowForward;
+ * triage --auto never deletes or forwards.
+ */
+const JOB_TYPES = {
+  'apply-rules': {
+    buildArgs: (job) => [
+      'rules', 'apply', '--json', '--account', job.account, '--limit', String(job.limit || 50),
+      ...(job.allowDelete ? [] : ['--hold-deletes']),
+      ...(job.allowForward ? [] : ['--hold-forwards']),
+    ],
+    summarize: (output) => ({ totals: output.totals }),
+  },
+  triage: {
+    buildArgs: (job) => ['triage', '--auto', '--json', '--account', job.account, '--limit', String(job.limit || 100)],
+    summarize: (output) => ({
+      markRead: output.executed.markRead.count,
+      archived: output.executed.archived.count,
+      actions: output.executed.actions.count,
+      held: output.pending.delete.count,
+    }),
+  },
+  'refresh-cache': {
+    buildArgs: (job) => ['cache', 'sync', '--json', '--account', job.account],
+    summarize: (output) => ({ accounts: output.accounts }),
+  },
+};
+
+function getDaemonConfigPath() {
+  return path.join(TOKEN_DIR, 'daemon.json');
+}
+
+function getDaemonLockPath() {
+  return path.join(TOKEN_DIR, 'daemon.pid');
+}
+
+function getDaemonLogPath() {
+  return path.join(TOKEN_DIR, 'daemon-log.jsonl');
+}
+
+/**
+ * Reads daemon.json (an empty job list when it does not exist yet)
+ * @returns {{version: number, jobs: Array<Object>}}
+ */
+function readDaemonConfig() {
+  const configPath = getDaemonConfigPath();
+  if (!fs.existsSync(configPath)) {
+    return { version: DAEMON_CONFIG_VERSION, jobs: [] };
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error.message}`);
+  }
+  if (!parsed || parsed.version !== DAEMON_CONFIG_VERSION || !Array.isArray(parsed.jobs)) {
+    throw new Error(`${configPath} must be {"version": ${DAEMON_CONFIG_VERSION}, "jobs": [...]}.`);
+  }
+  return parsed;
+}
+
+/**
+ * Validates configured jobs and parses their schedules
+ * @param {{jobs: Array<Object>}} config - From readDaemonConfig
+ * @returns {Array<{name: string, type: string, schedule: Object, account: string, limit?: number, allowDelete: boolean, allowForward: boolean}>} Enabled jobs
+ */
+function validateDaemonJobs(config) {
+  const names = new Set();
+  return config.jobs.map((raw, index) => {
+    const name = raw && typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : null;
+    const label = name ? `Job "${name}"` : `Job #${index + 1}`;
+    if (!name) {
+      throw new Error(`${label} needs a name.`);
+    }
+    if (names.has(name)) {
+      throw new Error(`${label} is defined more than once.`);
+    }
+    names.add(name);
+    if (!JOB_TYPES[raw.type]) {
+      throw new Error(`${label} has unknown type "${raw.type}". Use ${Object.keys(JOB_TYPES).join(', ')}.`);
+    }
+    for (const key of ['allowDelete', 'allowForward']) {
+      if (raw[key] && raw.type !== 'apply-rules') {
+        throw new Error(`${label}: ${key} only applies to apply-rules jobs.`);
+      }
+    }
+    if (raw.limit !== undefined && !(Number.isInteger(raw.limit) && raw.limit > 0)) {
+      throw new Error(`${label}: limit must be a positive integer.`);
+    }
+    let schedule;
+    try {
+      schedule = parseSchedule(raw.schedule);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+    return {
+      name,
+      type: raw.type,
+      schedule,
+      account: raw.account || 'all',
+      ...(raw.limit !== undefined ? { limit: raw.limit } : {}),
+      allowDelete: raw.allowDelete === true,
+      allowForward: raw.allowForward === true,
+      enabled: raw.enabled !== false,
+    };
+  }).filter(job => job.enabled);
+}
+
+// ============================================================================
+// PID/lock file
+// ============================================================================
+
+/**
+ * Whether a process with this PID exists (EPERM means it does, owned by someone else)
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Reads the daemon lock file
+ * @returns {{pid: number, startedAt: string}|null}
+ */
+function readDaemonLock() {
+  try {
+    const lock = JSON.parse(fs.readFileSync(getDaemonLockPath(), 'utf8'));
+    return Number.isInteger(lock.pid) ? lock : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Takes the daemon lock for this process, replacing a lock left by a dead process
+ * @param {number} [pid] - PID to record
+ * @returns {{acquired: boolean, lock: Object}} The lock now held, or the running daemon's lock
+ */
+function acquireDaemonLock(pid = process.pid) {
+  fs.mkdirSync(TOKEN_DIR, { recursive: true });
+  const lock = { pid, startedAt: new Date().toISOString() };
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      // wx fails if the file exists, so two daemons cannot both win
+      fs.writeFileSync(getDaemonLockPath(), JSON.stringify(lock), { flag: 'wx' });
+      return { acquired: true, lock };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const existing = readDaemonLock();
+      if (existing && isProcessRunning(existing.pid)) {
+        return { acquired: false, lock: existing };
+      }
+      fs.rmSync(getDaemonLockPath(), { force: true });
+    }
+  }
+  return { acquired: false, lock: readDaemonLock() };
+}
+
+/**
+ * Removes the lock file if this process holds it
+ * @param {number} [pid] - PID that took the lock
+ */
+function releaseDaemonLock(pid = process.pid) {
+  const lock = readDaemonLock();
+  if (!lock || lock.pid === pid) {
+    fs.rmSync(getDaemonLockPath(), { force: true });
+  }
+}
+
+// ============================================================================
+// Job log (one JSON object per line)
+// ============================================================================
+
+/**
+ * Appends an event to the job log
+ * @param {Object} entry - Event fields (event, job, ...)
+ */
+function appendJobLog(entry) {
+  fs.mkdirSync(TOKEN_DIR, { recursive: true });
+  fs.appendFileSync(getDaemonLogPath(), `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`);
+}
+
+/**
+ * Reads the most recent job log events, skipping unreadable lines
+ * @param {number} [limit] - Max events to return
+ * @returns {Array<Object>} Oldest first
+ */
+function readJobLog(limit = 50) {
+  if (!fs.existsSync(getDaemonLogPath())) {
+    return [];
+  }
+  const entries = [];
+  fs.readFileSync(getDaemonLogPath(), 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (_err) {
+      // Partially written line from a crash
+    }
+  });
+  return entries.slice(-limit);
+}
+
+// ============================================================================
+// Running jobs
+// ============================================================================
+
+/**
+ * Runs one job as an inboxd child process
+ * @param {Object} job - Validated job
+ * @param {Object} [options]
+ * @param {Function} [options.spawnFn] - child_process.spawn replacement (tests)
+ * @returns {{child: Object, result: Promise<{ok: boolean, exitCode: number, durationMs: number, summary: Object|null, error: string|null}>}}
+ */
+function runJob(job, { spawnFn = spawn } = {}) {
+  const startedAt = Date.now();
+  const child = spawnFn(process.execPath, [CLI_PATH, ...JOB_TYPES[job.type].buildArgs(job)], {
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: { ...process.env, NO_UPDATE_NOTIFIER: '1' },
+  });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', chunk => { stdout += chunk; });
+  child.stderr.on('data', chunk => { stderr += chunk; });
+
+  const result = new Promise(resolve => {
+    const finish = (exitCode, spawnError) => {
+      // The --json envelope: {ok, command, data, errors, warnings}
+      let output = null;
+      try {
+        output = JSON.parse(stdout);
+      } catch (_err) {
+        // Not JSON (crash before output); stderr explains it
+      }
+      let summary = null;
+      if (output && output.ok) {
+        try {
+          summary = JOB_TYPES[job.type].summarize(output.data);
+        } catch (_err) {
+          summary = null;
+        }
+      }
+      // ok true with exit code 4: an account's token was rejected
+      const failure = output && output.errors && (output.ok ? output.errors.find(e => e.code === 'AUTH') : output.errors[0]);
+      const error = spawnError
+        ? spawnError.message
+        : (failure && failure.error) || (exitCode !== 0 ? stderr.trim().split('\n').pop() || `Exited with code ${exitCode}` : null);
+      resolve({
+        // Exit code 2 is a partial run: some messages could not be read
+        ok: !error && (exitCode === 0 || exitCode === 2),
+        exitCode,
+        durationMs: Date.now() - startedAt,
+        summary,
+        error,
+      });
+    };
+    child.on('error', error => finish(null, error));
+    child.on('close', code => finish(code, null));
+  });
+  return { child, result };
+}
+
+/**
+ * Runs jobs when their schedule fires
+ * A job whose previous run is still going is skipped (and logged) rather
+ * than started twice.
+ * @param {Array<Object>} jobs - From validateDaemonJobs
+ * @param {Object} [options]
+ * @param {Function} [options.runJobFn] - Replaces runJob (tests)
+ * @param {Function} [options.logFn] - Replaces appendJobLog (tests)
+ * @param {Function} [options.now] - Clock (tests)
+ * @returns {{tick: Function, start: Function, stop: Function, getJobs: Function}}
+ */
+function createScheduler(jobs, { runJobFn = runJob, logFn = appendJobLog, now = () => new Date() } = {}) {
+  const states = jobs.map(job => ({ job, nextRunAt: getNextRun(job.schedule, now()), running: null }));
+  let timer = null;
+  let stopping = false;
+
+  const launch = (state) => {
+    const { job } = state;
+    logFn({ event: 'job-start', job: job.name, type: job.type, account: job.account });
+    const handle = runJobFn(job);
+    state.running = handle;
+    handle.result.then(outcome => {
+      state.running = null;
+      logFn({ event: 'job-finish', job: job.name, type: job.type, ...outcome });
+    });
+  };
+
+  const tick = () => {
+    const current = now();
+    states.forEach(state => {
+      if (!state.nextRunAt || state.nextRunAt > current) return;
+      state.nextRunAt = getNextRun(state.job.schedule, current);
+      if (state.running) {
+        logFn({ event: 'job-skip', job: state.job.name, reason: 'previous run still in progress' });
+        return;
+      }
+      launch(state);
+    });
+  };
+
+  const scheduleNext = () => {
+    if (stopping) return;
+    const upcoming = states.map(state => state.nextRunAt).filter(Boolean).map(date => date.getTime());
+    const delay = upcoming.length > 0 ? Math.max(0, Math.min(...upcoming) - now().getTime()) : MAX_SLEEP_MS;
+    timer = setTimeout(() => {
+      tick();
+      scheduleNext();
+    }, Math.min(delay, MAX_SLEEP_MS));
+  };
+
+  /**
+   * Stops scheduling and waits for running jobs, terminating any still
+   * running after the timeout
+   */
+  const stop = async ({ timeoutMs = SHUTDOWN_TIMEOUT_MS } = {}) => {
+    stopping = true;
+    clearTimeout(timer);
+    const running = states.filter(state => state.running).map(state => state.running);
+    if (running.length === 0) return;
+    let timeout;
+    const timedOut = new Promise(resolve => { timeout = setTimeout(() => resolve(true), timeoutMs); });
+    const finished = Promise.all(running.map(handle => handle.result)).then(() => false);
+    if (await Promise.race([finished, timedOut])) {
+      running.forEach(handle => handle.child.kill('SIGTERM'));
+      await finished;
+    }
+    clearTimeout(timeout);
+  };
+
+  return {
+    tick,
+    start: scheduleNext,
+    stop,
+    getJobs: () => states.map(state => ({
+      name: state.job.name,
+      nextRunAt: state.nextRunAt ? state.nextRunAt.toISOString() : null,
+      running: Boolean(state.running),
+    })),
+  };
+}
+
+/**
+ * Runs the daemon in this process until SIGTERM or SIGINT
+ * @returns {Promise<void>} Resolves after a graceful shutdown
+ */
+async function runDaemon() {
+  const jobs = validateDaemonJobs(readDaemonConfig());
+  if (jobs.length === 0) {
+    throw new Error(`No enabled jobs in ${getDaemonConfigPath()}.`);
+  }
+  const { acquired, lock } = acquireDaemonLock();
+  if (!acquired) {
+    throw new Error(`The daemon is already running (PID ${lock ? lock.pid : 'unknown'}).`);
+  }
+
+  appendJobLog({ event: 'daemon-start', pid: process.pid, jobs: jobs.map(job => job.name) });
+  const scheduler = createScheduler(jobs);
+  scheduler.start();
+
+  await new Promise(resolve => {
+    const onTerm = () => shutdown('SIGTERM');
+    const onInt = () => shutdown('SIGINT');
+    const shutdown = async (signal) => {
+      process.removeListener('SIGTERM', onTerm);
+      process.removeListener('SIGINT', onInt);
+      await scheduler.stop();
+      appendJobLog({ event: 'daemon-stop', pid: process.pid, signal });
+      releaseDaemonLock();
+      resolve();
+    };
+    process.once('SIGTERM', onTerm);
+    process.once('SIGINT', onInt);
+  });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Starts the daemon as a detached background process
+ * @param {Object} [options]
+ * @param {number} [options.waitMs] - How long to wait for it to take the lock
+ * @returns {Promise<{pid: number}>}
+ */
+async function spawnDaemon({ waitMs = 5000 } = {}) {
+  const child = spawn(process.execPath, [CLI_PATH, 'daemon', 'start', '--foreground'], {
+    detached: true,
+    stdio: 'ignore',
+    env: { ...process.env, NO_UPDATE_NOTIFIER: '1' },
+  });
+  child.unref();
+
+  const deadline = Date.now() + waitMs;
+  while (Date.now() < deadline) {
+    const lock = readDaemonLock();
+    if (lock && lock.pid === child.pid) {
+      return { pid: child.pid };
+    }
+    if (!isProcessRunning(child.pid)) break;
+    await sleep(100);
+  }
+  throw new Error('The daemon did not start. Run "inboxd daemon start --foreground" to see why.');
+}
+
+/**
+ * Asks the running daemon to shut down and waits for it to exit
+ * @param {Object} [options]
+ * @param {number} [options.waitMs] - How long to wait for running jobs to finish
+ * @returns {Promise<{stopped: boolean, pid: number|null}>} stopped is false when no daemon was running
+ */
+async function stopDaemon({ waitMs = SHUTDOWN_TIMEOUT_MS + 5000 } = {}) {
+  const lock = readDaemonLock();
+  if (!lock || !isProcessRunning(lock.pid)) {
+    // Clean up after a daemon that died without releasing the lock
+    fs.rmSync(getDaemonLockPath(), { force: true });
+    return { stopped: false, pid: null };
+  }
+  process.kill(lock.pid, 'SIGTERM');
+  const deadline = Date.now() + waitMs;
+  while (Date.now() < deadline) {
+    if (!isProcessRunning(lock.pid)) {
+      return { stopped: true, pid: lock.pid };
+    }
+    await sleep(200);
+  }
+  throw new Error(`The daemon (PID ${lock.pid}) did not stop within ${Math.round(waitMs / 1000)}s.`);
+}
+
+/**
+ * Running state, configured jobs with their next run, and recent job log events
+ * @param {Object} [options]
+ * @param {number} [options.logLimit] - Recent log events to include
+ * @param {Date} [options.now] - Reference time for next runs
+ * @returns {Object}
+ */
+function getDaemonStatus({ logLimit = 10, now = new Date() } = {}) {
+  const lock = readDaemonLock();
+  const running = Boolean(lock && isProcessRunning(lock.pid));
+  let jobs = [];
+  let configError = null;
+  try {
+    jobs = validateDaemonJobs(readDaemonConfig());
+  } catch (error) {
+    configError = error.message;
+  }
+  const log = readJobLog(500);
+  const lastRuns = {};
+  log.filter(entry => entry.event === 'job-finish').forEach(entry => { lastRuns[entry.job] = entry; });
+
+  return {
+    running,
+    pid: running ? lock.pid : null,
+    startedAt: running ? lock.startedAt : null,
+    configPath: getDaemonConfigPath(),
+    logPath: getDaemonLogPath(),
+    configError,
+    jobs: jobs.map(job => {
+      const nextRun = getNextRun(job.schedule, now);
+      return {
+        name: job.name,
+        type: job.type,
+        schedule: job.schedule.expression,
+        account: job.account,
+        allowDelete: job.allowDelete,
+        allowForward: job.allowForward,
+        nextRunAt: nextRun ? nextRun.toISOString() : null,
+        lastRun: lastRuns[job.name] || null,
+      };
+    }),
+    recent: log.slice(-logLimit),
+  };
+}
+
+module.exports = {
+  JOB_TYPES,
+  getDaemonConfigPath,
+  getDaemonLockPath,
+  getDaemonLogPath,
+  readDaemonConfig,
+  validateDaemonJobs,
+  isProcessRunning,
+  readDaemonLock,
+  acquireDaemonLock,
+  releaseDaemonLock,
+  appendJobLog,
+  readJobLog,
+  runJob,
+  createScheduler,
+  runDaemon,
+  spawnDaemon,
+  stopDaemon,
+  getDaemonStatus,
+};
@@ -34,7 +34,7 @@ function readLog() {
 
 /**
  * Logs deleted emails to the deletion log
- * @param {Array} emails - Array of email objects with id, threadId, account, from, subject, snippet
+ * @param {Array} emails - Array of email objects with id, threadId, account, from, subject, snippet, date
  */
 function logDeletions(emails) {
   ensureLogDir();
@@ -50,6 +50,8 @@ function logDeletions(emails) {
       from: email.from,
       subject: email.subject,
       snippet: email.snippet,
+      // Message date, so rule suggestions can tell how long mail was kept
+      date: email.date,
       labelIds: email.labelIds || [],
     });
   }
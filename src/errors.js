@@ -0,0 +1,136 @@
+const { isRateLimitError } = require('./rate-limiter');
+
+/**
+ * Process exit codes by error code (documented in the README)
+ * 2 matches the partial-results exit code commands already used.
+ */
+const EXIT_CODES = {
+  INBOXD_ERROR: 1,
+  PARTIAL_FAILURE: 2,
+  VALIDATION: 3,
+  AUTH: 4,
+  NOT_FOUND: 5,
+  RATE_LIMITED: 6,
+  SAFETY_BLOCKED: 7,
+};
+
+/**
+ * Base class for errors inboxd raises on purpose
+ * `code` is stable across releases so callers can branch on it instead of
+ * matching messages; `details` carries structured context when there is any.
+ */
+class InboxdError extends Error {
+  constructor(message, { code = 'INBOXD_ERROR', details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+
+  /** Process exit code for this kind of failure */
+  get exitCode() {
+    return EXIT_CODES[this.code] || EXIT_CODES.INBOXD_ERROR;
+  }
+}
+
+/** Bad arguments or options (e.g. a non-numeric limit, no IDs) */
+class ValidationError extends InboxdError {
+  constructor(message, options = {}) {
+    super(message, { code: 'VALIDATION', ...options });
+  }
+}
+
+/** Missing credentials, or a token Google rejected or that lacks a scope */
+class AuthError extends InboxdError {
+  constructor(message, options = {}) {
+    super(message, { code: 'AUTH', ...options });
+  }
+}
+
+/** A message, thread or log entry that does not exist */
+class NotFoundError extends InboxdError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', ...options });
+  }
+}
+
+/** Gmail kept rate limiting after every retry */
+class RateLimitError extends InboxdError {
+  constructor(message, options = {}) {
+    super(message, { code: 'RATE_LIMITED', ...options });
+  }
+}
+
+/** Some items succeeded and some failed; details.errors lists the failures */
+class PartialFailureError extends InboxdError {
+  constructor(message, options = {}) {
+    super(message, { code: 'PARTIAL_FAILURE', ...options });
+  }
+}
+
+/** Refused by a safety check (broad filter, large batch) until forced */
+class SafetyBlockedError extends InboxdError {
+  constructor(message, options = {}) {
+    super(message, { code: 'SAFETY_BLOCKED', ...options });
+  }
+}
+
+function getHttpStatus(error) {
+  if (typeof error.code === 'number') return error.code;
+  return error.response?.status || error.status || null;
+}
+
+/**
+ * Classifies any thrown value as an InboxdError
+ * Gmail API and OAuth failures become AuthError, RateLimitError or
+ * NotFoundError by HTTP status; anything else keeps its message under the
+ * generic INBOXD_ERROR code.
+ * @param {*} error
+ * @returns {InboxdError}
+ */
+function toInboxdError(error) {
+  if (error instanceof InboxdError) return error;
+  const message = error?.message || String(error);
+  const options = { cause: error };
+  const status = error && typeof error === 'object' ? getHttpStatus(error) : null;
+
+  if (error && typeof error === 'object' && isRateLimitError(error)) {
+    return new RateLimitError(message, options);
+  }
+  if (status === 401 || status === 403 || /invalid_grant/.test(message)) {
+    return new AuthError(message, options);
+  }
+  if (status === 404) {
+    return new NotFoundError(message, options);
+  }
+  return new InboxdError(message, options);
+}
+
+/**
+ * JSON body for a failed command: {error, code} plus details when present
+ * @param {*} error
+ * @returns {{error: string, code: string, details?: *}}
+ */
+function formatErrorJson(error) {
+  const typed = toInboxdError(error);
+  return {
+    error: typed.message,
+    code: typed.code,
+    ...(typed.details !== undefined ? { details: typed.details } : {}),
+  };
+}
+
+module.exports = {
+  EXIT_CODES,
+  InboxdError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  PartialFailureError,
+  SafetyBlockedError,
+  toInboxdError,
+  formatErrorJson,
+};
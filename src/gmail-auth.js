@@ -4,8 +4,14 @@ const path = require('path');
 const os = require('os');
 const { authenticate } = require('@google-cloud/local-auth');
 const { google } = require('googleapis');
+const { AuthError } = require('./errors');
 
-const SCOPES = ['https://www.googleapis.com/auth/gmail.modify'];
+// gmail.settings.basic is needed for `rules push-filters`/`pull-filters`;
+// accounts authorized before it was added must re-run `inboxd auth`
+const SCOPES = [
+  'https://www.googleapis.com/auth/gmail.modify',
+  'https://www.googleapis.com/auth/gmail.settings.basic',
+];
 
 const TOKEN_DIR = process.env.INBOXD_TOKEN_DIR || path.join(os.homedir(), '.config', 'inboxd');
 const ACCOUNTS_FILE = path.join(TOKEN_DIR, 'accounts.json');
@@ -224,7 +230,7 @@ async function authorize(account = 'default') {
   try {
     await fs.access(credentialsPath);
   } catch (_err) {
-    throw new Error(
+    throw new AuthError(
       `credentials.json not found at ${credentialsPath}\n\n` +
       `Run 'inboxd setup' to configure Gmail API access, or manually:\n` +
       `1. Go to https://console.cloud.google.com/\n` +
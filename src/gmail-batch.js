@@ -0,0 +1,99 @@
+/**
+ * Gmail HTTP batch requests (multipart/mixed)
+ * Used for operations that have no bulk endpoint, such as trash/untrash.
+ */
+
+const BATCH_URL = 'https://gmail.googleapis.com/batch/gmail/v1';
+const MAX_BATCH_REQUESTS = 50;
+
+/**
+ * Builds a multipart/mixed body for a batch of API calls
+ * @param {string} boundary - Multipart boundary
+ * @param {Array<{method: string, path: string}>} requests - Calls to include
+ * @returns {string}
+ */
+function buildBatchBody(boundary, requests) {
+  const parts = requests.map((request, index) => [
+    `--${boundary}`,
+    'Content-Type: application/http',
+    `Content-ID: <item-${index}>`,
+    '',
+    `${request.method} ${request.path} HTTP/1.1`,
+    '',
+    '',
+  ].join('\r\n'));
+  return `${parts.join('')}--${boundary}--\r\n`;
+}
+
+/**
+ * Parses a multipart/mixed batch response
+ * @param {string} body - Raw response body
+ * @param {string} contentType - Response Content-Type header
+ * @returns {Map<number, {status: number, error?: string}>} Results keyed by request index
+ */
+function parseBatchResponse(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!match) {
+    throw new Error('Malformed batch response: missing boundary');
+  }
+  const boundary = match[1] || match[2];
+  const results = new Map();
+
+  for (const part of String(body).split(`--${boundary}`)) {
+    const idMatch = /Content-ID:\s*<?response-item-(\d+)>?/i.exec(part);
+    const statusMatch = /HTTP\/[\d.]+\s+(\d{3})/.exec(part);
+    if (!idMatch || !statusMatch) continue;
+
+    const status = parseInt(statusMatch[1], 10);
+    const result = { status };
+    if (status >= 400) {
+      result.error = `Request failed with status ${status}`;
+      const jsonStart = part.indexOf('{');
+      if (jsonStart !== -1) {
+        try {
+          const parsed = JSON.parse(part.slice(jsonStart, part.lastIndexOf('}') + 1));
+          result.error = parsed.error?.message || result.error;
+        } catch (_err) {
+          // Keep the generic message
+        }
+      }
+    }
+    results.set(parseInt(idMatch[1], 10), result);
+  }
+
+  return results;
+}
+
+/**
+ * Sends up to MAX_BATCH_REQUESTS calls in one HTTP request
+ * @param {Object} auth - Authorized OAuth2 client (must expose request())
+ * @param {Array<{method: string, path: string}>} requests - Calls to send
+ * @returns {Promise<Array<{status: number, error?: string}>>} Results in request order
+ */
+async function sendBatch(auth, requests) {
+  if (requests.length > MAX_BATCH_REQUESTS) {
+    throw new Error(`Batch requests are limited to ${MAX_BATCH_REQUESTS} calls`);
+  }
+  const boundary = `inboxd_batch_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const res = await auth.request({
+    url: BATCH_URL,
+    method: 'POST',
+    headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+    data: buildBatchBody(boundary, requests),
+    responseType: 'text',
+  });
+
+  const contentType = res.headers?.['content-type'] || res.headers?.get?.('content-type');
+  const parsed = parseBatchResponse(res.data, contentType);
+  return requests.map((_request, index) => parsed.get(index) || {
+    status: 0,
+    error: 'Missing response in batch',
+  });
+}
+
+module.exports = {
+  MAX_BATCH_REQUESTS,
+  buildBatchBody,
+  parseBatchResponse,
+  sendBatch,
+};
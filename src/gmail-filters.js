@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const { TOKEN_DIR } = require('./gmail-auth');
+const { atomicWriteJsonSync } = require('./utils');
+const { listFilters, createFilter, deleteFilter, listLabels } = require('./gmail-monitor');
+const { ruleAppliesToAccount, isRuleExpired } = require('./rules-engine');
+const { buildRule, findDuplicateRule, listRules, addRule } = require('./rules');
+
+const TRACKING_FILE = path.join(TOKEN_DIR, 'gmail-filters.json');
+const TRACKING_VERSION = 1;
+
+// What each rule action does to a message as it arrives
+const FILTER_ACTIONS = {
+  'always-delete': { addLabelIds: ['TRASH'] },
+  'auto-archive': { removeLabelIds: ['INBOX'] },
+  'auto-mark-read': { removeLabelIds: ['UNREAD'] },
+  star: { addLabelIds: ['STARRED'] },
+  'mark-important': { addLabelIds: ['IMPORTANT'] },
+};
+const UNSUPPORTED_ACTION_REASONS = {
+  'never-delete': 'never-delete has no Gmail filter equivalent',
+  'remove-label': 'new mail has no user labels to remove',
+  unstar: 'new mail is never starred',
+  forward: 'Gmail filters can only forward to verified addresses; keep using rules apply',
+};
+const FILTER_CONDITIONS = new Set(['match', 'subject', 'to', 'hasAttachment', 'largerThan', 'smallerThan']);
+
+function getFilterTrackingPath() {
+  return TRACKING_FILE;
+}
+
+/**
+ * Reads the record of filters inboxd created, by account and filter ID
+ * @returns {{version: number, accounts: Object<string, Object<string, {ruleId: string, criteria: Object, action: Object, createdAt: string}>>}}
+ */
+function readFilterTracking() {
+  fs.mkdirSync(TOKEN_DIR, { recursive: true });
+  if (!fs.existsSync(TRACKING_FILE)) {
+    return { version: TRACKING_VERSION, accounts: {} };
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(TRACKING_FILE, 'utf8'));
+    if (!parsed || typeof parsed.accounts !== 'object') {
+      return { version: TRACKING_VERSION, accounts: {} };
+    }
+    return parsed;
+  } catch (_err) {
+    return { version: TRACKING_VERSION, accounts: {} };
+  }
+}
+
+function writeFilterTracking(data) {
+  fs.mkdirSync(TOKEN_DIR, { recursive: true });
+  atomicWriteJsonSync(TRACKING_FILE, { ...data, version: TRACKING_VERSION });
+}
+
+function addressesOverlap(a, b) {
+  if (!a || !b) return true;
+  const left = a.toLowerCase();
+  const right = b.toLowerCase();
+  return left.includes(right) || right.includes(left);
+}
+
+/**
+ * Whether mail a delete filter for `rule` catches could also be mail the
+ * never-delete rule `protection` keeps
+ * Only provably disjoint matchers rule an overlap out: senders or recipients
+ * where neither contains the other, opposite attachment conditions, size
+ * ranges that cannot meet, or a protection scoped to other accounts. Subjects
+ * can contain both texts, so they never separate the two.
+ * @param {Object} protection - never-delete rule
+ * @param {Object} rule - Delete rule being pushed
+ * @param {string} [account] - Account the filter is pushed to
+ * @returns {boolean}
+ */
+function protectionOverlaps(protection, rule, account) {
+  if (isRuleExpired(protection)) return false;
+  if (account && !ruleAppliesToAccount(protection, account)) return false;
+  const guard = protection.conditions || {};
+  const filter = rule.conditions || {};
+  // With "any", one matching condition protects the email, so nothing is disjoint
+  if (guard.match === 'any') return true;
+  if (!addressesOverlap(protection.sender, rule.sender)) return false;
+  if (!addressesOverlap(guard.to, filter.to)) return false;
+  if (guard.hasAttachment !== undefined && filter.hasAttachment !== undefined && guard.hasAttachment !== filter.hasAttachment) {
+    return false;
+  }
+  const above = Math.max(guard.largerThan || 0, filter.largerThan || 0);
+  const below = Math.min(guard.smallerThan || Infinity, filter.smallerThan || Infinity);
+  return above < below;
+}
+
+/**
+ * Why a rule cannot become a Gmail filter, or null when it can
+ * Filters run once, as mail arrives, and cannot express age, expiry or
+ * most local-only conditions. A delete filter must not reach mail that a
+ * never-delete rule (for the same account) or the Important People list
+ * protects: Gmail trashes it before inboxd sees it, so it is not in the
+ * deletion log and `undo` cannot restore it.
+ * @param {Object} rule - Rule definition
+ * @param {Object} [context]
+ * @param {Array<Object>} [context.rules] - All rules, to check never-delete overlaps
+ * @param {Array<{entry: string, pattern: string}>} [context.protectedSenders] - Important People addresses
+ * @param {string} [context.account] - Account the filter is for (never-delete rules scoped elsewhere do not count)
+ * @returns {string|null}
+ */
+function getFilterIneligibility(rule, { rules = [], protectedSenders = [], account } = {}) {
+  if (UNSUPPORTED_ACTION_REASONS[rule.action]) {
+    return UNSUPPORTED_ACTION_REASONS[rule.action];
+  }
+  if (rule.olderThanDays) {
+    return 'filters run on arrival, so --older-than cannot apply';
+  }
+  if (rule.expiresAt) {
+    return 'Gmail filters cannot expire';
+  }
+  const conditions = rule.conditions || {};
+  if (conditions.match === 'any') {
+    return 'any-match rules have no filter equivalent';
+  }
+  const unsupported = Object.keys(conditions).find(key => !FILTER_CONDITIONS.has(key));
+  if (unsupported) {
+    return `condition "${unsupported}" has no filter equivalent`;
+  }
+  if (conditions.largerThan && conditions.smallerThan) {
+    return 'a filter supports only one size limit';
+  }
+  if (conditions.hasAttachment === false) {
+    return 'filters cannot require the absence of attachments';
+  }
+
+  if (rule.action === 'always-delete') {
+    const shielded = rules.find(other => other.action === 'never-delete' && protectionOverlaps(other, rule, account));
+    if (shielded) {
+      return `would delete mail protected by never-delete rule ${shielded.id}`;
+    }
+    const vip = protectedSenders.find(({ pattern }) => addressesOverlap(pattern, rule.sender));
+    if (vip) {
+      return `would delete mail from Important People entry "${vip.entry}"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Gmail filter definition for an eligible rule
+ * @param {Object} rule - Rule definition (see getFilterIneligibility)
+ * @param {string} [labelId] - Resolved label ID for apply-label
+ * @returns {{criteria: Object, action: Object}}
+ */
+function buildFilterSpec(rule, labelId) {
+  const conditions = rule.conditions || {};
+  const criteria = {};
+  if (rule.sender) criteria.from = rule.sender;
+  if (conditions.to) criteria.to = conditions.to;
+  if (conditions.subject) criteria.subject = conditions.subject;
+  if (conditions.hasAttachment) criteria.hasAttachment = true;
+  if (conditions.largerThan) {
+    criteria.size = conditions.largerThan;
+    criteria.sizeComparison = 'larger';
+  }
+  if (conditions.smallerThan) {
+    criteria.size = conditions.smallerThan;
+    criteria.sizeComparison = 'smaller';
+  }
+
+  const action = rule.action === 'apply-label'
+    ? { addLabelIds: [labelId] }
+    : { ...FILTER_ACTIONS[rule.action] };
+  return { criteria, action };
+}
+
+/**
+ * Stable key for comparing filter definitions (ignores key order and empty fields)
+ * @param {{criteria: Object, action: Object}} spec
+ * @returns {string}
+ */
+function getFilterKey({ criteria = {}, action = {} }) {
+  const normalize = (obj) => Object.keys(obj).sort()
+    .filter(key => obj[key] !== undefined && obj[key] !== null && !(Array.isArray(obj[key]) && obj[key].length === 0))
+    .map(key => [key, Array.isArray(obj[key]) ? obj[key].slice().sort() : String(obj[key]).toLowerCase()]);
+  return JSON.stringify([normalize(criteria), normalize(action)]);
+}
+
+/**
+ * Converts a Gmail filter into rule options (see buildRule)
+ * Each supported label change becomes its own rule, scoped to the account.
+ * @param {{criteria: Object, action: Object}} filter - Gmail filter
+ * @param {string} account - Account the filter belongs to
+ * @param {Object<string, string>} labelNames - User label names by ID
+ * @returns {{rules: Array<Object>, unsupported: Array<string>}} unsupported lists what could not be converted
+ */
+function filterToRules(filter, account, labelNames = {}) {
+  const criteria = filter.criteria || {};
+  const action = filter.action || {};
+  const unsupported = [];
+
+  if (criteria.query || criteria.negatedQuery) {
+    return { rules: [], unsupported: ['search query criteria'] };
+  }
+  const conditions = {};
+  if (criteria.to) conditions.to = criteria.to;
+  if (criteria.subject) conditions.subject = criteria.subject;
+  if (criteria.hasAttachment) conditions.hasAttachment = true;
+  if (criteria.size && criteria.sizeComparison) {
+    conditions[criteria.sizeComparison === 'larger' ? 'largerThan' : 'smallerThan'] = criteria.size;
+  }
+  if (!criteria.from && Object.keys(conditions).length === 0) {
+    return { rules: [], unsupported: ['filters without from, to, subject, attachment or size criteria'] };
+  }
+
+  const base = {
+    sender: criteria.from,
+    conditions: Object.keys(conditions).length > 0 ? conditions : null,
+    accounts: [account],
+  };
+  const rules = [];
+  (action.addLabelIds || []).forEach(labelId => {
+    if (labelId === 'TRASH') rules.push({ ...base, action: 'always-delete' });
+    else if (labelId === 'STARRED') rules.push({ ...base, action: 'star' });
+    else if (labelId === 'IMPORTANT') rules.push({ ...base, action: 'mark-important' });
+    else if (labelNames[labelId]) rules.push({ ...base, action: 'apply-label', label: labelNames[labelId] });
+    else unsupported.push(`add label ${labelId}`);
+  });
+  (action.removeLabelIds || []).forEach(labelId => {
+    if (labelId === 'INBOX') rules.push({ ...base, action: 'auto-archive' });
+    else if (labelId === 'UNREAD') rules.push({ ...base, action: 'auto-mark-read' });
+    else unsupported.push(`remove label ${labelId}`);
+  });
+  if (action.forward) {
+    unsupported.push(`forward to ${action.forward}`);
+  }
+  return { rules, unsupported };
+}
+
+/**
+ * Creates, replaces or removes the Gmail filters inboxd manages for an account
+ * so they match the eligible rules. Filters inboxd did not create are never
+ * deleted; when one already does exactly what a rule would, it is left alone.
+ * @param {string} account - Account name
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Plan only
+ * @param {Array<{entry: string, pattern: string}>} [options.protectedSenders] - Important People addresses
+ * @returns {Promise<{account: string, created: Array, deleted: Array, unchanged: Array, existing: Array, skipped: Array, errors: Array}>}
+ */
+async function pushFilters(account, { dryRun = false, protectedSenders = [] } = {}) {
+  const allRules = listRules();
+  const tracking = readFilterTracking();
+  const tracked = { ...(tracking.accounts[account] || {}) };
+  const gmailFilters = await listFilters(account);
+  const liveIds = new Set(gmailFilters.map(filter => filter.id));
+  const result = { account, created: [], deleted: [], unchanged: [], existing: [], skipped: [], errors: [] };
+
+  // Filters removed by hand in Gmail are simply forgotten
+  Object.keys(tracked).forEach(id => {
+    if (!liveIds.has(id)) delete tracked[id];
+  });
+
+  let labelIdsByName = null;
+  const resolveLabelId = async (name) => {
+    if (!labelIdsByName) {
+      labelIdsByName = new Map((await listLabels(account)).map(label => [label.name.toLowerCase(), label.id]));
+    }
+    return labelIdsByName.get(name.toLowerCase()) || null;
+  };
+
+  const wanted = [];
+  for (const rule of allRules) {
+    if (isRuleExpired(rule) || !ruleAppliesToAccount(rule, account)) continue;
+    const reason = getFilterIneligibility(rule, { rules: allRules, protectedSenders, account });
+    if (reason) {
+      result.skipped.push({ ruleId: rule.id, reason });
+      continue;
+    }
+    const labelId = rule.action === 'apply-label' ? await resolveLabelId(rule.label) : undefined;
+    if (rule.action === 'apply-label' && !labelId) {
+      result.skipped.push({ ruleId: rule.id, reason: `Label "${rule.label}" not found` });
+      continue;
+    }
+    wanted.push({ rule, spec: buildFilterSpec(rule, labelId) });
+  }
+
+  const toDelete = [];
+  const toCreate = [];
+  const keep = new Set();
+  wanted.forEach(({ rule, spec }) => {
+    const key = getFilterKey(spec);
+    const current = Object.entries(tracked).find(([, entry]) => entry.ruleId === rule.id);
+    if (current && getFilterKey(current[1]) === key) {
+      keep.add(current[0]);
+      result.unchanged.push({ ruleId: rule.id, filterId: current[0] });
+      return;
+    }
+    const handMade = gmailFilters.find(filter => !tracked[filter.id] && getFilterKey(filter) === key);
+    if (handMade) {
+      result.existing.push({ ruleId: rule.id, filterId: handMade.id });
+      return;
+    }
+    toCreate.push({ rule, spec });
+  });
+  Object.entries(tracked).forEach(([filterId, entry]) => {
+    if (!keep.has(filterId)) toDelete.push({ filterId, ruleId: entry.ruleId });
+  });
+
+  for (const item of toDelete) {
+    if (!dryRun) {
+      try {
+        await deleteFilter(account, item.filterId);
+      } catch (error) {
+        result.errors.push({ ...item, error: error.message });
+        continue;
+      }
+      delete tracked[item.filterId];
+    }
+    result.deleted.push(item);
+  }
+  for (const { rule, spec } of toCreate) {
+    if (dryRun) {
+      result.created.push({ ruleId: rule.id, filterId: null, ...spec });
+      continue;
+    }
+    try {
+      const filter = await createFilter(account, spec);
+      tracked[filter.id] = { ruleId: rule.id, ...spec, createdAt: new Date().toISOString() };
+      result.created.push({ ruleId: rule.id, filterId: filter.id, ...spec });
+    } catch (error) {
+      result.errors.push({ ruleId: rule.id, error: error.message });
+    }
+  }
+
+  if (!dryRun) {
+    tracking.accounts[account] = tracked;
+    writeFilterTracking(tracking);
+  }
+  return result;
+}
+
+/**
+ * Imports an account's hand-made Gmail filters as rules scoped to that account
+ * Filters inboxd created are skipped, and so are rules that already exist.
+ * @param {string} account - Account name
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Plan only
+ * @returns {Promise<{account: string, imported: Array, duplicates: Array, skipped: Array}>}
+ */
+async function pullFilters(account, { dryRun = false } = {}) {
+  const tracked = readFilterTracking().accounts[account] || {};
+  const gmailFilters = await listFilters(account);
+  const labels = await listLabels(account);
+  const labelNames = Object.fromEntries(labels.filter(label => label.type === 'user').map(label => [label.id, label.name]));
+  const result = { account, imported: [], duplicates: [], skipped: [] };
+
+  for (const filter of gmailFilters) {
+    if (tracked[filter.id]) continue;
+    const { rules, unsupported } = filterToRules(filter, account, labelNames);
+    if (unsupported.length > 0) {
+      result.skipped.push({ filterId: filter.id, reason: `unsupported: ${unsupported.join(', ')}` });
+    }
+    for (const options of rules) {
+      let rule;
+      let created;
+      try {
+        if (dryRun) {
+          const draft = buildRule(options);
+          const duplicate = findDuplicateRule(listRules(), draft);
+          rule = duplicate || draft;
+          created = !duplicate;
+        } else {
+          ({ rule, created } = addRule(options));
+        }
+      } catch (error) {
+        result.skipped.push({ filterId: filter.id, reason: error.message });
+        continue;
+      }
+      (created ? result.imported : result.duplicates).push({ filterId: filter.id, rule });
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  getFilterTrackingPath,
+  readFilterTracking,
+  getFilterIneligibility,
+  buildFilterSpec,
+  getFilterKey,
+  filterToRules,
+  pushFilters,
+  pullFilters,
+};
@@ -1,30 +1,21 @@
-const { getGmailClient } = require('./gmail-auth');
+const { getGmailClient, authorize } = require('./gmail-auth');
+const { readSyncState, writeSyncState } = require('./sync-state');
+const { readMessageCache, writeMessageCache, getAccountEntries, toCacheEntry, fromCacheEntry } = require('./message-cache');
+const { sendBatch, MAX_BATCH_REQUESTS } = require('./gmail-batch');
+const { runWithRateLimit, QUOTA_UNITS } = require('./rate-limiter');
+const { toInboxdError } = require('./errors');
 
 /**
- * Executes an async operation with a single retry on network errors.
- * Max 2 attempts total (initial + 1 retry).
- * Delays 1 second before retry.
+ * Executes a Gmail API call through the shared rate limiter.
+ * Quota is tracked per account; network errors, 5xx and rate-limit responses
+ * (429, rateLimitExceeded/userRateLimitExceeded 403) are retried with
+ * exponential backoff, honouring Retry-After. Auth errors are never retried.
+ * Sends pass idempotent: false so only rate-limit refusals are retried.
+ * @param {Function} operation - Async function performing the call
+ * @param {{account?: string, method?: string, units?: number, idempotent?: boolean}} [options] - Quota context
  */
-async function withRetry(operation) {
-  try {
-    return await operation();
-  } catch (error) {
-    // Do not retry on auth errors
-    if (error.code === 401 || error.code === 403 || error.response?.status === 401 || error.response?.status === 403) {
-      throw error;
-    }
-
-    const networkErrors = ['ENOTFOUND', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
-    const isNetworkError = networkErrors.includes(error.code);
-    const isServerError = error.response?.status >= 500;
-
-    if (isNetworkError || isServerError) {
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-      return operation();
-    }
-
-    throw error;
-  }
+async function withRetry(operation, options = {}) {
+  return runWithRateLimit(operation, options);
 }
 
 function getHeaderValue(headers, name) {
@@ -34,56 +25,477 @@ function getHeaderValue(headers, name) {
   return header ? header.value : '';
 }
 
-async function getUnreadEmails(account = 'default', maxResults = 20, includeRead = false) {
+// Incremental sync: the History API tells us what changed since the last run,
+// so only newly added messages need a metadata fetch. Metadata itself lives in
+// the shared message cache so every read command can reuse it.
+const METADATA_HEADERS = ['From', 'Subject', 'Date'];
+const HISTORY_TYPES = ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'];
+const SYNC_REFRESH_MS = 10 * 1000;
+const MAX_INCREMENTAL_ADDS = 500;
+const MAX_VIEW_IDS = 1000;
+// List queries that can be answered from history once listed, with the label
+// test each stands for. messages.list leaves out spam and trash by default.
+const LIST_VIEWS = {
+  'is:unread': labelIds => labelIds.includes('UNREAD') && isListable(labelIds),
+  '': labelIds => isListable(labelIds),
+};
+const syncSessions = new Map();
+let messageCache = null;
+
+function buildEmailMetadata(account, id, data) {
+  const headers = data.payload?.headers || [];
+  return {
+    id,
+    threadId: data.threadId,
+    labelIds: data.labelIds || [],
+    account,
+    from: getHeaderValue(headers, 'From'),
+    subject: getHeaderValue(headers, 'Subject'),
+    snippet: data.snippet,
+    date: getHeaderValue(headers, 'Date'),
+  };
+}
+
+async function fetchEmailMetadata(gmail, account, id) {
+  const detail = await withRetry(() => gmail.users.messages.get({
+    userId: 'me',
+    id,
+    format: 'metadata',
+    metadataHeaders: METADATA_HEADERS,
+  }), { account, method: 'messages.get' });
+  return buildEmailMetadata(account, id, detail.data);
+}
+
+function getCachedEntries(account) {
+  if (!messageCache) {
+    messageCache = readMessageCache();
+  }
+  return getAccountEntries(messageCache, account);
+}
+
+function resetCachedEntries(account) {
+  getCachedEntries(account);
+  messageCache.accounts[account] = {};
+}
+
+function isListable(labelIds) {
+  return !labelIds.includes('SPAM') && !labelIds.includes('TRASH');
+}
+
+// A change made here shows up in history right away; catch up on the next read
+// instead of serving views and labels from before it
+function expireSyncSession(account) {
+  const session = syncSessions.get(account);
+  if (session) session.syncedAt = 0;
+}
+
+function persistMessageCache() {
   try {
-    const gmail = await getGmailClient(account);
+    writeMessageCache(messageCache);
+  } catch (_err) {
+    // Non-fatal: next sync replays the change from history
+  }
+}
 
-    const res = await withRetry(() => gmail.users.messages.list({
+/**
+ * Applies a label change this process just made to its cached entries, so
+ * reads before the next history sync do not see the old labels
+ */
+function updateCachedLabels(account, results, { addLabelIds = [], removeLabelIds = [] }) {
+  expireSyncSession(account);
+  if (!messageCache || !messageCache.accounts[account]) return;
+  const entries = messageCache.accounts[account];
+  let changed = false;
+  for (const { id, success } of results) {
+    if (!success || !entries[id]) continue;
+    const kept = (entries[id].labelIds || []).filter(label => !removeLabelIds.includes(label));
+    entries[id].labelIds = [...kept, ...addLabelIds.filter(label => !kept.includes(label))];
+    changed = true;
+  }
+  if (changed) persistMessageCache();
+}
+
+/**
+ * Drops cached entries for messages this process just trashed or restored
+ * Gmail decides which labels those actions touch, so the next read refetches
+ */
+function evictCachedEntries(account, results) {
+  expireSyncSession(account);
+  if (!messageCache || !messageCache.accounts[account]) return;
+  const entries = messageCache.accounts[account];
+  let changed = false;
+  for (const { id, success } of results) {
+    if (!success || !entries[id]) continue;
+    delete entries[id];
+    changed = true;
+  }
+  if (changed) persistMessageCache();
+}
+
+/**
+ * Gmail answers 404 when startHistoryId is older than the retained history window
+ */
+function isHistoryExpiredError(error) {
+  return error.code === 404 || error.response?.status === 404;
+}
+
+async function listHistorySince(gmail, account, startHistoryId) {
+  const history = [];
+  let historyId = startHistoryId;
+  let pageToken;
+
+  do {
+    const res = await withRetry(() => gmail.users.history.list({
       userId: 'me',
-      q: includeRead ? '' : 'is:unread',
-      maxResults,
-    }));
+      startHistoryId,
+      historyTypes: HISTORY_TYPES,
+      pageToken,
+    }), { account, method: 'history.list' });
+    history.push(...(res.data.history || []));
+    historyId = res.data.historyId || historyId;
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+
+  return { history, historyId };
+}
 
-    const messages = res.data.messages;
-    if (!messages || messages.length === 0) {
-      return [];
+/**
+ * Starts over from the current mailbox history ID. Cached labels can no
+ * longer be verified against history, so the account's cache is dropped.
+ */
+async function resetSyncState(gmail, account, state, reason) {
+  const profile = await withRetry(() => gmail.users.getProfile({ userId: 'me' }), { account, method: 'getProfile' });
+  state.historyId = profile.data.historyId || null;
+  state.lastSyncAt = new Date().toISOString();
+  state.views = {};
+  resetCachedEntries(account);
+  return {
+    account,
+    mode: 'full',
+    reason,
+    historyId: state.historyId,
+    added: [],
+    removed: [],
+    labelChanges: [],
+  };
+}
+
+/**
+ * Collapses history records into the net set of adds, deletes and label changes
+ */
+function summarizeHistory(history) {
+  const added = new Set();
+  const removed = new Set();
+  const labelChanges = new Map();
+
+  for (const record of history) {
+    for (const { message } of record.messagesAdded || []) {
+      added.add(message.id);
+      removed.delete(message.id);
+    }
+    for (const { message } of record.messagesDeleted || []) {
+      removed.add(message.id);
+      added.delete(message.id);
+      labelChanges.delete(message.id);
     }
+    const changes = [
+      ...(record.labelsAdded || []).map(change => ({ ...change, type: 'added' })),
+      ...(record.labelsRemoved || []).map(change => ({ ...change, type: 'removed' })),
+    ];
+    for (const change of changes) {
+      const id = change.message.id;
+      if (removed.has(id)) continue;
+      const entry = labelChanges.get(id) || { id, labelIds: [], addedLabelIds: [], removedLabelIds: [] };
+      entry.labelIds = change.message.labelIds || entry.labelIds;
+      const target = change.type === 'added' ? entry.addedLabelIds : entry.removedLabelIds;
+      const opposite = change.type === 'added' ? entry.removedLabelIds : entry.addedLabelIds;
+      for (const labelId of change.labelIds || []) {
+        if (!target.includes(labelId)) target.push(labelId);
+        const index = opposite.indexOf(labelId);
+        if (index !== -1) opposite.splice(index, 1);
+      }
+      labelChanges.set(id, entry);
+    }
+  }
 
-    const emailPromises = messages.map(async (msg) => {
-      try {
-        const detail = await withRetry(() => gmail.users.messages.get({
-          userId: 'me',
-          id: msg.id,
-          format: 'metadata',
-          metadataHeaders: ['From', 'Subject', 'Date'],
-        }));
-
-        const headers = detail.data.payload.headers;
-        const getHeader = (name) => {
-          const header = headers.find((h) => h.name === name);
-          return header ? header.value : '';
-        };
+  return { added, removed, labelChanges };
+}
 
-        return {
-          id: msg.id,
-          threadId: detail.data.threadId,
-          labelIds: detail.data.labelIds || [],
-          account,
-          from: getHeader('From'),
-          subject: getHeader('Subject'),
-          snippet: detail.data.snippet,
-          date: getHeader('Date'),
-        };
+/**
+ * Keeps stored list views in step with history
+ * New messages go on top. A message that starts matching without being new
+ * cannot be placed in the listing order, and one whose labels could not be
+ * read cannot be tested, so those views are dropped and the next read lists.
+ */
+function updateViews(state, { added, addedEmails, removed, labelChanges, unresolved }) {
+  for (const [query, view] of Object.entries(state.views || {})) {
+    const matches = LIST_VIEWS[query];
+    if (!matches || unresolved > 0) {
+      delete state.views[query];
+      continue;
+    }
+
+    let ids = view.ids.filter(id => !removed.has(id));
+    let placeable = true;
+    for (const change of labelChanges.values()) {
+      if (added.has(change.id)) continue;
+      const inView = ids.includes(change.id);
+      if (matches(change.labelIds)) {
+        placeable = placeable && inView;
+      } else if (inView) {
+        ids = ids.filter(id => id !== change.id);
+      }
+    }
+    if (!placeable) {
+      delete state.views[query];
+      continue;
+    }
+
+    for (const email of addedEmails) {
+      if (matches(email.labelIds) && !ids.includes(email.id)) {
+        ids.unshift(email.id);
+      }
+    }
+    state.views[query] = {
+      ids: ids.slice(0, MAX_VIEW_IDS),
+      complete: view.complete && ids.length <= MAX_VIEW_IDS,
+    };
+  }
+}
+
+/**
+ * Brings a sync state and the account's message cache up to date
+ * Falls back to a full resync when there is no stored historyId, the stored
+ * historyId has expired, or too many messages were added to catch up cheaply
+ * @param {Object} gmail - Gmail client
+ * @param {string} account - Account name
+ * @param {Object} state - State as returned by readSyncState (mutated in place)
+ * @returns {Promise<Object>} Summary of what changed
+ */
+async function applyHistory(gmail, account, state) {
+  if (!state.historyId) {
+    return resetSyncState(gmail, account, state, 'no-history');
+  }
+
+  let result;
+  try {
+    result = await listHistorySince(gmail, account, state.historyId);
+  } catch (error) {
+    if (!isHistoryExpiredError(error)) {
+      throw error;
+    }
+    return resetSyncState(gmail, account, state, 'history-expired');
+  }
+
+  const { added, removed, labelChanges } = summarizeHistory(result.history);
+  if (added.size > MAX_INCREMENTAL_ADDS) {
+    return resetSyncState(gmail, account, state, 'too-many-changes');
+  }
+
+  const entries = getCachedEntries(account);
+  for (const id of removed) {
+    delete entries[id];
+  }
+  for (const change of labelChanges.values()) {
+    if (entries[change.id]) {
+      entries[change.id].labelIds = change.labelIds;
+    }
+  }
+
+  const now = new Date().toISOString();
+  const addedEmails = [];
+  const addedIds = [...added];
+  const DETAIL_BATCH_SIZE = 10;
+  for (let i = 0; i < addedIds.length; i += DETAIL_BATCH_SIZE) {
+    const batch = addedIds.slice(i, i + DETAIL_BATCH_SIZE);
+    const emails = await Promise.all(batch.map(async (id) => {
+      try {
+        return await fetchEmailMetadata(gmail, account, id);
       } catch (_err) {
+        // Message may have been deleted after the history record was written
         return null;
       }
-    });
+    }));
+    for (const email of emails.filter(e => e !== null)) {
+      entries[email.id] = toCacheEntry(email, now);
+      addedEmails.push(email);
+    }
+  }
 
-    const results = await Promise.all(emailPromises);
-    return results.filter((email) => email !== null);
+  updateViews(state, { added, addedEmails, removed, labelChanges, unresolved: added.size - addedEmails.length });
+  state.historyId = result.historyId;
+  state.lastSyncAt = now;
+
+  return {
+    account,
+    mode: 'incremental',
+    historyId: state.historyId,
+    added: addedEmails,
+    removed: [...removed],
+    labelChanges: [...labelChanges.values()],
+  };
+}
+
+async function getSyncedState(gmail, account, { force = false } = {}) {
+  const session = syncSessions.get(account);
+  if (!force && session && Date.now() - session.syncedAt < SYNC_REFRESH_MS) {
+    return { state: session.state, changes: null };
+  }
+
+  const state = session ? session.state : readSyncState(account);
+  const changes = await applyHistory(gmail, account, state);
+  syncSessions.set(account, { state, syncedAt: Date.now() });
+  return { state, changes };
+}
+
+function saveSyncedState(account) {
+  const session = syncSessions.get(account);
+  if (!session) return;
+  try {
+    writeSyncState(account, session.state);
+    writeMessageCache(messageCache);
+  } catch (_err) {
+    // Non-fatal: next run will resync
+  }
+}
+
+/**
+ * Syncs the local message cache for an account using the Gmail History API
+ * @param {string} account - Account name
+ * @returns {Promise<{account: string, mode: 'full'|'incremental', historyId: string|null, added: Array<Object>, removed: Array<string>, labelChanges: Array<Object>, reason?: string}>}
+ */
+async function syncMailbox(account = 'default') {
+  const gmail = await getGmailClient(account);
+  const { state, changes } = await getSyncedState(gmail, account, { force: true });
+  writeSyncState(account, state);
+  writeMessageCache(messageCache);
+  return changes;
+}
+
+/**
+ * Returns the account's cache entries once they are in sync with the mailbox,
+ * or null when syncing failed and callers should fetch live
+ */
+async function openMessageCache(gmail, account) {
+  try {
+    await getSyncedState(gmail, account);
+    return getCachedEntries(account);
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Returns the listing for a query from the synced view, or null when there is
+ * no view or it holds fewer messages than asked for and more may exist
+ */
+function readView(account, query, maxResults) {
+  const view = syncSessions.get(account)?.state.views?.[query];
+  if (!view || (!view.complete && view.ids.length < maxResults)) {
+    return null;
+  }
+  return view.ids.slice(0, maxResults).map(id => ({ id }));
+}
+
+function storeView(account, query, messages, complete) {
+  const session = syncSessions.get(account);
+  if (!session || !LIST_VIEWS[query]) return;
+  session.state.views = session.state.views || {};
+  session.state.views[query] = { ids: messages.map(msg => msg.id), complete };
+}
+
+/**
+ * Describes a message or account that could not be read
+ * @param {string} account - Account name
+ * @param {string|null} id - Message ID (null when the whole request failed)
+ * @param {Error} error - Underlying error
+ * @returns {{account: string, id: string|null, error: string, code: number|string|null}}
+ */
+// A rejected or revoked token is reported as AUTH rather than its HTTP status
+function isAuthFailure(error) {
+  return toInboxdError(error).code === 'AUTH';
+}
+
+function toFetchError(account, id, error) {
+  return {
+    account,
+    id,
+    error: error.message,
+    code: isAuthFailure(error) ? 'AUTH' : error.code || error.response?.status || null,
+  };
+}
+
+function toFailedResult(id, error) {
+  return { id, success: false, error: error.message, ...(isAuthFailure(error) ? { code: 'AUTH' } : {}) };
+}
+
+/**
+ * Resolves listed messages to email metadata, serving cached IDs and
+ * fetching (then caching) only the ones not seen before
+ * @returns {Promise<{emails: Array<Object>, errors: Array<Object>}>}
+ */
+async function resolveEmails(gmail, account, messages, entries) {
+  const now = new Date().toISOString();
+  const errors = [];
+  const emails = await Promise.all(messages.map(async (msg) => {
+    const cached = entries?.[msg.id];
+    if (cached) {
+      cached.seenAt = now;
+      return fromCacheEntry(account, cached);
+    }
+    try {
+      const email = await fetchEmailMetadata(gmail, account, msg.id);
+      if (entries) {
+        entries[msg.id] = toCacheEntry(email, now);
+      }
+      return email;
+    } catch (err) {
+      errors.push(toFetchError(account, msg.id, err));
+      return null;
+    }
+  }));
+  return { emails: emails.filter(e => e !== null), errors };
+}
+
+/**
+ * Fetches unread messages (or all recent messages when includeRead is set)
+ * @param {string} account - Account name
+ * @param {number} maxResults - Max messages to return
+ * @param {boolean} includeRead - Include read messages
+ * @returns {Promise<{emails: Array<Object>, errors: Array<{account: string, id: string|null, error: string, code: number|string|null}>}>}
+ *   Messages that could not be read are listed in errors; a failed list call
+ *   yields a single error with id null
+ * The first call lists the query; later ones are answered from history alone
+ * while the synced view still covers maxResults messages
+ */
+async function getUnreadEmails(account = 'default', maxResults = 20, includeRead = false) {
+  try {
+    const gmail = await getGmailClient(account);
+    const query = includeRead ? '' : 'is:unread';
+    const entries = await openMessageCache(gmail, account);
+
+    // Once synced, history keeps the listing current; only list when there is none
+    let messages = entries ? readView(account, query, maxResults) : null;
+    if (!messages) {
+      const res = await withRetry(() => gmail.users.messages.list({
+        userId: 'me',
+        q: query,
+        maxResults,
+      }), { account, method: 'messages.list' });
+      messages = res.data.messages || [];
+      if (entries) storeView(account, query, messages, !res.data.nextPageToken);
+    }
+
+    if (messages.length === 0) {
+      if (entries) saveSyncedState(account);
+      return { emails: [], errors: [] };
+    }
+
+    const result = await resolveEmails(gmail, account, messages, entries);
+    if (entries) saveSyncedState(account);
+    return result;
   } catch (error) {
-    console.error(`Error in getUnreadEmails for ${account}:`, error.message);
-    return [];
+    return { emails: [], errors: [toFetchError(account, null, error)] };
   }
 }
 
@@ -93,7 +505,7 @@ async function getEmailCount(account = 'default') {
     const res = await withRetry(() => gmail.users.labels.get({
       userId: 'me',
       id: 'INBOX',
-    }));
+    }), { account, method: 'labels.get' });
     return res.data.messagesUnread || 0;
   } catch (error) {
     console.error(`Error in getEmailCount for ${account}:`, error.message);
@@ -101,31 +513,169 @@ async function getEmailCount(account = 'default') {
   }
 }
 
+// Bulk modify helpers. batchModify covers label changes for up to 1000 IDs per
+// call; trash/untrash have no bulk endpoint and go through HTTP batch requests.
+// Both keep the per-ID {id, success, error} result contract; failures from a
+// rejected token also carry code 'AUTH'.
+const BATCH_MODIFY_LIMIT = 1000;
+
+function chunkIds(ids, size) {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += size) {
+    chunks.push(ids.slice(i, i + size));
+  }
+  return chunks;
+}
+
+async function modifyEach(gmail, account, messageIds, requestBody) {
+  const results = [];
+  for (const id of messageIds) {
+    try {
+      await withRetry(() => gmail.users.messages.modify({
+        userId: 'me',
+        id,
+        requestBody,
+      }), { account, method: 'messages.modify' });
+      results.push({ id, success: true });
+    } catch (err) {
+      results.push(toFailedResult(id, err));
+    }
+  }
+  return results;
+}
+
 /**
- * Moves emails to trash
+ * Whether a failed batch was refused because of the IDs it named (400/404)
+ */
+function isIdSpecificError(error) {
+  const status = typeof error.code === 'number' ? error.code : error.response?.status;
+  return status === 400 || status === 404;
+}
+
+/**
+ * Applies the same label change to many messages
+ * batchModify is all-or-nothing, so a chunk refused over its IDs (400/404)
+ * is retried one ID at a time to find out which messages actually failed.
+ * Auth and rate-limit failures are rethrown, since every ID would fail the
+ * same way; other failures mark the whole chunk failed.
+ * @param {Object} gmail - Gmail client
  * @param {string} account - Account name
- * @param {Array<string>} messageIds - Array of message IDs to trash
- * @returns {Array<{id: string, success: boolean, error?: string}>} Results for each message
+ * @param {Array<string>} messageIds - Message IDs
+ * @param {{addLabelIds?: Array<string>, removeLabelIds?: Array<string>}} requestBody - Label change
+ * @returns {Promise<Array<{id: string, success: boolean, error?: string}>>}
  */
-async function trashEmails(account, messageIds) {
-  const gmail = await getGmailClient(account);
+async function modifyMessages(gmail, account, messageIds, requestBody) {
   const results = [];
+  try {
+    for (const ids of chunkIds(messageIds, BATCH_MODIFY_LIMIT)) {
+      try {
+        await withRetry(() => gmail.users.messages.batchModify({
+          userId: 'me',
+          requestBody: { ids, ...requestBody },
+        }), { account, method: 'messages.batchModify' });
+        results.push(...ids.map(id => ({ id, success: true })));
+      } catch (err) {
+        const { code } = toInboxdError(err);
+        if (code === 'AUTH' || code === 'RATE_LIMITED') {
+          throw err;
+        }
+        if (isIdSpecificError(err)) {
+          results.push(...await modifyEach(gmail, account, ids, requestBody));
+        } else {
+          results.push(...ids.map(id => toFailedResult(id, err)));
+        }
+      }
+    }
+  } finally {
+    // Chunks that went through before a rethrow still changed labels
+    updateCachedLabels(account, results, requestBody);
+  }
+  return results;
+}
 
+async function runActionEach(gmail, account, messageIds, action) {
+  const results = [];
   for (const id of messageIds) {
     try {
-      await withRetry(() => gmail.users.messages.trash({
+      await withRetry(() => gmail.users.messages[action]({
         userId: 'me',
-        id: id,
-      }));
+        id,
+      }), { account, method: `messages.${action}` });
       results.push({ id, success: true });
     } catch (err) {
-      results.push({ id, success: false, error: err.message });
+      results.push(toFailedResult(id, err));
     }
   }
+  return results;
+}
+
+/**
+ * Runs a per-message action (trash/untrash) through HTTP batch requests
+ * Falls back to one request per ID when the client cannot send raw batches
+ * or a whole batch fails; throttled or server-failed parts are retried singly
+ * @param {Object} gmail - Gmail client
+ * @param {Object} auth - The account's OAuth client (sends the raw batch requests)
+ * @param {string} account - Account name
+ * @param {Array<string>} messageIds - Message IDs
+ * @param {'trash'|'untrash'} action - Message action
+ * @returns {Promise<Array<{id: string, success: boolean, error?: string}>>}
+ */
+async function runMessageAction(gmail, auth, account, messageIds, action) {
+  if (!auth || typeof auth.request !== 'function') {
+    const results = await runActionEach(gmail, account, messageIds, action);
+    evictCachedEntries(account, results);
+    return results;
+  }
 
+  const results = [];
+  for (const ids of chunkIds(messageIds, MAX_BATCH_REQUESTS)) {
+    const method = `messages.${action}`;
+    let responses;
+    try {
+      responses = await withRetry(() => sendBatch(auth, ids.map(id => ({
+        method: 'POST',
+        path: `/gmail/v1/users/me/messages/${encodeURIComponent(id)}/${action}`,
+      }))), { account, method, units: ids.length * QUOTA_UNITS[method] });
+    } catch (_err) {
+      results.push(...await runActionEach(gmail, account, ids, action));
+      continue;
+    }
+
+    const retryIds = [];
+    const chunkResults = ids.map((id, index) => {
+      const { status, error } = responses[index];
+      if (status >= 200 && status < 300) {
+        return { id, success: true };
+      }
+      if (status === 429 || status >= 500 || status === 0) {
+        retryIds.push(id);
+      }
+      return { id, success: false, error, ...(status === 401 ? { code: 'AUTH' } : {}) };
+    });
+
+    if (retryIds.length > 0) {
+      const retried = new Map((await runActionEach(gmail, account, retryIds, action)).map(r => [r.id, r]));
+      results.push(...chunkResults.map(r => retried.get(r.id) || r));
+    } else {
+      results.push(...chunkResults);
+    }
+  }
+  evictCachedEntries(account, results);
   return results;
 }
 
+/**
+ * Moves emails to trash
+ * @param {string} account - Account name
+ * @param {Array<string>} messageIds - Array of message IDs to trash
+ * @returns {Array<{id: string, success: boolean, error?: string}>} Results for each message
+ */
+async function trashEmails(account, messageIds) {
+  const gmail = await getGmailClient(account);
+  const auth = await authorize(account);
+  return runMessageAction(gmail, auth, account, messageIds, 'trash');
+}
+
 /**
  * Gets email details by ID (for logging before deletion)
  * @param {string} account - Account name
@@ -135,29 +685,12 @@ async function trashEmails(account, messageIds) {
 async function getEmailById(account, messageId) {
   try {
     const gmail = await getGmailClient(account);
-    const detail = await withRetry(() => gmail.users.messages.get({
-      userId: 'me',
-      id: messageId,
-      format: 'metadata',
-      metadataHeaders: ['From', 'Subject', 'Date'],
-    }));
-
-    const headers = detail.data.payload.headers;
-    const getHeader = (name) => {
-      const header = headers.find((h) => h.name === name);
-      return header ? header.value : '';
-    };
-
-    return {
-      id: messageId,
-      threadId: detail.data.threadId,
-      labelIds: detail.data.labelIds || [],
-      account,
-      from: getHeader('From'),
-      subject: getHeader('Subject'),
-      snippet: detail.data.snippet,
-      date: getHeader('Date'),
-    };
+    const entries = await openMessageCache(gmail, account);
+    const wasCached = Boolean(entries?.[messageId]);
+    const { emails: [email] } = await resolveEmails(gmail, account, [{ id: messageId }], entries);
+    // Skip rewriting the cache file on hits; callers often look up IDs one by one
+    if (entries && email && !wasCached) saveSyncedState(account);
+    return email || null;
   } catch (_err) {
     return null;
   }
@@ -171,21 +704,8 @@ async function getEmailById(account, messageId) {
  */
 async function untrashEmails(account, messageIds) {
   const gmail = await getGmailClient(account);
-  const results = [];
-
-  for (const id of messageIds) {
-    try {
-      await withRetry(() => gmail.users.messages.untrash({
-        userId: 'me',
-        id: id,
-      }));
-      results.push({ id, success: true });
-    } catch (err) {
-      results.push({ id, success: false, error: err.message });
-    }
-  }
-
-  return results;
+  const auth = await authorize(account);
+  return runMessageAction(gmail, auth, account, messageIds, 'untrash');
 }
 
 /**
@@ -196,24 +716,9 @@ async function untrashEmails(account, messageIds) {
  */
 async function markAsRead(account, messageIds) {
   const gmail = await getGmailClient(account);
-  const results = [];
-
-  for (const id of messageIds) {
-    try {
-      await withRetry(() => gmail.users.messages.modify({
-        userId: 'me',
-        id: id,
-        requestBody: {
-          removeLabelIds: ['UNREAD'],
-        },
-      }));
-      results.push({ id, success: true });
-    } catch (err) {
-      results.push({ id, success: false, error: err.message });
-    }
-  }
-
-  return results;
+  return modifyMessages(gmail, account, messageIds, {
+    removeLabelIds: ['UNREAD'],
+  });
 }
 
 /**
@@ -224,24 +729,9 @@ async function markAsRead(account, messageIds) {
  */
 async function markAsUnread(account, messageIds) {
   const gmail = await getGmailClient(account);
-  const results = [];
-
-  for (const id of messageIds) {
-    try {
-      await withRetry(() => gmail.users.messages.modify({
-        userId: 'me',
-        id: id,
-        requestBody: {
-          addLabelIds: ['UNREAD'],
-        },
-      }));
-      results.push({ id, success: true });
-    } catch (err) {
-      results.push({ id, success: false, error: err.message });
-    }
-  }
-
-  return results;
+  return modifyMessages(gmail, account, messageIds, {
+    addLabelIds: ['UNREAD'],
+  });
 }
 
 /**
@@ -252,24 +742,9 @@ async function markAsUnread(account, messageIds) {
  */
 async function archiveEmails(account, messageIds) {
   const gmail = await getGmailClient(account);
-  const results = [];
-
-  for (const id of messageIds) {
-    try {
-      await withRetry(() => gmail.users.messages.modify({
-        userId: 'me',
-        id: id,
-        requestBody: {
-          removeLabelIds: ['INBOX'],
-        },
-      }));
-      results.push({ id, success: true });
-    } catch (err) {
-      results.push({ id, success: false, error: err.message });
-    }
-  }
-
-  return results;
+  return modifyMessages(gmail, account, messageIds, {
+    removeLabelIds: ['INBOX'],
+  });
 }
 
 /**
@@ -280,24 +755,9 @@ async function archiveEmails(account, messageIds) {
  */
 async function unarchiveEmails(account, messageIds) {
   const gmail = await getGmailClient(account);
-  const results = [];
-
-  for (const id of messageIds) {
-    try {
-      await withRetry(() => gmail.users.messages.modify({
-        userId: 'me',
-        id: id,
-        requestBody: {
-          addLabelIds: ['INBOX'],
-        },
-      }));
-      results.push({ id, success: true });
-    } catch (err) {
-      results.push({ id, success: false, error: err.message });
-    }
-  }
-
-  return results;
+  return modifyMessages(gmail, account, messageIds, {
+    addLabelIds: ['INBOX'],
+  });
 }
 
 /**
@@ -683,7 +1143,7 @@ async function getEmailContent(account, messageId, options = {}) {
         id: messageId,
         format: 'metadata',
         metadataHeaders: ['From', 'To', 'Subject', 'Date'],
-      }));
+      }), { account, method: 'messages.get' });
 
       const headers = detail.data.payload?.headers || [];
       const getHeader = (name) => {
@@ -710,7 +1170,7 @@ async function getEmailContent(account, messageId, options = {}) {
       userId: 'me',
       id: messageId,
       format: 'full',
-    }));
+    }), { account, method: 'messages.get' });
 
     const headers = detail.data.payload.headers || [];
     const getHeader = (name) => {
@@ -756,7 +1216,7 @@ async function getThread(account, threadId, options = {}) {
       id: threadId,
       format: includeContent ? 'full' : 'metadata',
       metadataHeaders: ['From', 'To', 'Subject', 'Date'],
-    }));
+    }), { account, method: 'threads.get' });
 
     const messages = (res.data.messages || []).map((message) => {
       const headers = message.payload?.headers || [];
@@ -836,7 +1296,8 @@ function extractBodyFromPayload(payload) {
  * @param {string} account - Account name
  * @param {string} query - Gmail search query (e.g. "is:unread from:google")
  * @param {number} maxResults - Max results to return
- * @returns {Array} List of email metadata objects
+ * @returns {Promise<{emails: Array<Object>, errors: Array<Object>}>} Matching emails plus any
+ *   messages or requests that could not be read (see getUnreadEmails)
  */
 async function searchEmails(account, query, maxResults = 100) {
   try {
@@ -845,48 +1306,19 @@ async function searchEmails(account, query, maxResults = 100) {
       userId: 'me',
       q: query,
       maxResults,
-    }));
+    }), { account, method: 'messages.list' });
 
     const messages = res.data.messages;
     if (!messages || messages.length === 0) {
-      return [];
+      return { emails: [], errors: [] };
     }
 
-    const emailPromises = messages.map(async (msg) => {
-      try {
-        const detail = await withRetry(() => gmail.users.messages.get({
-          userId: 'me',
-          id: msg.id,
-          format: 'metadata',
-          metadataHeaders: ['From', 'Subject', 'Date'],
-        }));
-
-        const headers = detail.data.payload.headers;
-        const getHeader = (name) => {
-          const header = headers.find((h) => h.name.toLowerCase() === name.toLowerCase());
-          return header ? header.value : '';
-        };
-
-        return {
-          id: msg.id,
-          threadId: detail.data.threadId,
-          labelIds: detail.data.labelIds || [],
-          account,
-          from: getHeader('From'),
-          subject: getHeader('Subject'),
-          snippet: detail.data.snippet,
-          date: getHeader('Date'),
-        };
-      } catch (_err) {
-        return null;
-      }
-    });
-
-    const results = await Promise.all(emailPromises);
-    return results.filter((email) => email !== null);
+    const entries = await openMessageCache(gmail, account);
+    const result = await resolveEmails(gmail, account, messages, entries);
+    if (entries) saveSyncedState(account);
+    return result;
   } catch (error) {
-    console.error(`Error searching emails for ${account}:`, error.message);
-    return [];
+    return { emails: [], errors: [toFetchError(account, null, error)] };
   }
 }
 
@@ -904,7 +1336,7 @@ async function searchEmailsCount(account, query) {
       userId: 'me',
       q: query,
       maxResults: 1,  // Minimize data transfer
-    }));
+    }), { account, method: 'messages.list' });
     return {
       estimate: res.data.resultSizeEstimate || 0,
       isApproximate: true,
@@ -922,7 +1354,7 @@ async function searchEmailsCount(account, query) {
  * @param {string} account - Account name
  * @param {string} query - Gmail search query
  * @param {Object} options - { maxResults: number, onProgress: function }
- * @returns {{emails: Array, nextPageToken: string|null, totalFetched: number, hasMore: boolean}}
+ * @returns {{emails: Array, nextPageToken: string|null, totalFetched: number, hasMore: boolean, errors: Array<Object>}}
  */
 async function searchEmailsPaginated(account, query, options = {}) {
   const { maxResults = 500, onProgress } = options;
@@ -931,10 +1363,14 @@ async function searchEmailsPaginated(account, query, options = {}) {
 
   const effectiveMax = Math.min(maxResults, HARD_CAP);
   const allEmails = [];
+  const errors = [];
   let pageToken = null;
 
+  let entries = null;
+
   try {
     const gmail = await getGmailClient(account);
+    entries = await openMessageCache(gmail, account);
 
     while (allEmails.length < effectiveMax) {
       const remaining = effectiveMax - allEmails.length;
@@ -950,7 +1386,7 @@ async function searchEmailsPaginated(account, query, options = {}) {
         listParams.pageToken = pageToken;
       }
 
-      const res = await withRetry(() => gmail.users.messages.list(listParams));
+      const res = await withRetry(() => gmail.users.messages.list(listParams), { account, method: 'messages.list' });
 
       const messages = res.data.messages;
       if (!messages || messages.length === 0) {
@@ -961,40 +1397,9 @@ async function searchEmailsPaginated(account, query, options = {}) {
       const DETAIL_BATCH_SIZE = 10;
       for (let i = 0; i < messages.length; i += DETAIL_BATCH_SIZE) {
         const batch = messages.slice(i, i + DETAIL_BATCH_SIZE);
-
-        const emailPromises = batch.map(async (msg) => {
-          try {
-            const detail = await withRetry(() => gmail.users.messages.get({
-              userId: 'me',
-              id: msg.id,
-              format: 'metadata',
-              metadataHeaders: ['From', 'Subject', 'Date'],
-            }));
-
-            const headers = detail.data.payload.headers;
-            const getHeader = (name) => {
-              const header = headers.find((h) => h.name.toLowerCase() === name.toLowerCase());
-              return header ? header.value : '';
-            };
-
-            return {
-              id: msg.id,
-              threadId: detail.data.threadId,
-              labelIds: detail.data.labelIds || [],
-              account,
-              from: getHeader('From'),
-              subject: getHeader('Subject'),
-              snippet: detail.data.snippet,
-              date: getHeader('Date'),
-            };
-          } catch (_err) {
-            return null;
-          }
-        });
-
-        const results = await Promise.all(emailPromises);
-        const validEmails = results.filter((email) => email !== null);
-        allEmails.push(...validEmails);
+        const result = await resolveEmails(gmail, account, batch, entries);
+        allEmails.push(...result.emails);
+        errors.push(...result.errors);
 
         // Report progress
         if (onProgress) {
@@ -1008,19 +1413,23 @@ async function searchEmailsPaginated(account, query, options = {}) {
       }
     }
 
+    if (entries) saveSyncedState(account);
     return {
       emails: allEmails,
       nextPageToken: pageToken,
       totalFetched: allEmails.length,
       hasMore: !!pageToken,
+      errors,
     };
   } catch (error) {
-    console.error(`Error in paginated search for ${account}:`, error.message);
+    if (entries) saveSyncedState(account);
+    errors.push(toFetchError(account, null, error));
     return {
       emails: allEmails,
       nextPageToken: null,
       totalFetched: allEmails.length,
       hasMore: false,
+      errors,
     };
   }
 }
@@ -1069,7 +1478,7 @@ async function sendEmail(account, { to, subject, body }) {
       requestBody: {
         raw: encodedMessage
       }
-    }));
+    }), { account, method: 'messages.send', idempotent: false });
 
     return { success: true, id: res.data.id, threadId: res.data.threadId };
   } catch (error) {
@@ -1094,7 +1503,7 @@ async function replyToEmail(account, messageId, body) {
       id: messageId,
       format: 'metadata',
       metadataHeaders: ['Subject', 'Message-ID', 'References', 'Reply-To', 'From']
-    }));
+    }), { account, method: 'messages.get' });
 
     const headers = original.data.payload.headers;
     const getHeader = (name) => {
@@ -1134,7 +1543,91 @@ async function replyToEmail(account, messageId, body) {
         raw: encodedMessage,
         threadId: original.data.threadId
       }
-    }));
+    }), { account, method: 'messages.send', idempotent: false });
+
+    return { success: true, id: res.data.id, threadId: res.data.threadId };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Reads a header from a raw RFC 2822 message (folded lines are unfolded)
+ * @param {string} headerBlock - Header section of the raw message
+ * @param {string} name - Header name
+ * @returns {string}
+ */
+function getRawHeader(headerBlock, name) {
+  const unfolded = headerBlock.replace(/\r?\n[ \t]+/g, ' ');
+  const match = unfolded.match(new RegExp(`^${name}:[ \\t]*(.*)$`, 'im'));
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Composes a forward that carries the original message as a message/rfc822 part,
+ * so attachments and formatting survive untouched
+ * @param {Object} options - { to, rawMessage (Buffer) }
+ * @returns {string} Base64url encoded message
+ */
+function composeForward({ to, rawMessage }) {
+  const text = rawMessage.toString('utf8');
+  const headerEnd = text.search(/\r?\n\r?\n/);
+  const headerBlock = headerEnd === -1 ? text : text.slice(0, headerEnd);
+  const originalSubject = getRawHeader(headerBlock, 'Subject');
+  const subject = /^fwd?:/i.test(originalSubject) ? originalSubject : `Fwd: ${originalSubject}`;
+  const boundary = `inboxd-fwd-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+  const head = [
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset="UTF-8"',
+    '',
+    '---------- Forwarded message ---------',
+    `From: ${getRawHeader(headerBlock, 'From')}`,
+    `Date: ${getRawHeader(headerBlock, 'Date')}`,
+    `Subject: ${originalSubject}`,
+    '',
+    `--${boundary}`,
+    'Content-Type: message/rfc822',
+    'Content-Disposition: attachment; filename="forwarded.eml"',
+    '',
+    '',
+  ].join('\r\n');
+
+  return Buffer.concat([
+    Buffer.from(head),
+    rawMessage,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]).toString('base64url');
+}
+
+/**
+ * Forwards a message to another address
+ * @param {string} account - Account name
+ * @param {string} messageId - ID of the message to forward
+ * @param {string} to - Recipient address
+ * @returns {Object} Result object with success, id, threadId, or error
+ */
+async function forwardEmail(account, messageId, to) {
+  try {
+    const gmail = await getGmailClient(account);
+    const original = await withRetry(() => gmail.users.messages.get({
+      userId: 'me',
+      id: messageId,
+      format: 'raw',
+    }), { account, method: 'messages.get' });
+
+    const rawMessage = Buffer.from(original.data.raw || '', 'base64url');
+    const res = await withRetry(() => gmail.users.messages.send({
+      userId: 'me',
+      requestBody: {
+        raw: composeForward({ to, rawMessage }),
+      },
+    }), { account, method: 'messages.send', idempotent: false });
 
     return { success: true, id: res.data.id, threadId: res.data.threadId };
   } catch (error) {
@@ -1155,7 +1648,7 @@ async function listLabels(account) {
   const gmail = await getGmailClient(account);
   const res = await withRetry(() => gmail.users.labels.list({
     userId: 'me',
-  }));
+  }), { account, method: 'labels.list' });
 
   return (res.data.labels || []).map(label => ({
     id: label.id,
@@ -1183,7 +1676,7 @@ async function createLabel(account, labelName) {
       labelListVisibility: 'labelShow',
       messageListVisibility: 'show',
     },
-  }));
+  }), { account, method: 'labels.create' });
 
   return {
     id: res.data.id,
@@ -1201,24 +1694,9 @@ async function createLabel(account, labelName) {
  */
 async function applyLabel(account, messageIds, labelId) {
   const gmail = await getGmailClient(account);
-  const results = [];
-
-  for (const id of messageIds) {
-    try {
-      await withRetry(() => gmail.users.messages.modify({
-        userId: 'me',
-        id: id,
-        requestBody: {
-          addLabelIds: [labelId],
-        },
-      }));
-      results.push({ id, success: true });
-    } catch (err) {
-      results.push({ id, success: false, error: err.message });
-    }
-  }
-
-  return results;
+  return modifyMessages(gmail, account, messageIds, {
+    addLabelIds: [labelId],
+  });
 }
 
 /**
@@ -1230,24 +1708,9 @@ async function applyLabel(account, messageIds, labelId) {
  */
 async function removeLabel(account, messageIds, labelId) {
   const gmail = await getGmailClient(account);
-  const results = [];
-
-  for (const id of messageIds) {
-    try {
-      await withRetry(() => gmail.users.messages.modify({
-        userId: 'me',
-        id: id,
-        requestBody: {
-          removeLabelIds: [labelId],
-        },
-      }));
-      results.push({ id, success: true });
-    } catch (err) {
-      results.push({ id, success: false, error: err.message });
-    }
-  }
-
-  return results;
+  return modifyMessages(gmail, account, messageIds, {
+    removeLabelIds: [labelId],
+  });
 }
 
 /**
@@ -1261,6 +1724,61 @@ async function findLabelByName(account, labelName) {
   return labels.find(l => l.name.toLowerCase() === labelName.toLowerCase()) || null;
 }
 
+// ============================================================================
+// Filter Management
+// ============================================================================
+
+/**
+ * Lists the account's server-side Gmail filters
+ * @param {string} account - Account name
+ * @returns {Promise<Array<{id: string, criteria: Object, action: Object}>>}
+ */
+async function listFilters(account) {
+  const gmail = await getGmailClient(account);
+  const res = await withRetry(() => gmail.users.settings.filters.list({
+    userId: 'me',
+  }), { account, method: 'settings.filters.list' });
+
+  return (res.data.filter || []).map(filter => ({
+    id: filter.id,
+    criteria: filter.criteria || {},
+    action: filter.action || {},
+  }));
+}
+
+/**
+ * Creates a server-side Gmail filter
+ * @param {string} account - Account name
+ * @param {{criteria: Object, action: Object}} filter - Filter definition
+ * @returns {Promise<{id: string, criteria: Object, action: Object}>} Created filter
+ */
+async function createFilter(account, { criteria, action }) {
+  const gmail = await getGmailClient(account);
+  const res = await withRetry(() => gmail.users.settings.filters.create({
+    userId: 'me',
+    requestBody: { criteria, action },
+  }), { account, method: 'settings.filters.create' });
+
+  return {
+    id: res.data.id,
+    criteria: res.data.criteria || criteria,
+    action: res.data.action || action,
+  };
+}
+
+/**
+ * Deletes a server-side Gmail filter
+ * @param {string} account - Account name
+ * @param {string} filterId - Filter ID
+ */
+async function deleteFilter(account, filterId) {
+  const gmail = await getGmailClient(account);
+  await withRetry(() => gmail.users.settings.filters.delete({
+    userId: 'me',
+    id: filterId,
+  }), { account, method: 'settings.filters.delete' });
+}
+
 // ============================================================================
 // Attachment Management
 // ============================================================================
@@ -1325,7 +1843,7 @@ async function getEmailsWithAttachments(account, options = {}) {
     userId: 'me',
     q: query,
     maxResults,
-  }));
+  }), { account, method: 'messages.list' });
 
   if (!res.data.messages) return [];
 
@@ -1340,7 +1858,7 @@ async function getEmailsWithAttachments(account, options = {}) {
           userId: 'me',
           id: msg.id,
           format: 'full',
-        }));
+        }), { account, method: 'messages.get' });
 
         const headers = detail.data.payload?.headers || [];
         const attachments = extractAttachments(detail.data.payload);
@@ -1399,7 +1917,7 @@ async function downloadAttachment(account, messageId, attachmentId) {
     userId: 'me',
     messageId: messageId,
     id: attachmentId,
-  }));
+  }), { account, method: 'messages.attachments.get' });
 
   // Gmail returns base64url encoded data
   return Buffer.from(res.data.data, 'base64url');
@@ -1408,6 +1926,7 @@ async function downloadAttachment(account, messageId, attachmentId) {
 module.exports = {
   getUnreadEmails,
   getEmailCount,
+  syncMailbox,
   trashEmails,
   getEmailById,
   untrashEmails,
@@ -1425,6 +1944,7 @@ module.exports = {
   searchEmailsPaginated,
   sendEmail,
   replyToEmail,
+  forwardEmail,
   extractLinks,
   extractUnsubscribeInfo,
   // Labels management
@@ -1433,6 +1953,10 @@ module.exports = {
   applyLabel,
   removeLabel,
   findLabelByName,
+  // Filter management
+  listFilters,
+  createFilter,
+  deleteFilter,
   // Attachment management
   extractAttachments,
   getEmailsWithAttachments,
@@ -1443,6 +1967,7 @@ module.exports = {
   extractBodyFromPayload,
   decodeBase64Url,
   composeMessage,
+  composeForward,
   isValidUrl,
   decodeHtmlEntities,
   parseListUnsubscribe,
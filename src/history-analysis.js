@@ -0,0 +1,154 @@
+const { getRecentDeletions, analyzePatterns } = require('./deletion-log');
+const { getRecentArchives } = require('./archive-log');
+const { getRecentSent } = require('./sent-log');
+const { readMessageCache } = require('./message-cache');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_ARCHIVED = 3;
+const MIN_READ = 3;
+const MIN_READ_RATIO = 0.8;
+const EXAMPLE_LIMIT = 3;
+
+const EMAIL_ADDRESS = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+function extractAddresses(value) {
+  return (String(value || '').match(EMAIL_ADDRESS) || []).map(address => address.toLowerCase());
+}
+
+function extractDomain(from) {
+  const match = String(from || '').match(/@([a-zA-Z0-9.-]+)/);
+  return match ? match[1].toLowerCase() : 'unknown';
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Median days between an email's date and when it was deleted/archived, per sender domain
+ * Older log entries have no message date; the message cache fills in what it can.
+ * @param {Array} entries - Log entries
+ * @param {string} field - Timestamp field of the log action (deletedAt, archivedAt)
+ * @param {Function} lookupDate - (entry) => message date or undefined
+ * @returns {Object<string, {medianDays: number, samples: number}>}
+ */
+function getKeepDays(entries, field, lookupDate) {
+  const byDomain = {};
+  entries.forEach(entry => {
+    const received = new Date(entry.date || lookupDate(entry));
+    const actedAt = new Date(entry[field]);
+    const days = (actedAt - received) / DAY_MS;
+    if (!Number.isFinite(days) || days < 0) return;
+    const domain = extractDomain(entry.from);
+    (byDomain[domain] = byDomain[domain] || []).push(days);
+  });
+  return Object.fromEntries(Object.entries(byDomain).map(([domain, days]) => [
+    domain,
+    { medianDays: Math.round(median(days) * 10) / 10, samples: days.length },
+  ]));
+}
+
+/**
+ * Looks at deletions, archives, replies and read mail to find sender habits
+ * Extends analyzePatterns (deletions only) with:
+ * - frequentArchivers: domains archived 3+ times
+ * - repliedSenders: addresses replied to, from the sent log
+ * - readOnlySenders: addresses whose cached mail is (almost) always read but
+ *   never replied to, starred, deleted or archived
+ * - keepDays: how long mail from each domain stays before deletion/archiving
+ * @param {number} [days] - Period to analyze
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object} Analysis for buildSuggestedRules
+ */
+function analyzeHistory(days = 30, { now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+  const deletions = getRecentDeletions(days);
+  const archives = getRecentArchives(days);
+  const sent = getRecentSent(days);
+  const cache = readMessageCache();
+
+  const lookupDate = (entry) => {
+    const entries = cache.accounts[entry.account || 'default'] || {};
+    return entries[entry.id] && entries[entry.id].date;
+  };
+
+  const archivedByDomain = {};
+  archives.forEach(entry => {
+    const domain = extractDomain(entry.from);
+    const stats = archivedByDomain[domain] || (archivedByDomain[domain] = { count: 0, subjects: new Set() });
+    stats.count++;
+    if (entry.subject) stats.subjects.add(entry.subject);
+  });
+  const frequentArchivers = Object.entries(archivedByDomain)
+    .filter(([_, stats]) => stats.count >= MIN_ARCHIVED)
+    .sort((a, b) => b[1].count - a[1].count)
+    .map(([domain, stats]) => ({
+      domain,
+      archivedCount: stats.count,
+      examples: Array.from(stats.subjects).slice(0, EXAMPLE_LIMIT),
+    }));
+
+  const replies = {};
+  sent.filter(entry => entry.replyToId).forEach(entry => {
+    extractAddresses(entry.to).forEach(address => {
+      const stats = replies[address] || (replies[address] = { count: 0, lastRepliedAt: null });
+      stats.count++;
+      if (!stats.lastRepliedAt || entry.sentAt > stats.lastRepliedAt) stats.lastRepliedAt = entry.sentAt;
+    });
+  });
+  const repliedSenders = Object.entries(replies)
+    .sort((a, b) => b[1].count - a[1].count)
+    .map(([address, stats]) => ({ address, replyCount: stats.count, lastRepliedAt: stats.lastRepliedAt }));
+
+  // Addresses the user already acted on are not "read and left alone"
+  const actedOn = new Set([
+    ...Object.keys(replies),
+    ...deletions.flatMap(entry => extractAddresses(entry.from)),
+    ...archives.flatMap(entry => extractAddresses(entry.from)),
+  ]);
+  const readBySender = {};
+  Object.values(cache.accounts).forEach(entries => {
+    Object.values(entries || {}).forEach(entry => {
+      const seen = new Date(entry.date || entry.seenAt);
+      if (!(seen >= cutoff)) return;
+      const [address] = extractAddresses(entry.from);
+      if (!address) return;
+      const labelIds = entry.labelIds || [];
+      const stats = readBySender[address] || (readBySender[address] = { total: 0, read: 0, starred: 0, subjects: new Set() });
+      stats.total++;
+      if (!labelIds.includes('UNREAD')) stats.read++;
+      if (labelIds.includes('STARRED')) stats.starred++;
+      if (entry.subject) stats.subjects.add(entry.subject);
+    });
+  });
+  const readOnlySenders = Object.entries(readBySender)
+    .filter(([address, stats]) => stats.read >= MIN_READ && stats.read / stats.total >= MIN_READ_RATIO
+      && stats.starred === 0 && !actedOn.has(address))
+    .sort((a, b) => b[1].read - a[1].read)
+    .map(([address, stats]) => ({
+      address,
+      readCount: stats.read,
+      totalCount: stats.total,
+      examples: Array.from(stats.subjects).slice(0, EXAMPLE_LIMIT),
+    }));
+
+  return {
+    ...analyzePatterns(days),
+    totalArchived: archives.length,
+    totalReplies: sent.filter(entry => entry.replyToId).length,
+    frequentArchivers,
+    repliedSenders,
+    readOnlySenders,
+    keepDays: {
+      deleted: getKeepDays(deletions, 'deletedAt', lookupDate),
+      archived: getKeepDays(archives, 'archivedAt', lookupDate),
+    },
+  };
+}
+
+module.exports = {
+  analyzeHistory,
+};
@@ -0,0 +1,583 @@
+const { getAccounts } = require('./gmail-auth');
+const {
+  getEmailCount, getUnreadEmails, searchEmails, getEmailContent, getEmailById, markAsRead, untrashEmails,
+} = require('./gmail-monitor');
+const { readLog, getRecentDeletions, removeLogEntries } = require('./deletion-log');
+const { getRecentUndoActions } = require('./undo-log');
+const { listRules, recordRuleHits, recordRuleApplied } = require('./rules');
+const {
+  buildRuleQuery, emailMatchesRule, buildActionPlan, ruleAppliesToAccount, isRuleExpired, getApplicationKey, countAppliedByRule,
+} = require('./rules-engine');
+const { groupByAccount, executeRuleActions } = require('./rule-actions');
+const { trashWithLog, archiveWithLog, undoAction } = require('./mail-actions');
+const { ValidationError, NotFoundError, SafetyBlockedError, PartialFailureError } = require('./errors');
+
+// Filter deletes above this many emails need force
+const LARGE_DELETE_BATCH = 100;
+// Filter patterns shorter than this need force
+const MIN_FILTER_PATTERN_LENGTH = 3;
+
+function requirePositiveInt(value, name) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new ValidationError(`${name} must be a positive integer.`);
+  }
+  return value;
+}
+
+function requireIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && id.trim())) {
+    throw new ValidationError('ids must be a non-empty list of message IDs.');
+  }
+  return ids.map(id => id.trim());
+}
+
+/**
+ * Email fields returned by triage (no body or raw headers)
+ */
+function summarizeEmail(email) {
+  return {
+    id: email.id,
+    account: email.account || 'default',
+    from: email.from,
+    subject: email.subject,
+    date: email.date,
+    threadId: email.threadId,
+    labelIds: email.labelIds,
+  };
+}
+
+function summarizeRuleAction(group) {
+  return {
+    action: group.action,
+    ...(group.label ? { label: group.label } : {}),
+    ...(group.forwardTo ? { forwardTo: group.forwardTo } : {}),
+    count: group.emails.length,
+    emails: group.emails.map(summarizeEmail),
+  };
+}
+
+/**
+ * Safety warnings for deleting by sender/subject filter
+ * Short patterns match broadly and large batches are rarely intended.
+ * @param {{sender?: string, match?: string, count: number}} filter
+ * @returns {string[]} Empty when the delete may go ahead without force
+ */
+function getFilterDeleteWarnings({ sender, match, count }) {
+  const warnings = [];
+  if (sender && sender.length < MIN_FILTER_PATTERN_LENGTH) {
+    warnings.push(`Short sender pattern "${sender}" may match broadly`);
+  }
+  if (match && match.length < MIN_FILTER_PATTERN_LENGTH) {
+    warnings.push(`Short subject pattern "${match}" may match broadly`);
+  }
+  if (count > LARGE_DELETE_BATCH) {
+    warnings.push(`${count} emails match - large batch deletion`);
+  }
+  return warnings;
+}
+
+function matchesFilter(email, { sender, match }) {
+  const matchesSender = !sender || email.from.toLowerCase().includes(sender.toLowerCase());
+  const matchesSubject = !match || email.subject.toLowerCase().includes(match.toLowerCase());
+  return matchesSender && matchesSubject;
+}
+
+function toActionResult({ succeeded, failed }) {
+  return [
+    ...succeeded.map(email => ({ id: email.id, account: email.account, from: email.from, subject: email.subject, success: true })),
+    ...failed.map(item => ({ id: item.id, account: item.account, success: false, error: item.error, ...(item.code ? { code: item.code } : {}) })),
+  ];
+}
+
+/**
+ * Searches each account for every unexpired rule and plans the actions
+ * Rules that cannot be turned into a Gmail query match nothing and are
+ * returned as skipped.
+ */
+async function matchRules(accountNames, limit) {
+  const rules = listRules().filter(rule => !isRuleExpired(rule));
+  const ruleMatches = [];
+  const skippedRules = [];
+  const errors = [];
+
+  for (const rule of rules) {
+    const query = buildRuleQuery(rule);
+    if (!query) {
+      skippedRules.push(rule);
+      ruleMatches.push({ rule, emails: [] });
+      continue;
+    }
+    const emails = [];
+    for (const accountName of accountNames) {
+      if (!ruleAppliesToAccount(rule, accountName)) continue;
+      const { emails: matches, errors: fetchErrors } = await searchEmails(accountName, query, limit);
+      errors.push(...fetchErrors);
+      emails.push(...matches.filter(email => emailMatchesRule(email, rule)));
+    }
+    ruleMatches.push({ rule, emails });
+  }
+
+  return { plan: buildActionPlan(ruleMatches), skippedRules, errors };
+}
+
+// Hits are recorded when rules match; applied counts wait for what succeeds
+function withoutApplied(ruleSummaries) {
+  return ruleSummaries.map(summary => ({ ...summary, applied: 0 }));
+}
+
+/**
+ * Adds to each rule's applied count the emails its actions actually changed
+ */
+function recordSucceeded(plan, { deleted = [], archived = [], markedRead = [], actionResults = [] }) {
+  const keys = new Set([
+    ...deleted.map(email => getApplicationKey('always-delete', '', email)),
+    ...archived.map(email => getApplicationKey('auto-archive', '', email)),
+    ...markedRead.map(email => getApplicationKey('auto-mark-read', '', email)),
+    ...actionResults.filter(result => result.success)
+      .map(result => getApplicationKey(result.action, result.label || result.forwardTo, result)),
+  ]);
+  recordRuleApplied(countAppliedByRule(plan.applications, keys));
+}
+
+/**
+ * Returns a batch result, or throws PartialFailureError (carrying the result
+ * as details) when some items failed
+ */
+function settleBatch(result, verb) {
+  if (result.failed > 0) {
+    const total = result.results.length;
+    throw new PartialFailureError(`Failed to ${verb} ${result.failed} of ${total} email(s).`, { details: result });
+  }
+  return result;
+}
+
+/**
+ * Programmatic inboxd API
+ * Methods return plain objects and throw InboxdError subclasses (see
+ * ./errors). Batch mutations that fail for some emails throw
+ * PartialFailureError with the full result in `details`. Mutations go through the same helpers as the CLI, so deletions
+ * and archives are logged before they happen and can be undone.
+ *
+ * Methods that act on one mailbox (search, read, delete, archive) use the
+ * `account` option, or the only configured account; with several accounts
+ * configured they need one named. summary and triage cover every account
+ * unless one is named.
+ *
+ * @example
+ * const { createInboxd } = require('inboxd');
+ * const inbox = createInboxd({ account: 'work' });
+ * const { delete: pending } = await inbox.triage({ dryRun: true });
+ * await inbox.delete(pending.emails.map(e => e.id));
+ * await inbox.undo();
+ *
+ * @param {Object} [options]
+ * @param {string} [options.account] - Account name, or "all" (default)
+ */
+function createInboxd({ account = 'all' } = {}) {
+  const resolveAccount = (requested = account) => {
+    if (requested && requested !== 'all') return requested;
+    const accounts = getAccounts();
+    if (accounts.length > 1) {
+      throw new ValidationError(`Multiple accounts configured. Specify an account (${accounts.map(a => a.name).join(', ')}).`);
+    }
+    return accounts.length === 1 ? accounts[0].name : 'default';
+  };
+
+  const resolveAccounts = (requested = account) => {
+    if (requested && requested !== 'all') return [requested];
+    const names = getAccounts().map(a => a.name);
+    return names.length > 0 ? names : ['default'];
+  };
+
+  const fetchByIds = async (ids, accountName) => {
+    const emails = [];
+    const notFound = [];
+    for (const id of ids) {
+      const email = await getEmailById(accountName, id);
+      if (email) {
+        emails.push({ ...email, account: accountName });
+      } else {
+        notFound.push(id);
+      }
+    }
+    return { emails, notFound };
+  };
+
+  return {
+    /**
+     * Configured accounts
+     * @returns {Array<{name: string, email: string}>}
+     */
+    accounts() {
+      return getAccounts();
+    },
+
+    /**
+     * Unread counts and the latest unread emails per account
+     * @param {{count?: number, account?: string}} [options] - count 0 skips the emails
+     */
+    async summary({ count = 5, account: requested } = {}) {
+      if (count !== 0) requirePositiveInt(count, 'count');
+      const result = { accounts: [], totalUnread: 0, errors: [] };
+      for (const accountName of resolveAccounts(requested)) {
+        const unreadCount = await getEmailCount(accountName);
+        const { emails, errors } = count === 0 ? { emails: [], errors: [] } : await getUnreadEmails(accountName, count);
+        const accountInfo = getAccounts().find(a => a.name === accountName);
+        result.accounts.push({ name: accountName, email: accountInfo?.email || accountName, unreadCount, emails });
+        result.totalUnread += unreadCount;
+        result.errors.push(...errors);
+      }
+      return result;
+    },
+
+    /**
+     * Gmail query search in one account
+     * @param {string} query - Gmail search syntax
+     * @param {{limit?: number, account?: string}} [options]
+     */
+    async search(query, { limit = 100, account: requested } = {}) {
+      if (typeof query !== 'string' || !query.trim()) {
+        throw new ValidationError('query must be a non-empty Gmail search query.');
+      }
+      requirePositiveInt(limit, 'limit');
+      const accountName = resolveAccount(requested);
+      const { emails, errors } = await searchEmails(accountName, query, limit);
+      return { account: accountName, query, count: emails.length, emails, errors };
+    },
+
+    /**
+     * One email with its body (or only metadata)
+     * @param {string} id - Message ID
+     * @param {{metadataOnly?: boolean, account?: string}} [options]
+     * @throws {NotFoundError}
+     */
+    async read(id, { metadataOnly = false, account: requested } = {}) {
+      const accountName = resolveAccount(requested);
+      const email = await getEmailContent(accountName, id, { metadataOnly });
+      if (!email) {
+        throw new NotFoundError(`Message ${id} not found in account "${accountName}".`);
+      }
+      return email;
+    },
+
+    /**
+     * Classifies unread mail with the saved rules
+     * Without auto (or with dryRun) nothing changes. auto runs mark-read,
+     * archive and label/star actions; deletions and forwards are only returned
+     * as pending, for the caller to confirm.
+     * @param {{limit?: number, auto?: boolean, dryRun?: boolean, account?: string}} [options]
+     */
+    async triage({ limit = 100, auto = false, dryRun = false, account: requested } = {}) {
+      requirePositiveInt(limit, 'limit');
+      const accountNames = resolveAccounts(requested);
+      const { plan, skippedRules, errors } = await matchRules(accountNames, limit);
+      // Without auto, triage only previews; deletes and forwards never run here
+      const isPending = (summary) => summary.action === 'always-delete' || summary.action === 'forward';
+      recordRuleHits(withoutApplied(plan.ruleSummaries.filter(summary => !isPending(summary))), { dryRun: dryRun || !auto });
+      recordRuleHits(plan.ruleSummaries.filter(isPending), { dryRun: true });
+      const { deleteCandidates, archiveCandidates, markReadCandidates } = plan;
+      // Forwards send mail, so triage leaves them to `rules apply`
+      const safeRuleActions = plan.ruleActions.filter(group => group.action !== 'forward');
+      const forwardActions = plan.ruleActions.filter(group => group.action === 'forward');
+
+      // Unread mail no rule handled, for the caller to classify
+      const key = (email) => `${email.account || 'default'}:${email.id}`;
+      const processedKeys = new Set([...deleteCandidates, ...archiveCandidates, ...markReadCandidates].map(key));
+      plan.protectedKeys.forEach(protectedKey => processedKeys.add(protectedKey));
+      const remainingEmails = [];
+      for (const accountName of accountNames) {
+        const { emails, errors: fetchErrors } = await getUnreadEmails(accountName, Math.min(limit, 100));
+        errors.push(...fetchErrors);
+        remainingEmails.push(...emails.filter(email => !processedKeys.has(key(email))));
+      }
+
+      const countEmails = (groups) => groups.reduce((sum, group) => sum + group.emails.length, 0);
+      const totals = {
+        markRead: markReadCandidates.length,
+        archive: archiveCandidates.length,
+        actions: countEmails(safeRuleActions),
+        forward: countEmails(forwardActions),
+        delete: deleteCandidates.length,
+        protected: plan.protectedKeys.size,
+        remaining: remainingEmails.length,
+      };
+
+      const executed = {
+        markRead: { count: 0, ids: [], results: [] },
+        archived: { count: 0, ids: [], results: [] },
+        actions: { count: 0, results: [] },
+      };
+      if (auto && !dryRun) {
+        for (const [accountName, emails] of Object.entries(groupByAccount(markReadCandidates))) {
+          const results = await markAsRead(accountName, emails.map(e => e.id));
+          const succeeded = results.filter(r => r.success);
+          executed.markRead.count += succeeded.length;
+          executed.markRead.ids.push(...succeeded.map(r => r.id));
+          executed.markRead.results.push(...results.map(r => ({ id: r.id, account: accountName, success: r.success, error: r.error })));
+        }
+
+        if (archiveCandidates.length > 0) {
+          const outcome = await archiveWithLog(archiveCandidates);
+          executed.archived.count = outcome.succeeded.length;
+          executed.archived.ids = outcome.succeeded.map(e => e.id);
+          executed.archived.results = toActionResult(outcome).map(({ id, account: accountName, success, error }) => ({
+            id, account: accountName, success, error,
+          }));
+        }
+
+        // Label/star/important actions log their own undo entries
+        if (safeRuleActions.length > 0) {
+          const { results } = await executeRuleActions(safeRuleActions);
+          executed.actions.count = results.filter(r => r.success).length;
+          executed.actions.results = results;
+        }
+
+        recordSucceeded(plan, {
+          markedRead: executed.markRead.results.filter(r => r.success),
+          archived: executed.archived.results.filter(r => r.success),
+          actionResults: executed.actions.results,
+        });
+      }
+
+      const undoInfo = {};
+      if (executed.markRead.ids.length > 0) {
+        undoInfo.markReadUndo = `inboxd mark-unread --ids "${executed.markRead.ids.join(',')}"`;
+      }
+      if (executed.archived.ids.length > 0) {
+        undoInfo.archiveUndo = `inboxd unarchive --last ${executed.archived.ids.length}`;
+      }
+      if (executed.actions.count > 0) {
+        undoInfo.actionsUndo = 'inboxd undo';
+      }
+
+      return {
+        dryRun,
+        auto: auto && !dryRun,
+        accounts: accountNames,
+        limit,
+        totals,
+        rules: plan.ruleSummaries,
+        markRead: { count: markReadCandidates.length, emails: markReadCandidates.map(summarizeEmail) },
+        archive: { count: archiveCandidates.length, emails: archiveCandidates.map(summarizeEmail) },
+        actions: safeRuleActions.map(summarizeRuleAction),
+        forward: { count: totals.forward, groups: forwardActions.map(summarizeRuleAction), requiresConfirmation: true },
+        delete: { count: deleteCandidates.length, emails: deleteCandidates.map(summarizeEmail), requiresConfirmation: true },
+        remaining: { count: remainingEmails.length, emails: remainingEmails.map(summarizeEmail) },
+        skippedRules: skippedRules.map(rule => rule.id),
+        executed,
+        undoInfo,
+        errors,
+      };
+    },
+
+    /**
+     * Runs every saved rule, deletions and forwards included
+     * holdDeletes and holdForwards leave those actions out and list them as
+     * held. With confirm set, it is called with the preview before anything
+     * changes, and resolving false cancels the run. Failed items are reported
+     * in the results rather than thrown.
+     * @param {{limit?: number, dryRun?: boolean, holdDeletes?: boolean, holdForwards?: boolean, account?: string, confirm?: Function}} [options]
+     * @returns {Promise<Object>} dryRun, cancelled, totals, rules, delete, archive, actions, conflicts, skippedRules, errors, and held/heldForwards when holding
+     */
+    async applyRules({ limit = 50, dryRun = false, holdDeletes = false, holdForwards = false, account: requested, confirm } = {}) {
+      requirePositiveInt(limit, 'limit');
+      const accountNames = resolveAccounts(requested);
+      const { plan, skippedRules, errors } = await matchRules(accountNames, limit);
+
+      // Held deletes and forwards are matched again on the next run, so they only refresh lastMatchedAt
+      const isHeld = (summary) => (holdDeletes && summary.action === 'always-delete')
+        || (holdForwards && summary.action === 'forward');
+      recordRuleHits(withoutApplied(plan.ruleSummaries.filter(summary => !isHeld(summary))), { dryRun });
+      recordRuleHits(plan.ruleSummaries.filter(isHeld), { dryRun: true });
+
+      const heldDeletes = holdDeletes ? plan.deleteCandidates : [];
+      const deleteCandidates = holdDeletes ? [] : plan.deleteCandidates;
+      const { archiveCandidates } = plan;
+      // Forwarding sends mail and cannot be undone
+      const heldForwards = holdForwards ? plan.ruleActions.filter(group => group.action === 'forward') : [];
+      const ruleActions = holdForwards ? plan.ruleActions.filter(group => group.action !== 'forward') : plan.ruleActions;
+      const countEmails = (groups) => groups.reduce((sum, group) => sum + group.emails.length, 0);
+
+      const totals = {
+        delete: deleteCandidates.length,
+        archive: archiveCandidates.length,
+        actions: countEmails(ruleActions),
+        held: heldDeletes.length,
+        heldForwards: countEmails(heldForwards),
+        protected: plan.protectedKeys.size,
+      };
+      const held = {
+        ...(holdDeletes ? { held: { count: heldDeletes.length, emails: heldDeletes.map(summarizeEmail), requiresConfirmation: true } } : {}),
+        ...(holdForwards ? { heldForwards: { count: totals.heldForwards, groups: heldForwards.map(summarizeRuleAction), requiresConfirmation: true } } : {}),
+      };
+      const preview = {
+        dryRun: true,
+        cancelled: false,
+        accounts: accountNames,
+        limit,
+        totals,
+        rules: plan.ruleSummaries,
+        delete: { count: deleteCandidates.length, emails: deleteCandidates.map(summarizeEmail) },
+        ...held,
+        archive: { count: archiveCandidates.length, emails: archiveCandidates.map(summarizeEmail) },
+        actions: ruleActions.map(summarizeRuleAction),
+        conflicts: plan.conflicts,
+        skippedRules: skippedRules.map(rule => rule.id),
+        errors,
+      };
+
+      if (dryRun || totals.delete + totals.archive + totals.actions === 0) {
+        return { ...preview, dryRun };
+      }
+      if (confirm && !await confirm(preview)) {
+        return { ...preview, dryRun: false, cancelled: true };
+      }
+
+      const deleted = deleteCandidates.length > 0 ? await trashWithLog(deleteCandidates) : { succeeded: [], failed: [] };
+      const archived = archiveCandidates.length > 0 ? await archiveWithLog(archiveCandidates) : { succeeded: [], failed: [] };
+      // Label/star/forward actions log their own undo entries
+      const { results: actionResults } = ruleActions.length > 0 ? await executeRuleActions(ruleActions) : { results: [] };
+      recordSucceeded(plan, { deleted: deleted.succeeded, archived: archived.succeeded, actionResults });
+
+      return {
+        ...preview,
+        dryRun: false,
+        delete: { count: deleteCandidates.length, results: toActionResult(deleted) },
+        archive: { count: archiveCandidates.length, results: toActionResult(archived) },
+        actions: { count: totals.actions, results: actionResults },
+      };
+    },
+
+    /**
+     * Moves emails to trash by ID (logged first; see restore and undo)
+     * @param {string[]} ids - Message IDs
+     * @param {{account?: string}} [options]
+     */
+    async delete(ids, { account: requested } = {}) {
+      const accountName = resolveAccount(requested);
+      const { emails, notFound } = await fetchByIds(requireIds(ids), accountName);
+      const outcome = emails.length > 0 ? await trashWithLog(emails) : { succeeded: [], failed: [] };
+      return settleBatch({ trashed: outcome.succeeded.length, failed: outcome.failed.length, notFound, results: toActionResult(outcome) }, 'delete');
+    },
+
+    /**
+     * Moves unread emails matching a sender and/or subject filter to trash
+     * Short patterns and batches over 100 are refused unless force is set.
+     * Dry runs also report how many emails matched before the limit (matched).
+     * @param {{sender?: string, match?: string, limit?: number, force?: boolean, dryRun?: boolean, account?: string}} filter
+     * @throws {SafetyBlockedError} details.warnings lists what force would override
+     */
+    async deleteMatching({ sender, match, limit = 50, force = false, dryRun = false, account: requested } = {}) {
+      if (!sender && !match) {
+        throw new ValidationError('deleteMatching needs a sender or match filter.');
+      }
+      requirePositiveInt(limit, 'limit');
+      const emails = [];
+      const errors = [];
+      for (const accountName of resolveAccounts(requested)) {
+        const { emails: unread, errors: fetchErrors } = await getUnreadEmails(accountName, limit);
+        errors.push(...fetchErrors);
+        emails.push(...unread.filter(email => matchesFilter(email, { sender, match })));
+      }
+      const selected = emails.slice(0, limit);
+
+      const warnings = getFilterDeleteWarnings({ sender, match, count: selected.length });
+      if (warnings.length > 0 && !force) {
+        throw new SafetyBlockedError(`Refusing to delete: ${warnings.join('; ')}. Pass force to proceed.`, { details: { warnings } });
+      }
+      if (dryRun || selected.length === 0) {
+        return { dryRun, matched: emails.length, count: selected.length, emails: selected.map(summarizeEmail), errors };
+      }
+      const outcome = await trashWithLog(selected);
+      return settleBatch({ trashed: outcome.succeeded.length, failed: outcome.failed.length, results: toActionResult(outcome), errors }, 'delete');
+    },
+
+    /**
+     * Archives emails by ID (logged; see undo)
+     * @param {string[]} ids - Message IDs
+     * @param {{account?: string}} [options]
+     */
+    async archive(ids, { account: requested } = {}) {
+      const accountName = resolveAccount(requested);
+      const { emails, notFound } = await fetchByIds(requireIds(ids), accountName);
+      const outcome = emails.length > 0 ? await archiveWithLog(emails) : { succeeded: [], failed: [] };
+      return settleBatch({ archived: outcome.succeeded.length, failed: outcome.failed.length, notFound, results: toActionResult(outcome) }, 'archive');
+    },
+
+    /**
+     * Restores deleted emails found in the deletion log
+     * @param {{ids?: string[], last?: number}} options - IDs, or the N most recent deletions
+     */
+    async restore({ ids, last } = {}) {
+      let entries;
+      let notInLog = [];
+      if (ids !== undefined) {
+        const log = readLog();
+        const wanted = requireIds(ids);
+        entries = wanted.map(id => log.find(entry => entry.id === id)).filter(Boolean);
+        notInLog = wanted.filter(id => !entries.some(entry => entry.id === id));
+      } else if (last !== undefined) {
+        requirePositiveInt(last, 'last');
+        entries = getRecentDeletions(30)
+          .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+          .slice(0, last);
+      } else {
+        throw new ValidationError('restore needs ids or last.');
+      }
+
+      const successfulIds = [];
+      const results = [];
+      for (const [accountName, emails] of Object.entries(groupByAccount(entries))) {
+        const untrashed = await untrashEmails(accountName, emails.map(e => e.id));
+        untrashed.forEach(result => {
+          const email = emails.find(candidate => candidate.id === result.id);
+          results.push({ id: result.id, account: accountName, from: email?.from, subject: email?.subject, success: result.success, error: result.error });
+          if (result.success) successfulIds.push(result.id);
+        });
+      }
+      if (successfulIds.length > 0) {
+        removeLogEntries(successfulIds);
+      }
+      return settleBatch({ restored: successfulIds.length, failed: entries.length - successfulIds.length, notInLog, results }, 'restore');
+    },
+
+    /**
+     * Recent actions that undo() can reverse, newest first
+     * @param {{limit?: number}} [options]
+     */
+    undoHistory({ limit = 10 } = {}) {
+      requirePositiveInt(limit, 'limit');
+      const actions = getRecentUndoActions(limit);
+      return { count: actions.length, actions };
+    },
+
+    /**
+     * Reverses the most recent delete, archive or rule action
+     * @returns {Promise<{action?: string, undone: number, failed: number, results: Array}>}
+     */
+    async undo() {
+      const entry = getRecentUndoActions(1)[0];
+      if (!entry) {
+        return { undone: 0, failed: 0, results: [] };
+      }
+      return settleBatch(await undoAction(entry), 'undo');
+    },
+
+    /**
+     * Saved rules in evaluation order
+     */
+    rules() {
+      const rules = listRules();
+      return {
+        count: rules.length,
+        evaluationOrder: rules.map(rule => rule.id),
+        expired: rules.filter(rule => isRuleExpired(rule)).map(rule => rule.id),
+        rules,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createInboxd,
+};
@@ -0,0 +1,30 @@
+/**
+ * Library entry point: `require('inboxd')`
+ * The CLI's summary, search (without --count or --all), delete, archive,
+ * triage, restore, undo and rules apply (cleanup-auto) commands present the
+ * results of these methods; the other commands in src/cli.js call the Gmail
+ * and log modules directly.
+ */
+const { createInboxd } = require('./inboxd');
+const {
+  EXIT_CODES,
+  InboxdError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  PartialFailureError,
+  SafetyBlockedError,
+} = require('./errors');
+
+module.exports = {
+  createInboxd,
+  EXIT_CODES,
+  InboxdError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  PartialFailureError,
+  SafetyBlockedError,
+};
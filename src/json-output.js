@@ -0,0 +1,257 @@
+const { formatErrorJson } = require('./errors');
+
+/**
+ * Envelope every command prints with --json
+ * `data` is the command's result (null when it failed), `errors` lists what
+ * went wrong (the failure itself, or messages and accounts that could not be
+ * read on a partial run) and `warnings` lists retries and rate limits.
+ * @param {string} command - Command path, e.g. "rules apply"
+ * @param {*} data - Command result
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.errors]
+ * @param {Array<Object>} [options.warnings]
+ * @param {boolean} [options.ok] - False when the command failed
+ * @returns {{ok: boolean, command: string, data: *, errors: Array<Object>, warnings: Array<Object>}}
+ */
+function buildEnvelope(command, data, { errors = [], warnings = [], ok = true } = {}) {
+  return { ok, command, data, errors, warnings };
+}
+
+/**
+ * Envelope for a failed command: ok false, no data, and the error as
+ * {error, code, details?} (see formatErrorJson)
+ * @param {string} command - Command path
+ * @param {*} error - Thrown value
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.warnings]
+ */
+function buildErrorEnvelope(command, error, { warnings = [] } = {}) {
+  return buildEnvelope(command, null, { ok: false, errors: [formatErrorJson(error)], warnings });
+}
+
+const str = { type: 'string' };
+const nullableStr = { type: ['string', 'null'] };
+const int = { type: 'integer', minimum: 0 };
+const bool = { type: 'boolean' };
+const anyObject = { type: 'object' };
+const ref = name => ({ $ref: `#/definitions/${name}` });
+const arrayOf = items => ({ type: 'array', items });
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', required, properties });
+
+const DEFINITIONS = {
+  email: object({
+    id: str,
+    account: str,
+    threadId: str,
+    from: str,
+    subject: str,
+    date: str,
+    snippet: str,
+    labelIds: arrayOf(str),
+  }, ['id']),
+  actionResult: object({ id: str, account: str, success: bool, error: str, code: str }, ['id', 'success']),
+  ruleAction: object({ action: str, label: str, forwardTo: str, count: int, emails: arrayOf(ref('email')) }, ['action', 'count', 'emails']),
+  rule: object({ id: str, action: str, createdAt: str }, ['id', 'action']),
+  error: object({
+    error: str,
+    code: { type: ['string', 'integer', 'null'] },
+    account: str,
+    id: nullableStr,
+    details: {},
+  }, ['error']),
+  warning: object({ type: str, message: str }, ['message']),
+  emailList: object({ count: int, emails: arrayOf(ref('email')) }, ['count']),
+};
+
+const unsubscribe = object({
+  id: str,
+  account: str,
+  subject: str,
+  from: str,
+  unsubscribeLink: nullableStr,
+  unsubscribeEmail: nullableStr,
+  oneClick: bool,
+  sources: anyObject,
+  unsubscribeLinks: arrayOf(str),
+  unsubscribeEmails: arrayOf(str),
+  preferenceLinks: arrayOf(str),
+}, ['id', 'unsubscribeLink', 'unsubscribeEmail', 'oneClick']);
+
+const rulesApply = object({
+  dryRun: bool,
+  totals: anyObject,
+  rules: arrayOf(anyObject),
+  delete: object({ count: int, emails: arrayOf(ref('email')), results: arrayOf(ref('actionResult')) }, ['count']),
+  held: ref('emailList'),
+  heldForwards: object({ count: int, groups: arrayOf(ref('ruleAction')), requiresConfirmation: bool }, ['count', 'groups']),
+  archive: object({ count: int, emails: arrayOf(ref('email')), results: arrayOf(ref('actionResult')) }, ['count']),
+  actions: { type: ['array', 'object'] },
+  conflicts: arrayOf(anyObject),
+  skippedRules: arrayOf(str),
+  limit: int,
+}, ['dryRun', 'totals', 'rules', 'delete', 'archive', 'actions']);
+
+const ruleOrder = object({ count: int, evaluationOrder: arrayOf(str), rules: arrayOf(ref('rule')) }, ['evaluationOrder', 'rules']);
+
+/**
+ * Schema of `data` for each command that supports --json, keyed by command
+ * path. watch (an NDJSON event stream), mcp and serve (servers), and
+ * rules export and usage --export (file formats) have no envelope.
+ */
+const DATA_SCHEMAS = {
+  'setup': object({ configured: bool, credentials: bool, credentialsPath: str, accounts: arrayOf(object({ name: str, email: nullableStr }, ['name'])) }),
+  'auth': object({ account: str, email: str, added: bool }),
+  'accounts': object({ accounts: arrayOf(object({ name: str, email: nullableStr }, ['name'])) }),
+  'logout': object({ removed: arrayOf(str) }),
+  'summary': object({
+    accounts: arrayOf(object({ name: str, email: str, unreadCount: int, emails: arrayOf(ref('email')) }, ['name', 'unreadCount'])),
+    totalUnread: int,
+  }),
+  'analyze': {
+    oneOf: [
+      arrayOf(ref('email')),
+      object({ groups: arrayOf(anyObject), totalCount: int }),
+    ],
+  },
+  'read': {
+    anyOf: [
+      object({ id: str, from: str, subject: str, body: str, linkCount: int, links: arrayOf(anyObject) }, ['id']),
+      unsubscribe,
+    ],
+  },
+  'unsubscribe': unsubscribe,
+  'thread': object({ threadId: str, messageCount: int, participants: arrayOf(str), messages: arrayOf(ref('email')) }),
+  'search': {
+    anyOf: [
+      object({ account: str, query: str, count: int, emails: arrayOf(ref('email')) }),
+      object({ account: str, query: str, totalFetched: int, hasMore: bool, emails: arrayOf(ref('email')) }),
+      object({ account: str, query: str, estimate: int, isApproximate: bool, hasMore: bool }),
+    ],
+  },
+  'send': object({ dryRun: bool, sent: bool, account: str, from: str, to: str, subject: str, id: str, threadId: str, logPath: str }, ['dryRun', 'sent', 'account', 'to', 'subject']),
+  'reply': object({ dryRun: bool, sent: bool, account: str, replyToId: str, to: str, subject: str, id: str, threadId: str, logPath: str }, ['dryRun', 'sent', 'account', 'replyToId', 'to', 'subject']),
+  'delete': {
+    anyOf: [
+      object({ dryRun: { const: true }, count: int, emails: arrayOf(ref('email')) }),
+      object({ trashed: int, failed: int, notFound: arrayOf(str), results: arrayOf(ref('actionResult')) }),
+    ],
+  },
+  'deletion-log': object({ days: int, count: int, logPath: str, deletions: arrayOf(ref('email')) }),
+  'stats': object({ period: int, deleted: anyObject, sent: anyObject }),
+  'usage': {
+    anyOf: [
+      object({ since: nullableStr, total: int, success: int, failure: int, commands: anyObject, flags: anyObject, logPath: str, entries: int }, ['total', 'commands', 'logPath']),
+      object({ cleared: bool, logPath: str }),
+    ],
+  },
+  'cache stats': object({ path: str, sizeBytes: int, totalEntries: int, accounts: arrayOf(object({ account: str, entries: int, lastSyncAt: nullableStr }, ['account', 'entries'])) }),
+  'cache clear': object({ account: str, removed: int, path: str }),
+  'cache sync': object({ path: str, accounts: arrayOf(object({ account: str, mode: str, added: int, removed: int, labelChanges: int })) }),
+  'cache rebuild': object({ path: str, accounts: arrayOf(object({ account: str, cached: int })) }),
+  'daemon start': object({ started: bool, pid: { type: ['integer', 'null'] }, jobs: arrayOf(str) }),
+  'daemon stop': object({ stopped: bool, pid: { type: ['integer', 'null'] } }),
+  'daemon status': object({ running: bool, pid: { type: ['integer', 'null'] }, configPath: str, logPath: str, jobs: arrayOf(anyObject) }, ['running', 'jobs']),
+  'notify': object({ notified: arrayOf(anyObject), failed: arrayOf(anyObject) }),
+  'cleanup-suggest': object({ period: int, totalDeleted: int, frequentDeleters: arrayOf(anyObject), neverReadSenders: arrayOf(anyObject) }),
+  'cleanup-auto': rulesApply,
+  'triage': {
+    anyOf: [
+      object({ dryRun: { const: true }, totals: anyObject, markRead: ref('emailList'), archive: ref('emailList'), actions: arrayOf(ref('ruleAction')), delete: ref('emailList'), remaining: ref('emailList') }),
+      object({ dryRun: { const: false }, auto: bool, executed: anyObject, pending: anyObject, remaining: ref('emailList'), undoInfo: anyObject, totals: anyObject }),
+    ],
+  },
+  'restore': object({ restored: int, failed: int, results: arrayOf(ref('actionResult')) }),
+  'mark-read': object({ account: str, succeeded: int, failed: int, results: arrayOf(ref('actionResult')) }),
+  'mark-unread': object({ account: str, succeeded: int, failed: int, results: arrayOf(ref('actionResult')) }),
+  'archive': object({ archived: int, failed: int, notFound: arrayOf(str), results: arrayOf(ref('actionResult')) }),
+  'unarchive': object({ unarchived: int, failed: int, results: arrayOf(ref('actionResult')) }),
+  'undo': {
+    anyOf: [
+      object({ count: int, logPath: str, actions: arrayOf(anyObject) }),
+      object({ undone: int, failed: int, results: arrayOf(ref('actionResult')) }),
+    ],
+  },
+  'preferences': object({ path: str, exists: bool, valid: bool, errors: arrayOf(str), warnings: arrayOf(str), content: str }, ['path', 'exists', 'valid']),
+  'preferences set': object({ added: bool, existed: bool, section: str, entry: str, path: str }),
+  'preferences remove': object({ removed: bool, count: int, entries: arrayOf(str), section: str, path: str }),
+  'preferences list': {
+    anyOf: [
+      object({ section: str, entries: arrayOf(str), count: int, path: str }),
+      object({ sections: arrayOf(object({ section: str, entries: arrayOf(str) })), count: int, path: str }),
+    ],
+  },
+  'rules list': object({ count: int, path: str, evaluationOrder: arrayOf(str), expired: arrayOf(str), rules: arrayOf(ref('rule')) }),
+  'rules add': object({ created: bool, rule: ref('rule'), path: str }),
+  'rules test': object({ rule: ref('rule'), description: str, query: str, sources: anyObject, totalMatched: int, examples: arrayOf(anyObject), collisions: arrayOf(anyObject) }, ['rule', 'query', 'totalMatched']),
+  'rules remove': object({ removed: bool, rule: { anyOf: [ref('rule'), { type: 'null' }] }, path: str }),
+  'rules reorder': ruleOrder,
+  'rules move': object({ moved: str, evaluationOrder: arrayOf(str), rules: arrayOf(ref('rule')) }),
+  'rules apply': rulesApply,
+  'rules push-filters': object({ dryRun: bool, accounts: arrayOf(object({ account: str, created: arrayOf(anyObject), deleted: arrayOf(anyObject) }, ['account'])), trackingPath: str }),
+  'rules pull-filters': object({ dryRun: bool, accounts: arrayOf(object({ account: str, imported: arrayOf(anyObject), duplicates: arrayOf(anyObject) }, ['account'])), path: str }),
+  'rules import': object({ dryRun: bool, mode: str, written: bool, totals: anyObject, added: arrayOf(ref('rule')), backupPath: nullableStr, path: str }, ['dryRun', 'mode', 'written', 'totals']),
+  'rules prune': object({ dryRun: bool, count: int, rules: arrayOf(ref('rule')), path: str }),
+  'rules stats': object({ days: int, count: int, staleCount: int, rules: arrayOf(anyObject), suggestions: arrayOf(anyObject) }),
+  'rules lint': object({ checked: int, errors: int, warnings: int, issues: arrayOf(object({ type: str, severity: str, ruleIds: arrayOf(str), message: str })) }),
+  'rules suggest': object({ period: int, totalDeleted: int, suggestions: arrayOf(anyObject) }),
+  'labels': object({ account: str, labels: arrayOf(object({ id: str, name: str, type: str }, ['id', 'name'])) }),
+  'labels-add': object({ account: str, created: bool, label: object({ id: str, name: str }) }),
+  'labels-apply': object({ label: str, succeeded: int, failed: int, results: arrayOf(ref('actionResult')) }),
+  'labels-remove': object({ label: str, succeeded: int, failed: int, results: arrayOf(ref('actionResult')) }),
+  'attachments': object({ account: str, emailCount: int, attachmentCount: int, emails: arrayOf(ref('email')) }),
+  'attachments-search': object({ account: str, pattern: str, emailCount: int, attachmentCount: int, emails: arrayOf(ref('email')) }),
+  'attachments-download': object({
+    account: str,
+    id: str,
+    outputDir: str,
+    downloaded: arrayOf(object({ filename: str, path: str, size: int })),
+    skipped: arrayOf(object({ filename: str, reason: str })),
+    failed: arrayOf(object({ filename: str, error: str })),
+  }),
+  'schema': {
+    anyOf: [
+      object({ commands: arrayOf(str) }),
+      object({ command: str, schema: anyObject }),
+    ],
+  },
+};
+
+/**
+ * Command paths that have an output schema
+ * @returns {string[]}
+ */
+function listSchemaCommands() {
+  return Object.keys(DATA_SCHEMAS).sort();
+}
+
+/**
+ * JSON Schema (draft-07) for a command's --json output: the envelope with
+ * `data` described for that command
+ * @param {string} command - Command path, e.g. "rules apply"
+ * @returns {Object|null} Schema, or null when the command has no JSON output
+ */
+function getOutputSchema(command) {
+  const dataSchema = DATA_SCHEMAS[command];
+  if (!dataSchema) return null;
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: `inboxd ${command} --json`,
+    type: 'object',
+    required: ['ok', 'command', 'data', 'errors', 'warnings'],
+    properties: {
+      ok: bool,
+      command: { const: command },
+      data: { anyOf: [dataSchema, { type: 'null' }] },
+      errors: arrayOf(ref('error')),
+      warnings: arrayOf(ref('warning')),
+    },
+    definitions: DEFINITIONS,
+  };
+}
+
+module.exports = {
+  buildEnvelope,
+  buildErrorEnvelope,
+  listSchemaCommands,
+  getOutputSchema,
+};
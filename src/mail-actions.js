@@ -0,0 +1,111 @@
+const { trashEmails, untrashEmails, archiveEmails, unarchiveEmails } = require('./gmail-monitor');
+const { logDeletions, removeLogEntries } = require('./deletion-log');
+const { logArchives, removeArchiveLogEntries } = require('./archive-log');
+const { logUndoAction, removeUndoEntry, updateUndoEntry } = require('./undo-log');
+const { groupByAccount, undoRuleAction } = require('./rule-actions');
+
+/**
+ * Runs a Gmail batch action per account and records an undo entry for the
+ * emails it succeeded on
+ */
+async function runLoggedAction(action, emails, batchFn) {
+  const succeeded = [];
+  const failed = [];
+
+  for (const [account, accountEmails] of Object.entries(groupByAccount(emails))) {
+    const results = await batchFn(account, accountEmails.map(e => e.id));
+    const succeededIds = new Set(results.filter(r => r.success).map(r => r.id));
+    succeeded.push(...accountEmails.filter(email => succeededIds.has(email.id)));
+    results.filter(r => !r.success).forEach(r => {
+      failed.push({ id: r.id, account, error: r.error, ...(r.code ? { code: r.code } : {}) });
+    });
+  }
+
+  if (succeeded.length > 0) {
+    logUndoAction(action, succeeded);
+  }
+  return { succeeded, failed };
+}
+
+/**
+ * Moves emails to trash, logging them first so they can always be restored
+ * @param {Array<Object>} emails - Email metadata with id and account
+ * @returns {Promise<{succeeded: Array<Object>, failed: Array<{id: string, account: string, error: string, code?: string}>}>}
+ */
+async function trashWithLog(emails) {
+  logDeletions(emails);
+  return runLoggedAction('delete', emails, trashEmails);
+}
+
+/**
+ * Archives emails, logging them first so they can be unarchived
+ * @param {Array<Object>} emails - Email metadata with id and account
+ * @returns {Promise<{succeeded: Array<Object>, failed: Array<{id: string, account: string, error: string, code?: string}>}>}
+ */
+async function archiveWithLog(emails) {
+  logArchives(emails);
+  return runLoggedAction('archive', emails, archiveEmails);
+}
+
+/**
+ * Reverses an undo log entry and removes what was undone from the logs
+ * Items that could not be undone stay in the entry for a later attempt.
+ * @param {Object} entry - Undo log entry
+ * @returns {Promise<{action: string, undone: number, failed: number, results: Array<Object>}>}
+ */
+async function undoAction(entry) {
+  const successfulIds = [];
+  const results = [];
+
+  for (const [account, items] of Object.entries(groupByAccount(entry.items))) {
+    const ids = items.map(item => item.id);
+    let undoResults;
+    if (entry.action === 'delete') {
+      undoResults = await untrashEmails(account, ids);
+    } else if (entry.action === 'archive') {
+      undoResults = await unarchiveEmails(account, ids);
+    } else {
+      undoResults = await undoRuleAction({ ...entry, items });
+    }
+
+    undoResults.forEach(result => {
+      const item = items.find(candidate => candidate.id === result.id);
+      results.push({
+        id: result.id,
+        account,
+        from: item?.from || '',
+        subject: item?.subject || '',
+        success: result.success,
+      });
+      if (result.success) {
+        successfulIds.push(result.id);
+      }
+    });
+  }
+
+  if (entry.action === 'delete') {
+    removeLogEntries(successfulIds);
+  } else if (entry.action === 'archive') {
+    removeArchiveLogEntries(successfulIds);
+  }
+
+  const remainingItems = entry.items.filter(item => !successfulIds.includes(item.id));
+  if (remainingItems.length === 0) {
+    removeUndoEntry(entry.id);
+  } else {
+    updateUndoEntry(entry.id, { items: remainingItems });
+  }
+
+  return {
+    action: entry.action,
+    undone: successfulIds.length,
+    failed: entry.items.length - successfulIds.length,
+    results,
+  };
+}
+
+module.exports = {
+  trashWithLog,
+  archiveWithLog,
+  undoAction,
+};
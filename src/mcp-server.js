@@ -0,0 +1,411 @@
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const pkg = require('../package.json');
+
+const CLI_PATH = path.join(__dirname, 'cli.js');
+// Newest first; the client's version is used when we support it
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+const ACCOUNT = { type: 'string', description: 'Account name (see `inboxd accounts`)' };
+const IDS = { type: 'array', items: { type: 'string' }, description: 'Message IDs' };
+
+function option(flag, value) {
+  return value === undefined ? [] : [flag, String(value)];
+}
+
+function flag(name, enabled) {
+  return enabled ? [name] : [];
+}
+
+/**
+ * Tools and the inboxd command each one runs
+ * Every tool runs the CLI itself, so its safeguards apply unchanged: deletion
+ * and undo logs, the --force requirement for broad or large filter deletes,
+ * and --limit caps. delete only previews (--dry-run) unless confirm is true.
+ */
+const TOOLS = {
+  summary: {
+    description: 'Unread counts and the most recent unread emails per account.',
+    inputSchema: {
+      properties: {
+        account: { ...ACCOUNT, description: 'Account name, or "all" (default)' },
+        count: { type: 'integer', minimum: 1, description: 'Emails per account (default 5)' },
+      },
+    },
+    buildArgs: (input) => ['summary', '--json', ...option('--account', input.account), ...option('--count', input.count)],
+  },
+  analyze: {
+    description: 'Email metadata for triage, optionally grouped by sender or thread.',
+    inputSchema: {
+      properties: {
+        account: { ...ACCOUNT, description: 'Account name, or "all" (default)' },
+        count: { type: 'integer', minimum: 1, description: 'Emails per account (default 20)' },
+        all: { type: 'boolean', description: 'Include read emails' },
+        since: { type: 'string', description: 'Only emails from the last duration, e.g. "7d" or "24h"' },
+        olderThan: { type: 'string', description: 'Only emails older than a duration, e.g. "30d" or "2w"' },
+        groupBy: { type: 'string', enum: ['sender', 'thread'], description: 'Group results' },
+      },
+    },
+    buildArgs: (input) => [
+      'analyze', '--json',
+      ...option('--account', input.account),
+      ...option('--count', input.count),
+      ...flag('--all', input.all),
+      ...option('--since', input.since),
+      ...option('--older-than', input.olderThan),
+      ...option('--group-by', input.groupBy),
+    ],
+  },
+  search: {
+    description: 'Search with Gmail query syntax, e.g. "from:boss is:unread".',
+    inputSchema: {
+      properties: {
+        query: { type: 'string', description: 'Gmail search query' },
+        account: ACCOUNT,
+        limit: { type: 'integer', minimum: 1, description: 'Max results (default 100)' },
+        all: { type: 'boolean', description: 'Fetch every match up to max' },
+        max: { type: 'integer', minimum: 1, description: 'Cap for all (default 500)' },
+        count: { type: 'boolean', description: 'Return only the number of matches' },
+      },
+      required: ['query'],
+    },
+    buildArgs: (input) => [
+      'search', '--json', '--query', input.query,
+      ...option('--account', input.account),
+      ...option('--limit', input.limit),
+      ...flag('--all', input.all),
+      ...option('--max', input.max),
+      ...flag('--count', input.count),
+    ],
+  },
+  read: {
+    description: 'Read one email by message ID.',
+    inputSchema: {
+      properties: {
+        id: { type: 'string', description: 'Message ID' },
+        account: ACCOUNT,
+        metadataOnly: { type: 'boolean', description: 'Skip the body' },
+        links: { type: 'boolean', description: 'Extract links' },
+        unsubscribe: { type: 'boolean', description: 'Extract unsubscribe details' },
+      },
+      required: ['id'],
+    },
+    buildArgs: (input) => [
+      'read', '--json', '--id', input.id,
+      ...option('--account', input.account),
+      ...flag('--metadata-only', input.metadataOnly),
+      ...flag('--links', input.links),
+      ...flag('--unsubscribe', input.unsubscribe),
+    ],
+  },
+  triage: {
+    description: 'Classify unread mail with the rules. auto runs mark-read and archive actions; deletions are only proposed.',
+    inputSchema: {
+      properties: {
+        account: { ...ACCOUNT, description: 'Account name, or "all" (default)' },
+        limit: { type: 'integer', minimum: 1, description: 'Max emails per rule (default 100)' },
+        auto: { type: 'boolean', description: 'Execute mark-read and archive actions' },
+        dryRun: { type: 'boolean', description: 'Preview every action without executing' },
+      },
+    },
+    buildArgs: (input) => [
+      'triage', '--json',
+      ...option('--account', input.account),
+      ...option('--limit', input.limit),
+      ...flag('--auto', input.auto),
+      ...flag('--dry-run', input.dryRun),
+    ],
+  },
+  delete: {
+    description: 'Move emails to trash by IDs, thread or sender/subject filters. Returns a preview unless confirm is true. '
+      + 'Short patterns and batches over 100 also need force. Deletions are logged and can be restored.',
+    inputSchema: {
+      properties: {
+        ids: IDS,
+        thread: { type: 'string', description: 'Thread ID' },
+        sender: { type: 'string', description: 'Sender contains (case-insensitive)' },
+        match: { type: 'string', description: 'Subject contains (case-insensitive)' },
+        account: ACCOUNT,
+        limit: { type: 'integer', minimum: 1, description: 'Max emails for filter deletes (default 50)' },
+        force: { type: 'boolean', description: 'Override the safety warnings' },
+        confirm: { type: 'boolean', description: 'Actually delete (default: preview only)' },
+      },
+    },
+    buildArgs: (input) => [
+      'delete',
+      ...option('--ids', input.ids && input.ids.join(',')),
+      ...option('--thread', input.thread),
+      ...option('--sender', input.sender),
+      ...option('--match', input.match),
+      ...option('--account', input.account),
+      ...option('--limit', input.limit),
+      ...flag('--force', input.force),
+      ...(input.confirm ? ['--confirm'] : ['--dry-run']),
+      '--json',
+    ],
+  },
+  archive: {
+    description: 'Remove emails from the inbox by IDs or thread. Archives can be undone.',
+    inputSchema: {
+      properties: {
+        ids: IDS,
+        thread: { type: 'string', description: 'Thread ID' },
+        account: ACCOUNT,
+      },
+    },
+    buildArgs: (input) => [
+      'archive', '--confirm', '--json',
+      ...option('--ids', input.ids && input.ids.join(',')),
+      ...option('--thread', input.thread),
+      ...option('--account', input.account),
+    ],
+  },
+  restore: {
+    description: 'Restore deleted emails from trash by IDs or the N most recent deletions.',
+    inputSchema: {
+      properties: {
+        ids: IDS,
+        last: { type: 'integer', minimum: 1, description: 'Restore the N most recent deletions' },
+      },
+    },
+    buildArgs: (input) => [
+      'restore', '--json',
+      ...option('--ids', input.ids && input.ids.join(',')),
+      ...option('--last', input.last),
+    ],
+  },
+  undo: {
+    description: 'Undo the most recent delete, archive or mark action, or list recent actions.',
+    inputSchema: {
+      properties: {
+        list: { type: 'boolean', description: 'List recent actions instead of undoing' },
+        limit: { type: 'integer', minimum: 1, description: 'Actions to list (default 10)' },
+      },
+    },
+    buildArgs: (input) => (input.list
+      ? ['undo', '--list', '--json', ...option('--limit', input.limit)]
+      : ['undo', '--json']),
+  },
+  preferences: {
+    description: 'View, list, add or remove entries in the inbox preferences (e.g. Important People).',
+    inputSchema: {
+      properties: {
+        action: { type: 'string', enum: ['view', 'list', 'set', 'remove'], description: 'Default view' },
+        section: { type: 'string', description: 'Section name or alias (list, set, remove)' },
+        entry: { type: 'string', description: 'Entry to add (set) or remove exactly (remove)' },
+        match: { type: 'string', description: 'Remove entries containing this text (remove)' },
+      },
+    },
+    buildArgs: (input) => {
+      const action = input.action || 'view';
+      if (action === 'view') {
+        return ['preferences', '--json'];
+      }
+      return [
+        'preferences', action, '--json',
+        ...option('--section', input.section),
+        ...option('--entry', input.entry),
+        ...option('--match', input.match),
+      ];
+    },
+  },
+};
+
+/**
+ * Checks tool arguments against the tool's input schema
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateToolInput(schema, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return 'Arguments must be an object.';
+  }
+  const missing = (schema.required || []).filter(name => input[name] === undefined);
+  if (missing.length > 0) {
+    return `Missing required argument(s): ${missing.join(', ')}.`;
+  }
+  for (const [name, value] of Object.entries(input)) {
+    const property = schema.properties[name];
+    if (!property) {
+      return `Unknown argument "${name}".`;
+    }
+    const valid = {
+      string: () => typeof value === 'string',
+      integer: () => Number.isInteger(value) && value >= (property.minimum ?? -Infinity),
+      boolean: () => typeof value === 'boolean',
+      array: () => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string'),
+    }[property.type]();
+    if (!valid) {
+      const expected = {
+        string: 'a string',
+        integer: `an integer >= ${property.minimum}`,
+        boolean: 'true or false',
+        array: 'a non-empty list of strings',
+      }[property.type];
+      return `Invalid "${name}": expected ${expected}.`;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      return `Invalid "${name}": use ${property.enum.join(', ')}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs an inboxd command as a child process
+ * @param {string[]} args - CLI arguments
+ * @param {Object} [options]
+ * @param {Function} [options.spawnFn] - child_process.spawn replacement (tests)
+ * @returns {Promise<{exitCode: number|null, stdout: string, stderr: string}>}
+ */
+function runCli(args, { spawnFn = spawn } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawnFn(process.execPath, [CLI_PATH, ...args], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, NO_UPDATE_NOTIFIER: '1', FORCE_COLOR: '0' },
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', exitCode => resolve({ exitCode, stdout, stderr }));
+  });
+}
+
+/**
+ * Turns a CLI run into an MCP tool result
+ * Exit code 2 is a partial run (some messages could not be read), not a failure.
+ */
+function toToolResult({ exitCode, stdout, stderr }) {
+  const output = stdout.trim();
+  let parsed = null;
+  try {
+    parsed = JSON.parse(output);
+  } catch (_err) {
+    // Commands without JSON output return their text
+  }
+  // JSON output is the envelope {ok, command, data, errors, warnings}
+  const failed = (exitCode !== 0 && exitCode !== 2) || Boolean(parsed && parsed.ok === false);
+  const text = output || stderr.trim() || (failed ? `inboxd exited with code ${exitCode}` : 'Done.');
+  return {
+    content: [{ type: 'text', text }],
+    ...(parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? { structuredContent: parsed } : {}),
+    isError: failed,
+  };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+/**
+ * Handles MCP JSON-RPC messages
+ * @param {Object} [options]
+ * @param {Function} [options.runCliFn] - Replaces runCli (tests)
+ * @returns {{handleMessage: Function}} handleMessage(message) resolves to the response, or null for notifications
+ */
+function createMcpServer({ runCliFn = runCli } = {}) {
+  const methods = {
+    initialize: async (params) => ({
+      protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+      capabilities: { tools: {} },
+      serverInfo: { name: 'inboxd', version: pkg.version },
+      instructions: 'Each tool runs the matching inboxd command. Deletions are logged and restorable; delete previews unless confirm is true.',
+    }),
+    ping: async () => ({}),
+    'tools/list': async () => ({
+      tools: Object.entries(TOOLS).map(([name, tool]) => ({
+        name,
+        description: tool.description,
+        inputSchema: { type: 'object', additionalProperties: false, required: [], ...tool.inputSchema },
+      })),
+    }),
+    'tools/call': async (params) => {
+      const tool = TOOLS[params.name];
+      if (!tool) {
+        throw Object.assign(new Error(`Unknown tool "${params.name}".`), { rpcCode: INVALID_PARAMS });
+      }
+      const input = params.arguments || {};
+      const problem = validateToolInput({ required: [], ...tool.inputSchema }, input);
+      if (problem) {
+        return { content: [{ type: 'text', text: problem }], isError: true };
+      }
+      return toToolResult(await runCliFn(tool.buildArgs(input)));
+    },
+  };
+
+  const handleMessage = async (message) => {
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return message && message.id !== undefined ? rpcError(message.id, INVALID_REQUEST, 'Invalid request.') : null;
+    }
+    // Notifications (no id) get no response
+    const isNotification = message.id === undefined;
+    const method = methods[message.method];
+    if (!method) {
+      return isNotification ? null : rpcError(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+    try {
+      const result = await method(message.params || {});
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      // Bad tool names carry INVALID_PARAMS; anything else failed while running
+      return isNotification ? null : rpcError(message.id, error.rpcCode || INTERNAL_ERROR, error.message);
+    }
+  };
+
+  return { handleMessage };
+}
+
+/**
+ * Serves MCP over stdio: one JSON-RPC message per line in, one per line out
+ * Resolves when the input closes. Nothing else may write to stdout.
+ * @param {Object} [options]
+ * @param {Object} [options.input] - Readable stream (default stdin)
+ * @param {Object} [options.output] - Writable stream (default stdout)
+ * @param {Object} [options.server] - From createMcpServer
+ * @returns {Promise<void>}
+ */
+function runMcpServer({ input = process.stdin, output = process.stdout, server = createMcpServer() } = {}) {
+  const send = (response) => {
+    if (response) output.write(`${JSON.stringify(response)}\n`);
+  };
+  const pending = new Set();
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  lines.on('line', line => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (_err) {
+      send(rpcError(null, PARSE_ERROR, 'Parse error.'));
+      return;
+    }
+    // Requests run concurrently; each response carries its request id
+    const task = server.handleMessage(message).then(send);
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+  });
+
+  return new Promise(resolve => {
+    lines.on('close', () => Promise.all(pending).then(() => resolve()));
+  });
+}
+
+module.exports = {
+  TOOLS,
+  PROTOCOL_VERSIONS,
+  validateToolInput,
+  runCli,
+  toToolResult,
+  createMcpServer,
+  runMcpServer,
+};
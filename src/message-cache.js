@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const { TOKEN_DIR } = require('./gmail-auth');
+const { atomicWriteJsonSync } = require('./utils');
+
+const CACHE_VERSION = 1;
+const MAX_ENTRIES_PER_ACCOUNT = 5000;
+const CACHED_FIELDS = ['id', 'threadId', 'labelIds', 'from', 'subject', 'snippet', 'date'];
+
+function ensureCacheDir() {
+  fs.mkdirSync(TOKEN_DIR, { recursive: true });
+}
+
+/**
+ * Returns the path of the message metadata cache
+ * @returns {string}
+ */
+function getMessageCachePath() {
+  return path.join(TOKEN_DIR, 'message-cache.json');
+}
+
+// Serialized entries per cache object as last read from or written to disk,
+// so a write can tell this process's changes from other processes' entries
+const baselines = new WeakMap();
+
+function getDefaultCache() {
+  return { version: CACHE_VERSION, accounts: {} };
+}
+
+function snapshotAccounts(accounts) {
+  const snapshot = {};
+  for (const [account, entries] of Object.entries(accounts)) {
+    snapshot[account] = {};
+    for (const [id, entry] of Object.entries(entries || {})) {
+      snapshot[account][id] = JSON.stringify(entry);
+    }
+  }
+  return snapshot;
+}
+
+function readCacheFile() {
+  const cachePath = getMessageCachePath();
+  if (!fs.existsSync(cachePath)) {
+    return getDefaultCache();
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    if (!parsed || parsed.version !== CACHE_VERSION || typeof parsed.accounts !== 'object') {
+      return getDefaultCache();
+    }
+    return { version: CACHE_VERSION, accounts: parsed.accounts || {} };
+  } catch (_err) {
+    return getDefaultCache();
+  }
+}
+
+/**
+ * Reads the message metadata cache
+ * Unknown versions or malformed files are treated as empty
+ * @returns {{version: number, accounts: Object<string, Object<string, Object>>}}
+ */
+function readMessageCache() {
+  const cache = readCacheFile();
+  baselines.set(cache, snapshotAccounts(cache.accounts));
+  return cache;
+}
+
+/**
+ * Drops the least recently seen entries once an account exceeds the cap
+ * @param {Object} entries - Map of message ID to cached metadata
+ * @returns {Object} Trimmed map
+ */
+function trimEntries(entries) {
+  const list = Object.entries(entries);
+  if (list.length <= MAX_ENTRIES_PER_ACCOUNT) {
+    return entries;
+  }
+  list.sort((a, b) => (b[1].seenAt || '').localeCompare(a[1].seenAt || ''));
+  return Object.fromEntries(list.slice(0, MAX_ENTRIES_PER_ACCOUNT));
+}
+
+/**
+ * Merges this process's changes into the cache on disk and persists it
+ * Entries added, changed or removed since the cache was read win; entries
+ * other processes wrote meanwhile are kept. The merged result is copied back
+ * into the cache object in place, so held account maps stay live.
+ * @param {Object} cache - Cache as returned by readMessageCache
+ */
+function writeMessageCache(cache) {
+  ensureCacheDir();
+  const baseline = baselines.get(cache) || {};
+  const accounts = readCacheFile().accounts;
+  const names = new Set([...Object.keys(baseline), ...Object.keys(cache.accounts || {})]);
+
+  for (const account of names) {
+    const entries = (cache.accounts || {})[account];
+    const before = baseline[account] || {};
+    const merged = { ...(accounts[account] || {}) };
+    for (const id of Object.keys(before)) {
+      if (!entries || !entries[id]) {
+        delete merged[id];
+      }
+    }
+    for (const [id, entry] of Object.entries(entries || {})) {
+      if (before[id] !== JSON.stringify(entry)) {
+        merged[id] = entry;
+      }
+    }
+    if (entries) {
+      accounts[account] = trimEntries(merged);
+    } else {
+      delete accounts[account];
+    }
+  }
+
+  atomicWriteJsonSync(getMessageCachePath(), { version: CACHE_VERSION, accounts });
+
+  if (!cache.accounts) {
+    cache.accounts = {};
+  }
+  for (const [account, entries] of Object.entries(accounts)) {
+    const target = getAccountEntries(cache, account);
+    for (const id of Object.keys(target)) {
+      if (!entries[id]) {
+        delete target[id];
+      }
+    }
+    Object.assign(target, entries);
+  }
+  baselines.set(cache, snapshotAccounts(cache.accounts));
+}
+
+/**
+ * Returns the entries for one account, creating the bucket if needed
+ * @param {Object} cache - Cache as returned by readMessageCache
+ * @param {string} account - Account name
+ * @returns {Object<string, Object>} Map of message ID to cached metadata
+ */
+function getAccountEntries(cache, account) {
+  if (!cache.accounts[account]) {
+    cache.accounts[account] = {};
+  }
+  return cache.accounts[account];
+}
+
+/**
+ * Converts an email object into a cache entry
+ * @param {Object} email - Email object from gmail-monitor
+ * @param {string} seenAt - ISO timestamp
+ * @returns {Object}
+ */
+function toCacheEntry(email, seenAt) {
+  const entry = {};
+  for (const field of CACHED_FIELDS) {
+    entry[field] = email[field];
+  }
+  entry.seenAt = seenAt;
+  return entry;
+}
+
+/**
+ * Converts a cache entry back into the email shape returned by gmail-monitor
+ * @param {string} account - Account name
+ * @param {Object} entry - Cache entry
+ * @returns {Object}
+ */
+function fromCacheEntry(account, entry) {
+  return {
+    id: entry.id,
+    threadId: entry.threadId,
+    labelIds: entry.labelIds || [],
+    account,
+    from: entry.from,
+    subject: entry.subject,
+    snippet: entry.snippet,
+    date: entry.date,
+  };
+}
+
+/**
+ * Removes cached entries for one account, or the whole cache
+ * @param {string} [account] - Account name (omit to clear every account)
+ * @returns {number} Number of entries removed
+ */
+function clearMessageCache(account) {
+  const cache = readMessageCache();
+  let removed = 0;
+
+  if (account) {
+    removed = Object.keys(cache.accounts[account] || {}).length;
+    if (cache.accounts[account]) {
+      delete cache.accounts[account];
+      writeMessageCache(cache);
+    }
+    return removed;
+  }
+
+  for (const entries of Object.values(cache.accounts)) {
+    removed += Object.keys(entries || {}).length;
+  }
+  fs.rmSync(getMessageCachePath(), { force: true });
+  return removed;
+}
+
+/**
+ * Summarizes cache contents per account
+ * @returns {{path: string, sizeBytes: number, totalEntries: number, accounts: Array<{account: string, entries: number, oldestSeenAt: string|null, newestSeenAt: string|null}>}}
+ */
+function getMessageCacheStats() {
+  const cachePath = getMessageCachePath();
+  const cache = readMessageCache();
+  const sizeBytes = fs.existsSync(cachePath) ? fs.statSync(cachePath).size : 0;
+
+  const accounts = Object.entries(cache.accounts).map(([account, entries]) => {
+    const seen = Object.values(entries || {})
+      .map(entry => entry.seenAt)
+      .filter(Boolean)
+      .sort();
+    return {
+      account,
+      entries: Object.keys(entries || {}).length,
+      oldestSeenAt: seen[0] || null,
+      newestSeenAt: seen[seen.length - 1] || null,
+    };
+  });
+
+  return {
+    path: cachePath,
+    sizeBytes,
+    totalEntries: accounts.reduce((sum, item) => sum + item.entries, 0),
+    accounts,
+  };
+}
+
+module.exports = {
+  MAX_ENTRIES_PER_ACCOUNT,
+  getMessageCachePath,
+  readMessageCache,
+  writeMessageCache,
+  getAccountEntries,
+  toCacheEntry,
+  fromCacheEntry,
+  clearMessageCache,
+  getMessageCacheStats,
+};
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { TOKEN_DIR } = require('./gmail-auth');
+const { getUnreadEmails } = require('./gmail-monitor');
+const { emailMatchesRule } = require('./rules-engine');
+const { atomicWriteJsonSync } = require('./utils');
+
+const NOTIFY_CONFIG_VERSION = 1;
+const TRIGGER_TYPES = ['vip', 'subject', 'rule'];
+const SINK_TYPES = ['terminal', 'command', 'webhook'];
+// Notified IDs kept on disk; the oldest are dropped past this
+const MAX_NOTIFIED_IDS = 5000;
+// Command hooks and webhooks that take longer than this count as failed
+const SINK_TIMEOUT_MS = 30 * 1000;
+
+function getNotifyConfigPath() {
+  return path.join(TOKEN_DIR, 'notify.json');
+}
+
+function getNotifiedPath() {
+  return path.join(TOKEN_DIR, 'notified.json');
+}
+
+/**
+ * Reads notify.json (no triggers when it does not exist yet)
+ * @returns {{version: number, triggers: Array<Object>, sinks: Array<Object>}}
+ */
+function readNotifyConfig() {
+  const configPath = getNotifyConfigPath();
+  if (!fs.existsSync(configPath)) {
+    return { version: NOTIFY_CONFIG_VERSION, triggers: [], sinks: [] };
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error.message}`);
+  }
+  if (!parsed || parsed.version !== NOTIFY_CONFIG_VERSION || !Array.isArray(parsed.triggers)) {
+    throw new Error(`${configPath} must be {"version": ${NOTIFY_CONFIG_VERSION}, "triggers": [...], "sinks": [...]}.`);
+  }
+  return { ...parsed, sinks: Array.isArray(parsed.sinks) ? parsed.sinks : [] };
+}
+
+function validateTrigger(raw, index, { importantPeople }) {
+  const label = raw && raw.name ? `Trigger "${raw.name}"` : `Trigger #${index + 1}`;
+  const type = raw && raw.type;
+  if (!TRIGGER_TYPES.includes(type)) {
+    throw new Error(`${label} has unknown type "${type}". Use ${TRIGGER_TYPES.join(', ')}.`);
+  }
+  const name = raw.name || type;
+
+  if (type === 'vip') {
+    // Without a sender list, the Important People preferences are the VIPs
+    const senders = (raw.senders || importantPeople).map(sender => String(sender).trim().toLowerCase()).filter(Boolean);
+    if (senders.length === 0) {
+      throw new Error(`${label} has no senders. List them in "senders" or under Important People in preferences.`);
+    }
+    return { name, type, senders };
+  }
+  if (type === 'subject') {
+    if (typeof raw.pattern !== 'string' || !raw.pattern) {
+      throw new Error(`${label} needs a "pattern".`);
+    }
+    let regex;
+    try {
+      // g and y make test() stateful (lastIndex), so every other match would be missed
+      const flags = raw.flags === undefined ? 'i' : String(raw.flags).replace(/[gy]/g, '');
+      regex = new RegExp(raw.pattern, flags);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+    return { name, type, regex };
+  }
+  if (raw.rules !== undefined && !(Array.isArray(raw.rules) && raw.rules.length > 0)) {
+    throw new Error(`${label}: "rules" must be a non-empty list of rule IDs.`);
+  }
+  return { name, type, ruleIds: raw.rules || null };
+}
+
+function validateSink(raw, index) {
+  const label = `Sink #${index + 1}`;
+  const type = raw && raw.type;
+  if (!SINK_TYPES.includes(type)) {
+    throw new Error(`${label} has unknown type "${type}". Use ${SINK_TYPES.join(', ')}.`);
+  }
+  if (type === 'command') {
+    if (typeof raw.command !== 'string' || !raw.command.trim()) {
+      throw new Error(`${label} needs a "command".`);
+    }
+    return { type, command: raw.command };
+  }
+  if (type === 'webhook') {
+    let url;
+    try {
+      url = new URL(raw.url);
+    } catch (_err) {
+      throw new Error(`${label} needs a valid "url".`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error(`${label}: url must use http or https.`);
+    }
+    return { type, url: url.toString(), headers: raw.headers || {} };
+  }
+  return { type, bell: raw.bell !== false };
+}
+
+/**
+ * Validates notify.json triggers and sinks
+ * A terminal sink is used when no sinks are configured.
+ * @param {{triggers: Array<Object>, sinks: Array<Object>}} config - From readNotifyConfig
+ * @param {Object} [options]
+ * @param {string[]} [options.importantPeople] - Sender patterns for vip triggers without senders
+ * @returns {{triggers: Array<Object>, sinks: Array<Object>}}
+ */
+function validateNotifyConfig(config, { importantPeople = [] } = {}) {
+  const triggers = config.triggers.map((raw, index) => validateTrigger(raw, index, { importantPeople }));
+  const sinks = config.sinks.map(validateSink);
+  return { triggers, sinks: sinks.length > 0 ? sinks : [{ type: 'terminal', bell: true }] };
+}
+
+/**
+ * Names of the triggers an email matches
+ * @param {Object} email - Email metadata (from, subject, account)
+ * @param {Array<Object>} triggers - From validateNotifyConfig
+ * @param {Array<Object>} [rules] - Rules checked by rule triggers, in evaluation order
+ * @returns {string[]}
+ */
+function matchTriggers(email, triggers, rules = []) {
+  const from = (email.from || '').toLowerCase();
+  return triggers.filter(trigger => {
+    if (trigger.type === 'vip') {
+      return trigger.senders.some(sender => from.includes(sender));
+    }
+    if (trigger.type === 'subject') {
+      return trigger.regex.test(email.subject || '');
+    }
+    return rules.some(rule => (!trigger.ruleIds || trigger.ruleIds.includes(rule.id)) && emailMatchesRule(email, rule));
+  }).map(trigger => trigger.name);
+}
+
+/**
+ * Email summary sent to every sink
+ */
+function buildNotification(email, triggers) {
+  return {
+    id: email.id,
+    account: email.account || 'default',
+    threadId: email.threadId,
+    from: email.from,
+    subject: email.subject,
+    snippet: email.snippet,
+    date: email.date,
+    triggers,
+  };
+}
+
+// ============================================================================
+// Sinks
+// ============================================================================
+
+function formatTerminalLine(notification) {
+  return `[${notification.account}] ${notification.from} - ${notification.subject} (${notification.triggers.join(', ')})`;
+}
+
+/**
+ * Runs a command hook through the shell
+ * The notification is written to stdin as JSON and its main fields are
+ * available as INBOXD_* environment variables.
+ */
+function runCommandSink(sink, notification, { spawnFn }) {
+  return new Promise((resolve, reject) => {
+    const child = spawnFn(sink.command, {
+      shell: true,
+      stdio: ['pipe', 'ignore', 'pipe'],
+      env: {
+        ...process.env,
+        INBOXD_ID: notification.id,
+        INBOXD_ACCOUNT: notification.account,
+        INBOXD_FROM: notification.from || '',
+        INBOXD_SUBJECT: notification.subject || '',
+        INBOXD_TRIGGERS: notification.triggers.join(','),
+      },
+    });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGTERM'), SINK_TIMEOUT_MS);
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(stderr.trim().split('\n').pop() || `Command exited with code ${code}`));
+      }
+    });
+    // A hook that ignores stdin may exit before reading it
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(notification));
+  });
+}
+
+async function postWebhook(sink, notification, { fetchFn }) {
+  const response = await fetchFn(sink.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...sink.headers },
+    body: JSON.stringify(notification),
+    signal: AbortSignal.timeout(SINK_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook returned HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Sends a notification to every sink
+ * @param {Object} notification - From buildNotification
+ * @param {Array<Object>} sinks - From validateNotifyConfig
+ * @param {Object} [options]
+ * @param {Function} [options.spawnFn] - child_process.spawn replacement (tests)
+ * @param {Function} [options.fetchFn] - fetch replacement (tests)
+ * @param {Function} [options.write] - Output for terminal sinks
+ * @returns {Promise<Array<{sink: string, ok: boolean, error: string|null}>>}
+ */
+async function deliverNotification(notification, sinks, {
+  spawnFn = spawn,
+  fetchFn = fetch,
+  write = text => process.stdout.write(text),
+} = {}) {
+  const results = [];
+  for (const sink of sinks) {
+    try {
+      if (sink.type === 'terminal') {
+        write(`${sink.bell ? '\u0007' : ''}${formatTerminalLine(notification)}\n`);
+      } else if (sink.type === 'command') {
+        await runCommandSink(sink, notification, { spawnFn });
+      } else {
+        await postWebhook(sink, notification, { fetchFn });
+      }
+      results.push({ sink: sink.type, ok: true, error: null });
+    } catch (error) {
+      results.push({ sink: sink.type, ok: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+// ============================================================================
+// Notified IDs
+// ============================================================================
+
+/**
+ * Reads the IDs already notified about
+ * @returns {Object<string, string>} "account:id" -> notification time
+ */
+function readNotified() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(getNotifiedPath(), 'utf8'));
+    return parsed && parsed.ids && typeof parsed.ids === 'object' ? parsed.ids : {};
+  } catch (_err) {
+    return {};
+  }
+}
+
+/**
+ * Records notified IDs, keeping the most recent MAX_NOTIFIED_IDS
+ * @param {string[]} keys - "account:id" keys
+ * @param {Date} [at] - Notification time
+ */
+function recordNotified(keys, at = new Date()) {
+  if (keys.length === 0) return;
+  const ids = readNotified();
+  keys.forEach(key => { ids[key] = at.toISOString(); });
+  const kept = Object.entries(ids)
+    .sort((a, b) => b[1].localeCompare(a[1]))
+    .slice(0, MAX_NOTIFIED_IDS);
+  fs.mkdirSync(TOKEN_DIR, { recursive: true });
+  atomicWriteJsonSync(getNotifiedPath(), { version: 1, ids: Object.fromEntries(kept) });
+}
+
+/**
+ * Checks unread mail against the triggers and notifies each match once
+ * A message counts as notified once at least one sink accepted it, so a
+ * message whose sinks all failed is retried on the next check.
+ * @param {Object} options
+ * @param {string[]} options.accounts - Accounts to check
+ * @param {{triggers: Array<Object>, sinks: Array<Object>}} options.config - From validateNotifyConfig
+ * @param {Array<Object>} [options.rules] - Rules for rule triggers
+ * @param {number} [options.limit] - Unread messages to check per account
+ * @param {Function} [options.fetchEmails] - Replaces getUnreadEmails (tests)
+ * @param {Object} [options.deliverOptions] - Passed to deliverNotification
+ * @returns {{check: Function}} check() resolves to {notified, failed, errors}
+ */
+function createNotifier({
+  accounts,
+  config,
+  rules = [],
+  limit = 20,
+  fetchEmails = getUnreadEmails,
+  deliverOptions = {},
+}) {
+  const check = async () => {
+    const notified = [];
+    const failed = [];
+    const errors = [];
+    const done = readNotified();
+
+    for (const account of accounts) {
+      const result = await fetchEmails(account, limit);
+      errors.push(...result.errors);
+      const delivered = [];
+      for (const email of result.emails) {
+        const key = `${account}:${email.id}`;
+        if (done[key]) continue;
+        const triggers = matchTriggers({ ...email, account }, config.triggers, rules);
+        if (triggers.length === 0) continue;
+
+        const notification = buildNotification({ ...email, account }, triggers);
+        const sinks = await deliverNotification(notification, config.sinks, deliverOptions);
+        if (sinks.some(sink => sink.ok)) {
+          delivered.push(key);
+          notified.push({ ...notification, sinks });
+        } else {
+          failed.push({ ...notification, sinks });
+        }
+      }
+      recordNotified(delivered);
+    }
+    return { notified, failed, errors };
+  };
+
+  return { check };
+}
+
+module.exports = {
+  TRIGGER_TYPES,
+  SINK_TYPES,
+  getNotifyConfigPath,
+  getNotifiedPath,
+  readNotifyConfig,
+  validateNotifyConfig,
+  matchTriggers,
+  buildNotification,
+  deliverNotification,
+  readNotified,
+  recordNotified,
+  createNotifier,
+};
@@ -0,0 +1,280 @@
+/**
+ * Shared Gmail rate limiter
+ * Tracks quota units per account (token bucket), honours Retry-After and
+ * retries transient failures with exponential backoff and jitter.
+ *
+ * Configuration (environment variables):
+ *   INBOXD_MAX_RETRIES          Retries after the first attempt (default 5)
+ *   INBOXD_RETRY_BASE_MS        Initial backoff delay in ms (default 1000)
+ *   INBOXD_RETRY_MAX_MS         Maximum backoff delay in ms (default 32000)
+ *   INBOXD_QUOTA_UNITS_PER_SEC  Per-account quota budget (default 250, Gmail's per-user limit)
+ */
+
+// Gmail API quota cost per method
+// https://developers.google.com/gmail/api/reference/quota
+const QUOTA_UNITS = {
+  'getProfile': 1,
+  'history.list': 2,
+  'labels.create': 5,
+  'labels.get': 1,
+  'labels.list': 1,
+  'messages.attachments.get': 5,
+  'messages.batchModify': 50,
+  'messages.get': 5,
+  'messages.list': 5,
+  'messages.modify': 5,
+  'messages.send': 100,
+  'messages.trash': 5,
+  'messages.untrash': 5,
+  'settings.filters.create': 5,
+  'settings.filters.delete': 5,
+  'settings.filters.list': 1,
+  'threads.get': 10,
+};
+const DEFAULT_UNITS = 5;
+
+const NETWORK_ERRORS = ['ENOTFOUND', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+const buckets = new Map();
+const warnings = [];
+let warningMode = 'text';
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Reads limiter settings from the environment
+ * @returns {{maxRetries: number, baseDelayMs: number, maxDelayMs: number, quotaUnitsPerSecond: number}}
+ */
+function getRateLimitConfig() {
+  return {
+    maxRetries: readIntEnv('INBOXD_MAX_RETRIES', 5),
+    baseDelayMs: readIntEnv('INBOXD_RETRY_BASE_MS', 1000),
+    maxDelayMs: readIntEnv('INBOXD_RETRY_MAX_MS', 32000),
+    quotaUnitsPerSecond: Math.max(1, readIntEnv('INBOXD_QUOTA_UNITS_PER_SEC', 250)),
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function getErrorStatus(error) {
+  if (typeof error.code === 'number') return error.code;
+  return error.response?.status || error.status || null;
+}
+
+function getErrorReason(error) {
+  return error.errors?.[0]?.reason
+    || error.response?.data?.error?.errors?.[0]?.reason
+    || null;
+}
+
+/**
+ * Whether an error is Gmail telling us to slow down
+ * (429, or 403 with rateLimitExceeded/userRateLimitExceeded)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+  const status = getErrorStatus(error);
+  if (status === 429) return true;
+  return status === 403 && RATE_LIMIT_REASONS.includes(getErrorReason(error));
+}
+
+/**
+ * Whether an error is worth retrying (network, 5xx or rate limit)
+ * Other 401/403 responses are auth failures and never retried.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (isRateLimitError(error)) return true;
+  if (NETWORK_ERRORS.includes(error.code)) return true;
+  const status = getErrorStatus(error);
+  return status >= 500 && status < 600;
+}
+
+/**
+ * Extracts the Retry-After delay from an error response
+ * @param {Error} error
+ * @param {number} [now] - Current time in ms (for HTTP-date values)
+ * @returns {number|null} Delay in ms, or null when absent
+ */
+function getRetryAfterMs(error, now = Date.now()) {
+  const headers = error.response?.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : headers['retry-after'] || headers['Retry-After'];
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with jitter: half the delay is fixed, half random
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} config - From getRateLimitConfig
+ * @param {Function} [random] - Random source (0..1)
+ * @returns {number} Delay in ms
+ */
+function computeBackoffDelay(attempt, config, random = Math.random) {
+  const exponential = Math.min(config.maxDelayMs, config.baseDelayMs * (2 ** attempt));
+  return Math.round(exponential / 2 + random() * exponential / 2);
+}
+
+function getBucket(account, config) {
+  let bucket = buckets.get(account);
+  if (!bucket) {
+    bucket = { tokens: config.quotaUnitsPerSecond, updatedAt: Date.now(), blockedUntil: 0 };
+    buckets.set(account, bucket);
+  }
+  return bucket;
+}
+
+/**
+ * Waits until the account has enough quota budget for a call
+ * @param {string} account - Account name
+ * @param {number} units - Quota units the call costs
+ */
+async function acquireQuota(account, units) {
+  const config = getRateLimitConfig();
+  const bucket = getBucket(account, config);
+  const needed = Math.min(units, config.quotaUnitsPerSecond);
+
+  for (;;) {
+    const now = Date.now();
+    if (bucket.blockedUntil > now) {
+      await sleep(bucket.blockedUntil - now);
+      continue;
+    }
+    const elapsed = now - bucket.updatedAt;
+    bucket.tokens = Math.min(config.quotaUnitsPerSecond, bucket.tokens + elapsed * config.quotaUnitsPerSecond / 1000);
+    bucket.updatedAt = now;
+    if (bucket.tokens >= needed) {
+      bucket.tokens -= needed;
+      return;
+    }
+    await sleep(Math.ceil((needed - bucket.tokens) * 1000 / config.quotaUnitsPerSecond));
+  }
+}
+
+/**
+ * Pauses every call for an account (used when Gmail sends Retry-After)
+ * @param {string} account - Account name
+ * @param {number} delayMs - Pause length
+ */
+function pauseAccount(account, delayMs) {
+  const bucket = getBucket(account, getRateLimitConfig());
+  bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + delayMs);
+}
+
+/**
+ * Sets how warnings are reported
+ * 'json' writes one JSON object per line to stderr (stdout stays parseable),
+ * 'text' writes a readable line to stderr, 'silent' only records them.
+ * @param {'json'|'text'|'silent'} mode
+ */
+function setWarningMode(mode) {
+  warningMode = mode;
+}
+
+function emitWarning(warning) {
+  warnings.push(warning);
+  if (warningMode === 'json') {
+    process.stderr.write(`${JSON.stringify({ warning })}\n`);
+  } else if (warningMode === 'text') {
+    console.error(`Warning: ${warning.message}`);
+  }
+}
+
+/**
+ * Returns warnings recorded so far in this process
+ * @returns {Array<Object>}
+ */
+function getWarnings() {
+  return warnings.slice();
+}
+
+function clearWarnings() {
+  warnings.length = 0;
+}
+
+/**
+ * Runs a Gmail API call under the account's quota budget, retrying
+ * transient failures with backoff
+ * @param {Function} operation - Async function performing the call
+ * @param {Object} [options]
+ * @param {string} [options.account] - Account name (quota is tracked per account)
+ * @param {string} [options.method] - API method key from QUOTA_UNITS
+ * @param {number} [options.units] - Explicit quota cost (overrides method)
+ * @param {boolean} [options.idempotent=true] - False for calls that must not
+ *   run twice (sending mail): a timeout or 5xx may hide a call Gmail accepted,
+ *   so only rate-limit refusals are retried
+ * @returns {Promise<*>} Operation result
+ */
+async function runWithRateLimit(operation, options = {}) {
+  const account = options.account || 'default';
+  const units = options.units || QUOTA_UNITS[options.method] || DEFAULT_UNITS;
+  const config = getRateLimitConfig();
+  const shouldRetry = options.idempotent === false ? isRateLimitError : isRetryableError;
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireQuota(account, units);
+    try {
+      return await operation();
+    } catch (error) {
+      if (!shouldRetry(error) || attempt >= config.maxRetries) {
+        throw error;
+      }
+
+      const rateLimited = isRateLimitError(error);
+      const retryAfterMs = getRetryAfterMs(error);
+      const delayMs = retryAfterMs !== null
+        ? Math.min(retryAfterMs, config.maxDelayMs)
+        : computeBackoffDelay(attempt, config);
+      if (rateLimited) {
+        pauseAccount(account, delayMs);
+      }
+
+      emitWarning({
+        type: rateLimited ? 'rate_limited' : 'retry',
+        account,
+        method: options.method || null,
+        attempt: attempt + 1,
+        maxRetries: config.maxRetries,
+        delayMs,
+        status: getErrorStatus(error),
+        reason: getErrorReason(error) || error.code || null,
+        message: `${rateLimited ? 'Gmail rate limit hit' : `Request failed (${error.message})`} for ${account}; retrying in ${delayMs}ms (attempt ${attempt + 1}/${config.maxRetries})`,
+      });
+
+      if (!rateLimited) {
+        await sleep(delayMs);
+      }
+    }
+  }
+}
+
+module.exports = {
+  QUOTA_UNITS,
+  getRateLimitConfig,
+  isRateLimitError,
+  isRetryableError,
+  getRetryAfterMs,
+  computeBackoffDelay,
+  acquireQuota,
+  runWithRateLimit,
+  setWarningMode,
+  getWarnings,
+  clearWarnings,
+};
@@ -0,0 +1,148 @@
+const { applyLabel, removeLabel, findLabelByName, forwardEmail, trashEmails } = require('./gmail-monitor');
+const { logUndoAction } = require('./undo-log');
+
+// System labels behind the star/important actions
+const ACTION_LABEL_IDS = {
+  star: 'STARRED',
+  unstar: 'STARRED',
+  'mark-important': 'IMPORTANT',
+};
+
+function groupByAccount(items) {
+  const byAccount = {};
+  items.forEach(item => {
+    const account = item.account || 'default';
+    if (!byAccount[account]) {
+      byAccount[account] = [];
+    }
+    byAccount[account].push(item);
+  });
+  return byAccount;
+}
+
+/**
+ * Resolves the label ID a group needs, or null when the label does not exist
+ * @returns {Promise<{id: string, name: string}|null>}
+ */
+async function resolveGroupLabel(account, group) {
+  if (ACTION_LABEL_IDS[group.action]) {
+    const id = ACTION_LABEL_IDS[group.action];
+    return { id, name: id };
+  }
+  const label = await findLabelByName(account, group.label);
+  return label ? { id: label.id, name: label.name } : null;
+}
+
+async function runLabelGroup(account, group, emails) {
+  const label = await resolveGroupLabel(account, group);
+  if (!label) {
+    const error = `Label "${group.label}" not found`;
+    return { results: emails.map(email => ({ id: email.id, success: false, error })), label: null };
+  }
+  const adds = group.action === 'apply-label' || group.action === 'star' || group.action === 'mark-important';
+  const results = adds
+    ? await applyLabel(account, emails.map(e => e.id), label.id)
+    : await removeLabel(account, emails.map(e => e.id), label.id);
+  return { results, label };
+}
+
+async function runForwardGroup(account, group, emails) {
+  const results = [];
+  for (const email of emails) {
+    const result = await forwardEmail(account, email.id, group.forwardTo);
+    results.push({ id: email.id, success: result.success, sentId: result.id, error: result.error });
+  }
+  return { results };
+}
+
+/**
+ * Executes the non-exclusive actions from buildActionPlan (labels, star,
+ * important, forward) and writes one undo entry per action and account
+ * @param {Array<{action: string, label?: string, forwardTo?: string, emails: Array}>} ruleActions
+ * @returns {Promise<{results: Array, undoEntries: Array}>}
+ */
+async function executeRuleActions(ruleActions) {
+  const results = [];
+  const undoEntries = [];
+
+  for (const group of ruleActions) {
+    for (const [account, emails] of Object.entries(groupByAccount(group.emails))) {
+      const outcome = group.action === 'forward'
+        ? await runForwardGroup(account, group, emails)
+        : await runLabelGroup(account, group, emails);
+
+      const successful = [];
+      outcome.results.forEach(result => {
+        const email = emails.find(candidate => candidate.id === result.id);
+        results.push({
+          id: result.id,
+          account,
+          action: group.action,
+          ...(group.label ? { label: group.label } : {}),
+          ...(group.forwardTo ? { forwardTo: group.forwardTo } : {}),
+          success: result.success,
+          error: result.success ? undefined : result.error,
+        });
+        if (result.success && email) {
+          successful.push(result.sentId ? { ...email, sentId: result.sentId } : email);
+        }
+      });
+
+      const details = group.action === 'forward'
+        ? { forwardTo: group.forwardTo }
+        : (outcome.label && !ACTION_LABEL_IDS[group.action] ? { label: outcome.label } : {});
+      const entry = logUndoAction(group.action, successful, details);
+      if (entry) {
+        undoEntries.push(entry);
+      }
+    }
+  }
+
+  return { results, undoEntries };
+}
+
+/**
+ * Reverses an undo entry written by executeRuleActions
+ * Forwards cannot be recalled: undo trashes the sent copy only.
+ * @param {Object} entry - Undo log entry
+ * @returns {Promise<Array<{id: string, account: string, success: boolean, error?: string}>>}
+ */
+async function undoRuleAction(entry) {
+  const results = [];
+
+  for (const [account, items] of Object.entries(groupByAccount(entry.items))) {
+    let actionResults;
+    if (entry.action === 'forward') {
+      const sent = items.filter(item => item.sentId);
+      const trashed = await trashEmails(account, sent.map(item => item.sentId));
+      actionResults = items.map(item => {
+        const result = trashed.find(candidate => candidate.id === item.sentId);
+        return result
+          ? { id: item.id, success: result.success, error: result.error }
+          : { id: item.id, success: false, error: 'Sent message ID not recorded' };
+      });
+    } else {
+      const labelId = ACTION_LABEL_IDS[entry.action] || (entry.label && entry.label.id);
+      if (!labelId) {
+        throw new Error(`Undo entry ${entry.id} has no label to restore.`);
+      }
+      const ids = items.map(item => item.id);
+      const reverseAdds = entry.action === 'remove-label' || entry.action === 'unstar';
+      actionResults = reverseAdds
+        ? await applyLabel(account, ids, labelId)
+        : await removeLabel(account, ids, labelId);
+    }
+
+    actionResults.forEach(result => {
+      results.push({ id: result.id, account, success: result.success, error: result.error });
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  groupByAccount,
+  executeRuleActions,
+  undoRuleAction,
+};
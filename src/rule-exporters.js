@@ -0,0 +1,269 @@
+const { buildMatcherTerms, describeRule, describeRuleAction, isRuleExpired } = require('./rules-engine');
+
+const EXCLUSIVE_SIEVE_ACTIONS = new Set(['never-delete', 'always-delete', 'auto-archive', 'auto-mark-read']);
+
+/**
+ * Report entry for one rule: whether it made it into the output and why not
+ * (or what was approximated)
+ */
+function reportEntry(rule, reasons, exported) {
+  return {
+    ruleId: rule.id,
+    description: `${describeRuleAction(rule)} → ${describeRule(rule)}`,
+    exported,
+    reasons,
+  };
+}
+
+/**
+ * Reasons shared by both targets: both run as mail arrives, so age, expiry
+ * and the local regex cannot carry over
+ */
+function getCommonUnsupported(rule) {
+  const conditions = rule.conditions || {};
+  const reasons = [];
+  if (rule.olderThanDays) reasons.push('older-than (filters run on arrival)');
+  if (rule.expiresAt) reasons.push('expiry');
+  if (conditions.subjectRegex) reasons.push('subject regex');
+  return reasons;
+}
+
+// ============================================================================
+// Sieve (RFC 5228)
+// ============================================================================
+
+function sieveString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Sieve tests for a rule's matchers, or the conditions Sieve cannot check
+ * @returns {{tests: string[], unsupported: string[]}}
+ */
+function buildSieveTests(rule) {
+  const conditions = rule.conditions || {};
+  const tests = [];
+  const unsupported = getCommonUnsupported(rule);
+
+  if (rule.sender) tests.push(`header :contains "from" ${sieveString(rule.sender)}`);
+  if (conditions.to) tests.push(`header :contains ["to", "cc"] ${sieveString(conditions.to)}`);
+  if (conditions.subject) tests.push(`header :contains "subject" ${sieveString(conditions.subject)}`);
+  if (conditions.listId) tests.push(`header :contains "list-id" ${sieveString(conditions.listId)}`);
+  if (conditions.largerThan) tests.push(`size :over ${conditions.largerThan}`);
+  if (conditions.smallerThan) tests.push(`size :under ${conditions.smallerThan}`);
+  if ((conditions.hasLabels || []).length > 0 || (conditions.lacksLabels || []).length > 0) {
+    unsupported.push('labels (Gmail only)');
+  }
+  if (conditions.hasAttachment !== undefined) unsupported.push('attachments');
+  if (conditions.unread !== undefined) unsupported.push('read/unread state');
+  if (conditions.starred !== undefined) unsupported.push('starred state');
+  return { tests, unsupported };
+}
+
+/**
+ * Sieve commands for a rule's action, or null when Sieve has no equivalent
+ * @returns {{commands: string[], extensions: string[]}|null}
+ */
+function buildSieveAction(rule) {
+  switch (rule.action) {
+    case 'always-delete': return { commands: ['fileinto "Trash";'], extensions: ['fileinto'] };
+    case 'auto-archive': return { commands: ['fileinto "Archive";'], extensions: ['fileinto'] };
+    case 'auto-mark-read': return { commands: ['addflag "\\\\Seen";'], extensions: ['imap4flags'] };
+    case 'apply-label': return { commands: [`fileinto :copy ${sieveString(rule.label)};`], extensions: ['fileinto', 'copy'] };
+    case 'star': return { commands: ['addflag "\\\\Flagged";'], extensions: ['imap4flags'] };
+    case 'forward': return { commands: [`redirect :copy ${sieveString(rule.forwardTo)};`], extensions: ['copy'] };
+    case 'never-delete': return { commands: [], extensions: [] };
+    default: return null;
+  }
+}
+
+/**
+ * Converts rules into a Sieve script
+ * Rules keep their evaluation order. The variables extension reproduces the
+ * engine's precedence: never-delete protects from every delete rule, the first
+ * delete/archive/mark-read/never-delete rule decides a message, and
+ * stopProcessing ends the script. Rules with anything Sieve cannot express are
+ * left out (as comments) rather than exported with broader matching.
+ * @param {Array<Object>} rules - Rules in evaluation order
+ * @returns {{content: string, report: Array<{ruleId: string, description: string, exported: boolean, reasons: string[]}>}}
+ */
+function exportSieve(rules) {
+  const extensions = new Set(['variables']);
+  const report = [];
+  const blocks = [];
+  const protections = [];
+
+  rules.filter(rule => !isRuleExpired(rule)).forEach(rule => {
+    const { tests, unsupported } = buildSieveTests(rule);
+    const action = buildSieveAction(rule);
+    if (!action) unsupported.push(`${rule.action} action`);
+    const notes = rule.accounts ? [`account scope (${rule.accounts.join(', ')}) is not exported`] : [];
+
+    if (unsupported.length > 0) {
+      report.push(reportEntry(rule, unsupported, false));
+      blocks.push(`# Skipped ${rule.id}: ${describeRuleAction(rule)} → ${describeRule(rule)}\n# (not representable: ${unsupported.join(', ')})`);
+      return;
+    }
+    report.push(reportEntry(rule, notes, true));
+    action.extensions.forEach(extension => extensions.add(extension));
+
+    const matcher = tests.length === 1
+      ? tests[0]
+      : `${(rule.conditions || {}).match === 'any' ? 'anyof' : 'allof'}(${tests.join(', ')})`;
+    if (rule.action === 'never-delete') {
+      protections.push(`if ${matcher} {\n  set "protected" "1";\n}`);
+    }
+
+    const guards = [];
+    const commands = [...action.commands];
+    if (EXCLUSIVE_SIEVE_ACTIONS.has(rule.action)) {
+      guards.push('string :is "${decided}" ""');
+      if (rule.action === 'always-delete') guards.push('string :is "${protected}" ""');
+      commands.push('set "decided" "1";');
+    }
+    if (rule.stopProcessing) commands.push('stop;');
+    const test = guards.length > 0 ? `allof(${matcher}, ${guards.join(', ')})` : matcher;
+    const body = commands.length > 0 ? commands.map(command => `  ${command}`).join('\n') : '  keep;';
+    blocks.push(`# ${rule.id}: ${describeRuleAction(rule)} → ${describeRule(rule)}\nif ${test} {\n${body}\n}`);
+  });
+
+  const content = [
+    '# Generated by inboxd rules export --format sieve',
+    `require [${Array.from(extensions).sort().map(sieveString).join(', ')}];`,
+    '',
+    'set "decided" "";',
+    'set "protected" "";',
+    ...(protections.length > 0 ? ['', '# never-delete rules protect from every delete rule', ...protections] : []),
+    '',
+    blocks.join('\n\n'),
+    '',
+  ].join('\n');
+  return { content, report };
+}
+
+// ============================================================================
+// Gmail mailFilters.xml (Atom feed used by Settings > Filters > Import)
+// ============================================================================
+
+function xmlAttr(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/'/g, '&apos;')
+    .replace(/"/g, '&quot;');
+}
+
+const GMAIL_XML_ACTIONS = {
+  'always-delete': { shouldTrash: 'true' },
+  'auto-archive': { shouldArchive: 'true' },
+  'auto-mark-read': { shouldMarkAsRead: 'true' },
+  star: { shouldStar: 'true' },
+  'mark-important': { shouldAlwaysMarkAsImportant: 'true' },
+};
+
+/**
+ * Gmail filter properties for a rule, or the parts that cannot be expressed
+ * @returns {{properties: Array<[string, string]>, unsupported: string[], notes: string[]}}
+ */
+function buildGmailXmlProperties(rule) {
+  const conditions = rule.conditions || {};
+  const unsupported = getCommonUnsupported(rule);
+  const notes = [];
+  const properties = [];
+
+  if (conditions.match === 'any') {
+    const terms = buildMatcherTerms(rule);
+    properties.push(['hasTheWord', terms.length === 1 ? terms[0] : `{${terms.join(' ')}}`]);
+  } else {
+    if (rule.sender) properties.push(['from', rule.sender]);
+    if (conditions.to) properties.push(['to', conditions.to]);
+    if (conditions.subject) properties.push(['subject', conditions.subject]);
+    if (conditions.hasAttachment === true) properties.push(['hasAttachment', 'true']);
+    if (conditions.largerThan && conditions.smallerThan) {
+      unsupported.push('both size limits (Gmail filters allow one)');
+    } else if (conditions.largerThan || conditions.smallerThan) {
+      properties.push(['size', String(conditions.largerThan || conditions.smallerThan)]);
+      properties.push(['sizeOperator', conditions.largerThan ? 's_sl' : 's_ss']);
+      properties.push(['sizeUnit', 's_sb']);
+    }
+    // Everything else goes through the search box syntax
+    const words = buildMatcherTerms({ conditions: {
+      listId: conditions.listId,
+      hasLabels: conditions.hasLabels,
+      lacksLabels: conditions.lacksLabels,
+      unread: conditions.unread,
+      starred: conditions.starred,
+    } });
+    if (words.length > 0) properties.push(['hasTheWord', words.join(' ')]);
+    if (conditions.hasAttachment === false) properties.push(['doesNotHaveTheWord', 'has:attachment']);
+  }
+
+  if (rule.action === 'apply-label') {
+    properties.push(['label', rule.label]);
+  } else if (rule.action === 'forward') {
+    properties.push(['forwardTo', rule.forwardTo]);
+    notes.push('Gmail only forwards to verified addresses');
+  } else if (GMAIL_XML_ACTIONS[rule.action]) {
+    Object.entries(GMAIL_XML_ACTIONS[rule.action]).forEach(entry => properties.push(entry));
+  } else {
+    unsupported.push(`${rule.action} action`);
+  }
+  if (rule.accounts) {
+    notes.push(`account scope (${rule.accounts.join(', ')}) is not exported`);
+  }
+  return { properties, unsupported, notes };
+}
+
+/**
+ * Converts rules into a mailFilters.xml file Gmail's settings can import
+ * Rules with anything a Gmail filter cannot express are left out.
+ * @param {Array<Object>} rules - Rules in evaluation order
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Timestamp for the feed
+ * @returns {{content: string, report: Array<{ruleId: string, description: string, exported: boolean, reasons: string[]}>}}
+ */
+function exportGmailXml(rules, { now = new Date() } = {}) {
+  const updated = now.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const report = [];
+  const entries = [];
+
+  rules.filter(rule => !isRuleExpired(rule)).forEach(rule => {
+    const { properties, unsupported, notes } = buildGmailXmlProperties(rule);
+    if (unsupported.length > 0) {
+      report.push(reportEntry(rule, unsupported, false));
+      return;
+    }
+    report.push(reportEntry(rule, notes, true));
+    entries.push([
+      '  <entry>',
+      "    <category term='filter'></category>",
+      '    <title>Mail Filter</title>',
+      `    <id>tag:mail.google.com,2008:filter:${xmlAttr(rule.id)}</id>`,
+      `    <updated>${updated}</updated>`,
+      '    <content></content>',
+      ...properties.map(([name, value]) => `    <apps:property name='${name}' value='${xmlAttr(value)}'/>`),
+      '  </entry>',
+    ].join('\n'));
+  });
+
+  const content = [
+    "<?xml version='1.0' encoding='UTF-8'?>",
+    "<feed xmlns='http://www.w3.org/2005/Atom' xmlns:apps='http://schemas.google.com/apps/2006'>",
+    '  <title>Mail Filters</title>',
+    '  <id>tag:mail.google.com,2008:filters:</id>',
+    `  <updated>${updated}</updated>`,
+    '  <author>',
+    '    <name>inboxd</name>',
+    '  </author>',
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+  return { content, report };
+}
+
+module.exports = {
+  exportSieve,
+  exportGmailXml,
+};
@@ -0,0 +1,159 @@
+const { getMatcherKey } = require('./rules');
+const { actionsConflict, describeRule, describeRuleAction, isRuleExpired, orderRules } = require('./rules-engine');
+
+const TEXT_CONDITIONS = ['to', 'subject', 'listId'];
+const EXACT_CONDITIONS = ['subjectRegex', 'hasAttachment', 'unread', 'starred'];
+const EXCLUSIVE_ACTIONS = new Set(['never-delete', 'always-delete', 'auto-archive', 'auto-mark-read']);
+// Actions that take an email out of sight; these should not reach Important People
+const DISRUPTIVE_ACTIONS = new Set(['always-delete', 'auto-archive', 'auto-mark-read']);
+
+function lower(value) {
+  return String(value || '').toLowerCase();
+}
+
+function countMatchers(rule) {
+  const conditions = rule.conditions || {};
+  return (rule.sender ? 1 : 0)
+    + [...TEXT_CONDITIONS, ...EXACT_CONDITIONS, 'largerThan', 'smallerThan']
+      .filter(field => conditions[field] !== undefined && conditions[field] !== null).length
+    + (conditions.hasLabels || []).length
+    + (conditions.lacksLabels || []).length;
+}
+
+// With "any" and several matchers no single matcher is required, so nothing can be proven
+function isOrRule(rule) {
+  return (rule.conditions || {}).match === 'any' && countMatchers(rule) > 1;
+}
+
+function sendersOverlap(a, b) {
+  const left = lower(a.sender);
+  const right = lower(b.sender);
+  return Boolean(left && right) && (left.includes(right) || right.includes(left));
+}
+
+function accountsOverlap(a, b) {
+  if (!a.accounts || !b.accounts) return true;
+  return a.accounts.some(account => b.accounts.includes(account));
+}
+
+/**
+ * Whether every email matching `specific` also matches `general`
+ * Matching is substring-based, so "github.com" covers "notifications@github.com".
+ * Only provable cases count; rules using "any" with several matchers never cover.
+ * @param {Object} general - Rule definition
+ * @param {Object} specific - Rule definition
+ * @returns {boolean}
+ */
+function ruleCovers(general, specific) {
+  if (isOrRule(general) || isOrRule(specific) || countMatchers(general) === 0) return false;
+  const wide = general.conditions || {};
+  const narrow = specific.conditions || {};
+
+  if (general.sender && !lower(specific.sender).includes(lower(general.sender))) return false;
+  if (TEXT_CONDITIONS.some(field => wide[field] && !lower(narrow[field]).includes(lower(wide[field])))) return false;
+  if (EXACT_CONDITIONS.some(field => wide[field] !== undefined && wide[field] !== narrow[field])) return false;
+  if (wide.largerThan && !(narrow.largerThan >= wide.largerThan)) return false;
+  if (wide.smallerThan && !(narrow.smallerThan <= wide.smallerThan)) return false;
+  const hasAll = (needed, present) => (needed || []).every(label => (present || []).map(lower).includes(lower(label)));
+  if (!hasAll(wide.hasLabels, narrow.hasLabels) || !hasAll(wide.lacksLabels, narrow.lacksLabels)) return false;
+  if (general.olderThanDays && !(specific.olderThanDays >= general.olderThanDays)) return false;
+  if (general.accounts && !(specific.accounts && specific.accounts.every(account => general.accounts.includes(account)))) {
+    return false;
+  }
+  return true;
+}
+
+function sameAction(a, b) {
+  return a.action === b.action
+    && lower(a.label) === lower(b.label)
+    && lower(a.forwardTo) === lower(b.forwardTo);
+}
+
+function label(rule) {
+  return `${rule.id} (${describeRuleAction(rule)} → ${describeRule(rule)})`;
+}
+
+/**
+ * Finds conflicting, shadowed and redundant rules
+ * Expired rules are ignored (see `rules prune`). Issue types:
+ * - shadowed (error): a never-delete rule covers every email the rule could
+ *   act on, so it never does anything
+ * - important-person (error for deletes, warning otherwise): the rule's sender
+ *   covers someone listed under Important People
+ * - opposing-actions (warning): overlapping senders with actions that cannot
+ *   both apply; the evaluation order decides which wins
+ * - older-than-duplicate (warning): same matchers and action, differing only
+ *   in --older-than; the shorter age already covers the longer one
+ * - redundant (warning): another rule with the same action covers it
+ * @param {Array<Object>} rules - Rules in rules.json order
+ * @param {Object} [options]
+ * @param {Array<{entry: string, pattern: string}>} [options.protectedSenders] - From extractProtectedSenders
+ * @param {Date} [options.now] - Reference time for expiry
+ * @returns {{checked: number, issues: Array<{type: string, severity: string, ruleIds: string[], message: string}>}}
+ */
+function lintRules(rules, { protectedSenders = [], now = new Date() } = {}) {
+  const ordered = orderRules(rules.filter(rule => !isRuleExpired(rule, now)));
+  const position = new Map(ordered.map((rule, index) => [rule.id, index]));
+  const issues = [];
+  const reportedPairs = new Set();
+  const add = (type, severity, ruleIds, message) => issues.push({ type, severity, ruleIds, message });
+  const pairKey = (a, b) => [a.id, b.id].sort().join('|');
+
+  const neverDeletes = ordered.filter(rule => rule.action === 'never-delete');
+  ordered.forEach(rule => {
+    if (!EXCLUSIVE_ACTIONS.has(rule.action) || rule.action === 'never-delete') return;
+    // never-delete blocks deletes whatever the order, and other exclusive rules when evaluated first
+    const shield = neverDeletes.find(guard => ruleCovers(guard, rule)
+      && (rule.action === 'always-delete' || position.get(guard.id) < position.get(rule.id)));
+    if (shield) {
+      reportedPairs.add(pairKey(shield, rule));
+      add('shadowed', 'error', [rule.id, shield.id],
+        `${label(rule)} never applies: every email it matches is kept by ${label(shield)}.`);
+    }
+  });
+
+  protectedSenders.forEach(({ entry, pattern }) => {
+    ordered.forEach(rule => {
+      if (!DISRUPTIVE_ACTIONS.has(rule.action) || !rule.sender || !pattern.includes(lower(rule.sender))) return;
+      const kept = rule.action === 'always-delete'
+        && neverDeletes.some(guard => guard.sender && countMatchers(guard) === 1 && !guard.accounts
+          && pattern.includes(lower(guard.sender)));
+      if (kept) return;
+      add('important-person', rule.action === 'always-delete' ? 'error' : 'warning', [rule.id],
+        `${label(rule)} covers "${entry}" from Important People.`);
+    });
+  });
+
+  ordered.forEach((a, i) => {
+    ordered.slice(i + 1).forEach(b => {
+      if (reportedPairs.has(pairKey(a, b)) || !accountsOverlap(a, b)) return;
+
+      if (sendersOverlap(a, b) && actionsConflict(a, b)) {
+        add('opposing-actions', 'warning', [a.id, b.id],
+          `${label(a)} and ${label(b)} overlap on sender with opposing actions; ${a.id} is evaluated first.`);
+        return;
+      }
+      if (!sameAction(a, b)) return;
+
+      if (a.olderThanDays !== b.olderThanDays
+        && getMatcherKey({ ...a, olderThanDays: null }) === getMatcherKey({ ...b, olderThanDays: null })) {
+        const [shorter, longer] = (a.olderThanDays || 0) < (b.olderThanDays || 0) ? [a, b] : [b, a];
+        add('older-than-duplicate', 'warning', [longer.id, shorter.id],
+          `${label(longer)} differs from ${label(shorter)} only in age; the shorter one already covers it.`);
+        return;
+      }
+      const [general, specific] = ruleCovers(a, b) ? [a, b] : ruleCovers(b, a) ? [b, a] : [];
+      if (general && !specific.stopProcessing) {
+        add('redundant', 'warning', [specific.id, general.id],
+          `${label(specific)} is already covered by ${label(general)}.`);
+      }
+    });
+  });
+
+  return { checked: ordered.length, issues };
+}
+
+module.exports = {
+  ruleCovers,
+  lintRules,
+};
@@ -0,0 +1,156 @@
+const yaml = require('js-yaml');
+const {
+  RULES_VERSION,
+  readRules,
+  writeRules,
+  backupRules,
+  migrateRules,
+  buildRule,
+  createRule,
+  getMatcherKey,
+  findDuplicateRule,
+} = require('./rules');
+const { actionsConflict } = require('./rules-engine');
+
+const RULE_SET_FORMAT = 'inboxd-rules';
+const EXPORT_FORMATS = new Set(['json', 'yaml']);
+
+// Fields that describe what a rule does; IDs, timestamps and hit counts stay local
+const SHARED_FIELDS = [
+  'action', 'label', 'forwardTo', 'sender', 'olderThanDays', 'conditions',
+  'priority', 'stopProcessing', 'accounts', 'expiresAt',
+];
+
+function toSharedRule(rule) {
+  const shared = {};
+  SHARED_FIELDS.forEach(field => {
+    if (rule[field] !== undefined && rule[field] !== null) {
+      shared[field] = rule[field];
+    }
+  });
+  return shared;
+}
+
+/**
+ * Serializes rules into a shareable rule set
+ * @param {Array<Object>} rules - Rules in evaluation order
+ * @param {string} [format] - "json" or "yaml"
+ * @returns {string}
+ */
+function serializeRuleSet(rules, format = 'json') {
+  if (!EXPORT_FORMATS.has(format)) {
+    throw new Error(`Unsupported format "${format}". Use json or yaml.`);
+  }
+  const ruleSet = {
+    format: RULE_SET_FORMAT,
+    version: RULES_VERSION,
+    exportedAt: new Date().toISOString(),
+    rules: rules.map(toSharedRule),
+  };
+  return format === 'yaml'
+    ? yaml.dump(ruleSet, { noRefs: true, lineWidth: -1 })
+    : `${JSON.stringify(ruleSet, null, 2)}\n`;
+}
+
+/**
+ * Parses a rule set written by serializeRuleSet (JSON or YAML), a rules.json
+ * file, or a bare list of rules
+ * @param {string} content - File content
+ * @returns {Array<Object>} Raw rules, upgraded to the current schema
+ */
+function parseRuleSet(content) {
+  let parsed;
+  try {
+    // YAML is a superset of JSON, so one parser covers both formats
+    parsed = yaml.load(content);
+  } catch (error) {
+    throw new Error(`Could not parse rule set: ${error.message}`);
+  }
+  const rules = Array.isArray(parsed) ? parsed : parsed && parsed.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('Rule set must contain a "rules" list.');
+  }
+  return migrateRules({ version: Array.isArray(parsed) ? undefined : parsed.version, rules }).rules;
+}
+
+/**
+ * Works out what importing a rule set would change, without writing
+ * Each incoming rule is validated like `rules add`, then:
+ * - skipped when an identical rule exists (same dedupe as addRule)
+ * - a conflict when a rule with the same matchers has an opposing action
+ * - added otherwise
+ * With mode "replace" every existing rule is removed and incoming rules are
+ * only checked against each other.
+ * @param {Array<Object>} incoming - Raw rules from parseRuleSet
+ * @param {Array<Object>} existing - Current rules
+ * @param {Object} [options]
+ * @param {string} [options.mode] - "merge" (default) or "replace"
+ * @returns {{mode: string, added: Array, skipped: Array, conflicts: Array, invalid: Array, removed: Array}}
+ */
+function planRuleImport(incoming, existing, { mode = 'merge' } = {}) {
+  const kept = mode === 'replace' ? [] : existing.slice();
+  const added = [];
+  const skipped = [];
+  const conflicts = [];
+  const invalid = [];
+
+  incoming.forEach((raw, index) => {
+    let draft;
+    try {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Rule must be an object.');
+      }
+      draft = buildRule(raw);
+    } catch (error) {
+      invalid.push({ index, rule: raw, error: error.message });
+      return;
+    }
+
+    const pool = [...kept, ...added];
+    const duplicate = findDuplicateRule(pool, draft);
+    if (duplicate) {
+      skipped.push({ index, rule: draft, existingId: duplicate.id });
+      return;
+    }
+    const matcherKey = getMatcherKey(draft);
+    const conflict = pool.find(rule => getMatcherKey(rule) === matcherKey && actionsConflict(rule, draft));
+    if (conflict) {
+      conflicts.push({ index, rule: draft, conflictsWith: conflict.id, existingAction: conflict.action });
+      return;
+    }
+    added.push(createRule(draft));
+  });
+
+  return {
+    mode,
+    added,
+    skipped,
+    conflicts,
+    invalid,
+    removed: mode === 'replace' ? existing.slice() : [],
+  };
+}
+
+/**
+ * Writes an import plan to rules.json, backing up the previous file first
+ * Conflicting and invalid rules are never written.
+ * @param {Object} plan - From planRuleImport
+ * @returns {{backupPath: string|null, count: number}} Backup path and resulting rule count
+ */
+function applyRuleImport(plan) {
+  const data = readRules();
+  const base = plan.mode === 'replace' ? [] : data.rules;
+  const rules = [...base, ...plan.added];
+  const backupPath = backupRules();
+  writeRules({ ...data, rules });
+  return { backupPath, count: rules.length };
+}
+
+module.exports = {
+  RULE_SET_FORMAT,
+  EXPORT_FORMATS,
+  serializeRuleSet,
+  parseRuleSet,
+  planRuleImport,
+  applyRuleImport,
+};
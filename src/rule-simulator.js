@@ -0,0 +1,115 @@
+const { readLog } = require('./deletion-log');
+const { readArchiveLog } = require('./archive-log');
+const { readMessageCache, fromCacheEntry } = require('./message-cache');
+const { emailMatchesRule } = require('./rules-engine');
+
+const DEFAULT_EXAMPLE_LIMIT = 5;
+
+const EMAIL_IN_TEXT = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const DOMAIN_IN_TEXT = /(?:^|[\s(@])((?:[\w-]+\.)+[a-z]{2,})\b/i;
+
+/**
+ * Loads the local history a draft rule can be checked against
+ * Log entries have no message date, so the time of the deletion/archive
+ * stands in for it (the email was at least that old).
+ * @returns {{deleted: Array, archived: Array, cached: Array}}
+ */
+function loadRuleHistory() {
+  const deleted = readLog().map(entry => ({ ...entry, date: entry.date || entry.deletedAt }));
+  const archived = readArchiveLog().map(entry => ({ ...entry, date: entry.date || entry.archivedAt }));
+  const cached = [];
+  const cache = readMessageCache();
+  Object.entries(cache.accounts || {}).forEach(([account, entries]) => {
+    Object.values(entries || {}).forEach(entry => cached.push(fromCacheEntry(account, entry)));
+  });
+  return { deleted, archived, cached };
+}
+
+/**
+ * Pulls the email address or domain out of "Important People" entries
+ * e.g. "partner@gmail.com - spouse, always important" → partner@gmail.com
+ * @param {string[]} entries - Preference entries
+ * @returns {Array<{entry: string, pattern: string}>} Entries without an address or domain are skipped
+ */
+function extractProtectedSenders(entries = []) {
+  const senders = [];
+  entries.forEach(entry => {
+    const emailMatch = entry.match(EMAIL_IN_TEXT);
+    const domainMatch = emailMatch ? null : entry.match(DOMAIN_IN_TEXT);
+    const pattern = emailMatch ? emailMatch[0] : (domainMatch && domainMatch[1]);
+    if (pattern) {
+      senders.push({ entry, pattern: pattern.toLowerCase() });
+    }
+  });
+  return senders;
+}
+
+function toExample(email) {
+  return {
+    id: email.id,
+    account: email.account || 'default',
+    from: email.from,
+    subject: email.subject,
+    date: email.date,
+  };
+}
+
+/**
+ * Evaluates a draft rule against named email sources without writing anything
+ * @param {Object} rule - Rule definition (see buildRule)
+ * @param {Object<string, Array>} sources - Emails by source name (e.g. deleted, archived, cached, live)
+ * @param {Object} [options]
+ * @param {Array<{entry: string, pattern: string}>} [options.protectedSenders] - From extractProtectedSenders
+ * @param {number} [options.exampleLimit] - Example emails kept per source and collision
+ * @returns {{sources: Object, totalMatched: number, examples: Array, collisions: Array}}
+ */
+function simulateRule(rule, sources, { protectedSenders = [], exampleLimit = DEFAULT_EXAMPLE_LIMIT } = {}) {
+  const summaries = {};
+  const matched = new Map();
+
+  Object.entries(sources).forEach(([name, emails]) => {
+    const hits = (emails || []).filter(email => emailMatchesRule(email, rule));
+    summaries[name] = {
+      scanned: (emails || []).length,
+      matched: hits.length,
+      examples: hits.slice(0, exampleLimit).map(toExample),
+    };
+    hits.forEach(email => {
+      const key = `${email.account || 'default'}:${email.id}`;
+      if (!matched.has(key)) {
+        matched.set(key, email);
+      }
+    });
+  });
+
+  const matchedEmails = Array.from(matched.values());
+  const ruleSender = (rule.sender || '').toLowerCase();
+  const collisions = [];
+  protectedSenders.forEach(({ entry, pattern }) => {
+    const hits = matchedEmails.filter(email => (email.from || '').toLowerCase().includes(pattern));
+    // A sender pattern that covers the protected address collides even without history
+    const coveredBySender = Boolean(ruleSender) && pattern.includes(ruleSender);
+    if (hits.length > 0 || coveredBySender) {
+      collisions.push({
+        entry,
+        pattern,
+        coveredBySender,
+        matched: hits.length,
+        examples: hits.slice(0, exampleLimit).map(toExample),
+      });
+    }
+  });
+
+  return {
+    sources: summaries,
+    totalMatched: matchedEmails.length,
+    examples: matchedEmails.slice(0, exampleLimit).map(toExample),
+    collisions,
+  };
+}
+
+module.exports = {
+  loadRuleHistory,
+  extractProtectedSenders,
+  simulateRule,
+};
@@ -3,17 +3,89 @@ function getEmailKey(email) {
   return `${account}:${email.id}`;
 }
 
-function buildRuleQuery(rule) {
-  if (!rule || !rule.sender) {
-    return '';
-  }
+// Labels whose Gmail ID equals their name, so labelIds can answer has/lacks checks
+const SYSTEM_LABELS = new Set([
+  'INBOX', 'SPAM', 'TRASH', 'UNREAD', 'STARRED', 'IMPORTANT', 'SENT', 'DRAFT',
+  'CATEGORY_PERSONAL', 'CATEGORY_SOCIAL', 'CATEGORY_PROMOTIONS', 'CATEGORY_UPDATES', 'CATEGORY_FORUMS',
+]);
 
-  const trimmed = rule.sender.trim();
-  const safeValue = /\s/.test(trimmed)
+function quoteQueryValue(value) {
+  const trimmed = String(value).trim();
+  return /\s/.test(trimmed)
     ? `"${trimmed.replace(/"/g, '\\"')}"`
     : trimmed;
+}
+
+function getConditions(rule) {
+  return (rule && rule.conditions) || {};
+}
+
+function getMatchMode(rule) {
+  return getConditions(rule).match === 'any' ? 'any' : 'all';
+}
 
-  const parts = [`from:${safeValue}`];
+function hasMatchers(rule) {
+  if (!rule) return false;
+  return Boolean(rule.sender) || Object.keys(getConditions(rule)).some(key => key !== 'match');
+}
+
+/**
+ * Whether every matcher of the rule can be expressed as a Gmail search term
+ * (subjectRegex is the only one that cannot)
+ */
+function isFullyQueryable(rule) {
+  return !getConditions(rule).subjectRegex;
+}
+
+/**
+ * Gmail search terms for the rule's matchers (sender + conditions, not age)
+ * @param {Object} rule - Rule definition
+ * @returns {string[]}
+ */
+function buildMatcherTerms(rule) {
+  const conditions = getConditions(rule);
+  const terms = [];
+
+  if (rule.sender) terms.push(`from:${quoteQueryValue(rule.sender)}`);
+  if (conditions.to) terms.push(`to:${quoteQueryValue(conditions.to)}`);
+  if (conditions.subject) terms.push(`subject:${quoteQueryValue(conditions.subject)}`);
+  if (conditions.listId) terms.push(`list:${quoteQueryValue(conditions.listId)}`);
+  (conditions.hasLabels || []).forEach(label => terms.push(`label:${quoteQueryValue(label)}`));
+  (conditions.lacksLabels || []).forEach(label => terms.push(`-label:${quoteQueryValue(label)}`));
+  if (conditions.hasAttachment !== undefined) {
+    terms.push(conditions.hasAttachment ? 'has:attachment' : '-has:attachment');
+  }
+  if (conditions.largerThan) terms.push(`larger:${conditions.largerThan}`);
+  if (conditions.smallerThan) terms.push(`smaller:${conditions.smallerThan}`);
+  if (conditions.unread !== undefined) terms.push(conditions.unread ? 'is:unread' : 'is:read');
+  if (conditions.starred !== undefined) terms.push(conditions.starred ? 'is:starred' : '-is:starred');
+
+  return terms;
+}
+
+/**
+ * Translates a rule into a Gmail search query
+ * "any" rules become an OR group ({a b}); matchers Gmail cannot express
+ * (subjectRegex) are left to emailMatchesRule. Rules with nothing to send
+ * to Gmail fall back to searching the inbox.
+ * @param {Object} rule - Rule definition
+ * @returns {string} Query, or '' when the rule has no matchers
+ */
+function buildRuleQuery(rule) {
+  if (!hasMatchers(rule)) {
+    return '';
+  }
+
+  const terms = buildMatcherTerms(rule);
+  const parts = [];
+  if (getMatchMode(rule) === 'all') {
+    parts.push(...terms);
+  } else if (isFullyQueryable(rule) && terms.length > 0) {
+    parts.push(terms.length === 1 ? terms[0] : `{${terms.join(' ')}}`);
+  }
+  if (parts.length === 0) {
+    parts.push('in:inbox');
+  }
   if (rule.olderThanDays) {
     parts.push(`older_than:${rule.olderThanDays}d`);
   }
@@ -31,101 +103,431 @@ function isOlderThan(dateValue, olderThanDays) {
   return parsed < cutoff;
 }
 
+function includesText(haystack, needle) {
+  if (haystack === undefined || haystack === null) return null;
+  return String(haystack).toLowerCase().includes(needle.toLowerCase());
+}
+
+function checkLabel(labelIds, label) {
+  if (!Array.isArray(labelIds)) return null;
+  const upper = label.toUpperCase();
+  if (SYSTEM_LABELS.has(upper)) {
+    return labelIds.includes(upper);
+  }
+  // User labels are stored by ID; a name we cannot resolve is left to the query
+  return labelIds.includes(label) ? true : null;
+}
+
+function checkFlag(labelIds, labelId, expected) {
+  if (!Array.isArray(labelIds)) return null;
+  return labelIds.includes(labelId) === expected;
+}
+
+/**
+ * Evaluates each matcher of a rule against an email
+ * Each result is true, false, or null when the email metadata cannot tell
+ * (attachments, size, recipients and user labels are normally only known to Gmail)
+ * @param {Object} email - Email metadata
+ * @param {Object} rule - Rule definition
+ * @returns {Array<boolean|null>}
+ */
+function evaluateMatchers(email, rule) {
+  const conditions = getConditions(rule);
+  const results = [];
+
+  if (rule.sender) results.push(includesText(email.from || '', rule.sender));
+  if (conditions.to) results.push(includesText(email.to, conditions.to));
+  if (conditions.subject) results.push(includesText(email.subject || '', conditions.subject));
+  if (conditions.subjectRegex) {
+    results.push(new RegExp(conditions.subjectRegex, 'i').test(email.subject || ''));
+  }
+  if (conditions.listId) results.push(includesText(email.listId, conditions.listId));
+  (conditions.hasLabels || []).forEach(label => results.push(checkLabel(email.labelIds, label)));
+  (conditions.lacksLabels || []).forEach(label => {
+    const present = checkLabel(email.labelIds, label);
+    results.push(present === null ? null : !present);
+  });
+  if (conditions.hasAttachment !== undefined) {
+    results.push(typeof email.hasAttachment === 'boolean'
+      ? email.hasAttachment === conditions.hasAttachment
+      : null);
+  }
+  const size = typeof email.sizeEstimate === 'number' ? email.sizeEstimate : null;
+  if (conditions.largerThan) results.push(size === null ? null : size > conditions.largerThan);
+  if (conditions.smallerThan) results.push(size === null ? null : size < conditions.smallerThan);
+  if (conditions.unread !== undefined) results.push(checkFlag(email.labelIds, 'UNREAD', conditions.unread));
+  if (conditions.starred !== undefined) results.push(checkFlag(email.labelIds, 'STARRED', conditions.starred));
+
+  return results;
+}
+
+/**
+ * Whether a rule is in scope for an account (rules without accounts apply everywhere)
+ * @param {Object} rule - Rule definition
+ * @param {string} account - Account name
+ * @returns {boolean}
+ */
+function ruleAppliesToAccount(rule, account) {
+  return !Array.isArray(rule.accounts) || rule.accounts.length === 0 || rule.accounts.includes(account);
+}
+
+/**
+ * Whether a temporary rule has passed its expiresAt (rules without one never expire)
+ * @param {Object} rule - Rule definition
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+function isRuleExpired(rule, now = new Date()) {
+  if (!rule || !rule.expiresAt) return false;
+  const expiresAt = new Date(rule.expiresAt);
+  return !Number.isNaN(expiresAt.getTime()) && expiresAt <= now;
+}
+
+/**
+ * Human-readable remaining lifetime of a temporary rule
+ * @param {Object} rule - Rule definition
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} e.g. "expires in 3 days", "expired 2 hours ago", or null for permanent rules
+ */
+function describeRuleExpiry(rule, now = new Date()) {
+  if (!rule || !rule.expiresAt) return null;
+  const diff = new Date(rule.expiresAt).getTime() - now.getTime();
+  if (Number.isNaN(diff)) return null;
+  const hours = Math.abs(diff) / (60 * 60 * 1000);
+  const span = hours >= 48
+    ? `${Math.round(hours / 24)} days`
+    : hours >= 1 ? `${Math.floor(hours)} hour${Math.floor(hours) === 1 ? '' : 's'}` : 'less than an hour';
+  return diff > 0 ? `expires in ${span}` : `expired ${span} ago`;
+}
+
+/**
+ * Client-side check that an email satisfies a rule
+ * Matchers the metadata cannot answer are trusted to the Gmail query from
+ * buildRuleQuery: always for "all" rules, and for "any" rules only when the
+ * whole OR group was sent to Gmail.
+ * @param {Object} email - Email metadata
+ * @param {Object} rule - Rule definition
+ * @returns {boolean}
+ */
 function emailMatchesRule(email, rule) {
-  if (!email || !rule || !rule.sender) {
+  if (!email || !hasMatchers(rule)) {
     return false;
   }
-  const from = (email.from || '').toLowerCase();
-  const sender = rule.sender.toLowerCase();
-  if (!from.includes(sender)) {
+  if (!ruleAppliesToAccount(rule, email.account || 'default') || isRuleExpired(rule)) {
     return false;
   }
   if (!isOlderThan(email.date, rule.olderThanDays)) {
     return false;
   }
-  return true;
+  const results = evaluateMatchers(email, rule);
+  if (getMatchMode(rule) === 'any') {
+    return results.some(result => result === true)
+      || (isFullyQueryable(rule) && results.some(result => result === null));
+  }
+  return results.every(result => result !== false);
+}
+
+/**
+ * Human-readable description of a rule's matchers
+ * @param {Object} rule - Rule definition
+ * @returns {string}
+ */
+function describeRule(rule) {
+  const conditions = getConditions(rule);
+  const parts = [];
+  const formatBytes = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${+(bytes / (1024 * 1024)).toFixed(1)}MB`;
+    if (bytes >= 1024) return `${+(bytes / 1024).toFixed(1)}KB`;
+    return `${bytes}B`;
+  };
+
+  if (rule.sender) parts.push(`from ${rule.sender}`);
+  if (conditions.to) parts.push(`to ${conditions.to}`);
+  if (conditions.subject) parts.push(`subject contains "${conditions.subject}"`);
+  if (conditions.subjectRegex) parts.push(`subject matches /${conditions.subjectRegex}/i`);
+  if (conditions.listId) parts.push(`list ${conditions.listId}`);
+  (conditions.hasLabels || []).forEach(label => parts.push(`has label ${label}`));
+  (conditions.lacksLabels || []).forEach(label => parts.push(`lacks label ${label}`));
+  if (conditions.hasAttachment !== undefined) {
+    parts.push(conditions.hasAttachment ? 'has attachment' : 'no attachment');
+  }
+  if (conditions.largerThan) parts.push(`larger than ${formatBytes(conditions.largerThan)}`);
+  if (conditions.smallerThan) parts.push(`smaller than ${formatBytes(conditions.smallerThan)}`);
+  if (conditions.unread !== undefined) parts.push(conditions.unread ? 'unread' : 'read');
+  if (conditions.starred !== undefined) parts.push(conditions.starred ? 'starred' : 'not starred');
+
+  const description = parts.join(getMatchMode(rule) === 'any' ? ' OR ' : ' AND ');
+  if (!rule.olderThanDays) {
+    return description;
+  }
+  const age = `older than ${rule.olderThanDays} days`;
+  return parts.length > 1 ? `(${description}) AND ${age}` : `${description} AND ${age}`;
+}
+
+// Actions that can stack with each other and with archive/mark-read.
+// Pairs that undo each other compete for the same slot per email.
+const NON_EXCLUSIVE_ACTIONS = new Set(['apply-label', 'remove-label', 'star', 'unstar', 'mark-important', 'forward']);
+const ACTION_SLOTS = {
+  'apply-label': 'label',
+  'remove-label': 'label',
+  star: 'star',
+  unstar: 'star',
+  'mark-important': 'important',
+  forward: 'forward',
+};
+
+function getActionTarget(rule) {
+  if (rule.action === 'forward') return rule.forwardTo || '';
+  if (rule.action === 'apply-label' || rule.action === 'remove-label') return rule.label || '';
+  return '';
+}
+
+/**
+ * Whether two rules' actions cannot both apply to one email: different
+ * exclusive actions (e.g. never-delete vs always-delete), or opposing
+ * non-exclusive ones on the same target (apply/remove the same label, star/unstar)
+ * @param {Object} a - Rule definition
+ * @param {Object} b - Rule definition
+ * @returns {boolean}
+ */
+function actionsConflict(a, b) {
+  if (a.action === b.action) return false;
+  const slot = (rule) => (NON_EXCLUSIVE_ACTIONS.has(rule.action)
+    ? `${ACTION_SLOTS[rule.action]}|${getActionTarget(rule).toLowerCase()}`
+    : 'exclusive');
+  return slot(a) === slot(b);
+}
+
+/**
+ * Whether the action would change nothing, judged from the email's labelIds
+ */
+function isNoopAction(action, email) {
+  if (!Array.isArray(email.labelIds)) return false;
+  if (action === 'star') return email.labelIds.includes('STARRED');
+  if (action === 'unstar') return !email.labelIds.includes('STARRED');
+  if (action === 'mark-important') return email.labelIds.includes('IMPORTANT');
+  return false;
+}
+
+/**
+ * Short description of what a rule does (action plus its label/recipient)
+ * @param {Object} rule - Rule definition
+ * @returns {string}
+ */
+function describeRuleAction(rule) {
+  if (rule.action === 'forward') return `forward to ${rule.forwardTo}`;
+  if (rule.action === 'apply-label' || rule.action === 'remove-label') return `${rule.action} "${rule.label}"`;
+  return rule.action;
 }
 
+// Rules sharing a priority fall back to the precedence used before priorities
+// existed (never-delete, delete, archive, mark-read), then to rules.json order.
+const DEFAULT_PRIORITY = 100;
+const ACTION_PRECEDENCE = {
+  'never-delete': 0,
+  'always-delete': 1,
+  'auto-archive': 2,
+  'auto-mark-read': 3,
+};
+
+function getRulePriority(rule) {
+  return Number.isFinite(rule.priority) ? rule.priority : DEFAULT_PRIORITY;
+}
+
+function getActionRank(rule) {
+  return rule.action in ACTION_PRECEDENCE ? ACTION_PRECEDENCE[rule.action] : Object.keys(ACTION_PRECEDENCE).length;
+}
+
+function compareRules(a, b) {
+  return (getRulePriority(a) - getRulePriority(b)) || (getActionRank(a) - getActionRank(b));
+}
+
+/**
+ * Sorts rules into evaluation order (lower priority number first)
+ * @param {Array<Object>} rules - Rules in rules.json order
+ * @returns {Array<Object>} New array in evaluation order
+ */
+function orderRules(rules) {
+  return rules.slice().sort(compareRules);
+}
+
+/**
+ * Resolves rule matches into the actions to run
+ * Rules are evaluated in priority order (see orderRules). For each email the
+ * first exclusive rule (never-delete, delete, archive, mark-read) decides its
+ * fate; never-delete additionally blocks deletion whatever its priority.
+ * A rule with stopProcessing hides the emails it matched from every later rule.
+ * Non-exclusive actions (labels, star, important, forward) stack on top; they
+ * are dropped for emails being deleted (forward excepted), and when opposing
+ * actions hit the same email (apply/remove the same label, star/unstar) the
+ * earlier rule wins and the later one is reported in `conflicts`.
+ * Expired rules are ignored.
+ * @param {Array<{rule: Object, emails: Array}>} ruleMatches - Matches per rule
+ * @returns {Object} Plan with candidates per action, ruleActions, conflicts,
+ *   ruleSummaries, and applications (which rule each planned action came from)
+ */
 function buildActionPlan(ruleMatches) {
+  const ordered = ruleMatches
+    .filter(({ rule }) => !isRuleExpired(rule))
+    .map(({ rule, emails }) => ({
+      rule,
+      emails: emails.filter(email => ruleAppliesToAccount(rule, email.account || 'default')),
+    }))
+    .sort((a, b) => compareRules(a.rule, b.rule));
   const protectedKeys = new Set();
   const deleteCandidates = [];
   const archiveCandidates = [];
   const markReadCandidates = [];
   const deleteKeys = new Set();
-  const archiveKeys = new Set();
-  const markReadKeys = new Set();
+  const decidedKeys = new Set();
+  const stoppedKeys = new Set();
+  const claimedSlots = new Map();
+  const pendingActions = [];
+  const conflicts = [];
   const appliedByRule = new Map();
   const protectedByRule = new Map();
+  const stoppedByRule = new Map();
+  const appliedByRuleAccount = new Map();
+  const applications = [];
+  const increment = (map, id) => map.set(id, (map.get(id) || 0) + 1);
+  const recordApplied = (rule, email, target = '') => {
+    applications.push({ ruleId: rule.id, key: getApplicationKey(rule.action, target, email) });
+    increment(appliedByRule, rule.id);
+    increment(appliedByRuleAccount, `${rule.id}|${email.account || 'default'}`);
+  };
 
-  ruleMatches.forEach(({ rule, emails }) => {
-    const uniqueKeys = new Set(emails.map(getEmailKey));
-    if (rule.action === 'never-delete') {
-      protectedByRule.set(rule.id, uniqueKeys.size);
-      uniqueKeys.forEach((key) => protectedKeys.add(key));
+  ordered.forEach(({ rule, emails }) => {
+    if (rule.action !== 'never-delete') {
+      return;
     }
+    const uniqueKeys = new Set(emails.map(getEmailKey));
+    protectedByRule.set(rule.id, uniqueKeys.size);
+    uniqueKeys.forEach((key) => protectedKeys.add(key));
   });
 
-  ruleMatches.forEach(({ rule, emails }) => {
-    if (rule.action !== 'always-delete') {
+  const applyExclusive = (rule, email, key) => {
+    if (decidedKeys.has(key)) {
       return;
     }
-    emails.forEach((email) => {
-      const key = getEmailKey(email);
-      if (protectedKeys.has(key) || deleteKeys.has(key)) {
+    if (rule.action === 'never-delete') {
+      decidedKeys.add(key);
+      return;
+    }
+    if (rule.action === 'always-delete') {
+      if (protectedKeys.has(key)) {
         return;
       }
       deleteKeys.add(key);
       deleteCandidates.push(email);
-      appliedByRule.set(rule.id, (appliedByRule.get(rule.id) || 0) + 1);
-    });
-  });
+    } else if (rule.action === 'auto-archive') {
+      archiveCandidates.push(email);
+    } else if (rule.action === 'auto-mark-read') {
+      // Only mark as read if email is currently unread
+      const labelIds = email.labelIds || [];
+      if (!labelIds.includes('UNREAD')) {
+        return;
+      }
+      markReadCandidates.push(email);
+    }
+    decidedKeys.add(key);
+    recordApplied(rule, email);
+  };
 
-  ruleMatches.forEach(({ rule, emails }) => {
-    if (rule.action !== 'auto-archive') {
+  const claimNonExclusive = (rule, email, key) => {
+    if (isNoopAction(rule.action, email)) {
       return;
     }
-    emails.forEach((email) => {
-      const key = getEmailKey(email);
-      if (protectedKeys.has(key) || deleteKeys.has(key) || archiveKeys.has(key)) {
-        return;
+    const target = getActionTarget(rule);
+    const slotKey = `${key}|${ACTION_SLOTS[rule.action]}|${target.toLowerCase()}`;
+    const claimed = claimedSlots.get(slotKey);
+    if (claimed) {
+      if (claimed.action !== rule.action) {
+        conflicts.push({
+          id: email.id,
+          account: email.account || 'default',
+          action: rule.action,
+          ruleId: rule.id,
+          overriddenBy: claimed.ruleId,
+        });
       }
-      archiveKeys.add(key);
-      archiveCandidates.push(email);
-      appliedByRule.set(rule.id, (appliedByRule.get(rule.id) || 0) + 1);
-    });
-  });
-
-  ruleMatches.forEach(({ rule, emails }) => {
-    if (rule.action !== 'auto-mark-read') {
       return;
     }
+    claimedSlots.set(slotKey, { action: rule.action, ruleId: rule.id });
+    pendingActions.push({ rule, email, key, target });
+  };
+
+  ordered.forEach(({ rule, emails }) => {
+    const seenKeys = new Set();
     emails.forEach((email) => {
       const key = getEmailKey(email);
-      // Skip if protected, already marked for delete/archive/mark-read, or already read
-      if (protectedKeys.has(key) || deleteKeys.has(key) || archiveKeys.has(key) || markReadKeys.has(key)) {
+      if (seenKeys.has(key)) {
         return;
       }
-      // Only mark as read if email is currently unread
-      const labelIds = email.labelIds || [];
-      if (!labelIds.includes('UNREAD')) {
+      seenKeys.add(key);
+      if (stoppedKeys.has(key)) {
+        increment(stoppedByRule, rule.id);
         return;
       }
-      markReadKeys.add(key);
-      markReadCandidates.push(email);
-      appliedByRule.set(rule.id, (appliedByRule.get(rule.id) || 0) + 1);
+      if (NON_EXCLUSIVE_ACTIONS.has(rule.action)) {
+        claimNonExclusive(rule, email, key);
+      } else {
+        applyExclusive(rule, email, key);
+      }
     });
+    if (rule.stopProcessing) {
+      seenKeys.forEach((key) => stoppedKeys.add(key));
+    }
   });
 
-  const ruleSummaries = ruleMatches.map(({ rule, emails }) => {
+  // Deletion may be decided by a later rule, so drop stacked actions only now
+  const ruleActionGroups = new Map();
+  pendingActions.forEach(({ rule, email, key, target }) => {
+    if (rule.action !== 'forward' && deleteKeys.has(key)) {
+      return;
+    }
+    const groupKey = `${rule.action}|${target.toLowerCase()}`;
+    if (!ruleActionGroups.has(groupKey)) {
+      const group = { action: rule.action, emails: [] };
+      if (rule.action === 'forward') {
+        group.forwardTo = target;
+      } else if (target) {
+        group.label = target;
+      }
+      ruleActionGroups.set(groupKey, group);
+    }
+    ruleActionGroups.get(groupKey).emails.push(email);
+    recordApplied(rule, email, target);
+  });
+
+  const ruleSummaries = ordered.map(({ rule, emails }) => {
     const uniqueKeys = new Set(emails.map(getEmailKey));
+    const byAccount = {};
+    emails.forEach((email) => {
+      const account = email.account || 'default';
+      if (!byAccount[account]) {
+        byAccount[account] = { matched: new Set(), applied: appliedByRuleAccount.get(`${rule.id}|${account}`) || 0 };
+      }
+      byAccount[account].matched.add(getEmailKey(email));
+    });
     return {
       id: rule.id,
       action: rule.action,
+      ...(rule.label ? { label: rule.label } : {}),
+      ...(rule.forwardTo ? { forwardTo: rule.forwardTo } : {}),
       sender: rule.sender,
       olderThanDays: rule.olderThanDays || null,
+      conditions: rule.conditions || null,
+      priority: getRulePriority(rule),
+      stopProcessing: Boolean(rule.stopProcessing),
       matches: uniqueKeys.size,
       applied: appliedByRule.get(rule.id) || 0,
       protected: protectedByRule.get(rule.id) || 0,
+      stopped: stoppedByRule.get(rule.id) || 0,
+      accounts: rule.accounts || null,
+      byAccount: Object.fromEntries(Object.entries(byAccount).map(([account, counts]) => [
+        account,
+        { matches: counts.matched.size, applied: counts.applied },
+      ])),
     };
   });
 
@@ -134,13 +536,55 @@ function buildActionPlan(ruleMatches) {
     deleteCandidates,
     archiveCandidates,
     markReadCandidates,
+    ruleActions: Array.from(ruleActionGroups.values()),
+    conflicts,
     ruleSummaries,
+    applications,
   };
 }
 
+/**
+ * Identifies one action on one email, as listed in a plan's applications
+ * @param {string} action - Rule action
+ * @param {string} target - Label or forward address ('' for other actions)
+ * @param {{id: string, account?: string}} email
+ * @returns {string}
+ */
+function getApplicationKey(action, target, email) {
+  return `${action}|${(target || '').toLowerCase()}|${getEmailKey(email)}`;
+}
+
+/**
+ * Counts, per rule, the planned actions that went through
+ * @param {Array<{ruleId: string, key: string}>} applications - From buildActionPlan
+ * @param {Set<string>} succeededKeys - getApplicationKey of each action that succeeded
+ * @returns {Object<string, number>} Rule ID to applied count
+ */
+function countAppliedByRule(applications, succeededKeys) {
+  const counts = {};
+  applications.forEach(({ ruleId, key }) => {
+    if (succeededKeys.has(key)) {
+      counts[ruleId] = (counts[ruleId] || 0) + 1;
+    }
+  });
+  return counts;
+}
+
 module.exports = {
+  DEFAULT_PRIORITY,
   getEmailKey,
+  getRulePriority,
+  orderRules,
+  ruleAppliesToAccount,
+  isRuleExpired,
+  describeRuleExpiry,
+  buildMatcherTerms,
   buildRuleQuery,
   emailMatchesRule,
+  describeRule,
+  describeRuleAction,
+  actionsConflict,
   buildActionPlan,
+  getApplicationKey,
+  countAppliedByRule,
 };
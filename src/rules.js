@@ -2,10 +2,22 @@ const fs = require('fs');
 const path = require('path');
 const { TOKEN_DIR } = require('./gmail-auth');
 const { atomicWriteJsonSync } = require('./utils');
+const { DEFAULT_PRIORITY, orderRules, isRuleExpired } = require('./rules-engine');
 
 const RULES_FILE = path.join(TOKEN_DIR, 'rules.json');
-const RULES_VERSION = 1;
-const SUPPORTED_ACTIONS = new Set(['always-delete', 'never-delete', 'auto-archive', 'auto-mark-read']);
+const RULES_VERSION = 5;
+const PRIORITY_STEP = 10;
+const SUPPORTED_ACTIONS = new Set([
+  'always-delete', 'never-delete', 'auto-archive', 'auto-mark-read',
+  'apply-label', 'remove-label', 'star', 'unstar', 'mark-important', 'forward',
+]);
+const LABEL_ACTIONS = new Set(['apply-label', 'remove-label']);
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const MATCH_MODES = new Set(['all', 'any']);
+const STRING_CONDITIONS = ['subject', 'subjectRegex', 'to', 'listId'];
+const BOOLEAN_CONDITIONS = ['hasAttachment', 'unread', 'starred'];
+const SIZE_CONDITIONS = ['largerThan', 'smallerThan'];
+const LABEL_CONDITIONS = ['hasLabels', 'lacksLabels'];
 
 function ensureRulesDir() {
   fs.mkdirSync(TOKEN_DIR, { recursive: true });
@@ -19,29 +31,63 @@ function getDefaultRules() {
   return { version: RULES_VERSION, rules: [] };
 }
 
+/**
+ * Upgrades a parsed rules file to the current schema
+ * v1 rules (sender + olderThanDays only) are valid v2 rules without conditions;
+ * v3 adds priority and stopProcessing, which older rules get as defaults;
+ * v4 adds optional account scoping (absent means every account);
+ * v5 adds optional expiresAt (absent means the rule never expires)
+ * @param {Object} parsed - Parsed rules.json content
+ * @returns {{version: number, rules: Array}}
+ */
+function migrateRules(parsed) {
+  const version = parsed.version || 1;
+  if (version > RULES_VERSION) {
+    throw new Error(`rules.json uses schema v${version}, but this version of inboxd only supports v${RULES_VERSION}. Upgrade inboxd to edit these rules.`);
+  }
+  const rules = version < 3
+    ? parsed.rules.map(rule => ({ priority: DEFAULT_PRIORITY, stopProcessing: false, ...rule }))
+    : parsed.rules;
+  return {
+    version: RULES_VERSION,
+    rules,
+  };
+}
+
 function readRules() {
   ensureRulesDir();
   if (!fs.existsSync(RULES_FILE)) {
     return getDefaultRules();
   }
+  let parsed;
   try {
     const content = fs.readFileSync(RULES_FILE, 'utf8');
-    const parsed = JSON.parse(content);
-    if (!parsed || !Array.isArray(parsed.rules)) {
-      return getDefaultRules();
-    }
-    return {
-      version: parsed.version || RULES_VERSION,
-      rules: parsed.rules,
-    };
+    parsed = JSON.parse(content);
   } catch (_err) {
     return getDefaultRules();
   }
+  if (!parsed || !Array.isArray(parsed.rules)) {
+    return getDefaultRules();
+  }
+  return migrateRules(parsed);
+}
+
+/**
+ * Copies rules.json to rules.json.backup before a bulk change
+ * @returns {string|null} Backup path, or null when there is no rules file yet
+ */
+function backupRules() {
+  if (!fs.existsSync(RULES_FILE)) {
+    return null;
+  }
+  const backupPath = `${RULES_FILE}.backup`;
+  fs.copyFileSync(RULES_FILE, backupPath);
+  return backupPath;
 }
 
 function writeRules(data) {
   ensureRulesDir();
-  atomicWriteJsonSync(RULES_FILE, data);
+  atomicWriteJsonSync(RULES_FILE, { ...data, version: RULES_VERSION });
 }
 
 function normalizeSender(sender) {
@@ -59,42 +105,300 @@ function normalizeOlderThanDays(olderThanDays) {
   return Math.floor(numeric);
 }
 
+function normalizeLabelList(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(label => String(label).trim()).filter(Boolean);
+}
+
+/**
+ * Validates and normalizes rule conditions
+ * Unset conditions are dropped; returns null when nothing is left to match on
+ * @param {Object} [conditions] - Raw conditions
+ * @param {string} [conditions.match] - "all" (AND, default) or "any" (OR)
+ * @param {string} [conditions.subject] - Subject substring (case-insensitive)
+ * @param {string} [conditions.subjectRegex] - Subject regular expression (case-insensitive)
+ * @param {string[]|string} [conditions.hasLabels] - Labels the email must have
+ * @param {string[]|string} [conditions.lacksLabels] - Labels the email must not have
+ * @param {boolean} [conditions.hasAttachment] - Attachment presence
+ * @param {number} [conditions.largerThan] - Minimum size in bytes
+ * @param {number} [conditions.smallerThan] - Maximum size in bytes
+ * @param {boolean} [conditions.unread] - Unread state
+ * @param {boolean} [conditions.starred] - Starred state
+ * @param {string} [conditions.listId] - Mailing list (List-Id) substring
+ * @param {string} [conditions.to] - Recipient substring
+ * @returns {Object|null}
+ */
+function normalizeConditions(conditions) {
+  if (!conditions) {
+    return null;
+  }
+  const normalized = {};
+
+  for (const key of STRING_CONDITIONS) {
+    const value = conditions[key];
+    if (value !== undefined && value !== null && String(value).trim()) {
+      normalized[key] = String(value).trim();
+    }
+  }
+  if (normalized.subjectRegex) {
+    try {
+      new RegExp(normalized.subjectRegex, 'i');
+    } catch (err) {
+      throw new Error(`Invalid subject regex: ${err.message}`);
+    }
+  }
+
+  for (const key of LABEL_CONDITIONS) {
+    if (conditions[key] === undefined || conditions[key] === null) continue;
+    const labels = normalizeLabelList(conditions[key]);
+    if (labels.length > 0) {
+      normalized[key] = labels;
+    }
+  }
+
+  for (const key of BOOLEAN_CONDITIONS) {
+    if (typeof conditions[key] === 'boolean') {
+      normalized[key] = conditions[key];
+    }
+  }
+
+  for (const key of SIZE_CONDITIONS) {
+    if (conditions[key] === undefined || conditions[key] === null) continue;
+    const numeric = Number(conditions[key]);
+    if (!Number.isFinite(numeric) || numeric <= 0) {
+      throw new Error(`${key} must be a positive number of bytes.`);
+    }
+    normalized[key] = Math.floor(numeric);
+  }
+
+  if (Object.keys(normalized).length === 0) {
+    return null;
+  }
+
+  const match = conditions.match || 'all';
+  if (!MATCH_MODES.has(match)) {
+    throw new Error(`Unsupported match mode "${match}". Use "all" or "any".`);
+  }
+  return { match, ...normalized };
+}
+
+/**
+ * Stable key used to detect duplicate conditions (label order is ignored)
+ * @param {Object|null} conditions - Normalized conditions
+ * @returns {string}
+ */
+function getConditionsKey(conditions) {
+  if (!conditions) {
+    return '';
+  }
+  const keys = Object.keys(conditions).sort();
+  return JSON.stringify(keys.map(key => {
+    const value = conditions[key];
+    return [key, Array.isArray(value) ? value.map(v => v.toLowerCase()).sort() : value];
+  }));
+}
+
+/**
+ * Validates the target an action needs (label name or forward address)
+ * @returns {{label?: string, forwardTo?: string}}
+ */
+function normalizeActionTarget(action, { label, forwardTo }) {
+  if (LABEL_ACTIONS.has(action)) {
+    if (!label || !String(label).trim()) {
+      throw new Error(`Action "${action}" requires a label.`);
+    }
+    return { label: String(label).trim() };
+  }
+  if (action === 'forward') {
+    const address = forwardTo ? String(forwardTo).trim() : '';
+    if (!EMAIL_PATTERN.test(address)) {
+      throw new Error('Action "forward" requires a valid email address.');
+    }
+    return { forwardTo: address };
+  }
+  return {};
+}
+
+/**
+ * Normalizes an account scope; empty or "all" means every account (null)
+ * @param {string[]|string} [accounts] - Account names (array or comma-separated)
+ * @returns {string[]|null}
+ */
+function normalizeAccounts(accounts) {
+  if (accounts === undefined || accounts === null) {
+    return null;
+  }
+  const list = (Array.isArray(accounts) ? accounts : String(accounts).split(','))
+    .map(account => String(account).trim())
+    .filter(Boolean);
+  if (list.length === 0 || list.includes('all')) {
+    return null;
+  }
+  return Array.from(new Set(list));
+}
+
+function getAccountsKey(accounts) {
+  return accounts ? accounts.slice().sort().join(',') : '';
+}
+
+function normalizePriority(priority) {
+  if (priority === undefined || priority === null) {
+    return DEFAULT_PRIORITY;
+  }
+  const numeric = Number(priority);
+  if (!Number.isInteger(numeric) || numeric < 0) {
+    throw new Error('Priority must be a non-negative integer.');
+  }
+  return numeric;
+}
+
+/**
+ * Resolves when a temporary rule expires
+ * Accepts a Date, an ISO timestamp, a date ("2026-03-31", which lasts until
+ * the end of that day) or a duration from now ("12h", "14d", "2w", "1m").
+ * @param {Date|string} [expiresAt] - Expiry
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} ISO timestamp, or null when the rule never expires
+ */
+function normalizeExpiresAt(expiresAt, now = new Date()) {
+  if (expiresAt === undefined || expiresAt === null || expiresAt === '') {
+    return null;
+  }
+  let resolved;
+  const value = expiresAt instanceof Date ? null : String(expiresAt).trim();
+  const duration = value && value.match(/^(\d+)([hdwm])$/i);
+  if (expiresAt instanceof Date) {
+    resolved = new Date(expiresAt.getTime());
+  } else if (duration) {
+    const hours = { h: 1, d: 24, w: 24 * 7, m: 24 * 30 }[duration[2].toLowerCase()];
+    resolved = new Date(now.getTime() + parseInt(duration[1], 10) * hours * 60 * 60 * 1000);
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    resolved = new Date(`${value}T23:59:59.999`);
+  } else {
+    resolved = new Date(value);
+  }
+  if (Number.isNaN(resolved.getTime())) {
+    throw new Error(`Invalid expiry "${expiresAt}". Use a date (2026-03-31), a timestamp or a duration (14d, 2w, 1m).`);
+  }
+  if (resolved <= now) {
+    throw new Error(`Expiry "${expiresAt}" is in the past.`);
+  }
+  return resolved.toISOString();
+}
+
 function generateRuleId() {
   const rand = Math.random().toString(36).slice(2, 8);
   return `rule_${Date.now()}_${rand}`;
 }
 
-function addRule({ action, sender, olderThanDays }) {
+/**
+ * Validates and normalizes rule options without saving them
+ * A rule needs a sender, conditions, or both; olderThanDays always applies on top
+ * @param {Object} options
+ * @param {string} options.action - One of SUPPORTED_ACTIONS
+ * @param {string} [options.sender] - Sender email or domain
+ * @param {number} [options.olderThanDays] - Only match emails older than N days
+ * @param {Object} [options.conditions] - Extra conditions (see normalizeConditions)
+ * @param {string} [options.label] - Label name for apply-label/remove-label
+ * @param {string} [options.forwardTo] - Recipient for forward
+ * @param {number} [options.priority] - Evaluation priority, lower runs first (default 100)
+ * @param {boolean} [options.stopProcessing] - Hide matched emails from later rules
+ * @param {string[]|string} [options.accounts] - Accounts the rule applies to (default: all)
+ * @param {Date|string} [options.expiresAt] - When the rule stops applying (see normalizeExpiresAt)
+ * @returns {Object} Rule without id or createdAt
+ */
+function buildRule({ action, sender, olderThanDays, conditions, label, forwardTo, priority, stopProcessing, accounts, expiresAt }) {
   if (!SUPPORTED_ACTIONS.has(action)) {
     throw new Error(`Unsupported action "${action}".`);
   }
-  if (!sender || !sender.trim()) {
-    throw new Error('Sender is required.');
-  }
+  const target = normalizeActionTarget(action, { label, forwardTo });
+  const normalizedPriority = normalizePriority(priority);
+  const normalizedAccounts = normalizeAccounts(accounts);
+  const normalizedExpiresAt = normalizeExpiresAt(expiresAt);
 
-  const normalizedSender = normalizeSender(sender);
-  const normalizedOlderThanDays = normalizeOlderThanDays(olderThanDays);
-
-  const data = readRules();
-  const existing = data.rules.find(rule => {
-    const sameSender = (rule.sender || '').toLowerCase() === normalizedSender.toLowerCase();
-    const sameAction = rule.action === action;
-    const sameOlderThan = (rule.olderThanDays || null) === normalizedOlderThanDays;
-    return sameSender && sameAction && sameOlderThan;
-  });
-
-  if (existing) {
-    return { rule: existing, created: false };
+  const normalizedSender = sender && sender.trim() ? normalizeSender(sender) : null;
+  const normalizedConditions = normalizeConditions(conditions);
+  if (!normalizedSender && !normalizedConditions) {
+    throw new Error('Sender or at least one condition is required.');
   }
 
   const rule = {
-    id: generateRuleId(),
     action,
+    ...target,
     sender: normalizedSender,
-    olderThanDays: normalizedOlderThanDays,
+    olderThanDays: normalizeOlderThanDays(olderThanDays),
+    priority: normalizedPriority,
+    stopProcessing: Boolean(stopProcessing),
+  };
+  if (normalizedConditions) {
+    rule.conditions = normalizedConditions;
+  }
+  if (normalizedAccounts) {
+    rule.accounts = normalizedAccounts;
+  }
+  if (normalizedExpiresAt) {
+    rule.expiresAt = normalizedExpiresAt;
+  }
+  return rule;
+}
+
+/**
+ * Gives a normalized draft (see buildRule) an ID and creation time
+ * @param {Object} draft - Normalized rule
+ * @returns {Object}
+ */
+function createRule(draft) {
+  return {
+    id: generateRuleId(),
+    ...draft,
     createdAt: new Date().toISOString(),
   };
+}
 
+/**
+ * Key for what a rule matches: sender, age, conditions, account scope and expiry
+ * @param {Object} rule - Rule definition
+ * @returns {string}
+ */
+function getMatcherKey(rule) {
+  return JSON.stringify([
+    (rule.sender || '').toLowerCase(),
+    rule.olderThanDays || null,
+    getConditionsKey(rule.conditions || null),
+    getAccountsKey(rule.accounts || null),
+    rule.expiresAt || null,
+  ]);
+}
+
+/**
+ * Finds a rule identical to the draft: same matchers, action and target
+ * @param {Array<Object>} rules - Rules to search
+ * @param {Object} draft - Normalized rule (see buildRule)
+ * @returns {Object|undefined}
+ */
+function findDuplicateRule(rules, draft) {
+  const matcherKey = getMatcherKey(draft);
+  return rules.find(rule => rule.action === draft.action
+    && (rule.label || '').toLowerCase() === (draft.label || '').toLowerCase()
+    && (rule.forwardTo || '').toLowerCase() === (draft.forwardTo || '').toLowerCase()
+    && getMatcherKey(rule) === matcherKey);
+}
+
+/**
+ * Adds a rule unless an identical one already exists
+ * @param {Object} options - Same as buildRule
+ * @returns {{rule: Object, created: boolean}}
+ */
+function addRule(options) {
+  const draft = buildRule(options);
+  const data = readRules();
+  const existing = findDuplicateRule(data.rules, draft);
+
+  if (existing) {
+    return { rule: existing, created: false };
+  }
+
+  const rule = createRule(draft);
   data.rules.push(rule);
   writeRules(data);
 
@@ -112,49 +416,312 @@ function removeRule(id) {
   return { removed: true, rule: removedRule };
 }
 
+/**
+ * Removes rules whose expiresAt has passed
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would be removed
+ * @param {Date} [options.now] - Reference time
+ * @returns {Array<Object>} Expired rules (removed unless dryRun)
+ */
+function pruneExpiredRules({ dryRun = false, now = new Date() } = {}) {
+  const data = readRules();
+  const expired = data.rules.filter(rule => isRuleExpired(rule, now));
+  if (expired.length > 0 && !dryRun) {
+    writeRules({ ...data, rules: data.rules.filter(rule => !isRuleExpired(rule, now)) });
+  }
+  return expired;
+}
+
+/**
+ * Lists rules in evaluation order
+ * @returns {Array<Object>}
+ */
 function listRules() {
-  return readRules().rules;
+  return orderRules(readRules().rules);
+}
+
+/**
+ * Renumbers priorities (10, 20, ...) to match the given order and saves the
+ * rules in that order
+ * @param {Object} data - Rules data as returned by readRules
+ * @param {Array<Object>} ordered - Every rule, in the desired order
+ * @returns {Array<Object>} Rules in their new evaluation order
+ */
+function saveRuleOrder(data, ordered) {
+  const rules = ordered.map((rule, index) => ({ ...rule, priority: (index + 1) * PRIORITY_STEP }));
+  writeRules({ ...data, rules });
+  return rules;
+}
+
+function findRuleOrThrow(rules, id) {
+  const rule = rules.find(candidate => candidate.id === id);
+  if (!rule) {
+    throw new Error(`Rule "${id}" not found.`);
+  }
+  return rule;
+}
+
+/**
+ * Puts the given rules first (in the given order), keeps the rest in their
+ * current evaluation order, and renumbers priorities
+ * @param {Array<string>} [ids] - Rule IDs to move to the front
+ * @returns {Array<Object>} Rules in their new evaluation order
+ */
+function reorderRules(ids = []) {
+  const data = readRules();
+  const current = orderRules(data.rules);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('Each rule ID can only be listed once.');
+  }
+  const front = ids.map(id => findRuleOrThrow(current, id));
+  const rest = current.filter(rule => !ids.includes(rule.id));
+  return saveRuleOrder(data, [...front, ...rest]);
+}
+
+/**
+ * Moves a rule directly before or after another one and renumbers priorities
+ * @param {string} id - Rule to move
+ * @param {{before?: string, after?: string}} position - Anchor rule ID
+ * @returns {Array<Object>} Rules in their new evaluation order
+ */
+function moveRule(id, { before, after } = {}) {
+  const anchorId = before || after;
+  if (!anchorId || (before && after)) {
+    throw new Error('Specify exactly one of before or after.');
+  }
+  if (anchorId === id) {
+    throw new Error('A rule cannot be moved relative to itself.');
+  }
+  const data = readRules();
+  const current = orderRules(data.rules);
+  const rule = findRuleOrThrow(current, id);
+  findRuleOrThrow(current, anchorId);
+
+  const remaining = current.filter(candidate => candidate.id !== id);
+  const anchorIndex = remaining.findIndex(candidate => candidate.id === anchorId);
+  remaining.splice(before ? anchorIndex : anchorIndex + 1, 0, rule);
+  return saveRuleOrder(data, remaining);
+}
+
+/**
+ * Records what a rules run matched, from buildActionPlan's ruleSummaries
+ * Real runs add to the cumulative hits/applied counts; dry runs only refresh
+ * lastMatchedAt so previews do not inflate the counts. Runs that act on the
+ * emails pass applied as 0 here and add it with recordRuleApplied afterwards.
+ * @param {Array<{id: string, matches: number, applied: number}>} ruleSummaries
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Whether the run was a preview
+ * @param {Date} [options.now] - Time of the run
+ * @returns {number} Number of rules updated
+ */
+function recordRuleHits(ruleSummaries, { dryRun = false, now = new Date() } = {}) {
+  const matched = (ruleSummaries || []).filter(summary => summary.matches > 0);
+  if (matched.length === 0) {
+    return 0;
+  }
+  const data = readRules();
+  let updated = 0;
+  matched.forEach(summary => {
+    const rule = data.rules.find(candidate => candidate.id === summary.id);
+    if (!rule) return;
+    rule.lastMatchedAt = now.toISOString();
+    if (!dryRun) {
+      rule.hits = (rule.hits || 0) + summary.matches;
+      rule.applied = (rule.applied || 0) + (summary.applied || 0);
+    }
+    updated++;
+  });
+  if (updated > 0) {
+    writeRules(data);
+  }
+  return updated;
 }
 
+/**
+ * Adds what a real run actually applied to each rule's applied count
+ * @param {Object<string, number>} counts - Rule ID to number of emails acted on
+ * @returns {number} Number of rules updated
+ */
+function recordRuleApplied(counts) {
+  const ids = Object.keys(counts || {}).filter(id => counts[id] > 0);
+  if (ids.length === 0) {
+    return 0;
+  }
+  const data = readRules();
+  let updated = 0;
+  ids.forEach(id => {
+    const rule = data.rules.find(candidate => candidate.id === id);
+    if (!rule) return;
+    rule.applied = (rule.applied || 0) + counts[id];
+    updated++;
+  });
+  if (updated > 0) {
+    writeRules(data);
+  }
+  return updated;
+}
+
+/**
+ * Hit statistics per rule, flagging rules that have not matched in `days`
+ * Rules that never matched count from their creation date.
+ * @param {number} days - Staleness threshold in days
+ * @param {Date} [now] - Reference time
+ * @returns {Array<{rule: Object, hits: number, applied: number, lastMatchedAt: string|null, daysSinceMatch: number|null, stale: boolean}>}
+ */
+function getRuleStats(days, now = new Date()) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  return listRules().map(rule => {
+    const reference = new Date(rule.lastMatchedAt || rule.createdAt);
+    const daysSince = Number.isNaN(reference.getTime())
+      ? null
+      : Math.floor((now.getTime() - reference.getTime()) / dayMs);
+    return {
+      rule,
+      hits: rule.hits || 0,
+      applied: rule.applied || 0,
+      lastMatchedAt: rule.lastMatchedAt || null,
+      daysSinceMatch: rule.lastMatchedAt ? daysSince : null,
+      stale: daysSince !== null && daysSince >= days,
+    };
+  });
+}
+
+// Confidence grows with the number of observations and how consistent they were
+function scoreConfidence(count, consistency = 1) {
+  return Math.round((1 - Math.exp(-count / 4)) * consistency * 100) / 100;
+}
+
+// Deleting or archiving after a consistent delay becomes an --older-than threshold
+function getKeepThreshold(keepDays, domain) {
+  const keep = keepDays && keepDays[domain];
+  return keep && keep.samples >= 3 && keep.medianDays >= 1 ? Math.ceil(keep.medianDays) : null;
+}
+
+/**
+ * Turns sender habits into rule suggestions with a confidence (0-1) and evidence
+ * - never-delete for addresses replied to at least twice
+ * - always-delete / auto-archive for domains deleted or archived repeatedly,
+ *   with --older-than when mail is usually kept for a while first
+ * - auto-mark-read for addresses whose mail is read but never acted on
+ * Domains of people replied to get no delete/archive suggestions.
+ * @param {Object} analysis - From analyzeHistory (or analyzePatterns for deletions only)
+ * @returns {{period: number, totalDeleted: number, suggestions: Array<Object>}} Suggestions by confidence, highest first
+ */
 function buildSuggestedRules(analysis) {
   if (!analysis) {
     return { period: 0, totalDeleted: 0, suggestions: [] };
   }
   const suggestions = [];
   const period = analysis.period || 0;
+  const keepDays = analysis.keepDays || {};
+  const repliedSenders = (analysis.repliedSenders || []).filter(sender => sender.replyCount >= 2);
+  const isRepliedTo = (domain) => (analysis.repliedSenders || []).some(sender => sender.address.includes(domain));
+  const add = (suggestion) => {
+    const exists = suggestions.some(existing => existing.action === suggestion.action && existing.sender === suggestion.sender);
+    if (!exists) {
+      suggestions.push(suggestion);
+    }
+  };
+
+  for (const sender of repliedSenders) {
+    add({
+      action: 'never-delete',
+      sender: sender.address,
+      reason: `Replied ${sender.replyCount} times in the last ${period} days`,
+      source: 'repliedSenders',
+      confidence: scoreConfidence(sender.replyCount),
+      evidence: { replies: sender.replyCount, lastRepliedAt: sender.lastRepliedAt },
+    });
+  }
 
   for (const sender of analysis.frequentDeleters || []) {
-    suggestions.push({
+    if (isRepliedTo(sender.domain)) continue;
+    const olderThanDays = getKeepThreshold(keepDays.deleted, sender.domain);
+    add({
       action: 'always-delete',
       sender: sender.domain,
-      reason: `Deleted ${sender.deletedCount} times in the last ${period} days`,
+      ...(olderThanDays ? { olderThanDays } : {}),
+      reason: `Deleted ${sender.deletedCount} times in the last ${period} days`
+        + (olderThanDays ? `, usually after ${olderThanDays} day(s)` : ''),
       source: 'frequentDeleters',
+      confidence: scoreConfidence(sender.deletedCount),
+      evidence: { deleted: sender.deletedCount, keepDays: (keepDays.deleted || {})[sender.domain] || null },
     });
   }
 
   for (const sender of analysis.neverReadSenders || []) {
-    suggestions.push({
+    if (isRepliedTo(sender.domain)) continue;
+    add({
       action: 'auto-archive',
       sender: sender.domain,
       reason: `Deleted unread ${sender.deletedCount} times in the last ${period} days`,
       source: 'neverReadSenders',
+      confidence: scoreConfidence(sender.deletedCount),
+      evidence: { deletedUnread: sender.deletedCount },
+    });
+  }
+
+  for (const sender of analysis.frequentArchivers || []) {
+    if (isRepliedTo(sender.domain)) continue;
+    const olderThanDays = getKeepThreshold(keepDays.archived, sender.domain);
+    add({
+      action: 'auto-archive',
+      sender: sender.domain,
+      ...(olderThanDays ? { olderThanDays } : {}),
+      reason: `Archived ${sender.archivedCount} times in the last ${period} days`
+        + (olderThanDays ? `, usually after ${olderThanDays} day(s)` : ''),
+      source: 'frequentArchivers',
+      confidence: scoreConfidence(sender.archivedCount),
+      evidence: {
+        archived: sender.archivedCount,
+        keepDays: (keepDays.archived || {})[sender.domain] || null,
+        examples: sender.examples || [],
+      },
+    });
+  }
+
+  for (const sender of analysis.readOnlySenders || []) {
+    add({
+      action: 'auto-mark-read',
+      sender: sender.address,
+      reason: `Read ${sender.readCount} of ${sender.totalCount} recent emails without replying or filing them`,
+      source: 'readOnlySenders',
+      confidence: scoreConfidence(sender.readCount, sender.readCount / sender.totalCount),
+      evidence: { read: sender.readCount, total: sender.totalCount, examples: sender.examples || [] },
     });
   }
 
   return {
     period,
     totalDeleted: analysis.totalDeleted || 0,
-    suggestions,
+    totalArchived: analysis.totalArchived || 0,
+    totalReplies: analysis.totalReplies || 0,
+    // sort is stable, so equal scores keep the order above
+    suggestions: suggestions.sort((a, b) => b.confidence - a.confidence),
   };
 }
 
 module.exports = {
+  RULES_VERSION,
   SUPPORTED_ACTIONS,
   getRulesPath,
   readRules,
   writeRules,
+  backupRules,
+  migrateRules,
+  normalizeConditions,
+  buildRule,
+  createRule,
+  getMatcherKey,
+  findDuplicateRule,
   addRule,
   removeRule,
+  pruneExpiredRules,
   listRules,
+  reorderRules,
+  moveRule,
+  recordRuleHits,
+  recordRuleApplied,
+  getRuleStats,
   buildSuggestedRules,
 };
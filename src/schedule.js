@@ -0,0 +1,138 @@
+// Cron-style schedules: "minute hour day-of-month month day-of-week" in local time
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+// Give up looking for a next run after this many days (e.g. "0 0 30 2 *")
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+function parseNumber(text, field) {
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} "${text}".`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} is out of range (${field.min}-${field.max}).`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseNumber(stepText, { ...field, min: 1 });
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseNumber(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseNumber(to, field);
+      if (end < start) {
+        throw new Error(`Invalid ${field.name} range "${range}".`);
+      }
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (or @hourly, @daily, @weekly, @monthly)
+ * Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 9-17/2).
+ * Day of week is 0-7 with both 0 and 7 meaning Sunday.
+ * @param {string} expression - Cron expression
+ * @returns {{expression: string, minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean}}
+ */
+function parseSchedule(expression) {
+  const text = String(expression || '').trim();
+  const parts = (ALIASES[text] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid schedule "${text}". Use five cron fields (minute hour day month weekday), e.g. "*/30 * * * *".`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+  return {
+    expression: text,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+function matchesDay(schedule, date) {
+  const dayMatch = schedule.days.has(date.getDate());
+  const weekdayMatch = schedule.weekdays.has(date.getDay());
+  // As in cron: when both are restricted, either one is enough
+  if (!schedule.anyDay && !schedule.anyWeekday) return dayMatch || weekdayMatch;
+  return dayMatch && weekdayMatch;
+}
+
+/**
+ * Whether a schedule fires in the minute containing `date`
+ * @param {Object} schedule - From parseSchedule
+ * @param {Date} date - Time to check
+ * @returns {boolean}
+ */
+function matchesSchedule(schedule, date) {
+  return schedule.minutes.has(date.getMinutes())
+    && schedule.hours.has(date.getHours())
+    && schedule.months.has(date.getMonth() + 1)
+    && matchesDay(schedule, date);
+}
+
+/**
+ * First time strictly after `after` at which the schedule fires
+ * @param {Object} schedule - From parseSchedule
+ * @param {Date} [after] - Reference time
+ * @returns {Date|null} Null when the schedule never fires (e.g. February 30)
+ */
+function getNextRun(schedule, after = new Date()) {
+  const next = new Date(after.getTime());
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+  const limit = after.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  while (next.getTime() <= limit) {
+    if (!schedule.months.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0);
+    } else if (!matchesDay(schedule, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0);
+    } else if (!schedule.hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1);
+    } else {
+      return next;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseSchedule,
+  matchesSchedule,
+  getNextRun,
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { TOKEN_DIR } = require('./gmail-auth');
+const { atomicWriteJsonSync } = require('./utils');
+
+const STATE_VERSION = 1;
+
+function ensureStateDir() {
+  fs.mkdirSync(TOKEN_DIR, { recursive: true });
+}
+
+/**
+ * Returns the path of the per-account sync state file
+ * @param {string} account - Account name
+ * @returns {string}
+ */
+function getSyncStatePath(account = 'default') {
+  return path.join(TOKEN_DIR, `state-${account}.json`);
+}
+
+function getDefaultSyncState() {
+  return {
+    version: STATE_VERSION,
+    historyId: null,
+    lastSyncAt: null,
+    views: {},
+  };
+}
+
+/**
+ * Reads the sync state for an account
+ * Legacy or malformed state files are treated as empty (forces a full resync)
+ * @param {string} account - Account name
+ * views maps a list query to the message IDs it matched, newest first, as
+ * kept current through history (complete: the listing was not truncated)
+ * @returns {{version: number, historyId: string|null, lastSyncAt: string|null, views: Object<string, {ids: Array<string>, complete: boolean}>}}
+ */
+function readSyncState(account = 'default') {
+  const statePath = getSyncStatePath(account);
+  if (!fs.existsSync(statePath)) {
+    return getDefaultSyncState();
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    if (!parsed || parsed.version !== STATE_VERSION) {
+      return getDefaultSyncState();
+    }
+    return {
+      version: STATE_VERSION,
+      historyId: parsed.historyId || null,
+      lastSyncAt: parsed.lastSyncAt || null,
+      views: parsed.views && typeof parsed.views === 'object' ? parsed.views : {},
+    };
+  } catch (_err) {
+    return getDefaultSyncState();
+  }
+}
+
+/**
+ * Persists the sync state for an account
+ * @param {string} account - Account name
+ * @param {Object} state - State as returned by readSyncState
+ */
+function writeSyncState(account, state) {
+  ensureStateDir();
+  atomicWriteJsonSync(getSyncStatePath(account), {
+    version: STATE_VERSION,
+    historyId: state.historyId || null,
+    lastSyncAt: state.lastSyncAt || null,
+    views: state.views || {},
+  });
+}
+
+/**
+ * Removes the sync state for an account (next read does a full resync)
+ * @param {string} account - Account name
+ */
+function clearSyncState(account = 'default') {
+  fs.rmSync(getSyncStatePath(account), { force: true });
+}
+
+module.exports = {
+  getSyncStatePath,
+  getDefaultSyncState,
+  readSyncState,
+  writeSyncState,
+  clearSyncState,
+};
@@ -4,7 +4,10 @@ const { TOKEN_DIR } = require('./gmail-auth');
 const { atomicWriteJsonSync } = require('./utils');
 
 const LOG_FILE = path.join(TOKEN_DIR, 'undo-log.json');
-const SUPPORTED_ACTIONS = new Set(['delete', 'archive']);
+const SUPPORTED_ACTIONS = new Set([
+  'delete', 'archive',
+  'apply-label', 'remove-label', 'star', 'unstar', 'mark-important', 'forward',
+]);
 
 function ensureLogDir() {
   fs.mkdirSync(TOKEN_DIR, { recursive: true });
@@ -39,16 +42,30 @@ function createUndoId() {
 }
 
 function normalizeItems(items) {
-  return items.map(item => ({
-    id: item.id,
-    threadId: item.threadId,
-    account: item.account,
-    from: item.from,
-    subject: item.subject,
-  }));
+  return items.map(item => {
+    const normalized = {
+      id: item.id,
+      threadId: item.threadId,
+      account: item.account,
+      from: item.from,
+      subject: item.subject,
+    };
+    // Forwards keep the ID of the sent copy so undo can trash it
+    if (item.sentId) {
+      normalized.sentId = item.sentId;
+    }
+    return normalized;
+  });
 }
 
-function logUndoAction(action, items) {
+/**
+ * Records an action so `inboxd undo` can reverse it
+ * @param {string} action - One of SUPPORTED_ACTIONS
+ * @param {Array<Object>} items - Affected emails
+ * @param {Object} [details] - Extra fields needed to reverse it (e.g. label, forwardTo)
+ * @returns {Object|null} The entry, or null when there is nothing to log
+ */
+function logUndoAction(action, items, details = {}) {
   if (!SUPPORTED_ACTIONS.has(action)) {
     throw new Error(`Unsupported undo action "${action}".`);
   }
@@ -60,6 +77,7 @@ function logUndoAction(action, items) {
   const entry = {
     id: createUndoId(),
     action,
+    ...details,
     createdAt: new Date().toISOString(),
     count: items.length,
     items: normalizeItems(items),
@@ -0,0 +1,116 @@
+const { syncMailbox } = require('./gmail-monitor');
+
+// Message IDs remembered per account for deduplication
+const MAX_SEEN_IDS = 10000;
+
+function remember(set, id) {
+  set.add(id);
+  if (set.size > MAX_SEEN_IDS) {
+    set.delete(set.values().next().value);
+  }
+}
+
+/**
+ * Turns mailbox sync results into watch events, each message reported once
+ * Events: message (new mail), labels (label change), deleted (trashed, or
+ * permanently removed with permanent: true), resync (the account started over
+ * from the current mailbox, so changes since the last check were not
+ * reported) and error (an account could not be synced; watching continues).
+ * The first sync of an account without sync state only records where the
+ * mailbox stands, so old mail is not replayed.
+ * @param {Object} options
+ * @param {string[]} options.accounts - Accounts to watch
+ * @param {Function} options.emit - Receives each event object
+ * @param {Function} [options.syncFn] - Replaces syncMailbox (tests)
+ * @param {Function} [options.now] - Clock (tests)
+ * @returns {{poll: Function}} poll() syncs every account once
+ */
+function createWatcher({ accounts, emit, syncFn = syncMailbox, now = () => new Date() }) {
+  const seen = new Map(accounts.map(account => [account, new Set()]));
+  const trashed = new Map(accounts.map(account => [account, new Set()]));
+  const purged = new Map(accounts.map(account => [account, new Set()]));
+  const labelState = new Map();
+
+  const send = (event) => emit({ ...event, at: now().toISOString() });
+
+  const pollAccount = async (account) => {
+    const changes = await syncFn(account);
+    const seenIds = seen.get(account);
+    const trashedIds = trashed.get(account);
+    const purgedIds = purged.get(account);
+    const addedIds = new Set();
+
+    if (changes.mode === 'full' && changes.reason) {
+      send({ type: 'resync', account, reason: changes.reason });
+    }
+
+    changes.added.forEach(email => {
+      addedIds.add(email.id);
+      labelState.set(`${account}:${email.id}`, (email.labelIds || []).slice().sort().join(','));
+      if (seenIds.has(email.id)) return;
+      remember(seenIds, email.id);
+      send({
+        type: 'message',
+        account,
+        id: email.id,
+        threadId: email.threadId,
+        from: email.from,
+        subject: email.subject,
+        snippet: email.snippet,
+        date: email.date,
+        labelIds: email.labelIds || [],
+      });
+    });
+
+    changes.labelChanges.forEach(change => {
+      // New messages already carry their labels
+      if (addedIds.has(change.id)) return;
+      const key = `${account}:${change.id}`;
+      const labels = change.labelIds.slice().sort().join(',');
+      if (labelState.get(key) === labels) return;
+      labelState.set(key, labels);
+
+      if (change.addedLabelIds.includes('TRASH')) {
+        if (trashedIds.has(change.id)) return;
+        remember(trashedIds, change.id);
+        send({ type: 'deleted', account, id: change.id, permanent: false });
+        return;
+      }
+      if (change.removedLabelIds.includes('TRASH')) {
+        // Restored from trash: report a later trashing again
+        trashedIds.delete(change.id);
+      }
+      send({
+        type: 'labels',
+        account,
+        id: change.id,
+        labelIds: change.labelIds,
+        addedLabelIds: change.addedLabelIds,
+        removedLabelIds: change.removedLabelIds,
+      });
+    });
+
+    changes.removed.forEach(id => {
+      labelState.delete(`${account}:${id}`);
+      if (purgedIds.has(id)) return;
+      remember(purgedIds, id);
+      send({ type: 'deleted', account, id, permanent: true });
+    });
+  };
+
+  const poll = async () => {
+    for (const account of accounts) {
+      try {
+        await pollAccount(account);
+      } catch (error) {
+        send({ type: 'error', account, error: error.message });
+      }
+    }
+  };
+
+  return { poll };
+}
+
+module.exports = {
+  createWatcher,
+};
@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeEach, afterEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import net from 'net';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+describe('api server', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-api-server-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  const token = 'test-token';
+  let api;
+  let server;
+  let baseUrl;
+  let client;
+
+  const email = (id, account = 'work') => ({ id, account, from: 'x@shop.com', subject: `Subject ${id}`, threadId: `t${id}` });
+
+  const start = async () => {
+    server = api.createApiServer({ token, client });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const request = async (method, urlPath, body, auth = `Bearer ${token}`) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { ...(auth ? { Authorization: auth } : {}), 'Content-Type': 'application/json' },
+      ...(body !== undefined ? { body: typeof body === 'string' ? body : JSON.stringify(body) } : {}),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeEach(async () => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    vi.resetModules();
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+
+    api = await import('../src/api-server');
+    // The server checks error classes from the require cache
+    const { ValidationError, AuthError, NotFoundError, PartialFailureError } = require('../src/errors');
+    client = {
+      accounts: vi.fn(() => [{ name: 'work', email: 'me@work.com' }]),
+      summary: vi.fn(async () => ({ accounts: [{ name: 'work', email: 'me@work.com', unreadCount: 3, emails: [email('1')] }], totalUnread: 3, errors: [] })),
+      search: vi.fn(async (query, { limit }) => {
+        if (query === 'ambiguous') throw new ValidationError('Multiple accounts configured. Specify an account (work, home).');
+        return { account: 'work', query, count: 1, emails: [email('1')].slice(0, limit), errors: [] };
+      }),
+      read: vi.fn(async (id) => {
+        if (id === 'missing') throw new NotFoundError(`Message ${id} not found in account "work".`);
+        if (id === 'revoked') throw new AuthError('invalid_grant: Token has been expired or revoked.');
+        return { ...email(id), body: 'Hi' };
+      }),
+      delete: vi.fn(async () => ({ trashed: 1, failed: 0, notFound: ['missing'], results: [{ id: '1', success: true }] })),
+      archive: vi.fn(async () => {
+        const result = { archived: 1, failed: 1, notFound: [], results: [{ id: '1', success: true }, { id: '2', success: false }] };
+        throw new PartialFailureError('Failed to archive 1 of 2 email(s).', { details: result });
+      }),
+      undoHistory: vi.fn(() => ({ count: 0, actions: [] })),
+      undo: vi.fn(async () => ({ action: 'delete', undone: 1, failed: 0, results: [] })),
+      rules: vi.fn(() => ({ count: 0, evaluationOrder: [], expired: [], rules: [] })),
+    };
+    await start();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('creates the token file once, readable only by its owner', () => {
+    const first = api.ensureApiToken();
+    expect(first).toMatch(/^[0-9a-f]{64}$/);
+    expect(api.ensureApiToken()).toBe(first);
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(api.getApiTokenPath()).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  it('rejects requests without the token', async () => {
+    expect((await request('GET', '/accounts', undefined, null)).status).toBe(401);
+    expect((await request('GET', '/accounts', undefined, 'Bearer wrong')).status).toBe(401);
+    expect(client.accounts).not.toHaveBeenCalled();
+  });
+
+  it('serves summary, search and message endpoints', async () => {
+    const summary = await request('GET', '/summary?count=2');
+    expect(summary.body).toMatchObject({ totalUnread: 3, accounts: [{ name: 'work', email: 'me@work.com', unreadCount: 3 }] });
+    expect(client.summary).toHaveBeenCalledWith({ count: 2, account: undefined });
+
+    const search = await request('GET', '/search?q=from%3Aboss&limit=5&account=work');
+    expect(client.search).toHaveBeenCalledWith('from:boss', { limit: 5, account: 'work' });
+    expect(search.body).toMatchObject({ account: 'work', count: 1 });
+
+    expect((await request('GET', '/messages/abc?metadataOnly=true')).body).toMatchObject({ id: 'abc', body: 'Hi' });
+    expect(client.read).toHaveBeenCalledWith('abc', { metadataOnly: true, account: undefined });
+    expect((await request('GET', '/messages/missing')).status).toBe(404);
+  });
+
+  it('trashes through the library and reports unknown IDs', async () => {
+    const { status, body } = await request('POST', '/messages/trash', { ids: ['1', ' missing'], account: 'work' });
+
+    expect(status).toBe(200);
+    expect(client.delete).toHaveBeenCalledWith(['1', 'missing'], { account: 'work' });
+    expect(body).toMatchObject({ trashed: 1, failed: 0, notFound: ['missing'], results: [{ id: '1', success: true }] });
+  });
+
+  it('reports partial batch failures as 207 with the results', async () => {
+    const { status, body } = await request('POST', '/messages/archive', { ids: ['1', '2'] });
+
+    expect(status).toBe(207);
+    expect(body).toMatchObject({ code: 'PARTIAL_FAILURE', details: { archived: 1, failed: 1 } });
+  });
+
+  it('reports a rejected Gmail token as an auth error, not a server error', async () => {
+    expect(await request('GET', '/messages/revoked')).toEqual({
+      status: 403,
+      body: { error: 'invalid_grant: Token has been expired or revoked.', code: 'AUTH' },
+    });
+  });
+
+  it('undoes the most recent action', async () => {
+    const { body } = await request('POST', '/undo');
+
+    expect(client.undo).toHaveBeenCalled();
+    expect(body).toMatchObject({ action: 'delete', undone: 1 });
+  });
+
+  it('answers a malformed absolute-form target with 400 and keeps serving', async () => {
+    const raw = await new Promise((resolve, reject) => {
+      const socket = net.connect(server.address().port, '127.0.0.1', () => {
+        socket.end('GET http://[/x HTTP/1.1\r\nHost: 127.0.0.1\r\nConnection: close\r\n\r\n');
+      });
+      let data = '';
+      socket.on('data', chunk => { data += chunk; });
+      socket.on('end', () => resolve(data));
+      socket.on('error', reject);
+    });
+
+    expect(raw).toMatch(/^HTTP\/1\.1 400/);
+    expect(JSON.parse(raw.match(/\{.*\}/s)[0])).toEqual({ error: 'Malformed request target "http://[/x".', code: 'VALIDATION' });
+    expect((await request('GET', '/accounts')).status).toBe(200);
+  });
+
+  it('returns JSON errors for bad requests', async () => {
+    expect(await request('GET', '/search')).toEqual({ status: 400, body: { error: 'Missing query parameter "q".', code: 'VALIDATION' } });
+    expect((await request('GET', '/search?q=x&limit=9999')).status).toBe(400);
+    expect((await request('POST', '/messages/trash', '{not json')).body).toEqual({ error: 'Request body is not valid JSON.', code: 'VALIDATION' });
+    expect((await request('POST', '/messages/archive', { ids: 'a,b' })).status).toBe(400);
+    expect((await request('DELETE', '/rules')).status).toBe(405);
+    expect((await request('GET', '/nope')).status).toBe(404);
+    expect(await request('GET', '/messages/%E0')).toEqual({ status: 400, body: { error: 'Malformed path segment "%E0".', code: 'VALIDATION' } });
+
+    expect(await request('GET', '/search?q=ambiguous')).toEqual({
+      status: 400,
+      body: { error: 'Multiple accounts configured. Specify an account (work, home).', code: 'VALIDATION' },
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { EventEmitter } from 'events';
+
+describe('daemon', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-daemon-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  let daemon;
+
+  const writeConfig = (jobs) => fs.writeFileSync(path.join(tempDir, 'daemon.json'), JSON.stringify({ version: 1, jobs }));
+
+  // Child process stand-in: emits the given stdout, then closes with the exit code
+  const fakeSpawn = (stdout, exitCode = 0) => {
+    const calls = [];
+    const spawnFn = (command, args) => {
+      calls.push(args.slice(1));
+      const child = new EventEmitter();
+      child.stdout = new EventEmitter();
+      child.stderr = new EventEmitter();
+      child.kill = vi.fn();
+      setImmediate(() => {
+        child.stdout.emit('data', stdout);
+        child.emit('close', exitCode);
+      });
+      return child;
+    };
+    return { spawnFn, calls };
+  };
+
+  beforeEach(async () => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    vi.resetModules();
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+
+    daemon = await import('../src/daemon');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('validates jobs and drops disabled ones', () => {
+    writeConfig([
+      { name: 'apply', type: 'apply-rules', schedule: '*/30 * * * *', account: 'work' },
+      { name: 'cache', type: 'refresh-cache', schedule: '@hourly', enabled: false },
+    ]);
+    const jobs = daemon.validateDaemonJobs(daemon.readDaemonConfig());
+
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0]).toMatchObject({ name: 'apply', account: 'work', allowDelete: false, allowForward: false });
+
+    const check = (job) => () => daemon.validateDaemonJobs({ jobs: [job] });
+    expect(check({ name: 'x', type: 'delete-all', schedule: '@daily' })).toThrow('unknown type "delete-all"');
+    expect(check({ name: 'x', type: 'triage', schedule: '@daily', allowDelete: true })).toThrow('allowDelete only applies');
+    expect(check({ name: 'x', type: 'triage', schedule: '@daily', allowForward: true })).toThrow('allowForward only applies');
+    expect(check({ name: 'x', type: 'triage', schedule: 'soon' })).toThrow('Job "x": Invalid schedule');
+    expect(() => daemon.validateDaemonJobs({ jobs: [
+      { name: 'x', type: 'triage', schedule: '@daily' },
+      { name: 'x', type: 'triage', schedule: '@daily' },
+    ] })).toThrow('defined more than once');
+  });
+
+  it('holds deletes in apply-rules jobs unless allowed', () => {
+    const job = { name: 'apply', type: 'apply-rules', account: 'all' };
+    expect(daemon.JOB_TYPES['apply-rules'].buildArgs(job)).toContain('--hold-deletes');
+    expect(daemon.JOB_TYPES['apply-rules'].buildArgs({ ...job, allowDelete: true })).not.toContain('--hold-deletes');
+    expect(daemon.JOB_TYPES['apply-rules'].buildArgs(job)).toContain('--hold-forwards');
+    expect(daemon.JOB_TYPES['apply-rules'].buildArgs({ ...job, allowForward: true })).not.toContain('--hold-forwards');
+  });
+
+  it('takes the lock once and replaces a lock left by a dead process', () => {
+    expect(daemon.acquireDaemonLock().acquired).toBe(true);
+    const second = daemon.acquireDaemonLock(process.pid + 1);
+    expect(second).toMatchObject({ acquired: false, lock: { pid: process.pid } });
+
+    daemon.releaseDaemonLock();
+    expect(fs.existsSync(daemon.getDaemonLockPath())).toBe(false);
+
+    // PIDs this large are never assigned
+    fs.writeFileSync(daemon.getDaemonLockPath(), JSON.stringify({ pid: 2 ** 22 + 1 }));
+    expect(daemon.acquireDaemonLock().acquired).toBe(true);
+  });
+
+  it('runs a job as a child process and summarizes its JSON output', async () => {
+    const { spawnFn, calls } = fakeSpawn(JSON.stringify({ ok: true, command: 'rules apply', data: { totals: { delete: 0, held: 2, archive: 3 } }, errors: [], warnings: [] }));
+    const job = { name: 'apply', type: 'apply-rules', account: 'work', limit: 20, allowDelete: false };
+
+    const outcome = await daemon.runJob(job, { spawnFn }).result;
+
+    expect(calls[0]).toEqual(['rules', 'apply', '--json', '--account', 'work', '--limit', '20', '--hold-deletes', '--hold-forwards']);
+    expect(outcome).toMatchObject({ ok: true, exitCode: 0, summary: { totals: { held: 2 } }, error: null });
+
+    const failed = await daemon.runJob(job, { spawnFn: fakeSpawn(JSON.stringify({
+      ok: false, command: 'rules apply', data: null, errors: [{ error: 'No rules defined', code: 'NOT_FOUND' }], warnings: [],
+    }), 5).spawnFn }).result;
+    expect(failed).toMatchObject({ ok: false, summary: null, error: 'No rules defined' });
+
+    const rejected = fakeSpawn(JSON.stringify({
+      ok: true, command: 'rules apply', data: { totals: {} }, errors: [{ account: 'work', id: null, error: 'invalid_grant', code: 'AUTH' }], warnings: [],
+    }), 4);
+    expect(await daemon.runJob(job, { spawnFn: rejected.spawnFn }).result).toMatchObject({ ok: false, exitCode: 4, error: 'invalid_grant' });
+  });
+
+  it('starts due jobs, skips overlapping runs and logs each event', async () => {
+    let current = new Date('2026-03-10T08:00:30');
+    const log = [];
+    let finishRun;
+    const runJobFn = vi.fn(() => ({
+      child: { kill: vi.fn() },
+      result: new Promise(resolve => { finishRun = resolve; }),
+    }));
+    const jobs = daemon.validateDaemonJobs({ jobs: [{ name: 'sync', type: 'refresh-cache', schedule: '* * * * *' }] });
+    const scheduler = daemon.createScheduler(jobs, { runJobFn, logFn: entry => log.push(entry), now: () => current });
+
+    current = new Date('2026-03-10T08:01:00');
+    scheduler.tick();
+    current = new Date('2026-03-10T08:02:00');
+    scheduler.tick();
+    finishRun({ ok: true, exitCode: 0, durationMs: 5, summary: null, error: null });
+    await scheduler.stop();
+
+    expect(runJobFn).toHaveBeenCalledTimes(1);
+    expect(log.map(entry => entry.event)).toEqual(['job-start', 'job-skip', 'job-finish']);
+    expect(scheduler.getJobs()[0]).toMatchObject({ name: 'sync', running: false, nextRunAt: new Date('2026-03-10T08:03:00').toISOString() });
+  });
+
+  it('terminates jobs still running when shutdown times out', async () => {
+    const child = { kill: vi.fn() };
+    let finishRun;
+    const runJobFn = () => ({ child, result: new Promise(resolve => { finishRun = resolve; }) });
+    child.kill.mockImplementation(() => finishRun({ ok: false, exitCode: null, error: 'terminated' }));
+    let current = new Date('2026-03-10T08:00:30');
+    const jobs = daemon.validateDaemonJobs({ jobs: [{ name: 'triage', type: 'triage', schedule: '* * * * *' }] });
+    const scheduler = daemon.createScheduler(jobs, { runJobFn, logFn: () => {}, now: () => current });
+
+    current = new Date('2026-03-10T08:01:00');
+    scheduler.tick();
+    await scheduler.stop({ timeoutMs: 10 });
+
+    expect(child.kill).toHaveBeenCalledWith('SIGTERM');
+  });
+
+  it('reports status from the config, lock and job log', () => {
+    writeConfig([{ name: 'apply', type: 'apply-rules', schedule: '0 * * * *' }]);
+    daemon.appendJobLog({ event: 'job-finish', job: 'apply', ok: true, summary: { totals: { held: 1 } } });
+    fs.appendFileSync(daemon.getDaemonLogPath(), '{"partial\n');
+
+    const status = daemon.getDaemonStatus({ now: new Date('2026-03-10T08:15:00') });
+
+    expect(status.running).toBe(false);
+    expect(status.jobs[0]).toMatchObject({
+      name: 'apply',
+      schedule: '0 * * * *',
+      nextRunAt: new Date('2026-03-10T09:00:00').toISOString(),
+      lastRun: { ok: true, summary: { totals: { held: 1 } } },
+    });
+    expect(status.recent).toHaveLength(1);
+  });
+});
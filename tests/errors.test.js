@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+
+const {
+  EXIT_CODES,
+  InboxdError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  PartialFailureError,
+  SafetyBlockedError,
+  toInboxdError,
+  formatErrorJson,
+} = require('../src/errors');
+
+describe('errors', () => {
+  it('gives each error kind its own code and exit code', () => {
+    const kinds = [
+      [new ValidationError('x'), 'VALIDATION', 3],
+      [new AuthError('x'), 'AUTH', 4],
+      [new NotFoundError('x'), 'NOT_FOUND', 5],
+      [new RateLimitError('x'), 'RATE_LIMITED', 6],
+      [new PartialFailureError('x'), 'PARTIAL_FAILURE', 2],
+      [new SafetyBlockedError('x'), 'SAFETY_BLOCKED', 7],
+      [new InboxdError('x'), 'INBOXD_ERROR', 1],
+    ];
+    kinds.forEach(([error, code, exitCode]) => {
+      expect(error).toBeInstanceOf(InboxdError);
+      expect(error.code).toBe(code);
+      expect(error.exitCode).toBe(exitCode);
+      expect(EXIT_CODES[code]).toBe(exitCode);
+    });
+    expect(new Set(Object.values(EXIT_CODES)).size).toBe(Object.keys(EXIT_CODES).length);
+    expect(new NotFoundError('gone').name).toBe('NotFoundError');
+  });
+
+  it('classifies Gmail API errors by status', () => {
+    expect(toInboxdError({ message: 'Too many', code: 429 })).toBeInstanceOf(RateLimitError);
+    expect(toInboxdError({ message: 'Quota', code: 403, errors: [{ reason: 'userRateLimitExceeded' }] })).toBeInstanceOf(RateLimitError);
+    expect(toInboxdError({ message: 'Insufficient Permission', code: 403 })).toBeInstanceOf(AuthError);
+    expect(toInboxdError({ message: 'Unauthorized', response: { status: 401 } })).toBeInstanceOf(AuthError);
+    expect(toInboxdError(new Error('invalid_grant'))).toBeInstanceOf(AuthError);
+    expect(toInboxdError({ message: 'Requested entity was not found.', code: 404 })).toBeInstanceOf(NotFoundError);
+
+    const generic = new Error('boom');
+    const typed = toInboxdError(generic);
+    expect(typed).toMatchObject({ code: 'INBOXD_ERROR', message: 'boom', cause: generic });
+
+    const original = new ValidationError('bad');
+    expect(toInboxdError(original)).toBe(original);
+  });
+
+  it('formats errors for --json output', () => {
+    expect(formatErrorJson(new Error('boom'))).toEqual({ error: 'boom', code: 'INBOXD_ERROR' });
+    expect(formatErrorJson(new SafetyBlockedError('no', { details: { warnings: ['w'] } })))
+      .toEqual({ error: 'no', code: 'SAFETY_BLOCKED', details: { warnings: ['w'] } });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const Module = require('module');
+const gmailMonitorPath = require.resolve('../src/gmail-monitor');
+const gmailAuthPath = require.resolve('../src/gmail-auth');
+
+function metadataResponse(id) {
+  return {
+    data: {
+      id,
+      threadId: `thread-${id}`,
+      labelIds: ['INBOX', 'UNREAD'],
+      snippet: '',
+      payload: { headers: [{ name: 'From', value: `${id}@example.com` }] },
+    },
+  };
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { code: status, response: { status, headers: {} } });
+}
+
+describe('Fetch error reporting', () => {
+  let mockGmail;
+  let getUnreadEmails;
+  let searchEmails;
+  let searchEmailsPaginated;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGmail = {
+      users: {
+        messages: {
+          list: vi.fn(),
+          get: vi.fn((params) => params.id === 'bad'
+            ? Promise.reject(httpError(404, 'Requested entity was not found.'))
+            : Promise.resolve(metadataResponse(params.id))),
+        },
+      },
+    };
+
+    delete require.cache[gmailMonitorPath];
+    delete require.cache[gmailAuthPath];
+    const authModule = new Module.Module(gmailAuthPath);
+    authModule.exports = { getGmailClient: vi.fn().mockResolvedValue(mockGmail) };
+    require.cache[gmailAuthPath] = authModule;
+
+    ({ getUnreadEmails, searchEmails, searchEmailsPaginated } = require('../src/gmail-monitor'));
+  });
+
+  it('lists messages that could not be fetched alongside the ones that could', async () => {
+    mockGmail.users.messages.list.mockResolvedValue({
+      data: { messages: [{ id: 'good' }, { id: 'bad' }] },
+    });
+
+    const result = await searchEmails('work', 'from:example.com', 10);
+
+    expect(result.emails.map(e => e.id)).toEqual(['good']);
+    expect(result.errors).toEqual([{
+      account: 'work',
+      id: 'bad',
+      error: 'Requested entity was not found.',
+      code: 404,
+    }]);
+  });
+
+  it('reports a failed list call as an account-level error instead of an empty inbox', async () => {
+    mockGmail.users.messages.list.mockRejectedValue(httpError(400, 'Invalid query'));
+
+    const result = await getUnreadEmails('work', 10);
+
+    expect(result.emails).toEqual([]);
+    expect(result.errors).toEqual([{
+      account: 'work',
+      id: null,
+      error: 'Invalid query',
+      code: 400,
+    }]);
+  });
+
+  it('reports a rejected token as AUTH rather than its HTTP status', async () => {
+    mockGmail.users.messages.list.mockRejectedValue(httpError(401, 'Invalid Credentials'));
+
+    const result = await getUnreadEmails('work', 10);
+
+    expect(result.errors).toEqual([{ account: 'work', id: null, error: 'Invalid Credentials', code: 'AUTH' }]);
+  });
+
+  it('returns no errors for a genuinely empty inbox', async () => {
+    mockGmail.users.messages.list.mockResolvedValue({ data: { messages: [] } });
+
+    expect(await getUnreadEmails('work', 10)).toEqual({ emails: [], errors: [] });
+  });
+
+  it('keeps emails fetched before a paginated search failed', async () => {
+    mockGmail.users.messages.list
+      .mockResolvedValueOnce({ data: { messages: [{ id: 'a' }, { id: 'bad' }], nextPageToken: 'next' } })
+      .mockRejectedValueOnce(httpError(401, 'Invalid Credentials'));
+
+    const result = await searchEmailsPaginated('work', 'in:inbox', { maxResults: 500 });
+
+    expect(result.emails.map(e => e.id)).toEqual(['a']);
+    expect(result.errors.map(e => e.id)).toEqual(['bad', null]);
+    expect(result.hasMore).toBe(false);
+  });
+});
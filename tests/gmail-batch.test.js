@@ -0,0 +1,157 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const Module = require('module');
+const gmailMonitorPath = require.resolve('../src/gmail-monitor');
+const gmailAuthPath = require.resolve('../src/gmail-auth');
+const { buildBatchBody, parseBatchResponse, sendBatch } = require('../src/gmail-batch');
+
+function batchResponse(boundary, parts) {
+  const body = parts.map(({ index, status, body: partBody = '' }) => [
+    `--${boundary}`,
+    'Content-Type: application/http',
+    `Content-ID: <response-item-${index}>`,
+    '',
+    `HTTP/1.1 ${status} ${status < 400 ? 'OK' : 'Error'}`,
+    'Content-Type: application/json; charset=UTF-8',
+    '',
+    partBody,
+    '',
+  ].join('\r\n')).join('');
+  return `${body}--${boundary}--\r\n`;
+}
+
+describe('Gmail batch requests', () => {
+  describe('buildBatchBody', () => {
+    it('builds one application/http part per request', () => {
+      const body = buildBatchBody('b1', [
+        { method: 'POST', path: '/gmail/v1/users/me/messages/a/trash' },
+        { method: 'POST', path: '/gmail/v1/users/me/messages/b/trash' },
+      ]);
+
+      expect(body).toContain('Content-ID: <item-0>');
+      expect(body).toContain('POST /gmail/v1/users/me/messages/b/trash HTTP/1.1');
+      expect(body.split('--b1\r\n')).toHaveLength(3);
+      expect(body.endsWith('--b1--\r\n')).toBe(true);
+    });
+  });
+
+  describe('parseBatchResponse', () => {
+    it('maps statuses and error messages by request index', () => {
+      const body = batchResponse('resp', [
+        { index: 1, status: 404, body: JSON.stringify({ error: { message: 'Requested entity was not found.' } }) },
+        { index: 0, status: 200, body: '{"id":"a"}' },
+      ]);
+
+      const results = parseBatchResponse(body, 'multipart/mixed; boundary=resp');
+
+      expect(results.get(0)).toEqual({ status: 200 });
+      expect(results.get(1)).toEqual({ status: 404, error: 'Requested entity was not found.' });
+    });
+
+    it('throws when the boundary is missing', () => {
+      expect(() => parseBatchResponse('', 'text/plain')).toThrow('missing boundary');
+    });
+  });
+
+  describe('sendBatch', () => {
+    it('returns results in request order', async () => {
+      const auth = {
+        request: vi.fn().mockResolvedValue({
+          headers: { 'content-type': 'multipart/mixed; boundary=resp' },
+          data: batchResponse('resp', [{ index: 0, status: 200 }]),
+        }),
+      };
+
+      const results = await sendBatch(auth, [
+        { method: 'POST', path: '/a' },
+        { method: 'POST', path: '/b' },
+      ]);
+
+      expect(auth.request).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://gmail.googleapis.com/batch/gmail/v1',
+        method: 'POST',
+      }));
+      expect(results[0]).toEqual({ status: 200 });
+      expect(results[1].status).toBe(0);
+    });
+  });
+
+  describe('trashEmails', () => {
+    let mockGmail;
+    let auth;
+    let trashEmails;
+
+    beforeEach(() => {
+      auth = { request: vi.fn() };
+      mockGmail = {
+        users: {
+          messages: {
+            trash: vi.fn().mockResolvedValue({ data: {} }),
+          },
+        },
+      };
+      delete require.cache[gmailMonitorPath];
+      delete require.cache[gmailAuthPath];
+      const authModule = new Module.Module(gmailAuthPath);
+      authModule.exports = { getGmailClient: vi.fn().mockResolvedValue(mockGmail), authorize: vi.fn().mockResolvedValue(auth) };
+      require.cache[gmailAuthPath] = authModule;
+      ({ trashEmails } = require('../src/gmail-monitor'));
+    });
+
+    it('trashes messages through one batch request per 50 IDs', async () => {
+      auth.request.mockImplementation(async ({ data }) => {
+        const count = (data.match(/Content-ID/g) || []).length;
+        const parts = Array.from({ length: count }, (_, index) => ({ index, status: 200 }));
+        return {
+          headers: { 'content-type': 'multipart/mixed; boundary=resp' },
+          data: batchResponse('resp', parts),
+        };
+      });
+      const ids = Array.from({ length: 60 }, (_, i) => `msg${i}`);
+
+      const results = await trashEmails('work', ids);
+
+      expect(auth.request).toHaveBeenCalledTimes(2);
+      expect(results).toHaveLength(60);
+      expect(results.every(r => r.success)).toBe(true);
+      expect(mockGmail.users.messages.trash).not.toHaveBeenCalled();
+    });
+
+    it('reports per-ID failures and retries throttled parts individually', async () => {
+      auth.request.mockResolvedValue({
+        headers: { 'content-type': 'multipart/mixed; boundary=resp' },
+        data: batchResponse('resp', [
+          { index: 0, status: 200 },
+          { index: 1, status: 404, body: JSON.stringify({ error: { message: 'Not Found' } }) },
+          { index: 2, status: 429 },
+          { index: 3, status: 401, body: JSON.stringify({ error: { message: 'Invalid Credentials' } }) },
+        ]),
+      });
+
+      const results = await trashEmails('work', ['a', 'b', 'c', 'd']);
+
+      expect(results).toEqual([
+        { id: 'a', success: true },
+        { id: 'b', success: false, error: 'Not Found' },
+        { id: 'c', success: true },
+        { id: 'd', success: false, error: 'Invalid Credentials', code: 'AUTH' },
+      ]);
+      expect(mockGmail.users.messages.trash).toHaveBeenCalledTimes(1);
+      expect(mockGmail.users.messages.trash).toHaveBeenCalledWith({ userId: 'me', id: 'c' });
+    });
+
+    it('falls back to one request per ID when the batch request fails', async () => {
+      auth.request.mockRejectedValue(new Error('Bad Request'));
+
+      const results = await trashEmails('work', ['a', 'b']);
+
+      expect(results).toEqual([
+        { id: 'a', success: true },
+        { id: 'b', success: true },
+      ]);
+      expect(mockGmail.users.messages.trash).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const require = createRequire(import.meta.url);
+const Module = require('module');
+const gmailFiltersPath = require.resolve('../src/gmail-filters');
+const gmailMonitorPath = require.resolve('../src/gmail-monitor');
+const gmailAuthPath = require.resolve('../src/gmail-auth');
+const rulesPath = require.resolve('../src/rules');
+const cachedPaths = [gmailFiltersPath, gmailMonitorPath, gmailAuthPath, rulesPath];
+
+describe('gmail filters', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-gmail-filters-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  let monitor;
+  let filters;
+  let rules;
+  let nextId;
+
+  beforeEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+    nextId = 1;
+
+    monitor = {
+      listFilters: vi.fn().mockResolvedValue([]),
+      createFilter: vi.fn(async (_account, spec) => ({ id: `f${nextId++}`, ...spec })),
+      deleteFilter: vi.fn().mockResolvedValue(undefined),
+      listLabels: vi.fn().mockResolvedValue([
+        { id: 'Label_1', name: 'Receipts', type: 'user' },
+        { id: 'INBOX', name: 'INBOX', type: 'system' },
+      ]),
+    };
+
+    cachedPaths.forEach(p => delete require.cache[p]);
+    const monitorModule = new Module.Module(gmailMonitorPath);
+    monitorModule.exports = monitor;
+    require.cache[gmailMonitorPath] = monitorModule;
+
+    filters = require('../src/gmail-filters');
+    rules = require('../src/rules');
+  });
+
+  afterAll(() => {
+    cachedPaths.forEach(p => delete require.cache[p]);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('explains why rules cannot become filters', () => {
+    const { getFilterIneligibility } = filters;
+    const neverDelete = { id: 'keep', action: 'never-delete', sender: 'boss@corp.com' };
+
+    expect(getFilterIneligibility({ action: 'auto-archive', sender: 'x.com' })).toBeNull();
+    expect(getFilterIneligibility(neverDelete)).toMatch(/no Gmail filter equivalent/);
+    expect(getFilterIneligibility({ action: 'auto-archive', sender: 'x.com', olderThanDays: 7 })).toMatch(/older-than/);
+    expect(getFilterIneligibility({ action: 'star', conditions: { match: 'all', listId: 'dev' } })).toMatch(/"listId"/);
+    expect(getFilterIneligibility({ action: 'always-delete', sender: 'corp.com' }, { rules: [neverDelete] })).toMatch(/never-delete rule keep/);
+    expect(getFilterIneligibility({ action: 'always-delete', sender: 'gmail.com' }, {
+      protectedSenders: [{ entry: 'partner@gmail.com - spouse', pattern: 'partner@gmail.com' }],
+    })).toMatch(/Important People/);
+  });
+
+  it('blocks delete filters only where a never-delete rule can actually match', () => {
+    const { getFilterIneligibility } = filters;
+    const check = (rule, protection, account = 'work') => getFilterIneligibility(rule, { rules: [{ id: 'keep', action: 'never-delete', ...protection }], account });
+    const deleteNews = { action: 'always-delete', sender: 'news@corp.com' };
+
+    expect(check(deleteNews, { sender: 'corp.com' })).toMatch(/never-delete rule keep/);
+    expect(check({ action: 'always-delete', conditions: { match: 'all', subject: 'sale' } }, { sender: 'boss@corp.com' })).toMatch(/keep/);
+    expect(check(deleteNews, { sender: 'corp.com', accounts: ['home'] })).toBeNull();
+    expect(check(deleteNews, { sender: 'corp.com', accounts: ['home', 'work'] })).toMatch(/keep/);
+    expect(check(deleteNews, { sender: 'other.com' })).toBeNull();
+    expect(check({ ...deleteNews, conditions: { match: 'all', hasAttachment: true } }, { sender: 'corp.com', conditions: { match: 'all', hasAttachment: false } })).toBeNull();
+    expect(check({ ...deleteNews, conditions: { match: 'all', largerThan: 5000 } }, { sender: 'corp.com', conditions: { match: 'all', smallerThan: 1000 } })).toBeNull();
+    expect(check({ ...deleteNews, conditions: { match: 'all', subject: 'digest' } }, { sender: 'corp.com', conditions: { match: 'all', subject: 'invoice' } })).toMatch(/keep/);
+    expect(check(deleteNews, { sender: 'corp.com', expiresAt: '2020-01-01T00:00:00.000Z' })).toBeNull();
+
+    expect(getFilterIneligibility({ action: 'always-delete', conditions: { match: 'all', subject: 'sale' } }, {
+      protectedSenders: [{ entry: 'partner@gmail.com', pattern: 'partner@gmail.com' }],
+    })).toMatch(/Important People/);
+  });
+
+  it('converts rules to filters and back', () => {
+    const rule = { action: 'auto-archive', sender: 'news.com', conditions: { match: 'all', subject: 'digest', largerThan: 1024 } };
+    const spec = filters.buildFilterSpec(rule);
+
+    expect(spec).toEqual({
+      criteria: { from: 'news.com', subject: 'digest', size: 1024, sizeComparison: 'larger' },
+      action: { removeLabelIds: ['INBOX'] },
+    });
+    expect(filters.filterToRules(spec, 'work').rules).toEqual([{
+      action: 'auto-archive',
+      sender: 'news.com',
+      conditions: { subject: 'digest', largerThan: 1024 },
+      accounts: ['work'],
+    }]);
+  });
+
+  it('splits filter actions into rules and reports what it cannot convert', () => {
+    const { rules: converted, unsupported } = filters.filterToRules({
+      criteria: { from: 'shop.com' },
+      action: { addLabelIds: ['Label_1', 'STARRED', 'CATEGORY_PROMOTIONS'], removeLabelIds: ['UNREAD'], forward: 'me@x.com' },
+    }, 'work', { Label_1: 'Receipts' });
+
+    expect(converted.map(rule => rule.action)).toEqual(['apply-label', 'star', 'auto-mark-read']);
+    expect(converted[0].label).toBe('Receipts');
+    expect(unsupported).toEqual(['add label CATEGORY_PROMOTIONS', 'forward to me@x.com']);
+    expect(filters.filterToRules({ criteria: { query: 'is:chat' }, action: {} }, 'work').unsupported).toEqual(['search query criteria']);
+  });
+
+  it('creates filters for eligible rules and tracks them', async () => {
+    const { rule: archive } = rules.addRule({ action: 'auto-archive', sender: 'news.com' });
+    const { rule: label } = rules.addRule({ action: 'apply-label', label: 'receipts', sender: 'shop.com' });
+    rules.addRule({ action: 'never-delete', sender: 'boss.com' });
+
+    const result = await filters.pushFilters('work');
+
+    expect(monitor.createFilter).toHaveBeenCalledWith('work', { criteria: { from: 'news.com' }, action: { removeLabelIds: ['INBOX'] } });
+    expect(monitor.createFilter).toHaveBeenCalledWith('work', { criteria: { from: 'shop.com' }, action: { addLabelIds: ['Label_1'] } });
+    expect(result.skipped).toHaveLength(1);
+    expect(Object.values(filters.readFilterTracking().accounts.work).map(entry => entry.ruleId).sort())
+      .toEqual([archive.id, label.id].sort());
+  });
+
+  it('only deletes filters it created and leaves matching hand-made filters alone', async () => {
+    const { rule } = rules.addRule({ action: 'auto-archive', sender: 'news.com' });
+    await filters.pushFilters('work');
+    const handMade = { id: 'mine', criteria: { from: 'shop.com' }, action: { removeLabelIds: ['INBOX'] } };
+    monitor.listFilters.mockResolvedValue([
+      { id: 'f1', criteria: { from: 'news.com' }, action: { removeLabelIds: ['INBOX'] } },
+      handMade,
+    ]);
+
+    rules.removeRule(rule.id);
+    rules.addRule({ action: 'auto-archive', sender: 'shop.com' });
+    const result = await filters.pushFilters('work');
+
+    expect(result.deleted).toEqual([{ filterId: 'f1', ruleId: rule.id }]);
+    expect(result.existing).toHaveLength(1);
+    expect(monitor.deleteFilter).toHaveBeenCalledTimes(1);
+    expect(monitor.deleteFilter).toHaveBeenCalledWith('work', 'f1');
+    expect(monitor.createFilter).toHaveBeenCalledTimes(1);
+  });
+
+  it('makes no changes on a dry run', async () => {
+    rules.addRule({ action: 'auto-archive', sender: 'news.com' });
+    const result = await filters.pushFilters('work', { dryRun: true });
+
+    expect(result.created).toHaveLength(1);
+    expect(monitor.createFilter).not.toHaveBeenCalled();
+    expect(fs.existsSync(filters.getFilterTrackingPath())).toBe(false);
+  });
+
+  it('pulls hand-made filters but not the ones inboxd created', async () => {
+    rules.addRule({ action: 'auto-archive', sender: 'news.com' });
+    await filters.pushFilters('work');
+    monitor.listFilters.mockResolvedValue([
+      { id: 'f1', criteria: { from: 'news.com' }, action: { removeLabelIds: ['INBOX'] } },
+      { id: 'mine', criteria: { from: 'shop.com' }, action: { addLabelIds: ['TRASH'] } },
+    ]);
+
+    const preview = await filters.pullFilters('work', { dryRun: true });
+    expect(preview.imported).toHaveLength(1);
+    expect(rules.listRules()).toHaveLength(1);
+
+    const result = await filters.pullFilters('work');
+    expect(result.imported[0].rule).toMatchObject({ action: 'always-delete', sender: 'shop.com', accounts: ['work'] });
+    expect(rules.listRules()).toHaveLength(2);
+
+    const again = await filters.pullFilters('work');
+    expect(again.imported).toHaveLength(0);
+    expect(again.duplicates).toHaveLength(1);
+  });
+});
@@ -2,7 +2,7 @@ import { describe, it, expect } from 'vitest';
 
 // Import the actual exported helper functions for testing
 // These are pure functions that don't require mocking
-const { extractBody, decodeBase64Url, composeMessage } = require('../src/gmail-monitor');
+const { extractBody, decodeBase64Url, composeMessage, composeForward } = require('../src/gmail-monitor');
 
 describe('Gmail Monitor New Features', () => {
 
@@ -121,6 +121,36 @@ describe('Gmail Monitor New Features', () => {
     });
   });
 
+  describe('composeForward', () => {
+    const original = [
+      'From: Alice <alice@example.com>',
+      'Subject: Quarterly',
+      ' report',
+      'Date: Mon, 1 Jan 2024 10:00:00 +0000',
+      '',
+      'Numbers attached.',
+    ].join('\r\n');
+
+    it('wraps the original message as an rfc822 attachment', () => {
+      const encoded = composeForward({ to: 'team@example.com', rawMessage: Buffer.from(original) });
+      const decoded = Buffer.from(encoded, 'base64url').toString('utf8');
+
+      expect(decoded).toContain('To: team@example.com');
+      expect(decoded).toContain('Subject: Fwd: Quarterly report');
+      expect(decoded).toContain('From: Alice <alice@example.com>');
+      expect(decoded).toContain('Content-Type: message/rfc822');
+      expect(decoded).toContain(original);
+    });
+
+    it('does not stack Fwd prefixes', () => {
+      const raw = Buffer.from('Subject: Fwd: Hello\r\n\r\nBody');
+      const decoded = Buffer.from(composeForward({ to: 'a@b.com', rawMessage: raw }), 'base64url').toString('utf8');
+
+      expect(decoded).toContain('Subject: Fwd: Hello\r\n');
+      expect(decoded).not.toContain('Fwd: Fwd:');
+    });
+  });
+
   describe('composeMessage', () => {
     it('should compose a simple email message', () => {
       const encoded = composeMessage({
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+describe('history analysis', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-history-analysis-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  let analyzeHistory;
+
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const write = (file, data) => fs.writeFileSync(path.join(tempDir, file), JSON.stringify(data));
+
+  beforeEach(async () => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    vi.resetModules();
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+
+    ({ analyzeHistory } = await import('../src/history-analysis'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('measures how long archived mail was kept, using the cache for older log entries', () => {
+    write('archive-log.json', [
+      { archivedAt: daysAgo(1), account: 'work', id: '1', from: 'News <a@news.com>', subject: 'Weekly', date: daysAgo(8) },
+      { archivedAt: daysAgo(2), account: 'work', id: '2', from: 'a@news.com', subject: 'Weekly', date: daysAgo(7) },
+      { archivedAt: daysAgo(3), account: 'work', id: '3', from: 'a@news.com', subject: 'Offer' },
+    ]);
+    write('message-cache.json', {
+      version: 1,
+      accounts: { work: { 3: { id: '3', from: 'a@news.com', labelIds: [], date: daysAgo(9) } } },
+    });
+
+    const analysis = analyzeHistory(30);
+
+    expect(analysis.totalArchived).toBe(3);
+    expect(analysis.frequentArchivers).toEqual([{ domain: 'news.com', archivedCount: 3, examples: ['Weekly', 'Offer'] }]);
+    expect(analysis.keepDays.archived['news.com']).toEqual({ medianDays: 6, samples: 3 });
+  });
+
+  it('finds replied-to senders and senders that are read but left alone', () => {
+    write('sent-log.json', [
+      { sentAt: daysAgo(1), to: 'Ana <ana@friend.org>', replyToId: 'm1' },
+      { sentAt: daysAgo(2), to: 'ana@friend.org, bob@friend.org', replyToId: 'm2' },
+      { sentAt: daysAgo(3), to: 'new@contact.com', replyToId: null },
+    ]);
+    const cached = (id, from, labelIds) => ({ id, from, labelIds, date: daysAgo(2) });
+    write('message-cache.json', {
+      version: 1,
+      accounts: {
+        default: {
+          1: cached('1', 'digest@blog.io', []),
+          2: cached('2', 'digest@blog.io', []),
+          3: cached('3', 'digest@blog.io', []),
+          4: cached('4', 'digest@blog.io', []),
+          11: cached('11', 'digest@blog.io', ['UNREAD']),
+          5: cached('5', 'ana@friend.org', []),
+          6: cached('6', 'ana@friend.org', []),
+          7: cached('7', 'ana@friend.org', []),
+          8: cached('8', 'fav@star.com', ['STARRED']),
+          9: cached('9', 'fav@star.com', []),
+          10: cached('10', 'fav@star.com', []),
+        },
+      },
+    });
+
+    const analysis = analyzeHistory(30);
+
+    expect(analysis.totalReplies).toBe(2);
+    expect(analysis.repliedSenders.map(sender => [sender.address, sender.replyCount])).toEqual([
+      ['ana@friend.org', 2],
+      ['bob@friend.org', 1],
+    ]);
+    expect(analysis.readOnlySenders).toEqual([
+      { address: 'digest@blog.io', readCount: 4, totalCount: 5, examples: [] },
+    ]);
+  });
+});
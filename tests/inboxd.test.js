@@ -0,0 +1,213 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const require = createRequire(import.meta.url);
+const Module = require('module');
+const modulePaths = ['inboxd', 'mail-actions', 'rule-actions', 'gmail-monitor', 'gmail-auth', 'undo-log', 'deletion-log', 'archive-log', 'rules']
+  .map(name => require.resolve(`../src/${name}`));
+const gmailMonitorPath = require.resolve('../src/gmail-monitor');
+
+describe('inboxd library', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-library-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  let monitor;
+  let createInboxd;
+  let auth;
+  let rules;
+  let errors;
+
+  const succeed = (_account, ids) => Promise.resolve(ids.map(id => ({ id, success: true })));
+  const email = (id, from = 'deals@shop.com', account = 'work') => ({
+    id, account, from, subject: `Subject ${id}`, threadId: `t${id}`, date: new Date().toISOString(),
+  });
+
+  beforeEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+
+    monitor = {
+      getEmailCount: vi.fn(async () => 2),
+      getUnreadEmails: vi.fn(async () => ({ emails: [], errors: [] })),
+      searchEmails: vi.fn(async () => ({ emails: [], errors: [] })),
+      getEmailContent: vi.fn(async () => null),
+      getEmailById: vi.fn(async (account, id) => (id === 'missing' ? null : email(id, 'deals@shop.com', account))),
+      markAsRead: vi.fn(succeed),
+      trashEmails: vi.fn(succeed),
+      untrashEmails: vi.fn(succeed),
+      archiveEmails: vi.fn(succeed),
+      unarchiveEmails: vi.fn(succeed),
+      applyLabel: vi.fn(succeed),
+      removeLabel: vi.fn(succeed),
+      findLabelByName: vi.fn(),
+      forwardEmail: vi.fn(),
+    };
+
+    modulePaths.forEach(p => delete require.cache[p]);
+    const monitorModule = new Module.Module(gmailMonitorPath);
+    monitorModule.exports = monitor;
+    require.cache[gmailMonitorPath] = monitorModule;
+
+    ({ createInboxd } = require('../src/inboxd'));
+    auth = require('../src/gmail-auth');
+    rules = require('../src/rules');
+    errors = require('../src/errors');
+    auth.addAccount('work', 'me@work.com');
+  });
+
+  afterAll(() => {
+    modulePaths.forEach(p => delete require.cache[p]);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('uses the only account, and needs one named when there are several', async () => {
+    const inbox = createInboxd();
+    await inbox.search('from:boss', { limit: 5 });
+    expect(monitor.searchEmails).toHaveBeenCalledWith('work', 'from:boss', 5);
+
+    auth.addAccount('home', 'me@home.com');
+    await expect(inbox.search('from:boss')).rejects.toMatchObject({ code: 'VALIDATION', message: expect.stringContaining('work, home') });
+    await inbox.search('from:boss', { account: 'home' });
+    expect(monitor.searchEmails).toHaveBeenLastCalledWith('home', 'from:boss', 100);
+
+    const summary = await inbox.summary({ count: 1 });
+    expect(summary).toMatchObject({ totalUnread: 4, accounts: [{ name: 'work', email: 'me@work.com' }, { name: 'home' }] });
+  });
+
+  it('throws typed errors', async () => {
+    const inbox = createInboxd();
+    await expect(inbox.read('abc')).rejects.toBeInstanceOf(errors.NotFoundError);
+    await expect(inbox.delete([])).rejects.toBeInstanceOf(errors.ValidationError);
+    await expect(inbox.triage({ limit: 0 })).rejects.toMatchObject({ name: 'ValidationError', code: 'VALIDATION' });
+  });
+
+  it('deletes by ID through the deletion log and undoes it', async () => {
+    const inbox = createInboxd();
+
+    const outcome = await inbox.delete(['1', 'missing']);
+
+    expect(outcome).toMatchObject({ trashed: 1, failed: 0, notFound: ['missing'], results: [{ id: '1', account: 'work', success: true }] });
+    expect(inbox.undoHistory().actions[0]).toMatchObject({ action: 'delete', count: 1 });
+
+    expect(await inbox.undo()).toMatchObject({ action: 'delete', undone: 1 });
+    expect(monitor.untrashEmails).toHaveBeenCalledWith('work', ['1']);
+    expect(await inbox.undo()).toEqual({ undone: 0, failed: 0, results: [] });
+  });
+
+  it('throws PartialFailureError with the results when some emails fail', async () => {
+    monitor.archiveEmails.mockImplementation(async (_account, ids) => ids.map(id => ({ id, success: id === '1', error: id === '1' ? undefined : 'Gone' })));
+    const inbox = createInboxd();
+
+    const error = await inbox.archive(['1', '2']).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(errors.PartialFailureError);
+    expect(error.exitCode).toBe(2);
+    expect(error.details).toMatchObject({ archived: 1, failed: 1, results: [{ id: '1', success: true }, { id: '2', success: false, error: 'Gone' }] });
+  });
+
+  it('refuses broad filter deletes unless forced', async () => {
+    monitor.getUnreadEmails.mockResolvedValue({ emails: [email('1'), email('2', 'boss@work.com')], errors: [] });
+    const inbox = createInboxd();
+
+    const blocked = await inbox.deleteMatching({ sender: 'sh' }).catch(error => error);
+    expect(blocked).toBeInstanceOf(errors.SafetyBlockedError);
+    expect(blocked.details.warnings).toEqual(['Short sender pattern "sh" may match broadly']);
+    expect(monitor.trashEmails).not.toHaveBeenCalled();
+
+    expect(await inbox.deleteMatching({ sender: 'shop.com', dryRun: true })).toMatchObject({ dryRun: true, matched: 1, count: 1 });
+    expect(await inbox.deleteMatching({ sender: 'sh', force: true })).toMatchObject({ trashed: 1 });
+    expect(monitor.trashEmails).toHaveBeenCalledWith('work', ['1']);
+  });
+
+  it('restores from the deletion log and reports IDs it does not know', async () => {
+    const inbox = createInboxd();
+    await inbox.delete(['1', '2']);
+
+    const outcome = await inbox.restore({ ids: ['2', 'unknown'] });
+
+    expect(outcome).toMatchObject({ restored: 1, failed: 0, notInLog: ['unknown'] });
+    expect(monitor.untrashEmails).toHaveBeenCalledWith('work', ['2']);
+    expect((await inbox.restore({ last: 5 })).restored).toBe(1);
+  });
+
+  it('previews triage without changing anything, then runs safe actions with auto', async () => {
+    rules.addRule({ action: 'auto-archive', sender: 'shop.com' });
+    rules.addRule({ action: 'always-delete', sender: 'spam.com' });
+    monitor.searchEmails.mockImplementation(async (_account, query) => ({
+      emails: query.includes('spam.com') ? [email('9', 'x@spam.com')] : [email('1')],
+      errors: [],
+    }));
+    monitor.getUnreadEmails.mockResolvedValue({ emails: [email('1'), email('5', 'friend@mail.com')], errors: [] });
+    const inbox = createInboxd();
+
+    const preview = await inbox.triage({ dryRun: true });
+
+    expect(preview.totals).toMatchObject({ archive: 1, delete: 1, remaining: 1 });
+    expect(preview.delete).toMatchObject({ count: 1, emails: [{ id: '9' }], requiresConfirmation: true });
+    expect(preview.remaining.emails.map(e => e.id)).toEqual(['5']);
+    expect(monitor.archiveEmails).not.toHaveBeenCalled();
+
+    const run = await inbox.triage({ auto: true });
+
+    expect(run.executed.archived).toMatchObject({ count: 1, ids: ['1'] });
+    expect(run.undoInfo.archiveUndo).toBe('inboxd unarchive --last 1');
+    expect(monitor.trashEmails).not.toHaveBeenCalled();
+    expect(inbox.undoHistory().actions[0]).toMatchObject({ action: 'archive', count: 1 });
+  });
+
+  it('applies rules with deletions after the confirm hook agrees, and holds them on request', async () => {
+    rules.addRule({ action: 'auto-archive', sender: 'shop.com' });
+    rules.addRule({ action: 'always-delete', sender: 'spam.com' });
+    monitor.searchEmails.mockImplementation(async (_account, query) => ({
+      emails: query.includes('spam.com') ? [email('9', 'x@spam.com')] : [email('1')],
+      errors: [],
+    }));
+    const inbox = createInboxd();
+
+    const held = await inbox.applyRules({ holdDeletes: true });
+    expect(held).toMatchObject({ dryRun: false, totals: { delete: 0, archive: 1, held: 1 }, held: { count: 1, emails: [{ id: '9' }] } });
+    expect(monitor.trashEmails).not.toHaveBeenCalled();
+
+    const confirm = vi.fn(async () => false);
+    const cancelled = await inbox.applyRules({ confirm });
+    expect(confirm).toHaveBeenCalledWith(expect.objectContaining({ delete: expect.objectContaining({ count: 1 }) }));
+    expect(cancelled.cancelled).toBe(true);
+    expect(monitor.trashEmails).not.toHaveBeenCalled();
+
+    const run = await inbox.applyRules({ confirm: async () => true });
+    expect(run.delete).toMatchObject({ count: 1, results: [{ id: '9', success: true }] });
+    expect(monitor.trashEmails).toHaveBeenCalledWith('work', ['9']);
+    expect(inbox.undoHistory().actions.map(action => action.action)).toContain('delete');
+  });
+
+  it('counts rules as applied only for the emails their actions changed', async () => {
+    const { rule: archive } = rules.addRule({ action: 'auto-archive', sender: 'shop.com' });
+    const { rule: trash } = rules.addRule({ action: 'always-delete', sender: 'spam.com' });
+    monitor.searchEmails.mockImplementation(async (_account, query) => ({
+      emails: query.includes('spam.com') ? [email('9', 'x@spam.com')] : [email('1'), email('2')],
+      errors: [],
+    }));
+    monitor.archiveEmails.mockImplementation(async (_account, ids) => ids.map(id => ({ id, success: id === '1', error: id === '1' ? undefined : 'boom' })));
+    const stats = () => Object.fromEntries(rules.listRules().map(rule => [rule.id, { hits: rule.hits || 0, applied: rule.applied || 0 }]));
+    const inbox = createInboxd();
+
+    await inbox.applyRules({ confirm: async () => false });
+    expect(stats()).toEqual({ [archive.id]: { hits: 2, applied: 0 }, [trash.id]: { hits: 1, applied: 0 } });
+
+    await inbox.applyRules({ confirm: async () => true });
+    expect(stats()).toEqual({ [archive.id]: { hits: 4, applied: 1 }, [trash.id]: { hits: 2, applied: 1 } });
+
+    monitor.getUnreadEmails.mockResolvedValue({ emails: [email('1'), email('9', 'x@spam.com')], errors: [] });
+    await inbox.triage({ auto: true });
+    // Triage never deletes, so the delete rule is only seen, not counted
+    expect(stats()).toEqual({ [archive.id]: { hits: 6, applied: 2 }, [trash.id]: { hits: 2, applied: 1 } });
+  });
+});
@@ -0,0 +1,253 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const require = createRequire(import.meta.url);
+const Module = require('module');
+const gmailMonitorPath = require.resolve('../src/gmail-monitor');
+const gmailAuthPath = require.resolve('../src/gmail-auth');
+const syncStatePath = require.resolve('../src/sync-state');
+const messageCachePath = require.resolve('../src/message-cache');
+
+function metadataResponse(id, labelIds = ['INBOX', 'UNREAD']) {
+  return {
+    data: {
+      id,
+      threadId: `thread-${id}`,
+      labelIds,
+      snippet: `snippet ${id}`,
+      payload: {
+        headers: [
+          { name: 'From', value: `${id}@example.com` },
+          { name: 'Subject', value: `Subject ${id}` },
+          { name: 'Date', value: 'Mon, 1 Jan 2024 10:00:00 +0000' },
+        ],
+      },
+    },
+  };
+}
+
+describe('Incremental sync and message cache', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-incremental-sync-test');
+  let mockGmail;
+  let syncMailbox;
+  let getUnreadEmails;
+  let getEmailById;
+  let archiveEmails;
+  let trashEmails;
+  let readSyncState;
+  let writeSyncState;
+  let readMessageCache;
+  let writeMessageCache;
+
+  function loadModules() {
+    delete require.cache[gmailMonitorPath];
+    delete require.cache[syncStatePath];
+    delete require.cache[messageCachePath];
+    ({ syncMailbox, getUnreadEmails, getEmailById, archiveEmails, trashEmails } = require('../src/gmail-monitor'));
+    ({ readSyncState, writeSyncState } = require('../src/sync-state'));
+    ({ readMessageCache, writeMessageCache } = require('../src/message-cache'));
+  }
+
+  function cachedEntries() {
+    return readMessageCache().accounts.work || {};
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    mockGmail = {
+      users: {
+        getProfile: vi.fn().mockResolvedValue({ data: { historyId: '100' } }),
+        history: {
+          list: vi.fn(),
+        },
+        messages: {
+          list: vi.fn(),
+          get: vi.fn((params) => Promise.resolve(metadataResponse(params.id))),
+          batchModify: vi.fn().mockResolvedValue({}),
+          trash: vi.fn().mockResolvedValue({}),
+        },
+      },
+    };
+
+    delete require.cache[gmailAuthPath];
+    const authModule = new Module.Module(gmailAuthPath);
+    authModule.exports = {
+      getGmailClient: vi.fn().mockResolvedValue(mockGmail),
+      authorize: vi.fn().mockResolvedValue(null),
+      TOKEN_DIR: tempDir,
+    };
+    require.cache[gmailAuthPath] = authModule;
+
+    loadModules();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    delete require.cache[gmailMonitorPath];
+    delete require.cache[syncStatePath];
+    delete require.cache[messageCachePath];
+    delete require.cache[gmailAuthPath];
+  });
+
+  it('does a full resync when no history ID is stored', async () => {
+    const result = await syncMailbox('work');
+
+    expect(result.mode).toBe('full');
+    expect(result.reason).toBe('no-history');
+    expect(mockGmail.users.history.list).not.toHaveBeenCalled();
+    expect(readSyncState('work').historyId).toBe('100');
+  });
+
+  it('applies added, deleted and relabelled messages from history', async () => {
+    writeSyncState('work', { historyId: '100' });
+    writeMessageCache({
+      accounts: {
+        work: {
+          old: { id: 'old', labelIds: ['INBOX'], seenAt: '2026-01-01T00:00:00.000Z' },
+          gone: { id: 'gone', labelIds: ['INBOX'], seenAt: '2026-01-01T00:00:00.000Z' },
+        },
+      },
+    });
+    mockGmail.users.history.list.mockResolvedValue({
+      data: {
+        historyId: '150',
+        history: [
+          { messagesAdded: [{ message: { id: 'new' } }] },
+          { messagesDeleted: [{ message: { id: 'gone' } }] },
+          { labelsRemoved: [{ message: { id: 'old', labelIds: [] }, labelIds: ['INBOX'] }] },
+        ],
+      },
+    });
+
+    const result = await syncMailbox('work');
+
+    expect(result.mode).toBe('incremental');
+    expect(result.added.map(e => e.id)).toEqual(['new']);
+    expect(result.removed).toEqual(['gone']);
+    expect(result.labelChanges[0]).toMatchObject({ id: 'old', removedLabelIds: ['INBOX'] });
+    expect(mockGmail.users.messages.get).toHaveBeenCalledTimes(1);
+
+    expect(readSyncState('work').historyId).toBe('150');
+    const entries = cachedEntries();
+    expect(entries.gone).toBeUndefined();
+    expect(entries.old.labelIds).toEqual([]);
+    expect(entries.new.from).toBe('new@example.com');
+  });
+
+  it('falls back to a full resync when the history ID has expired', async () => {
+    writeSyncState('work', { historyId: '5' });
+    writeMessageCache({ accounts: { work: { stale: { id: 'stale' } } } });
+    mockGmail.users.history.list.mockRejectedValue(Object.assign(new Error('Not Found'), { code: 404 }));
+
+    const result = await syncMailbox('work');
+
+    expect(result.mode).toBe('full');
+    expect(result.reason).toBe('history-expired');
+    expect(cachedEntries()).toEqual({});
+  });
+
+  it('serves known messages from the cache instead of refetching', async () => {
+    mockGmail.users.messages.list.mockResolvedValue({
+      data: { messages: [{ id: 'a' }, { id: 'b' }] },
+    });
+
+    const first = await getUnreadEmails('work', 10);
+    expect(first.emails).toHaveLength(2);
+    expect(mockGmail.users.messages.get).toHaveBeenCalledTimes(2);
+
+    // New process: state comes from disk and is caught up through history
+    loadModules();
+    mockGmail.users.history.list.mockResolvedValue({ data: { historyId: '101', history: [] } });
+
+    const second = await getUnreadEmails('work', 10);
+    expect(second).toEqual(first);
+    expect(mockGmail.users.messages.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('answers later reads from history without listing again', async () => {
+    mockGmail.users.messages.list.mockResolvedValue({ data: { messages: [{ id: 'a' }, { id: 'b' }] } });
+    await getUnreadEmails('work', 10);
+
+    loadModules();
+    mockGmail.users.history.list.mockResolvedValue({
+      data: {
+        historyId: '120',
+        history: [
+          { messagesAdded: [{ message: { id: 'c' } }] },
+          { labelsRemoved: [{ message: { id: 'a', labelIds: ['INBOX'] }, labelIds: ['UNREAD'] }] },
+        ],
+      },
+    });
+
+    const { emails } = await getUnreadEmails('work', 10);
+
+    expect(emails.map(email => email.id)).toEqual(['c', 'b']);
+    expect(mockGmail.users.messages.list).toHaveBeenCalledTimes(1);
+    expect(readSyncState('work').views['is:unread']).toEqual({ ids: ['c', 'b'], complete: true });
+  });
+
+  it('lists again when the view no longer covers the request', async () => {
+    mockGmail.users.messages.list.mockResolvedValue({
+      data: { messages: [{ id: 'a' }, { id: 'b' }], nextPageToken: 'more' },
+    });
+    await getUnreadEmails('work', 2);
+
+    // Older unread mail exists beyond the listing, so losing one means relisting
+    loadModules();
+    mockGmail.users.history.list.mockResolvedValue({
+      data: { historyId: '110', history: [{ messagesDeleted: [{ message: { id: 'a' } }] }] },
+    });
+    await getUnreadEmails('work', 2);
+    expect(mockGmail.users.messages.list).toHaveBeenCalledTimes(2);
+
+    // An old message marked unread again cannot be placed from history
+    loadModules();
+    mockGmail.users.history.list.mockResolvedValue({
+      data: { historyId: '120', history: [{ labelsAdded: [{ message: { id: 'z', labelIds: ['INBOX', 'UNREAD'] }, labelIds: ['UNREAD'] }] }] },
+    });
+    await getUnreadEmails('work', 2);
+    expect(mockGmail.users.messages.list).toHaveBeenCalledTimes(3);
+  });
+
+  it('serves getEmailById from the cache', async () => {
+    mockGmail.users.messages.list.mockResolvedValue({ data: { messages: [{ id: 'a' }] } });
+    await getUnreadEmails('work', 10);
+    mockGmail.users.messages.get.mockClear();
+
+    const email = await getEmailById('work', 'a');
+
+    expect(email).toMatchObject({ id: 'a', account: 'work', from: 'a@example.com' });
+    expect(mockGmail.users.messages.get).not.toHaveBeenCalled();
+  });
+
+  it('still returns emails when sync fails', async () => {
+    mockGmail.users.getProfile.mockRejectedValue(new Error('quota'));
+    mockGmail.users.messages.list.mockResolvedValue({ data: { messages: [{ id: 'a' }] } });
+
+    const { emails } = await getUnreadEmails('work', 10);
+
+    expect(emails).toHaveLength(1);
+    expect(emails[0]).toMatchObject({ id: 'a', account: 'work', subject: 'Subject a' });
+  });
+
+  it('updates cached labels after archiving and drops trashed messages', async () => {
+    mockGmail.users.messages.list.mockResolvedValue({ data: { messages: [{ id: 'a' }, { id: 'b' }] } });
+    mockGmail.users.history.list.mockResolvedValue({ data: { historyId: '101', history: [] } });
+    await getUnreadEmails('work', 10);
+
+    await archiveEmails('work', ['a']);
+    await trashEmails('work', ['b']);
+
+    expect(cachedEntries().a.labelIds).toEqual(['UNREAD']);
+    expect(cachedEntries().b).toBeUndefined();
+    mockGmail.users.messages.get.mockClear();
+    expect((await getEmailById('work', 'a')).labelIds).toEqual(['UNREAD']);
+    expect(mockGmail.users.messages.get).not.toHaveBeenCalled();
+  });
+});
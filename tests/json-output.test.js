@@ -1,5 +1,8 @@
 import { describe, it, expect } from 'vitest';
 
+const { buildEnvelope, buildErrorEnvelope, listSchemaCommands, getOutputSchema } = require('../src/json-output');
+const { NotFoundError } = require('../src/errors');
+
 // Test JSON output structures for commands that gained --json support
 // Validates the output format for AI agent consumption
 
@@ -287,3 +290,81 @@ describe('JSON Output Formats', () => {
     });
   });
 });
+
+// Enough of JSON Schema for the keywords the output schemas use
+function matchesSchema(value, schema, root) {
+  if (schema.$ref) {
+    return matchesSchema(value, root.definitions[schema.$ref.split('/').pop()], root);
+  }
+  if (schema.anyOf && !schema.anyOf.some(option => matchesSchema(value, option, root))) return false;
+  if (schema.oneOf && schema.oneOf.filter(option => matchesSchema(value, option, root)).length !== 1) return false;
+  if ('const' in schema && value !== schema.const) return false;
+  if (schema.type) {
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : Number.isInteger(value) ? 'integer' : typeof value;
+    const allowed = [].concat(schema.type);
+    if (!allowed.includes(actual) && !(actual === 'integer' && allowed.includes('number'))) return false;
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) return false;
+  if (Array.isArray(value) && schema.items) {
+    return value.every(item => matchesSchema(item, schema.items, root));
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if ((schema.required || []).some(key => !(key in value))) return false;
+    return Object.entries(schema.properties || {})
+      .every(([key, property]) => !(key in value) || matchesSchema(value[key], property, root));
+  }
+  return true;
+}
+
+describe('json-output module', () => {
+  it('wraps data in the envelope', () => {
+    expect(buildEnvelope('search', { count: 0 }, { errors: [{ id: 'x', error: 'Gone' }] })).toEqual({
+      ok: true,
+      command: 'search',
+      data: { count: 0 },
+      errors: [{ id: 'x', error: 'Gone' }],
+      warnings: [],
+    });
+  });
+
+  it('reports a failed command with its typed error and no data', () => {
+    const envelope = buildErrorEnvelope('rules apply', new NotFoundError('No rules defined', { details: { path: '/tmp/rules.json' } }));
+
+    expect(envelope).toEqual({
+      ok: false,
+      command: 'rules apply',
+      data: null,
+      errors: [{ error: 'No rules defined', code: 'NOT_FOUND', details: { path: '/tmp/rules.json' } }],
+      warnings: [],
+    });
+    expect(matchesSchema(envelope, getOutputSchema('rules apply'), getOutputSchema('rules apply'))).toBe(true);
+  });
+
+  it('has a schema for each JSON command and none for streaming ones', () => {
+    expect(listSchemaCommands()).toEqual(expect.arrayContaining(['summary', 'triage', 'rules apply', 'cache stats', 'schema']));
+    expect(getOutputSchema('watch')).toBeNull();
+    expect(getOutputSchema('serve')).toBeNull();
+
+    for (const command of listSchemaCommands()) {
+      const schema = getOutputSchema(command);
+      expect(schema.properties.command).toEqual({ const: command });
+      const refs = JSON.stringify(schema).match(/#\/definitions\/\w+/g) || [];
+      refs.forEach(target => expect(schema.definitions).toHaveProperty(target.split('/').pop()));
+    }
+  });
+
+  it('describes what the commands print', () => {
+    const check = (command, data, errors = []) => {
+      const schema = getOutputSchema(command);
+      return matchesSchema(buildEnvelope(command, data, { errors }), schema, schema);
+    };
+
+    expect(check('search', { account: 'work', query: 'from:boss', count: 1, emails: [{ id: '1', from: 'boss@work.com' }] }, [{ account: 'work', id: '2', error: 'Gone', code: 404 }])).toBe(true);
+    expect(check('analyze', [{ id: '1' }])).toBe(true);
+    expect(check('delete', { dryRun: true, count: 0, emails: [] })).toBe(true);
+    expect(check('archive', { archived: 1, failed: 0, notFound: [], results: [{ id: '1', success: true }] })).toBe(true);
+
+    expect(check('archive', { archived: '1', failed: 0, notFound: [], results: [] })).toBe(false);
+    expect(check('search', { account: 'work', emails: [{ from: 'no id' }] })).toBe(false);
+  });
+});
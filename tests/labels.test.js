@@ -25,6 +25,7 @@ describe('Labels Management', () => {
         },
         messages: {
           modify: vi.fn(),
+          batchModify: vi.fn(),
         },
       },
     };
@@ -109,22 +110,34 @@ describe('Labels Management', () => {
   });
 
   describe('applyLabel', () => {
-    it('applies labels to all messages', async () => {
-      mockGmail.users.messages.modify.mockResolvedValue({ data: {} });
+    it('applies labels to all messages in one batchModify call', async () => {
+      mockGmail.users.messages.batchModify.mockResolvedValue({ data: '' });
 
       const results = await applyLabel('work', ['msg1', 'msg2'], 'Label_1');
 
       expect(results).toHaveLength(2);
       expect(results.every(r => r.success)).toBe(true);
-      expect(mockGmail.users.messages.modify).toHaveBeenCalledTimes(2);
-      expect(mockGmail.users.messages.modify).toHaveBeenCalledWith({
+      expect(mockGmail.users.messages.batchModify).toHaveBeenCalledTimes(1);
+      expect(mockGmail.users.messages.batchModify).toHaveBeenCalledWith({
         userId: 'me',
-        id: 'msg1',
-        requestBody: { addLabelIds: ['Label_1'] },
+        requestBody: { ids: ['msg1', 'msg2'], addLabelIds: ['Label_1'] },
       });
+      expect(mockGmail.users.messages.modify).not.toHaveBeenCalled();
+    });
+
+    it('splits large requests into chunks of 1000 IDs', async () => {
+      mockGmail.users.messages.batchModify.mockResolvedValue({ data: '' });
+      const ids = Array.from({ length: 1500 }, (_, i) => `msg${i}`);
+
+      const results = await applyLabel('work', ids, 'Label_1');
+
+      expect(results).toHaveLength(1500);
+      expect(mockGmail.users.messages.batchModify).toHaveBeenCalledTimes(2);
+      expect(mockGmail.users.messages.batchModify.mock.calls[1][0].requestBody.ids).toHaveLength(500);
     });
 
     it('captures partial failures', async () => {
+      mockGmail.users.messages.batchModify.mockRejectedValue(Object.assign(new Error('Not found'), { code: 404 }));
       mockGmail.users.messages.modify
         .mockResolvedValueOnce({ data: {} })
         .mockRejectedValueOnce(new Error('Not found'))
@@ -137,20 +150,38 @@ describe('Labels Management', () => {
       expect(results[1]).toEqual({ id: 'msg2', success: false, error: 'Not found' });
       expect(results[2]).toEqual({ id: 'msg3', success: true });
     });
+
+    it('rethrows auth failures instead of retrying each ID', async () => {
+      mockGmail.users.messages.batchModify.mockRejectedValue(Object.assign(new Error('Invalid Credentials'), { code: 401 }));
+
+      await expect(applyLabel('work', ['msg1', 'msg2'], 'Label_1')).rejects.toThrow('Invalid Credentials');
+      expect(mockGmail.users.messages.modify).not.toHaveBeenCalled();
+    });
+
+    it('marks the chunk failed when the batch fails for another reason', async () => {
+      mockGmail.users.messages.batchModify.mockRejectedValue(new Error('socket hang up'));
+
+      const results = await applyLabel('work', ['msg1', 'msg2'], 'Label_1');
+
+      expect(results).toEqual([
+        { id: 'msg1', success: false, error: 'socket hang up' },
+        { id: 'msg2', success: false, error: 'socket hang up' },
+      ]);
+      expect(mockGmail.users.messages.modify).not.toHaveBeenCalled();
+    });
   });
 
   describe('removeLabel', () => {
     it('removes labels from messages', async () => {
-      mockGmail.users.messages.modify.mockResolvedValue({ data: {} });
+      mockGmail.users.messages.batchModify.mockResolvedValue({ data: '' });
 
       const results = await removeLabel('work', ['msg1', 'msg2'], 'Label_1');
 
       expect(results).toHaveLength(2);
       expect(results.every(r => r.success)).toBe(true);
-      expect(mockGmail.users.messages.modify).toHaveBeenCalledWith({
+      expect(mockGmail.users.messages.batchModify).toHaveBeenCalledWith({
         userId: 'me',
-        id: 'msg1',
-        requestBody: { removeLabelIds: ['Label_1'] },
+        requestBody: { ids: ['msg1', 'msg2'], removeLabelIds: ['Label_1'] },
       });
     });
   });
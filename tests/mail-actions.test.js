@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const require = createRequire(import.meta.url);
+const Module = require('module');
+const modulePaths = ['mail-actions', 'rule-actions', 'gmail-monitor', 'gmail-auth', 'undo-log', 'deletion-log', 'archive-log']
+  .map(name => require.resolve(`../src/${name}`));
+const gmailMonitorPath = require.resolve('../src/gmail-monitor');
+
+describe('mail actions', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-mail-actions-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  let monitor;
+  let actions;
+  let undoLog;
+  let deletionLog;
+
+  const succeed = (_account, ids) => Promise.resolve(ids.map(id => ({ id, success: true })));
+  const email = (id, account = 'work') => ({ id, account, from: 'x@shop.com', subject: `Subject ${id}`, threadId: `t${id}` });
+
+  beforeEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+
+    monitor = {
+      trashEmails: vi.fn(succeed),
+      untrashEmails: vi.fn(succeed),
+      archiveEmails: vi.fn(succeed),
+      unarchiveEmails: vi.fn(succeed),
+      applyLabel: vi.fn(succeed),
+      removeLabel: vi.fn(succeed),
+      findLabelByName: vi.fn(),
+      forwardEmail: vi.fn(),
+    };
+
+    modulePaths.forEach(p => delete require.cache[p]);
+    const monitorModule = new Module.Module(gmailMonitorPath);
+    monitorModule.exports = monitor;
+    require.cache[gmailMonitorPath] = monitorModule;
+
+    actions = require('../src/mail-actions');
+    undoLog = require('../src/undo-log');
+    deletionLog = require('../src/deletion-log');
+  });
+
+  afterAll(() => {
+    modulePaths.forEach(p => delete require.cache[p]);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('logs deletions before trashing and records an undo entry for what succeeded', async () => {
+    monitor.trashEmails.mockImplementation(async (account, ids) => {
+      // The deletion log must already hold every email
+      expect(deletionLog.readLog().map(entry => entry.id)).toEqual(['1', '2', '3']);
+      return ids.map(id => ({ id, success: id !== '2', error: id === '2' ? 'Not found' : undefined }));
+    });
+
+    const { succeeded, failed } = await actions.trashWithLog([email('1'), email('2'), email('3', 'home')]);
+
+    expect(monitor.trashEmails).toHaveBeenCalledWith('work', ['1', '2']);
+    expect(monitor.trashEmails).toHaveBeenCalledWith('home', ['3']);
+    expect(succeeded.map(e => e.id)).toEqual(['1', '3']);
+    expect(failed).toEqual([{ id: '2', account: 'work', error: 'Not found' }]);
+    expect(undoLog.readUndoLog()[0]).toMatchObject({ action: 'delete', count: 2 });
+  });
+
+  it('undoes the latest action and keeps items that could not be undone', async () => {
+    await actions.archiveWithLog([email('1'), email('2')]);
+    const entry = undoLog.getRecentUndoActions(1)[0];
+    monitor.unarchiveEmails.mockImplementation(async (_account, ids) => ids.map(id => ({ id, success: id === '1' })));
+
+    const outcome = await actions.undoAction(entry);
+
+    expect(outcome).toMatchObject({ action: 'archive', undone: 1, failed: 1 });
+    expect(outcome.results[0]).toMatchObject({ id: '1', account: 'work', subject: 'Subject 1', success: true });
+    expect(undoLog.readUndoLog()[0].items.map(item => item.id)).toEqual(['2']);
+
+    monitor.unarchiveEmails.mockImplementation(succeed);
+    await actions.undoAction(undoLog.getRecentUndoActions(1)[0]);
+    expect(undoLog.readUndoLog()).toEqual([]);
+  });
+
+  it('restores deleted emails and drops them from the deletion log', async () => {
+    await actions.trashWithLog([email('1')]);
+
+    const outcome = await actions.undoAction(undoLog.getRecentUndoActions(1)[0]);
+
+    expect(monitor.untrashEmails).toHaveBeenCalledWith('work', ['1']);
+    expect(outcome).toMatchObject({ action: 'delete', undone: 1, failed: 0 });
+    expect(deletionLog.readLog()).toEqual([]);
+  });
+});
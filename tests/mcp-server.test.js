@@ -0,0 +1,111 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PassThrough } from 'stream';
+
+const { createMcpServer, runMcpServer, toToolResult, TOOLS } = require('../src/mcp-server');
+
+describe('mcp server', () => {
+  const request = (id, method, params) => ({ jsonrpc: '2.0', id, method, params });
+  const cliOutput = (data, exitCode = 0, errors = []) => ({
+    exitCode,
+    stdout: JSON.stringify({ ok: exitCode === 0 || exitCode === 2, command: 'test', data, errors, warnings: [] }),
+    stderr: '',
+  });
+
+  it('negotiates the protocol version and lists typed tools', async () => {
+    const server = createMcpServer({ runCliFn: vi.fn() });
+
+    const init = await server.handleMessage(request(1, 'initialize', { protocolVersion: '2024-11-05' }));
+    expect(init.result).toMatchObject({ protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { name: 'inboxd' } });
+    const future = await server.handleMessage(request(2, 'initialize', { protocolVersion: '2099-01-01' }));
+    expect(future.result.protocolVersion).toBe('2025-06-18');
+
+    const { result } = await server.handleMessage(request(3, 'tools/list'));
+    expect(result.tools.map(tool => tool.name)).toEqual([
+      'summary', 'analyze', 'search', 'read', 'triage', 'delete', 'archive', 'restore', 'undo', 'preferences',
+    ]);
+    expect(result.tools.find(tool => tool.name === 'search').inputSchema).toMatchObject({
+      type: 'object',
+      additionalProperties: false,
+      required: ['query'],
+    });
+  });
+
+  it('runs the matching CLI command with JSON output', async () => {
+    const runCliFn = vi.fn(async () => cliOutput({ accounts: [] }));
+    const server = createMcpServer({ runCliFn });
+
+    const response = await server.handleMessage(request(1, 'tools/call', {
+      name: 'search',
+      arguments: { query: 'from:boss', account: 'work', limit: 5 },
+    }));
+
+    expect(runCliFn).toHaveBeenCalledWith(['search', '--json', '--query', 'from:boss', '--account', 'work', '--limit', '5']);
+    expect(response.result).toMatchObject({ isError: false, structuredContent: { ok: true, data: { accounts: [] } } });
+  });
+
+  it('previews deletions unless confirmed and keeps the CLI safeguards', () => {
+    const build = TOOLS.delete.buildArgs;
+    expect(build({ sender: 'news' })).toEqual(['delete', '--sender', 'news', '--dry-run', '--json']);
+    expect(build({ ids: ['a', 'b'], account: 'work', confirm: true })).toEqual(['delete', '--ids', 'a,b', '--account', 'work', '--confirm', '--json']);
+    expect(build({ sender: 'ab', force: true, confirm: true })).toEqual(['delete', '--sender', 'ab', '--force', '--confirm', '--json']);
+    expect(TOOLS.undo.buildArgs({})).toEqual(['undo', '--json']);
+    expect(TOOLS.archive.buildArgs({ ids: ['a'] })).toEqual(['archive', '--confirm', '--json', '--ids', 'a']);
+    expect(TOOLS.analyze.buildArgs({})).toEqual(['analyze', '--json']);
+    expect(TOOLS.preferences.buildArgs({ action: 'set', section: 'important', entry: 'boss@company.com' }))
+      .toEqual(['preferences', 'set', '--json', '--section', 'important', '--entry', 'boss@company.com']);
+  });
+
+  it('rejects invalid arguments without running anything', async () => {
+    const runCliFn = vi.fn();
+    const server = createMcpServer({ runCliFn });
+    const call = (name, args) => server.handleMessage(request(1, 'tools/call', { name, arguments: args }));
+
+    expect((await call('read', {})).result).toMatchObject({ isError: true, content: [{ text: 'Missing required argument(s): id.' }] });
+    expect((await call('summary', { count: 0 })).result.content[0].text).toBe('Invalid "count": expected an integer >= 1.');
+    expect((await call('delete', { ids: 'a,b' })).result.content[0].text).toBe('Invalid "ids": expected a non-empty list of strings.');
+    expect((await call('delete', { everything: true })).result.content[0].text).toBe('Unknown argument "everything".');
+    expect((await call('analyze', { groupBy: 'date' })).result.content[0].text).toBe('Invalid "groupBy": use sender, thread.');
+    expect((await call('purge', {})).error).toMatchObject({ code: -32602, message: 'Unknown tool "purge".' });
+    expect(runCliFn).not.toHaveBeenCalled();
+  });
+
+  it('reports CLI runs that could not start as internal errors', async () => {
+    const server = createMcpServer({ runCliFn: vi.fn(async () => { throw new Error('spawn ENOENT'); }) });
+
+    const response = await server.handleMessage(request(1, 'tools/call', { name: 'summary', arguments: {} }));
+
+    expect(response.error).toEqual({ code: -32603, message: 'spawn ENOENT' });
+  });
+
+  it('reports CLI failures as tool errors and partial runs as results', () => {
+    expect(toToolResult(cliOutput(null, 5, [{ error: 'No rules defined', code: 'NOT_FOUND' }]))).toMatchObject({ isError: true });
+    expect(toToolResult({ exitCode: 0, stdout: JSON.stringify({ ok: false, data: null, errors: [] }), stderr: '' }).isError).toBe(true);
+    expect(toToolResult({ exitCode: 1, stdout: '', stderr: 'Error deleting emails: 403\n' }))
+      .toMatchObject({ isError: true, content: [{ text: 'Error deleting emails: 403' }] });
+    expect(toToolResult(cliOutput({ emails: [] }, 2, [{ id: 'x' }])).isError).toBe(false);
+    expect(toToolResult({ exitCode: 0, stdout: 'Moved 2 email(s) to trash.\n', stderr: '' }))
+      .toEqual({ content: [{ type: 'text', text: 'Moved 2 email(s) to trash.' }], isError: false });
+  });
+
+  it('serves newline-delimited JSON-RPC over streams', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const lines = [];
+    output.on('data', chunk => lines.push(...chunk.toString().split('\n').filter(Boolean)));
+
+    const done = runMcpServer({ input, output, server: createMcpServer({ runCliFn: vi.fn() }) });
+    input.write(`${JSON.stringify(request(1, 'ping'))}\n`);
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+    input.write('not json\n');
+    input.end(`${JSON.stringify(request(2, 'resources/list'))}\n`);
+    await done;
+
+    // Responses arrive as requests finish, not in request order
+    expect(lines).toHaveLength(3);
+    expect(lines.map(line => JSON.parse(line))).toEqual(expect.arrayContaining([
+      { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error.' } },
+      { jsonrpc: '2.0', id: 1, result: {} },
+      { jsonrpc: '2.0', id: 2, error: { code: -32601, message: 'Method not found: resources/list' } },
+    ]));
+  });
+});
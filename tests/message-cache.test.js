@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+describe('message-cache module', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-message-cache-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  let cacheModule;
+
+  const email = {
+    id: 'm1',
+    threadId: 't1',
+    labelIds: ['INBOX', 'UNREAD'],
+    account: 'work',
+    from: 'news@example.com',
+    subject: 'Weekly digest',
+    snippet: 'This week...',
+    date: 'Mon, 1 Jan 2024 10:00:00 +0000',
+  };
+
+  beforeEach(async () => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    vi.resetModules();
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+
+    cacheModule = await import('../src/message-cache');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('uses INBOXD_TOKEN_DIR for cache path', () => {
+    expect(cacheModule.getMessageCachePath()).toBe(path.join(tempDir, 'message-cache.json'));
+  });
+
+  it('round-trips entries keyed by account and message ID', () => {
+    const cache = cacheModule.readMessageCache();
+    cacheModule.getAccountEntries(cache, 'work').m1 = cacheModule.toCacheEntry(email, '2026-01-01T00:00:00.000Z');
+    cacheModule.writeMessageCache(cache);
+
+    const reloaded = cacheModule.readMessageCache();
+    const entry = reloaded.accounts.work.m1;
+    expect(entry.account).toBeUndefined();
+    expect(cacheModule.fromCacheEntry('work', entry)).toEqual(email);
+  });
+
+  it('treats malformed cache files as empty', () => {
+    fs.writeFileSync(cacheModule.getMessageCachePath(), '{not json');
+    expect(cacheModule.readMessageCache().accounts).toEqual({});
+  });
+
+  it('keeps only the most recently seen entries per account', () => {
+    const cache = cacheModule.readMessageCache();
+    const entries = cacheModule.getAccountEntries(cache, 'work');
+    for (let i = 0; i < cacheModule.MAX_ENTRIES_PER_ACCOUNT + 2; i++) {
+      const seenAt = new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString();
+      entries[`m${i}`] = { id: `m${i}`, seenAt };
+    }
+    cacheModule.writeMessageCache(cache);
+
+    const reloaded = cacheModule.readMessageCache().accounts.work;
+    expect(Object.keys(reloaded)).toHaveLength(cacheModule.MAX_ENTRIES_PER_ACCOUNT);
+    expect(reloaded.m0).toBeUndefined();
+    expect(reloaded.m1).toBeUndefined();
+  });
+
+  it('clears a single account or the whole cache', () => {
+    const cache = cacheModule.readMessageCache();
+    cacheModule.getAccountEntries(cache, 'work').m1 = cacheModule.toCacheEntry(email, '2026-01-01T00:00:00.000Z');
+    cacheModule.getAccountEntries(cache, 'personal').m2 = cacheModule.toCacheEntry({ ...email, id: 'm2' }, '2026-01-01T00:00:00.000Z');
+    cacheModule.writeMessageCache(cache);
+
+    expect(cacheModule.clearMessageCache('work')).toBe(1);
+    expect(cacheModule.readMessageCache().accounts.work).toBeUndefined();
+    expect(cacheModule.readMessageCache().accounts.personal.m2).toBeDefined();
+
+    expect(cacheModule.clearMessageCache()).toBe(1);
+    expect(fs.existsSync(cacheModule.getMessageCachePath())).toBe(false);
+  });
+
+  it('reports per-account stats', () => {
+    const cache = cacheModule.readMessageCache();
+    const entries = cacheModule.getAccountEntries(cache, 'work');
+    entries.m1 = cacheModule.toCacheEntry(email, '2026-01-01T00:00:00.000Z');
+    entries.m2 = cacheModule.toCacheEntry({ ...email, id: 'm2' }, '2026-01-02T00:00:00.000Z');
+    cacheModule.writeMessageCache(cache);
+
+    const stats = cacheModule.getMessageCacheStats();
+    expect(stats.totalEntries).toBe(2);
+    expect(stats.sizeBytes).toBeGreaterThan(0);
+    expect(stats.accounts).toEqual([{
+      account: 'work',
+      entries: 2,
+      oldestSeenAt: '2026-01-01T00:00:00.000Z',
+      newestSeenAt: '2026-01-02T00:00:00.000Z',
+    }]);
+  });
+
+  it('merges entries written by another process instead of overwriting them', () => {
+    const seenAt = '2026-01-01T00:00:00.000Z';
+    const seed = cacheModule.readMessageCache();
+    cacheModule.getAccountEntries(seed, 'work').m1 = cacheModule.toCacheEntry(email, seenAt);
+    cacheModule.getAccountEntries(seed, 'work').m2 = cacheModule.toCacheEntry({ ...email, id: 'm2' }, seenAt);
+    cacheModule.writeMessageCache(seed);
+
+    const first = cacheModule.readMessageCache();
+    const second = cacheModule.readMessageCache();
+    const firstEntries = cacheModule.getAccountEntries(first, 'work');
+    firstEntries.m3 = cacheModule.toCacheEntry({ ...email, id: 'm3' }, seenAt);
+    delete firstEntries.m2;
+    cacheModule.writeMessageCache(first);
+
+    const secondEntries = cacheModule.getAccountEntries(second, 'work');
+    secondEntries.m4 = cacheModule.toCacheEntry({ ...email, id: 'm4' }, seenAt);
+    secondEntries.m1.labelIds = ['INBOX'];
+    cacheModule.writeMessageCache(second);
+
+    const reloaded = cacheModule.readMessageCache().accounts.work;
+    expect(Object.keys(reloaded).sort()).toEqual(['m1', 'm3', 'm4']);
+    expect(reloaded.m1.labelIds).toEqual(['INBOX']);
+    // The writer's own map now reflects the merged file
+    expect(Object.keys(secondEntries).sort()).toEqual(['m1', 'm3', 'm4']);
+  });
+});
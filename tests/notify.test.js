@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { EventEmitter } from 'events';
+
+describe('notify', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-notify-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  let notify;
+
+  const email = (id, from, subject) => ({ id, threadId: `t-${id}`, from, subject, snippet: '', date: 'Tue, 10 Mar 2026 08:00:00 +0000' });
+
+  beforeEach(async () => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    vi.resetModules();
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+
+    notify = await import('../src/notify');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('validates triggers and sinks', () => {
+    const config = notify.validateNotifyConfig({
+      triggers: [{ type: 'vip' }, { name: 'outages', type: 'subject', pattern: 'outage' }],
+      sinks: [],
+    }, { importantPeople: ['Boss@Company.com'] });
+
+    expect(config.triggers[0]).toMatchObject({ name: 'vip', senders: ['boss@company.com'] });
+    expect(config.triggers[1].regex.test('Major OUTAGE')).toBe(true);
+    expect(config.sinks).toEqual([{ type: 'terminal', bell: true }]);
+
+    const check = (raw) => () => notify.validateNotifyConfig({ triggers: [], sinks: [], ...raw });
+    expect(check({ triggers: [{ type: 'vip' }] })).toThrow('has no senders');
+    expect(check({ triggers: [{ type: 'subject', pattern: '(' }] })).toThrow('Trigger #1:');
+    expect(check({ triggers: [{ type: 'keyword' }] })).toThrow('unknown type "keyword"');
+    expect(check({ sinks: [{ type: 'webhook', url: 'ftp://example.com' }] })).toThrow('http or https');
+  });
+
+  it('matches VIP senders, subjects and rules', () => {
+    const { triggers } = notify.validateNotifyConfig({
+      triggers: [
+        { type: 'vip', senders: ['@bigclient.com'] },
+        { type: 'subject', pattern: 'urgent' },
+        { type: 'rule', rules: ['r1'] },
+      ],
+      sinks: [],
+    });
+    const rules = [
+      { id: 'r1', action: 'archive', sender: 'alerts@' },
+      { id: 'r2', action: 'delete', sender: 'news@' },
+    ];
+
+    expect(notify.matchTriggers(email('1', 'Ann <ann@BigClient.com>', 'URGENT: contract'), triggers, rules)).toEqual(['vip', 'subject']);
+    expect(notify.matchTriggers(email('2', 'alerts@monitor.io', 'Disk'), triggers, rules)).toEqual(['rule']);
+    expect(notify.matchTriggers(email('3', 'news@shop.com', 'Sale'), triggers, rules)).toEqual([]);
+  });
+
+  it('matches every message when the subject pattern has the g flag', () => {
+    const { triggers } = notify.validateNotifyConfig({ triggers: [{ type: 'subject', pattern: 'urgent', flags: 'gi' }], sinks: [] });
+
+    const matches = ['1', '2', '3'].map(id => notify.matchTriggers(email(id, 'a@example.com', 'Urgent'), triggers, []));
+
+    expect(matches).toEqual([['subject'], ['subject'], ['subject']]);
+  });
+
+  it('delivers to command hooks and webhooks and reports failures', async () => {
+    const spawned = [];
+    const spawnFn = (command, options) => {
+      const child = new EventEmitter();
+      child.stderr = new EventEmitter();
+      child.stdin = new EventEmitter();
+      child.stdin.end = (input) => {
+        spawned.push({ command, env: options.env, input: JSON.parse(input) });
+        setImmediate(() => child.emit('close', 0));
+      };
+      child.kill = vi.fn();
+      return child;
+    };
+    const fetchFn = vi.fn(async () => ({ ok: false, status: 500 }));
+    const notification = notify.buildNotification({ ...email('m1', 'ann@bigclient.com', 'Hi'), account: 'work' }, ['vip']);
+
+    const results = await notify.deliverNotification(notification, [
+      { type: 'command', command: 'notify-send "$INBOXD_SUBJECT"' },
+      { type: 'webhook', url: 'https://example.com/hook', headers: { Authorization: 'Bearer x' } },
+    ], { spawnFn, fetchFn });
+
+    expect(spawned[0]).toMatchObject({ command: 'notify-send "$INBOXD_SUBJECT"', input: { id: 'm1', triggers: ['vip'] } });
+    expect(spawned[0].env).toMatchObject({ INBOXD_ACCOUNT: 'work', INBOXD_FROM: 'ann@bigclient.com', INBOXD_TRIGGERS: 'vip' });
+    expect(JSON.parse(fetchFn.mock.calls[0][1].body)).toMatchObject({ id: 'm1', account: 'work' });
+    expect(fetchFn.mock.calls[0][1].headers).toMatchObject({ 'Content-Type': 'application/json', Authorization: 'Bearer x' });
+    expect(results).toEqual([
+      { sink: 'command', ok: true, error: null },
+      { sink: 'webhook', ok: false, error: 'Webhook returned HTTP 500' },
+    ]);
+  });
+
+  it('notifies each message once, across restarts', async () => {
+    const lines = [];
+    const config = notify.validateNotifyConfig({ triggers: [{ type: 'subject', pattern: 'urgent' }], sinks: [{ type: 'terminal', bell: false }] });
+    const fetchEmails = async () => ({
+      emails: [email('m1', 'a@example.com', 'Urgent'), email('m2', 'b@example.com', 'Lunch?')],
+      errors: [{ account: 'work', id: 'm3', error: 'Not found' }],
+    });
+    const create = () => notify.createNotifier({ accounts: ['work'], config, fetchEmails, deliverOptions: { write: text => lines.push(text) } });
+
+    const first = await create().check();
+    expect(first.notified.map(item => item.id)).toEqual(['m1']);
+    expect(first.errors).toHaveLength(1);
+    expect(lines).toEqual(['[work] a@example.com - Urgent (subject)\n']);
+
+    vi.resetModules();
+    notify = await import('../src/notify');
+    const second = await create().check();
+    expect(second.notified).toEqual([]);
+    expect(Object.keys(notify.readNotified())).toEqual(['work:m1']);
+  });
+
+  it('retries messages whose sinks all failed', async () => {
+    const config = notify.validateNotifyConfig({ triggers: [{ type: 'subject', pattern: 'urgent' }], sinks: [{ type: 'webhook', url: 'https://example.com/hook' }] });
+    const fetchFn = vi.fn().mockRejectedValueOnce(new Error('ECONNREFUSED')).mockResolvedValue({ ok: true, status: 200 });
+    const notifier = notify.createNotifier({
+      accounts: ['work'],
+      config,
+      fetchEmails: async () => ({ emails: [email('m1', 'a@example.com', 'Urgent')], errors: [] }),
+      deliverOptions: { fetchFn },
+    });
+
+    const first = await notifier.check();
+    expect(first.failed[0].sinks[0]).toMatchObject({ ok: false, error: 'ECONNREFUSED' });
+    const second = await notifier.check();
+    expect(second.notified.map(item => item.id)).toEqual(['m1']);
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const rateLimiterPath = require.resolve('../src/rate-limiter');
+
+function httpError(status, { reason, retryAfter } = {}) {
+  const error = new Error(`HTTP ${status}`);
+  error.code = status;
+  error.response = { status, headers: retryAfter !== undefined ? { 'retry-after': retryAfter } : {} };
+  if (reason) {
+    error.errors = [{ reason }];
+  }
+  return error;
+}
+
+describe('rate-limiter', () => {
+  const envKeys = ['INBOXD_MAX_RETRIES', 'INBOXD_RETRY_BASE_MS', 'INBOXD_RETRY_MAX_MS', 'INBOXD_QUOTA_UNITS_PER_SEC'];
+  const originalEnv = {};
+  let limiter;
+
+  beforeEach(() => {
+    envKeys.forEach(key => {
+      originalEnv[key] = process.env[key];
+      delete process.env[key];
+    });
+    delete require.cache[rateLimiterPath];
+    limiter = require('../src/rate-limiter');
+    limiter.setWarningMode('silent');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    envKeys.forEach(key => {
+      if (originalEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = originalEnv[key];
+      }
+    });
+  });
+
+  describe('error classification', () => {
+    it('treats 429 and rate-limit 403s as rate limiting', () => {
+      expect(limiter.isRateLimitError(httpError(429))).toBe(true);
+      expect(limiter.isRateLimitError(httpError(403, { reason: 'userRateLimitExceeded' }))).toBe(true);
+      expect(limiter.isRateLimitError(httpError(403, { reason: 'rateLimitExceeded' }))).toBe(true);
+    });
+
+    it('never retries plain auth failures', () => {
+      expect(limiter.isRetryableError(httpError(401))).toBe(false);
+      expect(limiter.isRetryableError(httpError(403, { reason: 'insufficientPermissions' }))).toBe(false);
+    });
+
+    it('retries network and server errors', () => {
+      expect(limiter.isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+      expect(limiter.isRetryableError(httpError(503))).toBe(true);
+      expect(limiter.isRetryableError(httpError(404))).toBe(false);
+    });
+  });
+
+  describe('getRetryAfterMs', () => {
+    it('parses seconds and HTTP dates', () => {
+      expect(limiter.getRetryAfterMs(httpError(429, { retryAfter: '3' }))).toBe(3000);
+      const now = Date.parse('2026-01-01T00:00:00Z');
+      expect(limiter.getRetryAfterMs(httpError(429, { retryAfter: 'Thu, 01 Jan 2026 00:00:05 GMT' }), now)).toBe(5000);
+      expect(limiter.getRetryAfterMs(httpError(429))).toBeNull();
+    });
+  });
+
+  describe('computeBackoffDelay', () => {
+    it('grows exponentially and caps at the maximum', () => {
+      const config = { baseDelayMs: 1000, maxDelayMs: 8000 };
+      expect(limiter.computeBackoffDelay(0, config, () => 0)).toBe(500);
+      expect(limiter.computeBackoffDelay(2, config, () => 1)).toBe(4000);
+      expect(limiter.computeBackoffDelay(10, config, () => 1)).toBe(8000);
+    });
+  });
+
+  describe('getRateLimitConfig', () => {
+    it('reads overrides from the environment', () => {
+      process.env.INBOXD_MAX_RETRIES = '2';
+      process.env.INBOXD_QUOTA_UNITS_PER_SEC = '100';
+      const config = limiter.getRateLimitConfig();
+      expect(config.maxRetries).toBe(2);
+      expect(config.quotaUnitsPerSecond).toBe(100);
+      expect(config.baseDelayMs).toBe(1000);
+    });
+  });
+
+  describe('runWithRateLimit', () => {
+    it('retries rate-limited calls and records a structured warning', async () => {
+      process.env.INBOXD_RETRY_BASE_MS = '1';
+      const operation = vi.fn()
+        .mockRejectedValueOnce(httpError(403, { reason: 'userRateLimitExceeded' }))
+        .mockResolvedValueOnce('ok');
+
+      const result = await limiter.runWithRateLimit(operation, { account: 'work', method: 'messages.get' });
+
+      expect(result).toBe('ok');
+      expect(operation).toHaveBeenCalledTimes(2);
+      expect(limiter.getWarnings()).toEqual([expect.objectContaining({
+        type: 'rate_limited',
+        account: 'work',
+        method: 'messages.get',
+        attempt: 1,
+        status: 403,
+        reason: 'userRateLimitExceeded',
+      })]);
+    });
+
+    it('honours Retry-After before retrying', async () => {
+      vi.useFakeTimers();
+      const operation = vi.fn()
+        .mockRejectedValueOnce(httpError(429, { retryAfter: '2' }))
+        .mockResolvedValueOnce('ok');
+
+      const promise = limiter.runWithRateLimit(operation, { account: 'work' });
+      await vi.advanceTimersByTimeAsync(1500);
+      expect(operation).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(600);
+
+      await expect(promise).resolves.toBe('ok');
+      expect(limiter.getWarnings()[0].delayMs).toBe(2000);
+    });
+
+    it('gives up after the configured number of retries', async () => {
+      process.env.INBOXD_MAX_RETRIES = '2';
+      process.env.INBOXD_RETRY_BASE_MS = '1';
+      const operation = vi.fn().mockRejectedValue(httpError(500));
+
+      await expect(limiter.runWithRateLimit(operation, { account: 'work' })).rejects.toThrow('HTTP 500');
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not retry non-retryable errors', async () => {
+      const operation = vi.fn().mockRejectedValue(httpError(401));
+
+      await expect(limiter.runWithRateLimit(operation, { account: 'work' })).rejects.toThrow('HTTP 401');
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(limiter.getWarnings()).toEqual([]);
+    });
+
+    it('retries calls that must not run twice only when rate limited', async () => {
+      process.env.INBOXD_RETRY_BASE_MS = '1';
+      const send = vi.fn()
+        .mockRejectedValueOnce(httpError(429))
+        .mockRejectedValueOnce(httpError(503))
+        .mockResolvedValueOnce('sent');
+
+      await expect(limiter.runWithRateLimit(send, { account: 'work', idempotent: false })).rejects.toThrow('HTTP 503');
+      expect(send).toHaveBeenCalledTimes(2);
+
+      const timedOut = vi.fn().mockRejectedValue(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+      await expect(limiter.runWithRateLimit(timedOut, { account: 'work', idempotent: false })).rejects.toThrow('socket hang up');
+      expect(timedOut).toHaveBeenCalledTimes(1);
+    });
+
+    it('writes JSON warnings to stderr in json mode', async () => {
+      process.env.INBOXD_RETRY_BASE_MS = '1';
+      limiter.setWarningMode('json');
+      const stderr = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      const operation = vi.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockResolvedValueOnce('ok');
+
+      await limiter.runWithRateLimit(operation, { account: 'work' });
+
+      const line = JSON.parse(stderr.mock.calls[0][0]);
+      expect(line.warning).toMatchObject({ type: 'retry', account: 'work', status: 503 });
+      stderr.mockRestore();
+    });
+  });
+
+  describe('acquireQuota', () => {
+    it('waits when the per-account budget is exhausted', async () => {
+      vi.useFakeTimers();
+      process.env.INBOXD_QUOTA_UNITS_PER_SEC = '10';
+
+      await limiter.acquireQuota('work', 10);
+      let acquired = false;
+      const pending = limiter.acquireQuota('work', 5).then(() => { acquired = true; });
+
+      await vi.advanceTimersByTimeAsync(100);
+      expect(acquired).toBe(false);
+      await vi.advanceTimersByTimeAsync(500);
+      await pending;
+      expect(acquired).toBe(true);
+
+      // Other accounts have their own budget
+      await limiter.acquireQuota('personal', 10);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const require = createRequire(import.meta.url);
+const Module = require('module');
+const ruleActionsPath = require.resolve('../src/rule-actions');
+const gmailMonitorPath = require.resolve('../src/gmail-monitor');
+const gmailAuthPath = require.resolve('../src/gmail-auth');
+const undoLogPath = require.resolve('../src/undo-log');
+
+describe('rule actions', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-rule-actions-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  let monitor;
+  let executeRuleActions;
+  let undoRuleAction;
+  let readUndoLog;
+
+  const succeed = (_account, ids) => Promise.resolve(ids.map(id => ({ id, success: true })));
+  const email = (id, account = 'work') => ({ id, account, from: 'x@shop.com', subject: `Subject ${id}`, threadId: `t${id}` });
+
+  beforeEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+
+    monitor = {
+      applyLabel: vi.fn(succeed),
+      removeLabel: vi.fn(succeed),
+      trashEmails: vi.fn(succeed),
+      findLabelByName: vi.fn().mockResolvedValue({ id: 'Label_7', name: 'Receipts' }),
+      forwardEmail: vi.fn().mockResolvedValue({ success: true, id: 'sent1', threadId: 'st1' }),
+    };
+
+    [ruleActionsPath, gmailMonitorPath, gmailAuthPath, undoLogPath].forEach(p => delete require.cache[p]);
+    const monitorModule = new Module.Module(gmailMonitorPath);
+    monitorModule.exports = monitor;
+    require.cache[gmailMonitorPath] = monitorModule;
+
+    ({ executeRuleActions, undoRuleAction } = require('../src/rule-actions'));
+    ({ readUndoLog } = require('../src/undo-log'));
+  });
+
+  afterAll(() => {
+    [ruleActionsPath, gmailMonitorPath, gmailAuthPath, undoLogPath].forEach(p => delete require.cache[p]);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('applies labels by resolved ID and logs an undo entry per account', async () => {
+    const { results, undoEntries } = await executeRuleActions([
+      { action: 'apply-label', label: 'receipts', emails: [email('1'), email('2', 'home')] },
+    ]);
+
+    expect(monitor.findLabelByName).toHaveBeenCalledWith('work', 'receipts');
+    expect(monitor.applyLabel).toHaveBeenCalledWith('work', ['1'], 'Label_7');
+    expect(monitor.applyLabel).toHaveBeenCalledWith('home', ['2'], 'Label_7');
+    expect(results.every(result => result.success)).toBe(true);
+    expect(undoEntries).toHaveLength(2);
+    expect(readUndoLog()[0]).toMatchObject({ action: 'apply-label', label: { id: 'Label_7', name: 'Receipts' }, count: 1 });
+  });
+
+  it('uses system labels for star and important', async () => {
+    await executeRuleActions([
+      { action: 'star', emails: [email('1')] },
+      { action: 'unstar', emails: [email('2')] },
+      { action: 'mark-important', emails: [email('3')] },
+    ]);
+
+    expect(monitor.applyLabel).toHaveBeenCalledWith('work', ['1'], 'STARRED');
+    expect(monitor.removeLabel).toHaveBeenCalledWith('work', ['2'], 'STARRED');
+    expect(monitor.applyLabel).toHaveBeenCalledWith('work', ['3'], 'IMPORTANT');
+    expect(monitor.findLabelByName).not.toHaveBeenCalled();
+  });
+
+  it('reports missing labels without logging undo entries', async () => {
+    monitor.findLabelByName.mockResolvedValue(null);
+
+    const { results, undoEntries } = await executeRuleActions([
+      { action: 'remove-label', label: 'Gone', emails: [email('1')] },
+    ]);
+
+    expect(results).toEqual([
+      { id: '1', account: 'work', action: 'remove-label', label: 'Gone', success: false, error: 'Label "Gone" not found' },
+    ]);
+    expect(undoEntries).toHaveLength(0);
+    expect(readUndoLog()).toEqual([]);
+  });
+
+  it('only logs successful items', async () => {
+    monitor.applyLabel.mockResolvedValue([
+      { id: '1', success: true },
+      { id: '2', success: false, error: 'boom' },
+    ]);
+
+    const { undoEntries } = await executeRuleActions([{ action: 'star', emails: [email('1'), email('2')] }]);
+
+    expect(undoEntries[0].items.map(item => item.id)).toEqual(['1']);
+  });
+
+  it('forwards each email and records the sent copy', async () => {
+    const { results, undoEntries } = await executeRuleActions([
+      { action: 'forward', forwardTo: 'me@example.com', emails: [email('1')] },
+    ]);
+
+    expect(monitor.forwardEmail).toHaveBeenCalledWith('work', '1', 'me@example.com');
+    expect(results[0]).toMatchObject({ id: '1', action: 'forward', forwardTo: 'me@example.com', success: true });
+    expect(undoEntries[0]).toMatchObject({ action: 'forward', forwardTo: 'me@example.com' });
+    expect(undoEntries[0].items[0].sentId).toBe('sent1');
+  });
+
+  it('reverses label, star and important entries', async () => {
+    const items = [email('1')];
+    await undoRuleAction({ action: 'apply-label', label: { id: 'Label_7', name: 'Receipts' }, items });
+    await undoRuleAction({ action: 'remove-label', label: { id: 'Label_7', name: 'Receipts' }, items });
+    await undoRuleAction({ action: 'star', items });
+    await undoRuleAction({ action: 'unstar', items });
+    await undoRuleAction({ action: 'mark-important', items });
+
+    expect(monitor.removeLabel.mock.calls).toEqual([
+      ['work', ['1'], 'Label_7'],
+      ['work', ['1'], 'STARRED'],
+      ['work', ['1'], 'IMPORTANT'],
+    ]);
+    expect(monitor.applyLabel.mock.calls).toEqual([
+      ['work', ['1'], 'Label_7'],
+      ['work', ['1'], 'STARRED'],
+    ]);
+  });
+
+  it('undoes forwards by trashing the sent copy', async () => {
+    const results = await undoRuleAction({
+      action: 'forward',
+      forwardTo: 'me@example.com',
+      items: [{ ...email('1'), sentId: 'sent1' }, email('2')],
+    });
+
+    expect(monitor.trashEmails).toHaveBeenCalledWith('work', ['sent1']);
+    expect(results).toEqual([
+      { id: '1', account: 'work', success: true, error: undefined },
+      { id: '2', account: 'work', success: false, error: 'Sent message ID not recorded' },
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+
+const { exportSieve, exportGmailXml } = require('../src/rule-exporters');
+
+describe('rule exporters', () => {
+  const rules = [
+    { id: 'keep', action: 'never-delete', sender: 'boss@work.com' },
+    { id: 'trash', action: 'always-delete', sender: 'news@spam.com', conditions: { subject: 'Deal "50%"' } },
+    { id: 'label', action: 'apply-label', label: 'Receipts', sender: 'shop.com', stopProcessing: true },
+    { id: 'aged', action: 'auto-archive', sender: 'promo.com', olderThanDays: 30 },
+    { id: 'unread', action: 'auto-mark-read', conditions: { listId: 'dev.lists.example.com', unread: true } },
+  ];
+
+  it('writes a Sieve script that keeps never-delete precedence', () => {
+    const { content, report } = exportSieve(rules);
+
+    expect(content).toContain('require ["copy", "fileinto", "variables"];');
+    expect(content).toContain('if header :contains "from" "boss@work.com" {\n  set "protected" "1";\n}');
+    expect(content).toContain('header :contains "subject" "Deal \\"50%\\""');
+    expect(content).toContain('string :is "${protected}" ""');
+    expect(content).toContain('fileinto :copy "Receipts";\n  stop;');
+    expect(content).toContain('# Skipped aged');
+
+    const byId = Object.fromEntries(report.map(entry => [entry.ruleId, entry]));
+    expect(byId.trash.exported).toBe(true);
+    expect(byId.aged).toMatchObject({ exported: false, reasons: ['older-than (filters run on arrival)'] });
+    expect(byId.unread).toMatchObject({ exported: false, reasons: ['read/unread state'] });
+  });
+
+  it('combines "any" matchers with anyof and reports unsupported actions', () => {
+    const { content, report } = exportSieve([
+      { id: 'any', action: 'star', sender: 'a.com', conditions: { match: 'any', to: 'me@x.com', largerThan: 1000 } },
+      { id: 'unstar', action: 'unstar', sender: 'b.com' },
+    ]);
+
+    expect(content).toContain('if anyof(header :contains "from" "a.com", header :contains ["to", "cc"] "me@x.com", size :over 1000) {\n  addflag "\\\\Flagged";');
+    expect(report[1]).toMatchObject({ ruleId: 'unstar', exported: false, reasons: ['unstar action'] });
+  });
+
+  it('writes Gmail filter XML with escaped values', () => {
+    const { content, report } = exportGmailXml(rules, { now: new Date('2026-01-02T03:04:05.678Z') });
+
+    expect(content).toContain("<feed xmlns='http://www.w3.org/2005/Atom' xmlns:apps='http://schemas.google.com/apps/2006'>");
+    expect(content).toContain('<updated>2026-01-02T03:04:05Z</updated>');
+    expect(content).toContain("<apps:property name='subject' value='Deal &quot;50%&quot;'/>");
+    expect(content).toContain("<apps:property name='shouldTrash' value='true'/>");
+    expect(content).toContain("<apps:property name='label' value='Receipts'/>");
+    expect(content).toContain("<apps:property name='hasTheWord' value='list:dev.lists.example.com is:unread'/>");
+    expect(content).not.toContain('filter:keep');
+
+    const byId = Object.fromEntries(report.map(entry => [entry.ruleId, entry]));
+    expect(byId.keep).toMatchObject({ exported: false, reasons: ['never-delete action'] });
+    expect(byId.aged.exported).toBe(false);
+    expect(byId.unread.exported).toBe(true);
+  });
+
+  it('uses Gmail search syntax for "any" rules and size properties for size limits', () => {
+    const { content, report } = exportGmailXml([
+      { id: 'any', action: 'auto-archive', sender: 'a.com', conditions: { match: 'any', subject: 'Digest' }, accounts: ['work'] },
+      { id: 'big', action: 'auto-archive', conditions: { largerThan: 5000000 } },
+    ]);
+
+    expect(content).toContain("<apps:property name='hasTheWord' value='{from:a.com subject:Digest}'/>");
+    expect(content).toContain("<apps:property name='sizeOperator' value='s_sl'/>");
+    expect(report[0].reasons).toEqual(['account scope (work) is not exported']);
+  });
+
+  it('leaves expired rules out of both exports', () => {
+    const expired = [{ id: 'old', action: 'auto-archive', sender: 'x.com', expiresAt: '2000-01-01T00:00:00.000Z' }];
+    expect(exportSieve(expired).report).toEqual([]);
+    expect(exportGmailXml(expired).report).toEqual([]);
+  });
+});
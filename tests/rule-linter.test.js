@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+
+const { ruleCovers, lintRules } = require('../src/rule-linter');
+
+describe('rule linter', () => {
+  const types = (result) => result.issues.map(issue => `${issue.type}:${issue.ruleIds.join(',')}`);
+
+  it('decides coverage only when every matcher of the general rule is implied', () => {
+    expect(ruleCovers({ sender: 'github.com' }, { sender: 'notifications@github.com' })).toBe(true);
+    expect(ruleCovers({ sender: 'github.com', olderThanDays: 30 }, { sender: 'github.com', olderThanDays: 90 })).toBe(true);
+    expect(ruleCovers({ sender: 'github.com', olderThanDays: 90 }, { sender: 'github.com', olderThanDays: 30 })).toBe(false);
+    expect(ruleCovers({ sender: 'a.com', conditions: { largerThan: 1000 } }, { sender: 'a.com', conditions: { largerThan: 5000 } })).toBe(true);
+    expect(ruleCovers({ sender: 'a.com', accounts: ['work'] }, { sender: 'a.com' })).toBe(false);
+    expect(ruleCovers(
+      { sender: 'a.com', conditions: { match: 'any', subject: 'x' } },
+      { sender: 'a.com' },
+    )).toBe(false);
+  });
+
+  it('flags delete rules shadowed by a never-delete and opposing carve-outs', () => {
+    const result = lintRules([
+      { id: 'del-gh', action: 'always-delete', sender: 'github.com' },
+      { id: 'keep-gh', action: 'never-delete', sender: 'notifications@github.com' },
+      { id: 'keep-shop', action: 'never-delete', sender: 'shop.com' },
+      { id: 'del-shop', action: 'always-delete', sender: 'deals@shop.com', priority: 1 },
+    ]);
+
+    expect(types(result)).toEqual([
+      'shadowed:del-shop,keep-shop',
+      'opposing-actions:keep-gh,del-gh',
+    ]);
+    expect(result.issues[0].severity).toBe('error');
+  });
+
+  it('only treats archive rules as shadowed when the never-delete runs first', () => {
+    const rules = [
+      { id: 'keep', action: 'never-delete', sender: 'shop.com', priority: 50 },
+      { id: 'archive', action: 'auto-archive', sender: 'deals@shop.com', priority: 10 },
+    ];
+    expect(types(lintRules(rules))).toEqual(['opposing-actions:archive,keep']);
+
+    rules[1].priority = 100;
+    expect(types(lintRules(rules))).toEqual(['shadowed:archive,keep']);
+  });
+
+  it('flags age-only duplicates and covered rules with the same action', () => {
+    const result = lintRules([
+      { id: 'news-30', action: 'auto-archive', sender: 'news.com', olderThanDays: 30 },
+      { id: 'news-90', action: 'auto-archive', sender: 'news.com', olderThanDays: 90 },
+      { id: 'org', action: 'auto-archive', sender: 'example.org' },
+      { id: 'digest', action: 'auto-archive', sender: 'digest@example.org', conditions: { subject: 'weekly' } },
+      { id: 'label', action: 'apply-label', label: 'News', sender: 'digest@example.org' },
+    ]);
+
+    expect(types(result)).toEqual([
+      'older-than-duplicate:news-90,news-30',
+      'redundant:digest,org',
+    ]);
+  });
+
+  it('flags rules that reach Important People unless a never-delete keeps them', () => {
+    const protectedSenders = [{ entry: 'partner@gmail.com - spouse', pattern: 'partner@gmail.com' }];
+    const result = lintRules([
+      { id: 'read', action: 'auto-mark-read', sender: 'gmail.com' },
+      { id: 'del', action: 'always-delete', sender: 'partner@gmail.com' },
+    ], { protectedSenders });
+
+    expect(types(result)).toEqual([
+      'important-person:del',
+      'important-person:read',
+      'opposing-actions:del,read',
+    ]);
+    expect(result.issues.map(issue => issue.severity)).toEqual(['error', 'warning', 'warning']);
+
+    const kept = lintRules([
+      { id: 'keep', action: 'never-delete', sender: 'partner@gmail.com' },
+      { id: 'del', action: 'always-delete', sender: 'gmail.com' },
+    ], { protectedSenders });
+    expect(kept.issues.map(issue => issue.type)).toEqual(['opposing-actions']);
+  });
+
+  it('ignores expired rules and rules scoped to different accounts', () => {
+    const result = lintRules([
+      { id: 'keep', action: 'never-delete', sender: 'a.com', accounts: ['work'] },
+      { id: 'del', action: 'always-delete', sender: 'a.com', accounts: ['personal'] },
+      { id: 'old', action: 'never-delete', sender: 'b.com', expiresAt: '2000-01-01T00:00:00.000Z' },
+      { id: 'del-b', action: 'always-delete', sender: 'b.com' },
+    ]);
+
+    expect(result).toEqual({ checked: 3, issues: [] });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+describe('rule sharing', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-rule-sharing-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  let rules;
+  let serializeRuleSet;
+  let parseRuleSet;
+  let planRuleImport;
+  let applyRuleImport;
+
+  beforeEach(async () => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    vi.resetModules();
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+
+    rules = await import('../src/rules');
+    ({ serializeRuleSet, parseRuleSet, planRuleImport, applyRuleImport } = await import('../src/rule-sharing'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('exports rules without local IDs or stats and round-trips both formats', () => {
+    const { rule } = rules.addRule({ action: 'auto-archive', sender: 'status.saas.io', conditions: { subject: 'incident' } });
+    rules.recordRuleHits([{ id: rule.id, matches: 2, applied: 2 }]);
+
+    for (const format of ['json', 'yaml']) {
+      const content = serializeRuleSet(rules.listRules(), format);
+      expect(content).not.toContain(rule.id);
+      expect(content).not.toContain('lastMatchedAt');
+      expect(parseRuleSet(content)).toEqual([{
+        action: 'auto-archive',
+        sender: 'status.saas.io',
+        conditions: { match: 'all', subject: 'incident' },
+        priority: 100,
+        stopProcessing: false,
+      }]);
+    }
+    expect(() => serializeRuleSet([], 'xml')).toThrow(/Unsupported format/);
+  });
+
+  it('accepts bare lists and rejects unreadable or newer rule sets', () => {
+    expect(parseRuleSet('- action: always-delete\n  sender: noise.com\n')[0]).toMatchObject({ sender: 'noise.com', priority: 100 });
+    expect(() => parseRuleSet('rules: nope')).toThrow(/"rules" list/);
+    expect(() => parseRuleSet('{ rules: [')).toThrow(/Could not parse/);
+    expect(() => parseRuleSet(JSON.stringify({ version: 99, rules: [] }))).toThrow(/schema v99/);
+  });
+
+  it('plans additions, duplicates, conflicts and invalid rules on merge', () => {
+    const { rule: existing } = rules.addRule({ action: 'never-delete', sender: 'boss.com' });
+    const plan = planRuleImport([
+      { action: 'never-delete', sender: 'BOSS.com' },
+      { action: 'always-delete', sender: 'boss.com' },
+      { action: 'star', sender: 'boss.com' },
+      { action: 'unstar', sender: 'boss.com' },
+      { action: 'self-destruct', sender: 'x.com' },
+      'not a rule',
+    ], rules.listRules());
+
+    expect(plan.skipped).toEqual([expect.objectContaining({ index: 0, existingId: existing.id })]);
+    expect(plan.conflicts.map(item => [item.index, item.existingAction])).toEqual([[1, 'never-delete'], [3, 'star']]);
+    expect(plan.added.map(rule => rule.action)).toEqual(['star']);
+    expect(plan.invalid.map(item => item.index)).toEqual([4, 5]);
+    expect(plan.removed).toEqual([]);
+    expect(rules.listRules()).toHaveLength(1);
+  });
+
+  it('replaces existing rules and keeps a backup', () => {
+    rules.addRule({ action: 'never-delete', sender: 'boss.com' });
+    const plan = planRuleImport([{ action: 'always-delete', sender: 'boss.com' }], rules.listRules(), { mode: 'replace' });
+
+    expect(plan.conflicts).toEqual([]);
+    expect(plan.removed).toHaveLength(1);
+
+    const { backupPath, count } = applyRuleImport(plan);
+    expect(count).toBe(1);
+    expect(rules.listRules().map(rule => rule.action)).toEqual(['always-delete']);
+    expect(JSON.parse(fs.readFileSync(backupPath, 'utf8')).rules[0].action).toBe('never-delete');
+  });
+});
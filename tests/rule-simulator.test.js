@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+describe('rule simulator', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-rule-simulator-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  let loadRuleHistory;
+  let extractProtectedSenders;
+  let simulateRule;
+
+  const rule = (fields) => ({ action: 'always-delete', olderThanDays: null, ...fields });
+
+  beforeEach(async () => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    vi.resetModules();
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+
+    ({ loadRuleHistory, extractProtectedSenders, simulateRule } = await import('../src/rule-simulator'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('loads deletion, archive and cache history with a usable date', () => {
+    fs.writeFileSync(path.join(tempDir, 'deletion-log.json'), JSON.stringify([
+      { deletedAt: '2026-01-01T00:00:00.000Z', account: 'work', id: '1', from: 'a@shop.com', subject: 'Sale' },
+    ]));
+    fs.writeFileSync(path.join(tempDir, 'archive-log.json'), JSON.stringify([
+      { archivedAt: '2026-01-02T00:00:00.000Z', account: 'work', id: '2', from: 'b@shop.com', subject: 'News' },
+    ]));
+    fs.writeFileSync(path.join(tempDir, 'message-cache.json'), JSON.stringify({
+      version: 1,
+      accounts: { home: { 3: { id: '3', from: 'c@shop.com', subject: 'Hi', date: 'Mon, 5 Jan 2026 10:00:00 +0000' } } },
+    }));
+
+    const history = loadRuleHistory();
+
+    expect(history.deleted[0].date).toBe('2026-01-01T00:00:00.000Z');
+    expect(history.archived[0].date).toBe('2026-01-02T00:00:00.000Z');
+    expect(history.cached[0]).toMatchObject({ id: '3', account: 'home' });
+  });
+
+  it('extracts addresses and domains from Important People entries', () => {
+    expect(extractProtectedSenders([
+      'partner@gmail.com - spouse, always important',
+      'Anyone from @Boss.com',
+      'Mom (no address yet)',
+    ])).toEqual([
+      { entry: 'partner@gmail.com - spouse, always important', pattern: 'partner@gmail.com' },
+      { entry: 'Anyone from @Boss.com', pattern: 'boss.com' },
+    ]);
+  });
+
+  it('counts matches per source and unique emails across sources', () => {
+    const sale = { id: '1', account: 'work', from: 'deals@shop.com', subject: 'Sale', date: '2026-01-01' };
+    const result = simulateRule(rule({ sender: 'shop.com' }), {
+      deleted: [sale, { id: '2', account: 'work', from: 'friend@mail.com', subject: 'Hi', date: '2026-01-01' }],
+      cached: [sale],
+      live: [{ id: '3', account: 'home', from: 'promo@shop.com', subject: 'Coupons', date: '2026-01-03' }],
+    });
+
+    expect(result.sources.deleted).toMatchObject({ scanned: 2, matched: 1 });
+    expect(result.sources.cached).toMatchObject({ scanned: 1, matched: 1 });
+    expect(result.sources.live.examples[0].subject).toBe('Coupons');
+    expect(result.totalMatched).toBe(2);
+    expect(result.collisions).toEqual([]);
+  });
+
+  it('applies the rule age and account scope', () => {
+    const recent = new Date().toISOString();
+    const result = simulateRule(rule({ sender: 'shop.com', olderThanDays: 30, accounts: ['work'] }), {
+      deleted: [
+        { id: '1', account: 'work', from: 'a@shop.com', date: '2020-01-01' },
+        { id: '2', account: 'work', from: 'a@shop.com', date: recent },
+        { id: '3', account: 'home', from: 'a@shop.com', date: '2020-01-01' },
+      ],
+    });
+
+    expect(result.sources.deleted.matched).toBe(1);
+  });
+
+  it('reports protected senders hit by matches or covered by the sender pattern', () => {
+    const protectedSenders = [
+      { entry: 'partner@gmail.com - spouse', pattern: 'partner@gmail.com' },
+      { entry: 'boss@work.com', pattern: 'boss@work.com' },
+    ];
+    const result = simulateRule(rule({ sender: 'gmail.com' }), {
+      deleted: [{ id: '1', from: 'Partner <partner@gmail.com>', subject: 'Dinner', date: '2026-01-01' }],
+    }, { protectedSenders });
+
+    expect(result.collisions).toEqual([
+      expect.objectContaining({ pattern: 'partner@gmail.com', coveredBySender: true, matched: 1 }),
+    ]);
+
+    const noHistory = simulateRule(rule({ sender: 'work.com' }), { deleted: [] }, { protectedSenders });
+    expect(noHistory.collisions).toEqual([
+      expect.objectContaining({ pattern: 'boss@work.com', coveredBySender: true, matched: 0, examples: [] }),
+    ]);
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it, expect } from 'vitest';
 
-const { buildRuleQuery, emailMatchesRule, buildActionPlan } = require('../src/rules-engine');
+const { buildRuleQuery, emailMatchesRule, describeRule, describeRuleAction, buildActionPlan, orderRules, isRuleExpired, describeRuleExpiry } = require('../src/rules-engine');
 
 describe('rules engine', () => {
   it('builds Gmail query with older-than and quoted sender', () => {
@@ -103,4 +103,321 @@ describe('rules engine', () => {
     const plan = buildActionPlan(ruleMatches);
     expect(plan.markReadCandidates).toHaveLength(0); // protected by never-delete
   });
+
+  describe('conditions', () => {
+    it('translates all-of conditions into Gmail search terms', () => {
+      const rule = {
+        sender: 'shop.com',
+        olderThanDays: 7,
+        conditions: {
+          match: 'all',
+          subject: 'Weekly deals',
+          hasLabels: ['Shopping'],
+          lacksLabels: ['STARRED'],
+          hasAttachment: false,
+          largerThan: 1048576,
+          unread: true,
+          listId: 'deals.shop.com',
+          to: 'me@example.com',
+        },
+      };
+
+      expect(buildRuleQuery(rule)).toBe(
+        'from:shop.com to:me@example.com subject:"Weekly deals" list:deals.shop.com '
+        + 'label:Shopping -label:STARRED -has:attachment larger:1048576 is:unread older_than:7d'
+      );
+    });
+
+    it('groups any-of conditions with braces', () => {
+      const rule = { sender: 'a.com', conditions: { match: 'any', subject: 'invoice', starred: true } };
+      expect(buildRuleQuery(rule)).toBe('{from:a.com subject:invoice is:starred}');
+    });
+
+    it('leaves subject regex to client-side matching', () => {
+      expect(buildRuleQuery({ conditions: { match: 'all', subjectRegex: '^\\[JIRA\\]' } })).toBe('in:inbox');
+      expect(buildRuleQuery({ sender: 'a.com', conditions: { match: 'all', subjectRegex: 'x' } })).toBe('from:a.com');
+      expect(buildRuleQuery({ sender: 'a.com', olderThanDays: 3, conditions: { match: 'any', subjectRegex: 'x' } }))
+        .toBe('in:inbox older_than:3d');
+    });
+
+    it('returns an empty query for rules without matchers', () => {
+      expect(buildRuleQuery({ olderThanDays: 5 })).toBe('');
+      expect(buildRuleQuery({ conditions: { match: 'all' } })).toBe('');
+    });
+
+    it('matches subject substring and regex case-insensitively', () => {
+      const rule = { conditions: { match: 'all', subject: 'receipt', subjectRegex: 'order #\\d+' } };
+      expect(emailMatchesRule({ subject: 'Your Receipt for Order #123' }, rule)).toBe(true);
+      expect(emailMatchesRule({ subject: 'Your Receipt' }, rule)).toBe(false);
+    });
+
+    it('checks unread, starred and system labels from labelIds', () => {
+      const rule = {
+        sender: 'a.com',
+        conditions: { match: 'all', unread: true, starred: false, hasLabels: ['inbox'], lacksLabels: ['IMPORTANT'] },
+      };
+      expect(emailMatchesRule({ from: 'x@a.com', labelIds: ['INBOX', 'UNREAD'] }, rule)).toBe(true);
+      expect(emailMatchesRule({ from: 'x@a.com', labelIds: ['INBOX'] }, rule)).toBe(false);
+      expect(emailMatchesRule({ from: 'x@a.com', labelIds: ['INBOX', 'UNREAD', 'STARRED'] }, rule)).toBe(false);
+      expect(emailMatchesRule({ from: 'x@a.com', labelIds: ['INBOX', 'UNREAD', 'IMPORTANT'] }, rule)).toBe(false);
+    });
+
+    it('trusts the Gmail query for conditions metadata cannot answer', () => {
+      const rule = { sender: 'a.com', conditions: { match: 'all', hasAttachment: true, hasLabels: ['Receipts'] } };
+      expect(emailMatchesRule({ from: 'x@a.com', labelIds: ['Label_1'] }, rule)).toBe(true);
+      expect(emailMatchesRule({ from: 'x@a.com', hasAttachment: false }, rule)).toBe(false);
+    });
+
+    it('uses size and recipient metadata when present', () => {
+      const rule = { conditions: { match: 'all', largerThan: 1000, to: 'team@' } };
+      expect(emailMatchesRule({ sizeEstimate: 5000, to: 'team@example.com' }, rule)).toBe(true);
+      expect(emailMatchesRule({ sizeEstimate: 500, to: 'team@example.com' }, rule)).toBe(false);
+    });
+
+    it('matches any-of rules when one condition holds', () => {
+      const rule = { sender: 'a.com', conditions: { match: 'any', subject: 'invoice' } };
+      expect(emailMatchesRule({ from: 'x@b.com', subject: 'Invoice 42' }, rule)).toBe(true);
+      expect(emailMatchesRule({ from: 'x@a.com', subject: 'Hello' }, rule)).toBe(true);
+      expect(emailMatchesRule({ from: 'x@b.com', subject: 'Hello' }, rule)).toBe(false);
+    });
+
+    it('only trusts unknown any-of conditions when Gmail evaluated the group', () => {
+      const queried = { sender: 'a.com', conditions: { match: 'any', hasAttachment: true } };
+      const local = { sender: 'a.com', conditions: { match: 'any', hasAttachment: true, subjectRegex: '^x' } };
+      const email = { from: 'x@b.com', subject: 'hello' };
+
+      expect(emailMatchesRule(email, queried)).toBe(true);
+      expect(emailMatchesRule(email, local)).toBe(false);
+    });
+
+    it('still applies the age guard to any-of rules', () => {
+      const recentDate = new Date().toISOString();
+      const rule = { sender: 'a.com', olderThanDays: 30, conditions: { match: 'any', subject: 'x' } };
+      expect(emailMatchesRule({ from: 'x@a.com', subject: 'x', date: recentDate }, rule)).toBe(false);
+    });
+
+    it('describes rules for display', () => {
+      expect(describeRule({ sender: 'a.com', olderThanDays: 30 })).toBe('from a.com AND older than 30 days');
+      expect(describeRule({
+        sender: 'a.com',
+        olderThanDays: 7,
+        conditions: { match: 'any', subject: 'sale', largerThan: 5 * 1024 * 1024 },
+      })).toBe('(from a.com OR subject contains "sale" OR larger than 5MB) AND older than 7 days');
+    });
+
+    it('includes conditions in rule summaries', () => {
+      const conditions = { match: 'all', unread: true };
+      const plan = buildActionPlan([{ rule: { id: 'r1', action: 'auto-archive', conditions }, emails: [] }]);
+      expect(plan.ruleSummaries[0].conditions).toEqual(conditions);
+    });
+  });
+
+  describe('label, star and forward actions', () => {
+    const email = (id, labelIds = ['INBOX']) => ({ id, account: 'a', from: 'x@shop.com', labelIds });
+
+    it('stacks non-exclusive actions with archive and groups them by target', () => {
+      const plan = buildActionPlan([
+        { rule: { id: 'r1', action: 'auto-archive', sender: 'shop.com' }, emails: [email('1')] },
+        { rule: { id: 'r2', action: 'apply-label', label: 'Receipts', sender: 'shop.com' }, emails: [email('1'), email('2')] },
+        { rule: { id: 'r3', action: 'apply-label', label: 'receipts', sender: 'x' }, emails: [email('2')] },
+        { rule: { id: 'r4', action: 'mark-important', sender: 'shop.com' }, emails: [email('1')] },
+      ]);
+
+      expect(plan.archiveCandidates).toHaveLength(1);
+      expect(plan.ruleActions).toEqual([
+        { action: 'apply-label', label: 'Receipts', emails: [email('1'), email('2')] },
+        { action: 'mark-important', emails: [email('1')] },
+      ]);
+      expect(plan.conflicts).toEqual([]);
+      expect(plan.ruleSummaries.find(rule => rule.id === 'r2')).toMatchObject({ label: 'Receipts', applied: 2 });
+      expect(plan.ruleSummaries.find(rule => rule.id === 'r3').applied).toBe(0);
+    });
+
+    it('lets the earlier rule win when actions oppose each other', () => {
+      const plan = buildActionPlan([
+        { rule: { id: 'r1', action: 'star', sender: 'shop.com' }, emails: [email('1')] },
+        { rule: { id: 'r2', action: 'unstar', sender: 'shop.com' }, emails: [email('1', ['INBOX', 'STARRED'])] },
+        { rule: { id: 'r3', action: 'remove-label', label: 'Todo', sender: 'shop.com' }, emails: [email('1')] },
+        { rule: { id: 'r4', action: 'apply-label', label: 'todo', sender: 'shop.com' }, emails: [email('1')] },
+      ]);
+
+      expect(plan.ruleActions.map(group => group.action)).toEqual(['star', 'remove-label']);
+      expect(plan.conflicts).toEqual([
+        { id: '1', account: 'a', action: 'unstar', ruleId: 'r2', overriddenBy: 'r1' },
+        { id: '1', account: 'a', action: 'apply-label', ruleId: 'r4', overriddenBy: 'r3' },
+      ]);
+    });
+
+    it('skips emails being deleted, except for forwards', () => {
+      const plan = buildActionPlan([
+        { rule: { id: 'r1', action: 'always-delete', sender: 'shop.com' }, emails: [email('1')] },
+        { rule: { id: 'r2', action: 'star', sender: 'shop.com' }, emails: [email('1')] },
+        { rule: { id: 'r3', action: 'forward', forwardTo: 'me@example.com', sender: 'shop.com' }, emails: [email('1')] },
+      ]);
+
+      expect(plan.deleteCandidates).toHaveLength(1);
+      expect(plan.ruleActions).toEqual([
+        { action: 'forward', forwardTo: 'me@example.com', emails: [email('1')] },
+      ]);
+    });
+
+    it('does not protect against non-destructive actions', () => {
+      const plan = buildActionPlan([
+        { rule: { id: 'r1', action: 'never-delete', sender: 'shop.com' }, emails: [email('1')] },
+        { rule: { id: 'r2', action: 'apply-label', label: 'Shop', sender: 'shop.com' }, emails: [email('1')] },
+      ]);
+
+      expect(plan.ruleActions).toHaveLength(1);
+    });
+
+    it('skips star and important when already set', () => {
+      const plan = buildActionPlan([
+        { rule: { id: 'r1', action: 'star', sender: 'shop.com' }, emails: [email('1', ['STARRED'])] },
+        { rule: { id: 'r2', action: 'unstar', sender: 'shop.com' }, emails: [email('2')] },
+        { rule: { id: 'r3', action: 'mark-important', sender: 'shop.com' }, emails: [email('3', ['IMPORTANT'])] },
+      ]);
+
+      expect(plan.ruleActions).toEqual([]);
+    });
+
+    it('describes rule actions with their targets', () => {
+      expect(describeRuleAction({ action: 'apply-label', label: 'Receipts' })).toBe('apply-label "Receipts"');
+      expect(describeRuleAction({ action: 'forward', forwardTo: 'me@example.com' })).toBe('forward to me@example.com');
+      expect(describeRuleAction({ action: 'star' })).toBe('star');
+    });
+  });
+
+  describe('priority and stop processing', () => {
+    const email = { id: '1', account: 'a', from: 'x@shop.com', labelIds: ['INBOX', 'UNREAD'] };
+
+    it('orders by priority, then built-in precedence, then file order', () => {
+      const rules = [
+        { id: 'archive', action: 'auto-archive' },
+        { id: 'label', action: 'apply-label', priority: 100 },
+        { id: 'delete', action: 'always-delete' },
+        { id: 'first', action: 'auto-mark-read', priority: 1 },
+      ];
+      expect(orderRules(rules).map(rule => rule.id)).toEqual(['first', 'delete', 'archive', 'label']);
+    });
+
+    it('lets a higher-priority rule win between exclusive actions', () => {
+      const plan = buildActionPlan([
+        { rule: { id: 'r1', action: 'always-delete', priority: 20 }, emails: [email] },
+        { rule: { id: 'r2', action: 'auto-archive', priority: 10 }, emails: [email] },
+      ]);
+
+      expect(plan.archiveCandidates).toHaveLength(1);
+      expect(plan.deleteCandidates).toHaveLength(0);
+      expect(plan.ruleSummaries.map(rule => rule.id)).toEqual(['r2', 'r1']);
+    });
+
+    it('never lets a delete through a never-delete rule, whatever its priority', () => {
+      const plan = buildActionPlan([
+        { rule: { id: 'r1', action: 'always-delete', priority: 1, stopProcessing: true }, emails: [email] },
+        { rule: { id: 'r2', action: 'never-delete', priority: 50 }, emails: [email] },
+      ]);
+
+      expect(plan.deleteCandidates).toHaveLength(0);
+      expect(plan.protectedKeys.size).toBe(1);
+    });
+
+    it('archives over a lower-priority never-delete rule', () => {
+      const plan = buildActionPlan([
+        { rule: { id: 'r1', action: 'never-delete', priority: 50 }, emails: [email] },
+        { rule: { id: 'r2', action: 'auto-archive', priority: 10 }, emails: [email] },
+      ]);
+
+      expect(plan.archiveCandidates).toHaveLength(1);
+    });
+
+    it('hides matched emails from later rules when stopProcessing is set', () => {
+      const other = { ...email, id: '2' };
+      const plan = buildActionPlan([
+        { rule: { id: 'r1', action: 'star', priority: 10, stopProcessing: true }, emails: [email] },
+        { rule: { id: 'r2', action: 'auto-archive', priority: 20 }, emails: [email, other] },
+        { rule: { id: 'r3', action: 'apply-label', label: 'Shop', priority: 30 }, emails: [email] },
+      ]);
+
+      expect(plan.archiveCandidates.map(e => e.id)).toEqual(['2']);
+      expect(plan.ruleActions).toEqual([{ action: 'star', emails: [email] }]);
+      expect(plan.ruleSummaries.find(rule => rule.id === 'r2')).toMatchObject({ stopped: 1, applied: 1 });
+      expect(plan.ruleSummaries.find(rule => rule.id === 'r1')).toMatchObject({ priority: 10, stopProcessing: true });
+    });
+
+    it('drops stacked actions on emails a lower-priority rule deletes', () => {
+      const plan = buildActionPlan([
+        { rule: { id: 'r1', action: 'star', priority: 10 }, emails: [email] },
+        { rule: { id: 'r2', action: 'always-delete', priority: 20 }, emails: [email] },
+      ]);
+
+      expect(plan.deleteCandidates).toHaveLength(1);
+      expect(plan.ruleActions).toEqual([]);
+    });
+  });
+
+  describe('account scoping', () => {
+    const rule = { id: 'r1', action: 'always-delete', sender: 'linkedin.com', accounts: ['personal'] };
+    const personal = { id: '1', account: 'personal', from: 'jobs@linkedin.com' };
+    const work = { id: '2', account: 'work', from: 'recruiter@linkedin.com' };
+
+    it('does not match emails from accounts outside the scope', () => {
+      expect(emailMatchesRule(personal, rule)).toBe(true);
+      expect(emailMatchesRule(work, rule)).toBe(false);
+      expect(emailMatchesRule(work, { ...rule, accounts: undefined })).toBe(true);
+    });
+
+    it('ignores out-of-scope emails and reports per-account counts', () => {
+      const plan = buildActionPlan([
+        { rule, emails: [personal, work] },
+        { rule: { id: 'r2', action: 'auto-archive', sender: 'linkedin.com' }, emails: [personal, work] },
+      ]);
+
+      expect(plan.deleteCandidates).toEqual([personal]);
+      expect(plan.archiveCandidates).toEqual([work]);
+      expect(plan.ruleSummaries.find(summary => summary.id === 'r1')).toMatchObject({
+        accounts: ['personal'],
+        matches: 1,
+        byAccount: { personal: { matches: 1, applied: 1 } },
+      });
+      expect(plan.ruleSummaries.find(summary => summary.id === 'r2')).toMatchObject({
+        accounts: null,
+        byAccount: { personal: { matches: 1, applied: 0 }, work: { matches: 1, applied: 1 } },
+      });
+    });
+  });
+
+  describe('expiring rules', () => {
+    const now = new Date('2026-03-10T12:00:00.000Z');
+    const past = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const email = { id: '1', account: 'a', from: 'talks@conference-x.com' };
+
+    it('treats rules past expiresAt as expired', () => {
+      expect(isRuleExpired({ expiresAt: '2026-03-10T11:00:00.000Z' }, now)).toBe(true);
+      expect(isRuleExpired({ expiresAt: '2026-03-11T00:00:00.000Z' }, now)).toBe(false);
+      expect(isRuleExpired({}, now)).toBe(false);
+    });
+
+    it('describes the remaining lifetime', () => {
+      expect(describeRuleExpiry({ expiresAt: '2026-03-15T12:00:00.000Z' }, now)).toBe('expires in 5 days');
+      expect(describeRuleExpiry({ expiresAt: '2026-03-10T15:30:00.000Z' }, now)).toBe('expires in 3 hours');
+      expect(describeRuleExpiry({ expiresAt: '2026-03-10T11:00:00.000Z' }, now)).toBe('expired 1 hour ago');
+      expect(describeRuleExpiry({}, now)).toBeNull();
+    });
+
+    it('ignores expired rules when matching and planning', () => {
+      const expired = { id: 'r1', action: 'never-delete', sender: 'conference-x.com', expiresAt: past };
+      const active = { id: 'r2', action: 'auto-archive', sender: 'conference-x.com', expiresAt: future };
+
+      expect(emailMatchesRule(email, expired)).toBe(false);
+      expect(emailMatchesRule(email, active)).toBe(true);
+
+      const plan = buildActionPlan([
+        { rule: expired, emails: [email] },
+        { rule: { ...active, action: 'always-delete' }, emails: [email] },
+      ]);
+      expect(plan.deleteCandidates).toEqual([email]);
+      expect(plan.ruleSummaries.map(summary => summary.id)).toEqual(['r2']);
+    });
+  });
 });
@@ -12,6 +12,13 @@ describe('rules module', () => {
   let readRules;
   let getRulesPath;
   let buildSuggestedRules;
+  let reorderRules;
+  let moveRule;
+  let buildRule;
+  let recordRuleHits;
+  let recordRuleApplied;
+  let getRuleStats;
+  let pruneExpiredRules;
 
   beforeEach(async () => {
     fs.rmSync(tempDir, { recursive: true, force: true });
@@ -27,6 +34,13 @@ describe('rules module', () => {
     readRules = module.readRules;
     getRulesPath = module.getRulesPath;
     buildSuggestedRules = module.buildSuggestedRules;
+    reorderRules = module.reorderRules;
+    moveRule = module.moveRule;
+    buildRule = module.buildRule;
+    recordRuleHits = module.recordRuleHits;
+    recordRuleApplied = module.recordRuleApplied;
+    getRuleStats = module.getRuleStats;
+    pruneExpiredRules = module.pruneExpiredRules;
   });
 
   afterAll(() => {
@@ -74,6 +88,33 @@ describe('rules module', () => {
     expect(suggestions.suggestions[0]).toHaveProperty('sender');
   });
 
+  it('builds scored suggestions from replies, archives, reads and keep times', () => {
+    const { suggestions } = buildSuggestedRules({
+      period: 30,
+      totalDeleted: 6,
+      frequentDeleters: [{ domain: 'spam.com', deletedCount: 6 }, { domain: 'friend.org', deletedCount: 3 }],
+      neverReadSenders: [],
+      frequentArchivers: [{ domain: 'news.com', archivedCount: 8, examples: ['Weekly'] }],
+      repliedSenders: [{ address: 'ana@friend.org', replyCount: 2, lastRepliedAt: '2026-01-01T00:00:00.000Z' }],
+      readOnlySenders: [{ address: 'digest@blog.io', readCount: 4, totalCount: 5, examples: [] }],
+      keepDays: {
+        deleted: { 'spam.com': { medianDays: 0.2, samples: 6 } },
+        archived: { 'news.com': { medianDays: 6.5, samples: 8 } },
+      },
+    });
+
+    expect(suggestions.map(s => `${s.action}:${s.sender}`)).toEqual([
+      'auto-archive:news.com',
+      'always-delete:spam.com',
+      'auto-mark-read:digest@blog.io',
+      'never-delete:ana@friend.org',
+    ]);
+    expect(suggestions[0]).toMatchObject({ olderThanDays: 7, confidence: 0.86, evidence: { archived: 8 } });
+    expect(suggestions[1].olderThanDays).toBeUndefined();
+    expect(suggestions[2].confidence).toBe(0.51);
+    expect(suggestions[3].confidence).toBe(0.39);
+  });
+
   it('persists rules to disk', () => {
     addRule({ action: 'auto-archive', sender: 'github.com' });
     const data = readRules();
@@ -90,4 +131,227 @@ describe('rules module', () => {
     expect(rule.sender).toBe('notifications@github.com');
     expect(listRules()).toHaveLength(1);
   });
+
+  it('adds a rule with conditions and no sender', () => {
+    const { rule, created } = addRule({
+      action: 'auto-archive',
+      conditions: { subject: '  Weekly digest ', hasLabels: 'Newsletters, Updates', largerThan: '2048', unread: true },
+    });
+
+    expect(created).toBe(true);
+    expect(rule.sender).toBeNull();
+    expect(rule.conditions).toEqual({
+      match: 'all',
+      subject: 'Weekly digest',
+      hasLabels: ['Newsletters', 'Updates'],
+      largerThan: 2048,
+      unread: true,
+    });
+  });
+
+  it('requires a sender or a condition', () => {
+    expect(() => addRule({ action: 'auto-archive' })).toThrow(/Sender or at least one condition/);
+    expect(() => addRule({ action: 'auto-archive', conditions: { match: 'any' } })).toThrow();
+  });
+
+  it('rejects invalid conditions', () => {
+    expect(() => addRule({ action: 'auto-archive', conditions: { subjectRegex: '(' } })).toThrow(/Invalid subject regex/);
+    expect(() => addRule({ action: 'auto-archive', conditions: { largerThan: -1 } })).toThrow(/largerThan/);
+    expect(() => addRule({ action: 'auto-archive', conditions: { subject: 'x', match: 'some' } })).toThrow(/match mode/);
+  });
+
+  it('treats rules with different conditions as distinct', () => {
+    addRule({ action: 'always-delete', sender: 'shop.com' });
+    const withConditions = addRule({ action: 'always-delete', sender: 'shop.com', conditions: { subject: 'sale' } });
+    const duplicate = addRule({
+      action: 'always-delete',
+      sender: 'shop.com',
+      conditions: { match: 'all', subject: 'sale' },
+    });
+
+    expect(withConditions.created).toBe(true);
+    expect(duplicate.created).toBe(false);
+    expect(listRules()).toHaveLength(2);
+  });
+
+  it('migrates v1 rules files and writes the current version', () => {
+    fs.writeFileSync(getRulesPath(), JSON.stringify({
+      version: 1,
+      rules: [{ id: 'r1', action: 'always-delete', sender: 'old.com', olderThanDays: null }],
+    }));
+
+    const data = readRules();
+    expect(data.version).toBe(5);
+    expect(data.rules[0]).toMatchObject({ priority: 100, stopProcessing: false });
+    expect(data.rules[0].sender).toBe('old.com');
+
+    addRule({ action: 'auto-archive', sender: 'new.com' });
+    const saved = JSON.parse(fs.readFileSync(getRulesPath(), 'utf8'));
+    expect(saved.version).toBe(5);
+    expect(saved.rules).toHaveLength(2);
+  });
+
+  it('refuses to read rules written by a newer schema', () => {
+    fs.writeFileSync(getRulesPath(), JSON.stringify({ version: 99, rules: [] }));
+
+    expect(() => readRules()).toThrow(/schema v99/);
+  });
+
+  it('stores the label or address that label and forward actions need', () => {
+    const labelled = addRule({ action: 'apply-label', sender: 'shop.com', label: ' Receipts ' });
+    const forwarded = addRule({ action: 'forward', sender: 'shop.com', forwardTo: 'me@example.com' });
+    const otherLabel = addRule({ action: 'apply-label', sender: 'shop.com', label: 'Orders' });
+
+    expect(labelled.rule.label).toBe('Receipts');
+    expect(forwarded.rule.forwardTo).toBe('me@example.com');
+    expect(otherLabel.created).toBe(true);
+    expect(addRule({ action: 'apply-label', sender: 'shop.com', label: 'receipts' }).created).toBe(false);
+  });
+
+  it('rejects label and forward actions without a valid target', () => {
+    expect(() => addRule({ action: 'remove-label', sender: 'shop.com' })).toThrow(/requires a label/);
+    expect(() => addRule({ action: 'forward', sender: 'shop.com', forwardTo: 'nope' })).toThrow(/valid email/);
+  });
+
+  describe('priority and ordering', () => {
+    const ids = () => listRules().map(rule => rule.sender);
+
+    it('defaults priority and lists rules in evaluation order', () => {
+      addRule({ action: 'auto-archive', sender: 'a.com' });
+      addRule({ action: 'always-delete', sender: 'b.com', priority: 5, stopProcessing: true });
+      addRule({ action: 'never-delete', sender: 'c.com' });
+
+      expect(listRules()[0]).toMatchObject({ sender: 'b.com', priority: 5, stopProcessing: true });
+      // Equal priorities fall back to never-delete > delete > archive > mark-read
+      expect(ids()).toEqual(['b.com', 'c.com', 'a.com']);
+      expect(() => addRule({ action: 'star', sender: 'd.com', priority: -1 })).toThrow(/non-negative integer/);
+    });
+
+    it('reorders rules and renumbers priorities', () => {
+      const { rule: a } = addRule({ action: 'auto-archive', sender: 'a.com' });
+      addRule({ action: 'auto-archive', sender: 'b.com' });
+      const { rule: c } = addRule({ action: 'auto-archive', sender: 'c.com' });
+
+      const rules = reorderRules([c.id, a.id]);
+
+      expect(rules.map(rule => rule.priority)).toEqual([10, 20, 30]);
+      expect(ids()).toEqual(['c.com', 'a.com', 'b.com']);
+      expect(() => reorderRules(['missing'])).toThrow(/not found/);
+      expect(() => reorderRules([a.id, a.id])).toThrow(/once/);
+    });
+
+    it('moves a rule before or after another', () => {
+      const { rule: a } = addRule({ action: 'auto-archive', sender: 'a.com' });
+      const { rule: b } = addRule({ action: 'auto-archive', sender: 'b.com' });
+      const { rule: c } = addRule({ action: 'auto-archive', sender: 'c.com' });
+
+      moveRule(c.id, { before: a.id });
+      expect(ids()).toEqual(['c.com', 'a.com', 'b.com']);
+
+      moveRule(c.id, { after: b.id });
+      expect(ids()).toEqual(['a.com', 'b.com', 'c.com']);
+
+      expect(() => moveRule(a.id, {})).toThrow(/exactly one/);
+      expect(() => moveRule(a.id, { before: a.id })).toThrow(/itself/);
+    });
+  });
+
+  it('scopes rules to accounts', () => {
+    const scoped = addRule({ action: 'always-delete', sender: 'linkedin.com', accounts: 'personal, personal,side' });
+    const everywhere = addRule({ action: 'always-delete', sender: 'linkedin.com', accounts: 'all' });
+    const sameScope = addRule({ action: 'always-delete', sender: 'linkedin.com', accounts: ['side', 'personal'] });
+
+    expect(scoped.rule.accounts).toEqual(['personal', 'side']);
+    expect(everywhere.created).toBe(true);
+    expect(everywhere.rule).not.toHaveProperty('accounts');
+    expect(sameScope.created).toBe(false);
+  });
+
+  it('builds a draft rule without saving it', () => {
+    const draft = buildRule({ action: 'always-delete', sender: ' shop.com ', olderThanDays: 7, accounts: 'work' });
+
+    expect(draft).toEqual({
+      action: 'always-delete',
+      sender: 'shop.com',
+      olderThanDays: 7,
+      priority: 100,
+      stopProcessing: false,
+      accounts: ['work'],
+    });
+    expect(fs.existsSync(getRulesPath())).toBe(false);
+    expect(() => buildRule({ action: 'always-delete' })).toThrow(/Sender or at least one condition/);
+  });
+
+  describe('hit statistics', () => {
+    it('accumulates hits on real runs and only refreshes lastMatchedAt on dry runs', () => {
+      const { rule } = addRule({ action: 'always-delete', sender: 'shop.com' });
+      const first = new Date('2026-03-01T00:00:00.000Z');
+      const second = new Date('2026-03-05T00:00:00.000Z');
+
+      recordRuleHits([{ id: rule.id, matches: 3, applied: 2 }], { now: first });
+      recordRuleHits([{ id: rule.id, matches: 4, applied: 4 }], { now: second, dryRun: true });
+      recordRuleHits([{ id: rule.id, matches: 0, applied: 0 }], { now: new Date('2026-04-01T00:00:00.000Z') });
+
+      expect(listRules()[0]).toMatchObject({ hits: 3, applied: 2, lastMatchedAt: second.toISOString() });
+    });
+
+    it('adds applied counts separately for the rules that acted', () => {
+      const { rule } = addRule({ action: 'auto-archive', sender: 'shop.com' });
+      recordRuleHits([{ id: rule.id, matches: 3, applied: 0 }]);
+
+      expect(recordRuleApplied({ [rule.id]: 2, missing: 1 })).toBe(1);
+      expect(recordRuleApplied({})).toBe(0);
+      expect(listRules()[0]).toMatchObject({ hits: 3, applied: 2 });
+    });
+
+    it('flags rules that have not matched within the window', () => {
+      const now = new Date('2026-06-01T00:00:00.000Z');
+      const { rule: active } = addRule({ action: 'always-delete', sender: 'active.com' });
+      const { rule: idle } = addRule({ action: 'always-delete', sender: 'idle.com' });
+      addRule({ action: 'auto-archive', sender: 'new.com' });
+      recordRuleHits([{ id: active.id, matches: 1, applied: 1 }], { now: new Date('2026-05-25T00:00:00.000Z') });
+      recordRuleHits([{ id: idle.id, matches: 1, applied: 1 }], { now: new Date('2026-03-01T00:00:00.000Z') });
+
+      const stats = getRuleStats(30, now);
+      const byId = Object.fromEntries(stats.map(entry => [entry.rule.id, entry]));
+
+      expect(byId[active.id]).toMatchObject({ stale: false, daysSinceMatch: 7, hits: 1 });
+      expect(byId[idle.id]).toMatchObject({ stale: true, daysSinceMatch: 92 });
+      // Never matched: measured from createdAt, which is "now" for freshly added rules
+      expect(stats.find(entry => entry.rule.sender === 'new.com')).toMatchObject({ hits: 0, lastMatchedAt: null, daysSinceMatch: null });
+    });
+  });
+
+  describe('expiring rules', () => {
+    it('resolves --until durations and dates into expiresAt', () => {
+      const before = Date.now();
+      const inTwoWeeks = buildRule({ action: 'never-delete', sender: 'recruiter@foo.com', expiresAt: '2w' });
+      const endOfDay = buildRule({ action: 'auto-archive', sender: 'conference-x.com', expiresAt: '2999-03-31' });
+      const permanent = buildRule({ action: 'auto-archive', sender: 'conference-x.com' });
+
+      const expiresIn = new Date(inTwoWeeks.expiresAt).getTime() - before;
+      expect(expiresIn).toBeGreaterThanOrEqual(14 * 24 * 60 * 60 * 1000);
+      expect(expiresIn).toBeLessThan(14 * 24 * 60 * 60 * 1000 + 60 * 1000);
+      expect(new Date(endOfDay.expiresAt).getTime()).toBe(new Date('2999-03-31T23:59:59.999').getTime());
+      expect(permanent).not.toHaveProperty('expiresAt');
+    });
+
+    it('rejects invalid or past expiry', () => {
+      expect(() => buildRule({ action: 'auto-archive', sender: 'x.com', expiresAt: 'soon' })).toThrow(/Invalid expiry/);
+      expect(() => buildRule({ action: 'auto-archive', sender: 'x.com', expiresAt: '2020-01-01' })).toThrow(/in the past/);
+    });
+
+    it('prunes expired rules', () => {
+      addRule({ action: 'auto-archive', sender: 'old.com', expiresAt: '1d' });
+      addRule({ action: 'auto-archive', sender: 'keep.com' });
+      const later = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+
+      expect(pruneExpiredRules({ dryRun: true, now: later })).toHaveLength(1);
+      expect(listRules()).toHaveLength(2);
+
+      const removed = pruneExpiredRules({ now: later });
+      expect(removed.map(rule => rule.sender)).toEqual(['old.com']);
+      expect(listRules().map(rule => rule.sender)).toEqual(['keep.com']);
+    });
+  });
 });
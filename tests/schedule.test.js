@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+
+const { parseSchedule, matchesSchedule, getNextRun } = require('../src/schedule');
+
+describe('schedule', () => {
+  const at = (text) => new Date(text);
+
+  it('parses steps, ranges, lists and aliases', () => {
+    const schedule = parseSchedule('*/15 9-17/4 1,15 * 1-5');
+    expect([...schedule.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...schedule.hours]).toEqual([9, 13, 17]);
+    expect([...schedule.days]).toEqual([1, 15]);
+    expect(schedule.months.size).toBe(12);
+    expect([...schedule.weekdays]).toEqual([1, 2, 3, 4, 5]);
+
+    expect(parseSchedule('@daily').minutes).toEqual(new Set([0]));
+    expect(parseSchedule('0 0 * * 7').weekdays).toEqual(new Set([0]));
+  });
+
+  it('rejects malformed schedules', () => {
+    expect(() => parseSchedule('* * *')).toThrow('five cron fields');
+    expect(() => parseSchedule('60 * * * *')).toThrow('minute 60 is out of range');
+    expect(() => parseSchedule('x * * * *')).toThrow('Invalid minute "x"');
+    expect(() => parseSchedule('0 5-2 * * *')).toThrow('Invalid hour range');
+  });
+
+  it('finds the next run strictly after the reference time', () => {
+    const every30 = parseSchedule('*/30 * * * *');
+    expect(getNextRun(every30, at('2026-03-10T08:00:00'))).toEqual(at('2026-03-10T08:30:00'));
+    expect(getNextRun(every30, at('2026-03-10T08:45:10'))).toEqual(at('2026-03-10T09:00:00'));
+
+    const weekdayMornings = parseSchedule('0 7 * * 1-5');
+    // 2026-03-13 is a Friday
+    expect(getNextRun(weekdayMornings, at('2026-03-13T07:00:00'))).toEqual(at('2026-03-16T07:00:00'));
+
+    expect(getNextRun(parseSchedule('0 0 1 1 *'), at('2026-03-10T00:00:00'))).toEqual(at('2027-01-01T00:00:00'));
+    expect(getNextRun(parseSchedule('0 0 30 2 *'), at('2026-03-10T00:00:00'))).toBeNull();
+  });
+
+  it('matches day of month or day of week when both are restricted', () => {
+    const schedule = parseSchedule('0 12 1 * 0');
+    expect(matchesSchedule(schedule, at('2026-04-01T12:00:00'))).toBe(true); // Wednesday the 1st
+    expect(matchesSchedule(schedule, at('2026-04-05T12:00:00'))).toBe(true); // Sunday
+    expect(matchesSchedule(schedule, at('2026-04-06T12:00:00'))).toBe(false);
+    expect(matchesSchedule(schedule, at('2026-04-05T12:01:00'))).toBe(false);
+  });
+});
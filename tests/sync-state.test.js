@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+describe('sync-state module', () => {
+  const tempDir = path.join(os.tmpdir(), 'inboxd-sync-state-test');
+  const originalTokenDir = process.env.INBOXD_TOKEN_DIR;
+  let readSyncState;
+  let writeSyncState;
+  let clearSyncState;
+  let getSyncStatePath;
+
+  beforeEach(async () => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    vi.resetModules();
+    process.env.INBOXD_TOKEN_DIR = tempDir;
+
+    const module = await import('../src/sync-state');
+    readSyncState = module.readSyncState;
+    writeSyncState = module.writeSyncState;
+    clearSyncState = module.clearSyncState;
+    getSyncStatePath = module.getSyncStatePath;
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalTokenDir === undefined) {
+      delete process.env.INBOXD_TOKEN_DIR;
+    } else {
+      process.env.INBOXD_TOKEN_DIR = originalTokenDir;
+    }
+  });
+
+  it('stores state per account in INBOXD_TOKEN_DIR', () => {
+    expect(getSyncStatePath('work')).toBe(path.join(tempDir, 'state-work.json'));
+  });
+
+  it('returns an empty state when no file exists', () => {
+    const state = readSyncState('work');
+    expect(state.historyId).toBeNull();
+    expect(state.lastSyncAt).toBeNull();
+    expect(state.views).toEqual({});
+  });
+
+  it('round-trips history ID and last sync time', () => {
+    writeSyncState('work', {
+      historyId: '12345',
+      lastSyncAt: '2026-01-01T00:00:00.000Z',
+    });
+
+    const state = readSyncState('work');
+    expect(state.historyId).toBe('12345');
+    expect(state.lastSyncAt).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  it('round-trips list views', () => {
+    writeSyncState('work', { historyId: '1', views: { 'is:unread': { ids: ['b', 'a'], complete: true } } });
+    expect(readSyncState('work').views).toEqual({ 'is:unread': { ids: ['b', 'a'], complete: true } });
+  });
+
+  it('treats legacy state files as empty', () => {
+    fs.writeFileSync(getSyncStatePath('work'), JSON.stringify({ lastCheck: Date.now(), seenEmailIds: ['a'] }));
+    expect(readSyncState('work').historyId).toBeNull();
+  });
+
+  it('treats malformed state files as empty', () => {
+    fs.writeFileSync(getSyncStatePath('work'), '{not json');
+    expect(readSyncState('work').historyId).toBeNull();
+  });
+
+  it('clears state for an account', () => {
+    writeSyncState('work', { historyId: '1' });
+    clearSyncState('work');
+    expect(fs.existsSync(getSyncStatePath('work'))).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+
+const { createWatcher } = require('../src/watch');
+
+describe('watch', () => {
+  const now = () => new Date('2026-03-10T08:00:00Z');
+  const sync = (overrides = {}) => ({ mode: 'incremental', added: [], removed: [], labelChanges: [], ...overrides });
+  const email = (id, labelIds = ['INBOX', 'UNREAD']) => ({ id, threadId: `t-${id}`, from: 'a@example.com', subject: 'Hi', snippet: '', date: 'Tue', labelIds });
+
+  // Returns the queued sync results in order, one per call
+  const setup = (results, accounts = ['work']) => {
+    const events = [];
+    const queue = [...results];
+    const syncFn = async () => {
+      const next = queue.shift();
+      if (next instanceof Error) throw next;
+      return next || sync();
+    };
+    const watcher = createWatcher({ accounts, emit: event => events.push(event), syncFn, now });
+    return { events, watcher };
+  };
+
+  it('reports each new message once', async () => {
+    const { events, watcher } = setup([
+      sync({ added: [email('m1')] }),
+      sync({ added: [email('m1'), email('m2')] }),
+    ]);
+
+    await watcher.poll();
+    await watcher.poll();
+
+    expect(events.map(event => event.id)).toEqual(['m1', 'm2']);
+    expect(events[0]).toMatchObject({ type: 'message', account: 'work', threadId: 't-m1', at: '2026-03-10T08:00:00.000Z' });
+  });
+
+  it('reports label changes and skips repeats', async () => {
+    const change = { id: 'm1', labelIds: ['INBOX'], addedLabelIds: [], removedLabelIds: ['UNREAD'] };
+    const { events, watcher } = setup([
+      sync({ labelChanges: [change] }),
+      sync({ labelChanges: [change] }),
+      // Labels of a message added in the same sync are part of its message event
+      sync({ added: [email('m2')], labelChanges: [{ id: 'm2', labelIds: ['INBOX', 'UNREAD'], addedLabelIds: ['UNREAD'], removedLabelIds: [] }] }),
+    ]);
+
+    await watcher.poll();
+    await watcher.poll();
+    await watcher.poll();
+
+    expect(events.map(event => event.type)).toEqual(['labels', 'message']);
+    expect(events[0]).toMatchObject({ id: 'm1', removedLabelIds: ['UNREAD'] });
+  });
+
+  it('reports trashed and permanently removed messages once each', async () => {
+    const trash = { id: 'm1', labelIds: ['TRASH'], addedLabelIds: ['TRASH'], removedLabelIds: ['INBOX'] };
+    const { events, watcher } = setup([
+      sync({ labelChanges: [trash] }),
+      sync({ labelChanges: [trash] }),
+      sync({ removed: ['m1'] }),
+      sync({ removed: ['m1'] }),
+    ]);
+
+    for (let i = 0; i < 4; i++) {
+      await watcher.poll();
+    }
+
+    expect(events.map(event => [event.type, event.id, event.permanent])).toEqual([
+      ['deleted', 'm1', false],
+      ['deleted', 'm1', true],
+    ]);
+  });
+
+  it('reports a full resync with its reason', async () => {
+    const { events, watcher } = setup([
+      sync({ mode: 'full', reason: 'history-expired' }),
+      sync({ added: [email('m1')] }),
+    ]);
+
+    await watcher.poll();
+    await watcher.poll();
+
+    expect(events.map(event => event.type)).toEqual(['resync', 'message']);
+    expect(events[0]).toEqual({ type: 'resync', account: 'work', reason: 'history-expired', at: '2026-03-10T08:00:00.000Z' });
+  });
+
+  it('reports a failing account and keeps watching the others', async () => {
+    const { events, watcher } = setup([new Error('Token expired'), sync({ added: [email('m1')] })], ['work', 'personal']);
+
+    await watcher.poll();
+
+    expect(events).toEqual([
+      { type: 'error', account: 'work', error: 'Token expired', at: '2026-03-10T08:00:00.000Z' },
+      expect.objectContaining({ type: 'message', account: 'personal', id: 'm1' }),
+    ]);
+  });
+});